@@ -3,11 +3,46 @@
  * Loads and validates environment configuration
  */
 
-require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+
+const env = process.env.NODE_ENV || 'development';
+const dbDriver = (process.env.DB_DRIVER || 'memory').toLowerCase();
+const dbExtension = dbDriver === 'json' ? 'jsonl' : 'db';
+
+// Boolean env flag with a default, e.g. IPN_REQUIRE_SIGNATURE=false
+function flag(value, defaultValue) {
+  return value === undefined || value === '' ? defaultValue : !['false', '0', 'no', 'off'].includes(value.toLowerCase());
+}
+
+// MERCHANT_API_KEYS=merchant-a:key-a,merchant-b:key-b -> { merchantId: key }
+function parseMerchantApiKeys(value) {
+  const keys = {};
+
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator > 0 && separator < entry.length - 1) {
+      keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+  });
+
+  return keys;
+}
+
+function parseTrustProxy(value) {
+  if (!value) {
+    return false;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return ['true', 'false'].includes(value) ? value === 'true' : value;
+}
 
 const config = {
   // Server Configuration
-  env: process.env.NODE_ENV || 'development',
+  env,
   port: process.env.PORT || 3000,
   
   // Gateway API Configuration (Header-Based Authentication)
@@ -37,19 +72,73 @@ const config = {
     jwtSecret: process.env.JWT_SECRET || 'change-this-secret-in-production',
     allowedOrigins: process.env.ALLOWED_ORIGINS 
       ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim())
-      : ['http://localhost:3000', 'http://localhost:8000', 'http://127.0.0.1:8000']
+      : ['http://localhost:3000', 'http://localhost:8000', 'http://127.0.0.1:8000'],
+    // Express 'trust proxy' setting (true, hop count or addresses such as
+    // 'loopback'), so req.ip is the client behind a reverse proxy
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    // API keys merchants present on the webhook management routes
+    merchantApiKeys: parseMerchantApiKeys(process.env.MERCHANT_API_KEYS)
+  },
+  
+  // Inbound IPN authentication (on by default in production)
+  ipn: {
+    requireSignature: flag(process.env.IPN_REQUIRE_SIGNATURE, env === 'production'),
+    confirmWithInquiry: flag(process.env.IPN_CONFIRM_WITH_INQUIRY, env === 'production'),
+    clockSkewSeconds: parseInt(process.env.IPN_CLOCK_SKEW_SECONDS, 10) || 300,
+    allowedIps: process.env.IPN_ALLOWED_IPS
+      ? process.env.IPN_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+      : [],
+    quarantinePath: path.resolve(__dirname, '..', process.env.IPN_QUARANTINE_PATH || './data/ipn-quarantine.jsonl'),
+    // The quarantine log is rotated at this size; older rotations beyond
+    // quarantineFiles are discarded
+    quarantineMaxBytes: parseInt(process.env.IPN_QUARANTINE_MAX_BYTES, 10) || 10 * 1024 * 1024,
+    quarantineFiles: parseInt(process.env.IPN_QUARANTINE_FILES, 10) || 3
+  },
+  
+  // Idempotency-Key replay window for payment-order creation
+  idempotency: {
+    windowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_MS, 10) || 24 * 60 * 60 * 1000
   },
   
-  // Database
+  // Transaction storage: memory, json (append-only log) or sqlite.
+  // Relative paths are resolved from the gateway directory.
   database: {
-    path: process.env.DB_PATH || './data/transactions.db'
+    driver: dbDriver,
+    path: path.resolve(__dirname, '..', process.env.DB_PATH ||
+      `./data/transactions.${dbExtension}`)
+  },
+  
+  // Outbound merchant webhooks. Endpoints and deliveries are kept with the
+  // DB_DRIVER backend, in their own files next to the transactions.
+  webhooks: {
+    endpointsPath: path.resolve(__dirname, '..', process.env.WEBHOOK_ENDPOINTS_PATH ||
+      `./data/webhook-endpoints.${dbExtension}`),
+    deliveriesPath: path.resolve(__dirname, '..', process.env.WEBHOOK_DELIVERIES_PATH ||
+      `./data/webhook-deliveries.${dbExtension}`),
+    // Attempts before a delivery goes to the dead-letter queue
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // Retry n waits backoffMs * 2^(n - 1), at most maxBackoffMs
+    backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 10 * 1000,
+    maxBackoffMs: parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS, 10) || 60 * 60 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+    // Deliver to loopback/private addresses (local development only)
+    allowPrivateUrls: flag(process.env.WEBHOOK_ALLOW_PRIVATE_URLS, false),
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5 * 1000
   },
   
   // Validate configuration
   validate() {
     const errors = [];
     
+    if (!['memory', 'json', 'sqlite'].includes(this.database.driver)) {
+      errors.push(`DB_DRIVER must be memory, json or sqlite (got "${this.database.driver}")`);
+    }
+    
     if (this.env === 'production') {
+      if (this.database.driver === 'memory') {
+        console.warn('⚠️  DB_DRIVER=memory: transactions are lost on restart');
+      }
+      
       // New header-based authentication (required)
       if (!this.gateway.merchantId) errors.push('MERCHANT_ID is required in production');
       if (!this.gateway.apiKey) errors.push('API_KEY is required in production');
@@ -59,6 +148,10 @@ const config = {
       if (this.security.jwtSecret === 'change-this-secret-in-production') {
         errors.push('JWT_SECRET must be changed in production');
       }
+      
+      if (!this.ipn.requireSignature) {
+        console.warn('⚠️  IPN_REQUIRE_SIGNATURE=false: unsigned IPNs can change transaction status');
+      }
     }
     
     if (errors.length > 0) {
@@ -3,7 +3,11 @@
  * Validates merchant authentication for API requests
  */
 
+const crypto = require('crypto');
+const config = require('../config/config');
 const signatureService = require('../services/signature');
+const authHelper = require('../services/auth-helper');
+const ipnQuarantine = require('../services/ipn-quarantine');
 
 /**
  * Validate merchant ID header
@@ -24,6 +28,47 @@ function validateMerchant(req, res, next) {
   next();
 }
 
+/**
+ * Authenticate a merchant by X-Merchant-Id and its API key from
+ * MERCHANT_API_KEYS, sent as `Authorization: Bearer <key>` or X-Api-Key.
+ * Merchants without a configured key are refused.
+ */
+function authenticateMerchant(req, res, next) {
+  const merchantId = req.headers['x-merchant-id'];
+  const apiKey = req.headers['x-api-key'] || (req.headers['authorization'] || '').replace(/^Bearer\s+/i, '');
+
+  if (!merchantId || !apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Merchant ID and API key are required',
+      error: 'MISSING_MERCHANT_CREDENTIALS'
+    });
+  }
+
+  const expected = Object.prototype.hasOwnProperty.call(config.security.merchantApiKeys, merchantId)
+    ? config.security.merchantApiKeys[merchantId]
+    : null;
+
+  if (!expected || !safeEqual(apiKey, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid merchant credentials',
+      error: 'INVALID_MERCHANT_CREDENTIALS'
+    });
+  }
+
+  req.merchantId = merchantId;
+  next();
+}
+
+/**
+ * Constant-time string comparison (hashed, so lengths may differ)
+ */
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
 /**
  * Validate request signature (optional, for enhanced security)
  */
@@ -92,8 +137,81 @@ function validateSessionToken(req, res, next) {
   next();
 }
 
+/**
+ * Authenticate an IPN from the gateway: source IP against IPN_ALLOWED_IPS,
+ * then the X-TNPG signature and body digest (IPN_REQUIRE_SIGNATURE).
+ * Rejected IPNs are quarantined.
+ */
+function authenticateIpn(req, res, next) {
+  const { allowedIps, requireSignature, clockSkewSeconds } = config.ipn;
+
+  if (allowedIps.length > 0 && !isIpAllowed(req.ip, allowedIps)) {
+    ipnQuarantine.add(req, 'IP_NOT_ALLOWED');
+    return res.status(403).json({
+      success: false,
+      message: 'IPN source not allowed',
+      error: 'IP_NOT_ALLOWED'
+    });
+  }
+
+  if (!requireSignature) {
+    return next();
+  }
+
+  // The digest covers the body exactly as sent, before parsing/sanitizing
+  const { valid, reason } = authHelper.checkSignature(req.headers, req.rawBody || req.body, config.gateway.apiSecret, {
+    maxSkewSeconds: clockSkewSeconds,
+    merchantId: config.gateway.merchantId
+  });
+
+  if (!valid) {
+    ipnQuarantine.add(req, reason);
+    return res.status(401).json({
+      success: false,
+      message: 'IPN authentication failed',
+      error: reason
+    });
+  }
+
+  next();
+}
+
+/**
+ * Whether an address matches an allowlist of IPs and IPv4 CIDR ranges
+ */
+function isIpAllowed(ip, allowedIps) {
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = String(ip || '').replace(/^::ffff:/, '');
+
+  return allowedIps.some(entry => {
+    if (!entry.includes('/')) {
+      return entry.replace(/^::ffff:/, '') === address;
+    }
+
+    const [range, bits] = entry.split('/');
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    const rangeValue = ipv4ToInt(range);
+    const addressValue = ipv4ToInt(address);
+
+    return rangeValue !== null && addressValue !== null && (rangeValue & mask) >>> 0 === (addressValue & mask) >>> 0;
+  });
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+
+  return parts.reduce((value, part) => ((value << 8) + Number(part)) >>> 0, 0);
+}
+
 module.exports = {
   validateMerchant,
+  authenticateMerchant,
   validateSignature,
-  validateSessionToken
+  validateSessionToken,
+  authenticateIpn,
+  isIpAllowed
 };
@@ -0,0 +1,84 @@
+/**
+ * Idempotency Middleware
+ * Replays the first response for repeated payment-order creation requests
+ * that carry the same Idempotency-Key, so the gateway order is created once.
+ */
+
+const crypto = require('crypto');
+const idempotencyStore = require('../models/idempotency');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Honour the Idempotency-Key header on order creation routes
+ *
+ * - First request: runs the route and stores its response (5xx responses are
+ *   not stored, so a retry can try again)
+ * - Same key and body within the window: replays the stored response with an
+ *   `Idempotent-Replayed: true` header, without calling the gateway
+ * - Same key while the first request is still running: waits for it
+ * - Same key with a different body: 422 IDEMPOTENCY_KEY_REUSED
+ *
+ * Requests without the header are processed as before.
+ */
+async function idempotency(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 8-128 letters, digits, "-" or "_"',
+      error: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const key = `${req.merchantId}:${idempotencyKey}`;
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+  let entry = idempotencyStore.get(key);
+
+  // A concurrent duplicate waits for the first request to finish
+  while (entry && !entry.response) {
+    await entry.done;
+    entry = idempotencyStore.get(key);
+  }
+
+  if (entry) {
+    if (entry.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request',
+        error: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    console.log(`[Idempotency] Replaying response for key ${idempotencyKey}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.response.statusCode).json(entry.response.body);
+  }
+
+  idempotencyStore.begin(key, fingerprint);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      idempotencyStore.complete(key, res.statusCode, body);
+    } else {
+      idempotencyStore.release(key);
+    }
+    return json(body);
+  };
+
+  // Connection dropped or handler crashed before responding
+  res.on('close', () => idempotencyStore.release(key));
+
+  next();
+}
+
+module.exports = {
+  idempotency
+};
@@ -3,30 +3,87 @@
  * Validates incoming request data
  */
 
+const config = require('../config/config');
+const metadataService = require('../services/metadata');
+const moneyService = require('../services/money');
+const orderDetailsService = require('../services/order-details');
+const schemaValidator = require('../services/schema-validator');
+const ipnQuarantine = require('../services/ipn-quarantine');
+const webhooks = require('../services/webhooks');
+
 /**
- * Validate payment creation request
+ * Validate request body against a schema in gateway/schemas
+ * @returns {Array} - [{ field, message }]
  */
-function validatePaymentCreation(req, res, next) {
-  const { orderId, amount, currency } = req.body;
-  const errors = [];
+function checkSchema(name, body) {
+  return schemaValidator.validate(name, body || {});
+}
+
+/**
+ * Send the 400 Validation failed response for field errors
+ */
+function rejectFields(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.map(error => `${error.field} ${error.message}`),
+    fieldErrors: errors
+  });
+}
 
-  if (!orderId || typeof orderId !== 'string') {
-    errors.push('orderId is required and must be a string');
+/**
+ * Validate payment creation request (schemas/payment-order.json)
+ */
+function validatePaymentCreation(req, res, next) {
+  const errors = checkSchema('payment-order', req.body);
+
+  // The schema checks the amount is a number or decimal string; sign and
+  // decimal places are checked in minor units, which depend on the currency
+  if (errors.length === 0) {
+    const { payable_amount, currency_code } = req.body.order_information;
+
+    moneyService.validate(payable_amount, currency_code).forEach(message => {
+      errors.push({
+        field: message.startsWith('currency') ? 'order_information.currency_code' : 'order_information.payable_amount',
+        message: message.replace(/^(currency|amount) /, '')
+      });
+    });
   }
 
-  if (!amount || typeof amount !== 'number' || amount <= 0) {
-    errors.push('amount is required and must be a positive number');
+  if (errors.length > 0) {
+    return rejectFields(res, errors);
   }
 
-  if (currency && typeof currency !== 'string') {
-    errors.push('currency must be a string');
+  next();
+}
+
+/**
+ * Validate payment verification request (schemas/verify.json)
+ */
+function validatePaymentVerification(req, res, next) {
+  const errors = checkSchema('verify', req.body);
+
+  if (errors.length > 0) {
+    return rejectFields(res, errors);
   }
 
+  next();
+}
+
+/**
+ * Validate an IPN from the gateway (schemas/ipn.json)
+ */
+function validateIpn(req, res, next) {
+  const errors = checkSchema('ipn', req.body);
+
   if (errors.length > 0) {
+    console.error('[IPN] Invalid data:', errors.map(error => `${error.field} ${error.message}`).join('; '));
+    ipnQuarantine.add(req, 'INVALID_BODY', { errors });
     return res.status(400).json({
       success: false,
-      message: 'Validation failed',
-      errors
+      message: 'Invalid IPN data',
+      errors: errors.map(error => `${error.field} ${error.message}`),
+      fieldErrors: errors
     });
   }
 
@@ -34,24 +91,56 @@ function validatePaymentCreation(req, res, next) {
 }
 
 /**
- * Validate payment verification request
+ * Validate webhook endpoint registration (schemas/webhook-endpoint.json)
  */
-function validatePaymentVerification(req, res, next) {
-  const { paymentOrderId } = req.body;
-  const errors = [];
+async function validateWebhookEndpoint(req, res, next) {
+  const errors = checkSchema('webhook-endpoint', req.body);
+
+  // Signed events still carry payment details, so production needs TLS
+  if (errors.length === 0 && config.env === 'production' && !/^https:/i.test(req.body.url)) {
+    errors.push({ field: 'url', message: 'must use https in production' });
+  }
 
-  if (!paymentOrderId || typeof paymentOrderId !== 'string') {
-    errors.push('paymentOrderId is required and must be a string');
+  // No requests into the gateway's own network
+  if (errors.length === 0) {
+    const blocked = await webhooks.checkUrl(req.body.url);
+    if (blocked) {
+      errors.push({ field: 'url', message: blocked });
+    }
   }
 
   if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors
-    });
+    return rejectFields(res, errors);
+  }
+
+  next();
+}
+
+/**
+ * Validate the metadata_fields declaration and mdf field values
+ */
+function validateMetadataFields(req, res, next) {
+  const errors = metadataService.validate(req.body.metadata_fields, req.body);
+
+  if (errors.length > 0) {
+    return rejectFields(res, errors);
+  }
+
+  next();
+}
+
+/**
+ * Validate customer, product and shipment information and replace it with
+ * the normalized values (trimmed, phone as +880..., canonical district)
+ */
+function validateOrderDetails(req, res, next) {
+  const { errors, value } = orderDetailsService.validate(req.body);
+
+  if (errors.length > 0) {
+    return rejectFields(res, errors);
   }
 
+  Object.assign(req.body, value);
   next();
 }
 
@@ -93,5 +182,9 @@ function sanitizeObject(obj) {
 module.exports = {
   validatePaymentCreation,
   validatePaymentVerification,
+  validateIpn,
+  validateWebhookEndpoint,
+  validateMetadataFields,
+  validateOrderDetails,
   sanitizeInput
 };
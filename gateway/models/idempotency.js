@@ -0,0 +1,108 @@
+/**
+ * Idempotency Store
+ * In-memory record of responses to payment-order creation requests, keyed
+ * by merchant and Idempotency-Key, so retried or double-submitted requests
+ * get the first response instead of creating a second gateway order.
+ */
+
+const config = require('../config/config');
+
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || config.idempotency.windowMs;
+    this.maxEntries = options.maxEntries || 10000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a live entry
+   *
+   * @returns {Object|undefined} - { fingerprint, response, done, expiresAt }
+   */
+  get(key) {
+    this.prune();
+    return this.entries.get(key);
+  }
+
+  /**
+   * Mark a key as in flight; `done` resolves when the request finishes
+   */
+  begin(key, fingerprint) {
+    let finish;
+    const done = new Promise(resolve => {
+      finish = resolve;
+    });
+
+    const entry = {
+      fingerprint,
+      response: null,
+      done,
+      finish,
+      expiresAt: Date.now() + this.windowMs
+    };
+
+    this.entries.set(key, entry);
+
+    // Map iteration order is insertion order, so the oldest completed key
+    // goes first; in-flight keys stay so their waiters are released
+    if (this.entries.size > this.maxEntries) {
+      for (const [oldKey, oldEntry] of this.entries) {
+        if (oldEntry.response) {
+          this.entries.delete(oldKey);
+          break;
+        }
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store the response to replay for the rest of the window
+   */
+  complete(key, statusCode, body) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return;
+    }
+
+    entry.response = { statusCode, body };
+    entry.expiresAt = Date.now() + this.windowMs;
+    entry.finish();
+  }
+
+  /**
+   * Forget an in-flight key so the request can be retried
+   */
+  release(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && !entry.response) {
+      this.entries.delete(key);
+      entry.finish();
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (entry.response && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Clear all entries (for testing)
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = new IdempotencyStore();
@@ -0,0 +1,76 @@
+/**
+ * Transaction Storage Adapters
+ *
+ * Every adapter implements the same synchronous interface:
+ *   insert(transaction)     - store a new transaction (overwrites the same id)
+ *   get(id)                 - transaction or undefined
+ *   replace(transaction)    - overwrite a stored transaction, null if unknown
+ *   getByOrderId(orderId)   - newest transaction for the order or undefined
+ *   list({ limit, merchantId, status }) - newest first
+ *   summarize()             - { total, byStatus, successMinorByCurrency }
+ *   clear(), close()
+ *
+ * Webhook endpoints and deliveries (createWebhookStore) use insert, get,
+ * replace, list, clear and close of the same interface, with their own
+ * log format or SQLite tables.
+ */
+
+const MemoryStore = require('./memory-store');
+const JsonFileStore = require('./json-file-store');
+
+const DRIVERS = {
+  memory: () => new MemoryStore(),
+  json: options => new JsonFileStore(options),
+  // Loaded on demand: better-sqlite3 is an optional native dependency
+  sqlite: options => new (require('./sqlite-store'))(options)
+};
+
+// Records the memory backend may drop when full: finished ones only, so
+// pending retries and dead letters are never lost
+const WEBHOOK_EVICTABLE = {
+  endpoints: endpoint => endpoint.status === 'deleted',
+  deliveries: delivery => delivery.status === 'delivered'
+};
+
+const WEBHOOK_DRIVERS = {
+  memory: options => new MemoryStore({ evictable: WEBHOOK_EVICTABLE[options.kind] }),
+  json: options => new JsonFileStore({ path: options.path, format: `pso-webhook-${options.kind}` }),
+  sqlite: options => new (require('./sqlite-webhook-store'))(options)
+};
+
+/**
+ * Create the adapter selected by config.database
+ * @param {Object} options - { driver: 'memory' | 'json' | 'sqlite', path }
+ */
+function createStore(options) {
+  const create = DRIVERS[options.driver];
+
+  if (!create) {
+    throw new Error(`Unknown DB_DRIVER "${options.driver}" (expected ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return create(options);
+}
+
+/**
+ * Create a webhook endpoint or delivery store on the config.database driver
+ * @param {Object} options - { kind: 'endpoints' | 'deliveries', driver, path }
+ */
+function createWebhookStore(options) {
+  const create = WEBHOOK_DRIVERS[options.driver];
+
+  if (!create) {
+    throw new Error(`Unknown DB_DRIVER "${options.driver}" (expected ${Object.keys(WEBHOOK_DRIVERS).join(', ')})`);
+  }
+  if (!WEBHOOK_EVICTABLE[options.kind]) {
+    throw new Error(`Unknown webhook store "${options.kind}"`);
+  }
+
+  return create(options);
+}
+
+module.exports = {
+  createStore,
+  createWebhookStore,
+  DRIVERS: Object.keys(DRIVERS)
+};
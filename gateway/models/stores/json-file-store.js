@@ -0,0 +1,117 @@
+/**
+ * JSON File Transaction Store
+ * Append-only JSON Lines log: a header line, then one line per created or
+ * updated transaction. The log is replayed into the in-memory indexes on
+ * start; the last line for an id wins. A log with mostly superseded lines
+ * is compacted on start by rewriting it through a temporary file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+
+const DEFAULT_FORMAT = 'pso-transactions';
+
+// Upgrades a transaction written by an older format version: entry i
+// turns version i + 1 records into version i + 2 records
+const MIGRATIONS = [];
+
+const VERSION = MIGRATIONS.length + 1;
+
+class JsonFileStore extends MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Log file, created with its directory if missing
+   * @param {string} [options.format='pso-transactions'] - Header format name, checked on load
+   */
+  constructor(options) {
+    super({ maxEntries: Infinity });
+    this.path = options.path;
+    this.format = options.format || DEFAULT_FORMAT;
+    this.load();
+  }
+
+  insert(transaction) {
+    super.insert(transaction);
+    this.append({ type: 'put', transaction });
+    return transaction;
+  }
+
+  replace(transaction) {
+    if (!super.replace(transaction)) {
+      return null;
+    }
+
+    this.append({ type: 'put', transaction });
+    return transaction;
+  }
+
+  clear() {
+    super.clear();
+    this.rewrite();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    if (!fs.existsSync(this.path)) {
+      this.rewrite();
+      return;
+    }
+
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n').filter(line => line.trim() !== '');
+
+    if (lines.length === 0) {
+      this.rewrite();
+      return;
+    }
+
+    const header = this.parseLine(lines[0], 1);
+
+    if (!header || header.type !== 'header' || header.format !== this.format) {
+      throw new Error(`${this.path} is not a ${this.format} log`);
+    }
+    if (header.version > VERSION) {
+      throw new Error(`${this.path} was written by a newer version (format ${header.version})`);
+    }
+
+    const migrations = MIGRATIONS.slice(header.version - 1);
+
+    lines.slice(1).forEach((line, index) => {
+      const record = this.parseLine(line, index + 2);
+
+      if (record && record.type === 'put') {
+        this.put(migrations.reduce((transaction, migrate) => migrate(transaction), record.transaction));
+      }
+    });
+
+    if (migrations.length > 0 || lines.length - 1 > Math.max(this.rows.size * 2, 100)) {
+      this.rewrite();
+    }
+  }
+
+  parseLine(line, number) {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // A crash mid-append leaves a partial last line; skip it
+      console.warn(`[Transactions] Skipping unreadable line ${number} of ${this.path}`);
+      return null;
+    }
+  }
+
+  append(record) {
+    fs.appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+  }
+
+  rewrite() {
+    const lines = [{ type: 'header', format: this.format, version: VERSION }]
+      .concat(Array.from(this.rows.values()).map(transaction => ({ type: 'put', transaction })));
+    const tmpPath = `${this.path}.tmp`;
+
+    fs.writeFileSync(tmpPath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+    fs.renameSync(tmpPath, this.path);
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,174 @@
+/**
+ * In-Memory Transaction Store
+ * Keeps transactions in a Map with secondary indexes on orderId, merchantId
+ * and status. Nothing survives a restart; the oldest evictable records are
+ * dropped once maxEntries is reached.
+ */
+
+const transactionState = require('../../services/transaction-state');
+
+const INDEXED_FIELDS = ['orderId', 'merchantId', 'status'];
+
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=1000] - Transactions kept before the oldest are dropped
+   * @param {Function} [options.evictable] - Whether a record may be dropped (default: any)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.evictable = options.evictable || (() => true);
+    this.reset();
+  }
+
+  reset() {
+    this.rows = new Map();
+    // id -> { seq, orderId, merchantId, status } as last indexed, because
+    // callers mutate the transaction objects they get back before update()
+    this.keys = new Map();
+    this.indexes = {};
+    INDEXED_FIELDS.forEach(field => {
+      this.indexes[field] = new Map();
+    });
+    this.seq = 0;
+  }
+
+  insert(transaction) {
+    return this.put(transaction);
+  }
+
+  get(id) {
+    return this.rows.get(id);
+  }
+
+  replace(transaction) {
+    return this.rows.has(transaction.id) ? this.put(transaction) : null;
+  }
+
+  getByOrderId(orderId) {
+    const ids = this.newestFirst(this.indexes.orderId.get(orderId));
+    return ids.length > 0 ? this.rows.get(ids[0]) : undefined;
+  }
+
+  /**
+   * Newest transactions first
+   * @param {Object} [options] - { limit, merchantId, status }
+   */
+  list(options = {}) {
+    const filters = ['merchantId', 'status'].filter(field => options[field] !== undefined);
+    let ids;
+
+    if (filters.length === 0) {
+      ids = Array.from(this.rows.keys()).reverse();
+    } else {
+      ids = this.newestFirst(this.indexes[filters[0]].get(options[filters[0]]))
+        .filter(id => filters.every(field => this.keys.get(id)[field] === options[field]));
+    }
+
+    return ids.slice(0, options.limit).map(id => this.rows.get(id));
+  }
+
+  /**
+   * @returns {Object} - { total, byStatus: { status: count }, successMinorByCurrency: { currency: minor } }
+   */
+  summarize() {
+    const byStatus = {};
+    this.indexes.status.forEach((ids, status) => {
+      byStatus[status] = ids.size;
+    });
+
+    // Mock 'success' and gateway 'APPROVED' rows both count as revenue
+    const successMinorByCurrency = {};
+    this.indexes.status.forEach((ids, status) => {
+      if (transactionState.normalize(status) !== transactionState.statuses.APPROVED) {
+        return;
+      }
+      ids.forEach(id => {
+        const transaction = this.rows.get(id);
+        successMinorByCurrency[transaction.currency] =
+          (successMinorByCurrency[transaction.currency] || 0) + (transaction.amountMinor || 0);
+      });
+    });
+
+    return { total: this.rows.size, byStatus, successMinorByCurrency };
+  }
+
+  clear() {
+    this.reset();
+  }
+
+  close() {}
+
+  /**
+   * Insert or overwrite a transaction, keeping its original position
+   */
+  put(transaction) {
+    let seq = ++this.seq;
+
+    if (this.keys.has(transaction.id)) {
+      seq = this.keys.get(transaction.id).seq;
+      this.removeFromIndexes(transaction.id);
+    }
+
+    this.rows.set(transaction.id, transaction);
+    this.addToIndexes(transaction, seq);
+
+    while (this.rows.size > this.maxEntries) {
+      const id = this.oldestEvictable();
+      if (id === undefined) {
+        break;
+      }
+      this.remove(id);
+    }
+
+    return transaction;
+  }
+
+  oldestEvictable() {
+    for (const [id, record] of this.rows) {
+      if (this.evictable(record)) {
+        return id;
+      }
+    }
+    return undefined;
+  }
+
+  remove(id) {
+    this.removeFromIndexes(id);
+    this.rows.delete(id);
+  }
+
+  addToIndexes(transaction, seq) {
+    const keys = { seq };
+
+    INDEXED_FIELDS.forEach(field => {
+      keys[field] = transaction[field];
+      if (!this.indexes[field].has(keys[field])) {
+        this.indexes[field].set(keys[field], new Set());
+      }
+      this.indexes[field].get(keys[field]).add(transaction.id);
+    });
+
+    this.keys.set(transaction.id, keys);
+  }
+
+  removeFromIndexes(id) {
+    const keys = this.keys.get(id);
+
+    INDEXED_FIELDS.forEach(field => {
+      const ids = this.indexes[field].get(keys[field]);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.indexes[field].delete(keys[field]);
+      }
+    });
+
+    this.keys.delete(id);
+  }
+
+  newestFirst(ids) {
+    return Array.from(ids || []).sort((a, b) => this.keys.get(b).seq - this.keys.get(a).seq);
+  }
+}
+
+module.exports = MemoryStore;
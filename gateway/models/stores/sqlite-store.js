@@ -0,0 +1,182 @@
+/**
+ * SQLite Transaction Store
+ * One row per transaction: the full transaction as JSON plus the indexed
+ * columns queries and stats need. Uses better-sqlite3 (an optional
+ * dependency), whose synchronous API keeps the TransactionStore contract.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const transactionState = require('../../services/transaction-state');
+
+// Entry i brings the database from user_version i to i + 1
+const MIGRATIONS = [
+  `CREATE TABLE transactions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    order_id TEXT,
+    merchant_id TEXT,
+    status TEXT,
+    currency TEXT,
+    amount_minor INTEGER,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_transactions_order_id ON transactions (order_id, seq);
+  CREATE INDEX idx_transactions_merchant_id ON transactions (merchant_id, seq);
+  CREATE INDEX idx_transactions_status ON transactions (status);`
+];
+
+class SqliteStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Database file, created with its directory if missing
+   */
+  constructor(options) {
+    let Database;
+
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('DB_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(options.path), { recursive: true });
+
+    this.path = options.path;
+    this.db = new Database(options.path);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT INTO transactions (id, order_id, merchant_id, status, currency, amount_minor, created_at, data)
+        VALUES (@id, @orderId, @merchantId, @status, @currency, @amountMinor, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          order_id = excluded.order_id, merchant_id = excluded.merchant_id, status = excluded.status,
+          currency = excluded.currency, amount_minor = excluded.amount_minor, data = excluded.data
+      `),
+      update: this.db.prepare(`
+        UPDATE transactions SET order_id = @orderId, merchant_id = @merchantId, status = @status,
+          currency = @currency, amount_minor = @amountMinor, data = @data
+        WHERE id = @id
+      `),
+      get: this.db.prepare('SELECT data FROM transactions WHERE id = ?'),
+      getByOrderId: this.db.prepare('SELECT data FROM transactions WHERE order_id = ? ORDER BY seq DESC LIMIT 1'),
+      countByStatus: this.db.prepare('SELECT status, COUNT(*) AS count FROM transactions GROUP BY status'),
+      totalsByStatus: this.db.prepare(`
+        SELECT status, currency, SUM(amount_minor) AS minor FROM transactions
+        GROUP BY status, currency
+      `),
+      clear: this.db.prepare('DELETE FROM transactions')
+    };
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    if (version > MIGRATIONS.length) {
+      throw new Error(`${this.path} was written by a newer version (schema ${version})`);
+    }
+
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${version + index + 1}`);
+      })();
+    });
+  }
+
+  insert(transaction) {
+    this.statements.insert.run(this.toRow(transaction));
+    return transaction;
+  }
+
+  get(id) {
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  replace(transaction) {
+    return this.statements.update.run(this.toRow(transaction)).changes > 0 ? transaction : null;
+  }
+
+  getByOrderId(orderId) {
+    return this.fromRow(this.statements.getByOrderId.get(orderId));
+  }
+
+  /**
+   * Newest transactions first
+   * @param {Object} [options] - { limit, merchantId, status }
+   */
+  list(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (options.merchantId !== undefined) {
+      conditions.push('merchant_id = @merchantId');
+      params.merchantId = options.merchantId;
+    }
+    if (options.status !== undefined) {
+      conditions.push('status = @status');
+      params.status = options.status;
+    }
+
+    params.limit = options.limit === undefined ? -1 : options.limit;
+
+    return this.db.prepare(`
+      SELECT data FROM transactions
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY seq DESC LIMIT @limit
+    `).all(params).map(row => this.fromRow(row));
+  }
+
+  /**
+   * @returns {Object} - { total, byStatus: { status: count }, successMinorByCurrency: { currency: minor } }
+   */
+  summarize() {
+    const byStatus = {};
+    let total = 0;
+
+    this.statements.countByStatus.all().forEach(row => {
+      byStatus[row.status] = row.count;
+      total += row.count;
+    });
+
+    // Mock 'success' and gateway 'APPROVED' rows both count as revenue
+    const successMinorByCurrency = {};
+    this.statements.totalsByStatus.all().forEach(row => {
+      if (transactionState.normalize(row.status) === transactionState.statuses.APPROVED) {
+        successMinorByCurrency[row.currency] = (successMinorByCurrency[row.currency] || 0) + (row.minor || 0);
+      }
+    });
+
+    return { total, byStatus, successMinorByCurrency };
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  toRow(transaction) {
+    return {
+      id: transaction.id,
+      orderId: transaction.orderId === undefined ? null : transaction.orderId,
+      merchantId: transaction.merchantId === undefined ? null : transaction.merchantId,
+      status: transaction.status === undefined ? null : transaction.status,
+      currency: transaction.currency === undefined ? null : transaction.currency,
+      amountMinor: Number.isInteger(transaction.amountMinor) ? transaction.amountMinor : null,
+      createdAt: transaction.timestamp || new Date().toISOString(),
+      data: JSON.stringify(transaction)
+    };
+  }
+
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : undefined;
+  }
+}
+
+module.exports = SqliteStore;
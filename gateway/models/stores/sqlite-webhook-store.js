@@ -0,0 +1,177 @@
+/**
+ * SQLite Webhook Store
+ * Webhook endpoints and deliveries in their own tables: the record as JSON
+ * plus the columns the webhook service filters on. Both tables are created
+ * in every database, so endpoints and deliveries may share one file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Entry i brings the database from user_version i to i + 1
+const MIGRATIONS = [
+  `CREATE TABLE webhook_endpoints (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    merchant_id TEXT,
+    status TEXT,
+    url TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_endpoints_merchant_id ON webhook_endpoints (merchant_id, status, seq);
+  CREATE TABLE webhook_deliveries (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    endpoint_id TEXT,
+    merchant_id TEXT,
+    status TEXT,
+    next_attempt_at TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_deliveries_merchant_id ON webhook_deliveries (merchant_id, seq);
+  CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries (status, seq);`
+];
+
+// Record field -> column, per kind
+const TABLES = {
+  endpoints: {
+    name: 'webhook_endpoints',
+    columns: { merchantId: 'merchant_id', status: 'status', url: 'url', createdAt: 'created_at' }
+  },
+  deliveries: {
+    name: 'webhook_deliveries',
+    columns: {
+      endpointId: 'endpoint_id',
+      merchantId: 'merchant_id',
+      status: 'status',
+      nextAttemptAt: 'next_attempt_at',
+      createdAt: 'created_at'
+    }
+  }
+};
+
+class SqliteWebhookStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.kind - 'endpoints' or 'deliveries'
+   * @param {string} options.path - Database file, created with its directory if missing
+   */
+  constructor(options) {
+    let Database;
+
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('DB_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.table = TABLES[options.kind];
+    if (!this.table) {
+      throw new Error(`Unknown webhook store "${options.kind}"`);
+    }
+
+    fs.mkdirSync(path.dirname(options.path), { recursive: true });
+
+    this.path = options.path;
+    this.db = new Database(options.path);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    const { name } = this.table;
+    const fields = Object.keys(this.table.columns);
+    const columns = fields.map(field => this.table.columns[field]);
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT INTO ${name} (id, ${columns.join(', ')}, data)
+        VALUES (@id, ${fields.map(field => `@${field}`).join(', ')}, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          ${columns.map(column => `${column} = excluded.${column}`).join(', ')}, data = excluded.data
+      `),
+      update: this.db.prepare(`
+        UPDATE ${name} SET ${fields.map(field => `${this.table.columns[field]} = @${field}`).join(', ')}, data = @data
+        WHERE id = @id
+      `),
+      get: this.db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+      clear: this.db.prepare(`DELETE FROM ${name}`)
+    };
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    if (version > MIGRATIONS.length) {
+      throw new Error(`${this.path} was written by a newer version (schema ${version})`);
+    }
+
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${version + index + 1}`);
+      })();
+    });
+  }
+
+  insert(record) {
+    this.statements.insert.run(this.toRow(record));
+    return record;
+  }
+
+  get(id) {
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  replace(record) {
+    return this.statements.update.run(this.toRow(record)).changes > 0 ? record : null;
+  }
+
+  /**
+   * Newest records first
+   * @param {Object} [options] - { limit, merchantId, status }
+   */
+  list(options = {}) {
+    const conditions = [];
+    const params = {};
+
+    ['merchantId', 'status'].forEach(field => {
+      if (options[field] !== undefined) {
+        conditions.push(`${this.table.columns[field]} = @${field}`);
+        params[field] = options[field];
+      }
+    });
+
+    params.limit = options.limit === undefined ? -1 : options.limit;
+
+    return this.db.prepare(`
+      SELECT data FROM ${this.table.name}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY seq DESC LIMIT @limit
+    `).all(params).map(row => this.fromRow(row));
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  toRow(record) {
+    const row = { id: record.id, data: JSON.stringify(record) };
+
+    Object.keys(this.table.columns).forEach(field => {
+      row[field] = record[field] === undefined ? null : record[field];
+    });
+
+    return row;
+  }
+
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : undefined;
+  }
+}
+
+module.exports = SqliteWebhookStore;
@@ -1,41 +1,51 @@
 /**
  * Transaction Model
- * In-memory storage for test transactions
+ * Transaction storage behind the backend selected by config.database
+ * (memory, append-only JSON file or SQLite, see models/stores)
  */
 
+const config = require('../config/config');
+const moneyService = require('../services/money');
+const transactionState = require('../services/transaction-state');
+const { createStore } = require('./stores');
+
 class TransactionStore {
-  constructor() {
-    this.transactions = new Map();
-    this.transactionHistory = [];
+  /**
+   * @param {Object} adapter - Storage adapter from models/stores
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
   }
 
   /**
    * Create a new transaction
    */
   create(transaction) {
-    this.transactions.set(transaction.id, transaction);
-    this.transactionHistory.unshift(transaction); // Add to beginning
-    
-    // Keep only last 1000 transactions in history
-    if (this.transactionHistory.length > 1000) {
-      this.transactionHistory.pop();
+    // Stats are summed in minor units
+    if (!Number.isInteger(transaction.amountMinor) && transaction.amount !== undefined) {
+      const { minor } = moneyService.read(transaction.amount, transaction.currency);
+      if (minor !== undefined) {
+        transaction.amountMinor = minor;
+      }
     }
-    
-    return transaction;
+
+    return this.adapter.insert(transaction);
   }
 
   /**
    * Get transaction by ID
    */
   get(id) {
-    return this.transactions.get(id);
+    return this.adapter.get(id);
   }
 
   /**
-   * Get all transactions
+   * Get the most recent transactions
+   * @param {number} [limit=100]
+   * @param {Object} [filters] - { merchantId, status }
    */
-  getAll(limit = 100) {
-    return this.transactionHistory.slice(0, limit);
+  getAll(limit = 100, filters = {}) {
+    return this.adapter.list({ ...filters, limit });
   }
 
   /**
@@ -45,44 +55,45 @@ class TransactionStore {
     if (!transaction || !transaction.id) {
       return null;
     }
-    
-    this.transactions.set(transaction.id, transaction);
-    
-    // Update in history
-    const historyIndex = this.transactionHistory.findIndex(t => t.id === transaction.id);
-    if (historyIndex !== -1) {
-      this.transactionHistory[historyIndex] = transaction;
-    }
-    
-    return transaction;
+
+    return this.adapter.replace(transaction);
   }
 
   /**
    * Get transaction by order ID
    */
   getByOrderId(orderId) {
-    return this.transactionHistory.find(t => t.orderId === orderId);
+    return this.adapter.getByOrderId(orderId);
   }
 
   /**
    * Get statistics
    */
   getStats() {
-    const all = this.transactionHistory;
-    const successful = all.filter(t => t.status === 'success').length;
-    const declined = all.filter(t => t.status === 'declined').length;
-    const errors = all.filter(t => t.status === 'error').length;
-    
-    const totalAmount = all
-      .filter(t => t.status === 'success')
-      .reduce((sum, t) => sum + t.amount, 0);
+    const { total, byStatus, successMinorByCurrency: totals } = this.adapter.summarize();
+
+    // Count mock statuses ('success', 'declined', 'error') and gateway
+    // statuses ('APPROVED', ...) under their canonical status
+    const counts = {};
+    Object.keys(byStatus).forEach(status => {
+      const canonical = transactionState.normalize(status) || status;
+      counts[canonical] = (counts[canonical] || 0) + byStatus[status];
+    });
+
+    // Summed per currency in minor units, so no float drift and no mixing
+    const totalAmounts = Object.keys(totals).map(currency => ({
+      currency,
+      amountMinor: totals[currency],
+      amount: moneyService.toDecimalString(totals[currency], currency),
+      formatted: moneyService.format(totals[currency], currency)
+    }));
     
     return {
-      total: all.length,
-      successful,
-      declined,
-      errors,
-      totalAmount
+      total,
+      successful: counts[transactionState.statuses.APPROVED] || 0,
+      declined: counts[transactionState.statuses.DECLINED] || 0,
+      errors: counts[transactionState.statuses.FAILED] || 0,
+      totalAmounts
     };
   }
 
@@ -90,9 +101,15 @@ class TransactionStore {
    * Clear all transactions (for testing)
    */
   clear() {
-    this.transactions.clear();
-    this.transactionHistory = [];
+    this.adapter.clear();
+  }
+
+  /**
+   * Release the backend (closes the SQLite database)
+   */
+  close() {
+    this.adapter.close();
   }
 }
 
-module.exports = new TransactionStore();
+module.exports = new TransactionStore(createStore(config.database));
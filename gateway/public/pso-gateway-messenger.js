@@ -0,0 +1,140 @@
+/**
+ * PSO Gateway Messenger
+ * Emitter for hosted gateway pages. Posts protocol envelopes that the PSO SDK
+ * accepts (see docs/MESSAGE-PROTOCOL.md) to the window that opened the page.
+ *
+ * Usage on the hosted page:
+ *   <script src="https://gateway.example.com/js/pso-gateway-messenger.js"></script>
+ *   <script>
+ *     PSOGatewayMessenger.init({ sessionId: '...', transactionId: '...' });
+ *     PSOGatewayMessenger.ready();
+ *     // later
+ *     PSOGatewayMessenger.success({ status: 'APPROVED', bankTransactionId: '...' });
+ *   </script>
+ *
+ * sessionId/transactionId default to the `session_id`/`payment_order_id`
+ * query parameters, targetOrigin defaults to the referrer's origin.
+ */
+
+(function (root) {
+  'use strict';
+
+  var PROTOCOL_SOURCE = 'pso-gateway';
+  var PROTOCOL_VERSION = 1;
+
+  var state = {
+    sessionId: null,
+    transactionId: null,
+    targetOrigin: null
+  };
+
+  function queryParam(name) {
+    var match = new RegExp('[?&]' + name + '=([^&#]*)').exec(root.location.search);
+    return match ? decodeURIComponent(match[1].replace(/\+/g, ' ')) : null;
+  }
+
+  function referrerOrigin() {
+    try {
+      return root.document.referrer ? new URL(root.document.referrer).origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function targetWindow() {
+    if (root.opener && !root.opener.closed) {
+      return root.opener;
+    }
+    if (root.parent && root.parent !== root) {
+      return root.parent;
+    }
+    return null;
+  }
+
+  function post(type, payload) {
+    var target = targetWindow();
+
+    if (!target) {
+      return false;
+    }
+
+    if (!state.targetOrigin) {
+      // Without a known merchant origin the message could leak to any page
+      if (root.console) {
+        root.console.warn('[PSO Gateway] targetOrigin unknown, message not sent');
+      }
+      return false;
+    }
+
+    target.postMessage({
+      source: PROTOCOL_SOURCE,
+      version: PROTOCOL_VERSION,
+      type: type,
+      sessionId: state.sessionId,
+      transactionId: state.transactionId,
+      payload: payload || {}
+    }, state.targetOrigin);
+
+    return true;
+  }
+
+  root.PSOGatewayMessenger = {
+    PROTOCOL_SOURCE: PROTOCOL_SOURCE,
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+
+    init: function (options) {
+      options = options || {};
+      state.sessionId = options.sessionId || queryParam('session_id');
+      state.transactionId = options.transactionId || queryParam('payment_order_id');
+      state.targetOrigin = options.targetOrigin || referrerOrigin();
+      return this;
+    },
+
+    ready: function () {
+      return post('gateway.ready');
+    },
+
+    resize: function (height) {
+      return post('gateway.resize', {
+        height: height || root.document.documentElement.scrollHeight
+      });
+    },
+
+    // Report the page height whenever it changes (embedded checkouts)
+    autoResize: function () {
+      var doc = root.document.documentElement;
+      var lastHeight = 0;
+      var self = this;
+
+      function report() {
+        var height = doc.scrollHeight;
+        if (height !== lastHeight) {
+          lastHeight = height;
+          self.resize(height);
+        }
+      }
+
+      if (typeof root.ResizeObserver === 'function') {
+        new root.ResizeObserver(report).observe(doc);
+      } else {
+        root.addEventListener('resize', report);
+        root.addEventListener('load', report);
+      }
+
+      report();
+      return this;
+    },
+
+    success: function (payload) {
+      return post('payment.success', payload);
+    },
+
+    failure: function (payload) {
+      return post('payment.failed', payload);
+    },
+
+    cancel: function (payload) {
+      return post('payment.cancelled', payload);
+    }
+  };
+})(window);
@@ -6,128 +6,166 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
 const gatewayClient = require('../services/gateway-client');
 const signatureService = require('../services/signature');
+const metadataService = require('../services/metadata');
+const moneyService = require('../services/money');
+const transactionState = require('../services/transaction-state');
+const ipnQuarantine = require('../services/ipn-quarantine');
+const ipnDeliveries = require('../services/ipn-deliveries');
+const webhooks = require('../services/webhooks');
 const transactionStore = require('../models/transaction');
-const { validateMerchant } = require('../middleware/auth');
-const { validatePaymentCreation, validatePaymentVerification, sanitizeInput } = require('../middleware/validator');
+const { validateMerchant, authenticateIpn } = require('../middleware/auth');
+const {
+  validatePaymentCreation,
+  validatePaymentVerification,
+  validateIpn,
+  validateMetadataFields,
+  validateOrderDetails,
+  sanitizeInput
+} = require('../middleware/validator');
 const { paymentCreationLimiter, paymentVerificationLimiter, ipnLimiter } = require('../middleware/rate-limit');
+const { idempotency } = require('../middleware/idempotency');
 
 /**
- * Create Payment Order
- * POST /api/payment/create
- * 
- * Accepts payment details from SDK, adds credentials, and calls real gateway API
+ * Create a payment order with the gateway and store the transaction
+ *
+ * Shared by POST /api/payment/create and the TNPG-style POST /payment-order.
+ * Accepts payment details from the SDK (or the direct API format), adds
+ * credentials and calls the real gateway API.
+ *
+ * @param {string} label - Log prefix of the route
  */
-router.post('/create',
-  paymentCreationLimiter,
-  validateMerchant,
-  sanitizeInput,
-  validatePaymentCreation,
-  async (req, res) => {
-    try {
-      // Accept both SDK format and direct API format
-      const {
-        order_id,
-        order_information,
-        customer_information,
-        product_information,
-        promotion_information,
-        discount_detail,
-        shipment_information,
-        ipn_url,
-        success_url,
-        cancel_url,
-        failure_url,
-        mdf_1, mdf_2, mdf_3, mdf_4, mdf_5, mdf_6
-      } = req.body;
-
-      const orderId = order_id;
-      const amount = order_information?.payable_amount;
-      const currency = order_information?.currency_code;
-
-      console.log(`[Payment Create] Merchant: ${req.merchantId}, Order: ${orderId}`);
-
-      // Prepare order data for gateway using exact API specification
-      const orderData = {
-        orderId,
-        amount,
-        currency: currency || 'BDT',
-        customerInfo: customer_information || {},
-        productInfo: product_information || {},
-        ipnUrl: ipn_url || `${req.protocol}://${req.get('host')}/api/payment/ipn`,
-        successUrl: success_url || `${req.protocol}://${req.get('host')}/payment/success`,
-        cancelUrl: cancel_url || `${req.protocol}://${req.get('host')}/payment/cancel`,
-        failureUrl: failure_url || `${req.protocol}://${req.get('host')}/payment/failure`,
-        customFields: {
-          mdf_1: mdf_1 || '',
-          mdf_2: mdf_2 || '',
-          mdf_3: mdf_3 || '',
-          mdf_4: mdf_4 || '',
-          mdf_5: mdf_5 || '',
-          mdf_6: mdf_6 || ''
-        },
-        promotionInfo: promotion_information,
-        discountDetail: discount_detail,
-        shipmentInfo: shipment_information
-      };
-
-      // Call real gateway API
-      const gatewayResponse = await gatewayClient.createPaymentOrder(orderData);
-
-      if (!gatewayResponse.success) {
-        console.error('[Payment Create] Gateway error:', gatewayResponse.error);
-        
-        return res.status(gatewayResponse.error.statusCode || 500).json({
-          success: false,
-          message: gatewayResponse.error.message,
-          reason: gatewayResponse.error.reason,
-          statusCode: gatewayResponse.error.statusCode,
-          statusText: gatewayResponse.error.statusText
-        });
-      }
-
-      // Store transaction locally
-      const transaction = {
-        id: gatewayResponse.data.order_detail?.payment_order_id || uuidv4(),
-        merchantId: req.merchantId,
-        orderId,
-        amount,
-        currency: currency || 'BDT',
-        status: gatewayResponse.data.order_detail?.order_status || 'PENDING',
-        sessionId: gatewayResponse.data.order_detail?.session_id,
-        gatewayPageUrl: gatewayResponse.data.gateway_page_url,
-        token: gatewayResponse.data.token_response?.token,
-        timestamp: new Date().toISOString(),
-        customerInfo,
-        productInfo
-      };
-
-      transactionStore.create(transaction);
-
-      console.log(`[Payment Create] Success - Transaction: ${transaction.id}`);
-
-      // Return gateway response to SDK
-      return res.json({
-        success: true,
-        transactionId: transaction.id,
-        sessionId: transaction.sessionId,
-        gatewayPageUrl: transaction.gatewayPageUrl,
-        token: transaction.token,
-        orderDetail: gatewayResponse.data.order_detail
-      });
-
-    } catch (error) {
-      console.error('[Payment Create] Error:', error);
+async function createPaymentOrder(req, res, label) {
+  try {
+    // Accept both SDK format and direct API format
+    const {
+      order_id,
+      order_information,
+      customer_information,
+      product_information,
+      promotion_information,
+      discount_detail,
+      shipment_information,
+      ipn_url,
+      success_url,
+      cancel_url,
+      failure_url,
+      mdf_1, mdf_2, mdf_3, mdf_4, mdf_5, mdf_6,
+      metadata_fields
+    } = req.body;
+
+    const orderId = order_id;
+    const money = moneyService.parse(order_information.payable_amount, order_information.currency_code);
+
+    console.log(`[${label}] Merchant: ${req.merchantId}, Order: ${orderId}`);
+
+    // Prepare order data for gateway using exact API specification
+    const orderData = {
+      orderId,
+      amount: money.amount,
+      currency: money.currency,
+      customerInfo: customer_information || {},
+      productInfo: product_information || {},
+      ipnUrl: ipn_url || `${req.protocol}://${req.get('host')}/api/payment/ipn`,
+      successUrl: success_url || `${req.protocol}://${req.get('host')}/payment/success`,
+      cancelUrl: cancel_url || `${req.protocol}://${req.get('host')}/payment/cancel`,
+      failureUrl: failure_url || `${req.protocol}://${req.get('host')}/payment/failure`,
+      customFields: {
+        mdf_1: mdf_1 || '',
+        mdf_2: mdf_2 || '',
+        mdf_3: mdf_3 || '',
+        mdf_4: mdf_4 || '',
+        mdf_5: mdf_5 || '',
+        mdf_6: mdf_6 || ''
+      },
+      promotionInfo: promotion_information,
+      discountDetail: discount_detail,
+      shipmentInfo: shipment_information
+    };
+
+    // Call real gateway API
+    const gatewayResponse = await gatewayClient.createPaymentOrder(orderData);
+
+    if (!gatewayResponse.success) {
+      console.error(`[${label}] Gateway error:`, gatewayResponse.error);
       
-      return res.status(500).json({
+      return res.status(gatewayResponse.error.statusCode || 500).json({
         success: false,
-        message: 'Internal server error during payment creation',
-        error: error.message
+        message: gatewayResponse.error.message,
+        reason: gatewayResponse.error.reason,
+        statusCode: gatewayResponse.error.statusCode,
+        statusText: gatewayResponse.error.statusText
       });
     }
+
+    // Store transaction locally
+    const transaction = {
+      id: gatewayResponse.data.order_detail?.payment_order_id || uuidv4(),
+      merchantId: req.merchantId,
+      orderId,
+      amount: money.amount,
+      amountMinor: money.minor,
+      currency: money.currency,
+      sessionId: gatewayResponse.data.order_detail?.session_id,
+      gatewayPageUrl: gatewayResponse.data.gateway_page_url,
+      token: gatewayResponse.data.token_response?.token,
+      timestamp: new Date().toISOString(),
+      customerInfo: orderData.customerInfo,
+      productInfo: orderData.productInfo,
+      metadataFields: metadata_fields || null,
+      metadata: metadataService.decode(req.body, metadata_fields)
+    };
+
+    transactionState.start(transaction, gatewayResponse.data.order_detail?.order_status, {
+      source: 'create',
+      payload: gatewayResponse.data.order_detail || null
+    });
+    transactionStore.create(transaction);
+
+    console.log(`[${label}] Success - Transaction: ${transaction.id}`);
+
+    // Return gateway response to SDK
+    return res.json({
+      success: true,
+      transactionId: transaction.id,
+      sessionId: transaction.sessionId,
+      gatewayPageUrl: transaction.gatewayPageUrl,
+      token: transaction.token,
+      orderDetail: gatewayResponse.data.order_detail
+    });
+
+  } catch (error) {
+    console.error(`[${label}] Error:`, error);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during payment creation',
+      error: error.message
+    });
   }
-);
+}
+
+// Rate limit, authenticate, validate and de-duplicate, then create
+const paymentCreation = label => [
+  paymentCreationLimiter,
+  validateMerchant,
+  sanitizeInput,
+  validatePaymentCreation,
+  validateMetadataFields,
+  validateOrderDetails,
+  idempotency,
+  (req, res) => createPaymentOrder(req, res, label)
+];
+
+/**
+ * Create Payment Order
+ * POST /api/payment/create
+ * 
+ * Requests with an Idempotency-Key header are created once per key.
+ */
+router.post('/create', paymentCreation('Payment Create'));
 
 /**
  * Verify Payment
@@ -162,15 +200,30 @@ router.post('/verify',
       }
 
       // Update local transaction using order_id from response
-      const orderId = gatewayResponse.data.transaction_info?.order_id;
-      if (orderId) {
-        const transaction = transactionStore.getByOrderId(orderId);
-        if (transaction) {
-          transaction.status = gatewayResponse.data.transaction_info?.status || 'UNKNOWN';
+      const transactionInfo = gatewayResponse.data.transaction_info;
+      const transaction = transactionInfo?.order_id && transactionStore.getByOrderId(transactionInfo.order_id);
+      let metadata = {};
+      if (transaction) {
+        const { accepted, changed } = transactionState.transition(transaction, transactionInfo.status, {
+          source: 'verify',
+          statusCode: transactionInfo.status_code,
+          payload: transactionInfo
+        });
+
+        // A rejected update (e.g. PENDING after APPROVED) leaves the stored result alone
+        if (accepted) {
           transaction.verifiedAt = new Date().toISOString();
-          transaction.transactionInfo = gatewayResponse.data.transaction_info;
+          transaction.transactionInfo = transactionInfo;
+          transaction.metadata = {
+            ...metadataService.decode(transactionInfo, transaction.metadataFields),
+            ...(transaction.metadata || {})
+          };
           transactionStore.update(transaction);
         }
+        if (changed) {
+          webhooks.emit(transaction);
+        }
+        metadata = transaction.metadata || {};
       }
 
       console.log(`[Payment Verify] Status: ${gatewayResponse.data.transaction_info?.status}`);
@@ -178,7 +231,8 @@ router.post('/verify',
       // Return verification result
       return res.json({
         success: true,
-        transactionInfo: gatewayResponse.data.transaction_info
+        transactionInfo: gatewayResponse.data.transaction_info,
+        metadata
       });
 
     } catch (error) {
@@ -201,12 +255,13 @@ router.post('/verify',
  */
 router.post('/ipn',
   ipnLimiter,
+  authenticateIpn,
   sanitizeInput,
+  validateIpn,
   async (req, res) => {
     try {
       console.log('[IPN] Received notification:', req.body);
 
-      // Validate IPN data
       const {
         order_id,
         order_tracking_id,
@@ -217,16 +272,11 @@ router.post('/ipn',
         currency
       } = req.body;
 
-      if (!order_id || !status) {
-        console.error('[IPN] Invalid data - missing required fields');
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid IPN data'
-        });
-      }
+      const key = ipnDeliveries.key(req.body);
+      const { outcomes } = ipnDeliveries;
 
       // Find and update transaction
-      const transaction = transactionStore.getByOrderId(order_id);
+      let transaction = transactionStore.getByOrderId(order_id);
       
       if (!transaction) {
         console.warn(`[IPN] Transaction not found for order: ${order_id}`);
@@ -237,16 +287,106 @@ router.post('/ipn',
         });
       }
 
-      // Update transaction status
-      transaction.status = status;
-      transaction.statusCode = status_code;
-      transaction.bankTransactionId = transaction_id;
-      transaction.ipnReceivedAt = new Date().toISOString();
-      transaction.ipnData = req.body;
-      
-      transactionStore.update(transaction);
+      if (!ipnDeliveries.begin(transaction, key)) {
+        console.log(`[IPN] Duplicate delivery ignored: ${key}`);
+        transactionStore.update(ipnDeliveries.record(transaction, req.body, outcomes.DUPLICATE));
+        return res.json({
+          success: true,
+          message: 'IPN already processed',
+          duplicate: true
+        });
+      }
 
-      console.log(`[IPN] Updated transaction ${transaction.id} - Status: ${status}`);
+      try {
+        if (amount !== undefined && !moneyService.amountsEqual(amount, transaction.amount, currency || transaction.currency)) {
+          console.warn(`[IPN] Amount ${amount} ${currency || ''} does not match ${transaction.amount} ${transaction.currency} for order: ${order_id}`);
+        }
+
+        // Trust the IPN only once the gateway reports the same status
+        if (config.ipn.confirmWithInquiry) {
+          const inquiry = await gatewayClient.inquirePayment({ orderId: order_id });
+
+          // Another delivery may have updated the transaction meanwhile
+          transaction = transactionStore.getByOrderId(order_id);
+
+          if (!inquiry.success) {
+            console.error(`[IPN] Inquiry failed for order ${order_id}:`, inquiry.error);
+            transactionStore.update(ipnDeliveries.record(transaction, req.body, outcomes.RETRY));
+            // Not acknowledged, so the gateway retries the IPN later
+            return res.status(503).json({
+              success: false,
+              message: 'IPN could not be confirmed with the gateway'
+            });
+          }
+
+          const inquiryInfo = inquiry.data?.transaction_info || inquiry.data || {};
+          const confirmed = transactionState.normalize(inquiryInfo.status, inquiryInfo.status_code);
+
+          if (confirmed !== transactionState.normalize(status, status_code)) {
+            ipnQuarantine.add(req, 'STATUS_NOT_CONFIRMED', { inquiryStatus: confirmed });
+            ipnDeliveries.record(transaction, req.body, outcomes.UNCONFIRMED);
+
+            const { changed } = confirmed ? transactionState.transition(transaction, confirmed, {
+              source: 'inquiry',
+              statusCode: inquiryInfo.status_code,
+              payload: inquiry.data
+            }) : {};
+            transactionStore.update(transaction);
+            if (changed) {
+              webhooks.emit(transaction);
+            }
+
+            return res.json({
+              success: true,
+              message: `IPN received but the gateway reports ${confirmed || 'an unknown status'}`
+            });
+          }
+        }
+
+        if (ipnDeliveries.isConflict(transaction, req.body)) {
+          console.warn(`[IPN] ${transaction.status} for order ${order_id} already recorded with bank transaction ${transaction.bankTransactionId}, ignoring ${transaction_id}`);
+          transactionStore.update(ipnDeliveries.record(transaction, req.body, outcomes.CONFLICT));
+          return res.json({
+            success: true,
+            message: 'IPN received but conflicts with the recorded bank transaction'
+          });
+        }
+
+        const { accepted, changed, to } = transactionState.transition(transaction, status, {
+          source: 'ipn',
+          statusCode: status_code,
+          payload: req.body
+        });
+
+        if (!accepted) {
+          // Late or out-of-order delivery; acknowledge anyway, a retry would be rejected the same way
+          transactionStore.update(ipnDeliveries.record(transaction, req.body, to ? outcomes.OUT_OF_ORDER : outcomes.REJECTED));
+          return res.json({
+            success: true,
+            message: `IPN received but status ${status} was rejected (transaction is ${transaction.status})`
+          });
+        }
+
+        transaction.statusCode = status_code;
+        transaction.bankTransactionId = transaction_id;
+        transaction.ipnReceivedAt = new Date().toISOString();
+        transaction.ipnData = req.body;
+        // Name the mdf fields echoed back by the gateway; stored values win
+        transaction.metadata = {
+          ...metadataService.decode(req.body, transaction.metadataFields),
+          ...(transaction.metadata || {})
+        };
+        ipnDeliveries.record(transaction, req.body, outcomes.APPLIED);
+        
+        transactionStore.update(transaction);
+        if (changed) {
+          webhooks.emit(transaction);
+        }
+      } finally {
+        ipnDeliveries.end(key);
+      }
+
+      console.log(`[IPN] Updated transaction ${transaction.id} - Status: ${transaction.status}, Metadata:`, transaction.metadata);
 
       // Acknowledge receipt
       return res.json({
@@ -308,9 +448,12 @@ router.get('/status/:orderId',
           currency: transaction.currency,
           status: transaction.status,
           statusCode: transaction.statusCode,
+          statusHistory: transactionState.summarizeHistory(transaction),
+          ipn: ipnDeliveries.summarize(transaction),
           timestamp: transaction.timestamp,
           verifiedAt: transaction.verifiedAt,
-          transactionInfo: transaction.transactionInfo
+          transactionInfo: transaction.transactionInfo,
+          metadata: transaction.metadata || {}
         }
       });
 
@@ -332,114 +475,8 @@ router.get('/status/:orderId',
  * 
  * TNPG-compliant endpoint that accepts requests from SDK
  * This route is mounted at: /payment/api/v1/p/service/api/payment/processing/payment-order
+ * Requests with an Idempotency-Key header are created once per key.
  */
-router.post('/payment-order',
-  paymentCreationLimiter,
-  validateMerchant,
-  sanitizeInput,
-  validatePaymentCreation,
-  async (req, res) => {
-    try {
-      const {
-        order_id,
-        order_information,
-        customer_information,
-        product_information,
-        promotion_information,
-        discount_detail,
-        shipment_information,
-        ipn_url,
-        success_url,
-        cancel_url,
-        failure_url,
-        mdf_1, mdf_2, mdf_3, mdf_4, mdf_5, mdf_6
-      } = req.body;
-
-      const orderId = order_id;
-      const amount = order_information?.payable_amount;
-      const currency = order_information?.currency_code;
-
-      console.log(`[TNPG Payment Order] Merchant: ${req.merchantId}, Order: ${orderId}`);
-
-      // Prepare order data for gateway with TNPG authentication headers
-      const orderData = {
-        orderId,
-        amount,
-        currency: currency || 'BDT',
-        customerInfo: customer_information || {},
-        productInfo: product_information || {},
-        ipnUrl: ipn_url || `${req.protocol}://${req.get('host')}/api/payment/ipn`,
-        successUrl: success_url || `${req.protocol}://${req.get('host')}/payment/success`,
-        cancelUrl: cancel_url || `${req.protocol}://${req.get('host')}/payment/cancel`,
-        failureUrl: failure_url || `${req.protocol}://${req.get('host')}/payment/failure`,
-        customFields: {
-          mdf_1: mdf_1 || '',
-          mdf_2: mdf_2 || '',
-          mdf_3: mdf_3 || '',
-          mdf_4: mdf_4 || '',
-          mdf_5: mdf_5 || '',
-          mdf_6: mdf_6 || ''
-        },
-        promotionInfo: promotion_information,
-        discountDetail: discount_detail,
-        shipmentInfo: shipment_information
-      };
-
-      // Call real gateway API with TNPG headers
-      const gatewayResponse = await gatewayClient.createPaymentOrder(orderData);
-
-      if (!gatewayResponse.success) {
-        console.error('[TNPG Payment Order] Gateway error:', gatewayResponse.error);
-        
-        return res.status(gatewayResponse.error.statusCode || 500).json({
-          success: false,
-          message: gatewayResponse.error.message,
-          reason: gatewayResponse.error.reason,
-          statusCode: gatewayResponse.error.statusCode,
-          statusText: gatewayResponse.error.statusText
-        });
-      }
-
-      // Store transaction locally
-      const transaction = {
-        id: gatewayResponse.data.order_detail?.payment_order_id || uuidv4(),
-        merchantId: req.merchantId,
-        orderId,
-        amount,
-        currency: currency || 'BDT',
-        status: gatewayResponse.data.order_detail?.order_status || 'PENDING',
-        sessionId: gatewayResponse.data.order_detail?.session_id,
-        gatewayPageUrl: gatewayResponse.data.gateway_page_url,
-        token: gatewayResponse.data.token_response?.token,
-        timestamp: new Date().toISOString(),
-        customerInfo: customer_information,
-        productInfo: product_information
-      };
-
-      transactionStore.create(transaction);
-
-      console.log(`[TNPG Payment Order] Success - Transaction: ${transaction.id}`);
-
-      // Return TNPG-compliant response
-      return res.json({
-        success: true,
-        transactionId: transaction.id,
-        sessionId: transaction.sessionId,
-        gatewayPageUrl: transaction.gatewayPageUrl,
-        token: transaction.token,
-        orderDetail: gatewayResponse.data.order_detail
-      });
-
-    } catch (error) {
-      console.error('[TNPG Payment Order] Error:', error);
-      
-      return res.status(500).json({
-        success: false,
-        message: 'Internal server error during payment creation',
-        error: error.message
-      });
-    }
-  }
-);
+router.post('/payment-order', paymentCreation('TNPG Payment Order'));
 
 module.exports = router;
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const transactionStore = require('../models/transaction');
+const moneyService = require('../services/money');
 
 /**
  * Test card numbers and their behaviors
@@ -45,9 +46,7 @@ function validateCardData(data) {
     errors.push('Invalid cardholder name');
   }
 
-  if (!data.amount || data.amount <= 0) {
-    errors.push('Invalid amount');
-  }
+  moneyService.validate(data.amount, data.currency).forEach(error => errors.push(`Invalid amount: ${error}`));
 
   return errors;
 }
@@ -93,7 +92,14 @@ router.post('/process', async (req, res) => {
     }
 
     // Validate card data
-    const validationErrors = validateCardData({ cardNumber, expiry, cvv, cardholderName, amount });
+    const validationErrors = validateCardData({
+      cardNumber,
+      expiry,
+      cvv,
+      cardholderName,
+      amount,
+      currency: currency || 'USD'
+    });
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -116,14 +122,17 @@ router.post('/process', async (req, res) => {
     const testCard = TEST_CARDS[cardNumber];
     const behavior = testCard || { status: 'success', message: 'Payment successful' };
 
+    const money = moneyService.parse(amount, currency || 'USD');
+
     // Create transaction
     const transaction = {
       id: uuidv4(),
       merchantId,
       cardNumber: `****${cardNumber.slice(-4)}`,
       cardholderName,
-      amount,
-      currency: currency || 'USD',
+      amount: money.amount,
+      amountMinor: money.minor,
+      currency: money.currency,
       status: behavior.status,
       message: behavior.message,
       timestamp: new Date().toISOString()
@@ -201,7 +210,10 @@ router.get('/verify/:transactionId', (req, res) => {
  */
 router.get('/transactions', (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
-  const transactions = transactionStore.getAll(limit);
+  const transactions = transactionStore.getAll(limit).map(transaction => ({
+    ...transaction,
+    formattedAmount: formatTransactionAmount(transaction)
+  }));
   const stats = transactionStore.getStats();
 
   return res.json({
@@ -211,4 +223,16 @@ router.get('/transactions', (req, res) => {
   });
 });
 
+/**
+ * Display amount for the admin UI; amounts the money table cannot read are
+ * shown as stored
+ */
+function formatTransactionAmount(transaction) {
+  try {
+    return moneyService.format(moneyService.toMinorUnits(transaction.amount, transaction.currency), transaction.currency);
+  } catch (error) {
+    return `${transaction.currency || ''} ${transaction.amount}`.trim();
+  }
+}
+
 module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Webhook Routes
+ * Merchant webhook endpoints, delivery log and dead-letter queue
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhooks = require('../services/webhooks');
+const { authenticateMerchant } = require('../middleware/auth');
+const { validateWebhookEndpoint, sanitizeInput } = require('../middleware/validator');
+
+// Endpoints receive payment data, so every route needs the merchant's API key
+router.use(authenticateMerchant);
+
+/**
+ * Register an endpoint
+ * POST /api/webhooks/endpoints
+ *
+ * The signing secret is only returned here.
+ */
+router.post('/endpoints',
+  sanitizeInput,
+  validateWebhookEndpoint,
+  (req, res) => {
+    try {
+      const endpoint = webhooks.createEndpoint(req.merchantId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        endpoint: webhooks.describeEndpoint(endpoint, { withSecret: true })
+      });
+    } catch (error) {
+      console.error('[Webhooks] Endpoint creation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * List the merchant's endpoints
+ * GET /api/webhooks/endpoints
+ */
+router.get('/endpoints', (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      endpoints: webhooks.listEndpoints(req.merchantId).map(endpoint => webhooks.describeEndpoint(endpoint))
+    });
+  } catch (error) {
+    console.error('[Webhooks] Endpoint list error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete an endpoint
+ * DELETE /api/webhooks/endpoints/:id
+ */
+router.delete('/endpoints/:id', (req, res) => {
+  try {
+    if (!webhooks.deleteEndpoint(req.merchantId, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('[Webhooks] Endpoint deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List deliveries, newest first
+ * GET /api/webhooks/deliveries?status=pending|delivered|dead&limit=100
+ */
+router.get('/deliveries', (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  if (status !== undefined && !Object.values(webhooks.deliveryStatuses).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of ${Object.values(webhooks.deliveryStatuses).join(', ')}`
+    });
+  }
+
+  try {
+    return res.json({
+      success: true,
+      deliveries: webhooks.listDeliveries(req.merchantId, { status, limit })
+    });
+  } catch (error) {
+    console.error('[Webhooks] Delivery list error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Dead-letter queue: deliveries that ran out of attempts
+ * GET /api/webhooks/dead-letters
+ */
+router.get('/dead-letters', (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      deliveries: webhooks.listDeliveries(req.merchantId, { status: webhooks.deliveryStatuses.DEAD })
+    });
+  } catch (error) {
+    console.error('[Webhooks] Dead-letter list error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a dead-lettered delivery with a fresh set of attempts
+ * POST /api/webhooks/dead-letters/:id/replay
+ */
+router.post('/dead-letters/:id/replay', (req, res) => {
+  try {
+    const delivery = webhooks.replay(req.merchantId, req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-lettered delivery not found'
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('[Webhooks] Replay error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
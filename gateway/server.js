@@ -12,17 +12,29 @@ const config = require('./config/config');
 const paymentRoutes = require('./routes/payments');
 const tokenRoutes = require('./routes/tokens');
 const paymentGatewayRoutes = require('./routes/payment-gateway');
+const webhookRoutes = require('./routes/webhooks');
+const webhooks = require('./services/webhooks');
 const { generalLimiter } = require('./middleware/rate-limit');
 
 const app = express();
 const PORT = config.port;
 
+if (config.security.trustProxy) {
+  app.set('trust proxy', config.security.trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: config.security.allowedOrigins,
   credentials: true
 }));
-app.use(bodyParser.json());
+
+// Keep the raw body: IPN digests are checked against the bytes as sent
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Apply general rate limiting
@@ -34,11 +46,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Static scripts for hosted gateway pages (postMessage emitter)
+app.use('/js', express.static(path.join(__dirname, 'public')));
+
 // API Routes
 app.use('/api/payments', paymentRoutes); // Legacy test routes
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/payment', paymentGatewayRoutes); // Real gateway integration routes
 app.use('/payment/api/v1/p/service/api/payment/processing', paymentGatewayRoutes); // TNPG API endpoint
+app.use('/api/webhooks', webhookRoutes); // Merchant webhook endpoints
 
 // Admin interface - serve static HTML
 app.get('/admin', (req, res) => {
@@ -226,6 +242,10 @@ app.get('/admin', (req, res) => {
         <div class="stat-label">Errors</div>
         <div class="stat-value" id="stat-errors">0</div>
       </div>
+      <div class="stat-card">
+        <div class="stat-label">Volume</div>
+        <div class="stat-value" id="stat-volume">0</div>
+      </div>
     </div>
     
     <div class="controls">
@@ -264,6 +284,9 @@ app.get('/admin', (req, res) => {
       document.getElementById('stat-success').textContent = stats.successful;
       document.getElementById('stat-declined').textContent = stats.declined;
       document.getElementById('stat-errors').textContent = stats.errors;
+      document.getElementById('stat-volume').textContent = stats.totalAmounts.length
+        ? stats.totalAmounts.map(total => total.formatted).join(' / ')
+        : '0';
     }
     
     function renderTransactions(transactions) {
@@ -300,7 +323,7 @@ app.get('/admin', (req, res) => {
                 <td><code>\${t.id.slice(0, 8)}...</code></td>
                 <td>\${t.cardholderName}</td>
                 <td>\${t.cardNumber}</td>
-                <td class="amount">\${formatAmount(t.amount, t.currency)}</td>
+                <td class="amount">\${t.formattedAmount}</td>
                 <td><span class="status \${t.status}">\${t.status}</span></td>
                 <td class="timestamp">\${formatTime(t.timestamp)}</td>
               </tr>
@@ -310,12 +333,6 @@ app.get('/admin', (req, res) => {
       \`;
     }
     
-    function formatAmount(amount, currency) {
-      const formatted = (amount / 100).toFixed(2);
-      const symbols = { 'USD': '$', 'EUR': '€', 'GBP': '£' };
-      return \`\${symbols[currency] || currency}\${formatted}\`;
-    }
-    
     function formatTime(timestamp) {
       const date = new Date(timestamp);
       return date.toLocaleString();
@@ -360,10 +377,14 @@ app.get('/', (req, res) => {
       paymentVerify: '/api/payment/verify',
       paymentStatus: '/api/payment/status/:orderId',
       ipn: '/api/payment/ipn',
+      webhookEndpoints: '/api/webhooks/endpoints',
+      webhookDeadLetters: '/api/webhooks/dead-letters',
       // Legacy Test Endpoints
       payments: '/api/payments/process',
       verify: '/api/payments/verify/:id',
       tokens: '/api/tokens/create',
+      // Hosted page scripts
+      gatewayMessenger: '/js/pso-gateway-messenger.js',
       // Admin
       admin: '/admin',
       health: '/health'
@@ -393,7 +414,12 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Admin interface: http://localhost:${PORT}/admin`);
   console.log(`API endpoint: http://localhost:${PORT}/api/payments/process`);
+  console.log(`Transactions: ${config.database.driver}${config.database.driver === 'memory' ? '' : ` (${config.database.path})`}`);
   console.log('=================================');
+
+  // Resume retries left pending by the previous run
+  webhooks.start();
+  webhooks.schedule();
 });
 
 module.exports = app;
@@ -0,0 +1,120 @@
+/**
+ * Address Guard Service
+ * Keeps outbound requests to merchant-supplied URLs (webhooks) away from the
+ * gateway's own network: loopback, private, link-local and other
+ * non-public addresses are refused, both for the URL's host and for every
+ * address it resolves to at connection time.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const BLOCKED_IPV6 = [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+];
+
+class AddressGuardService {
+  constructor() {
+    this.blockList = new net.BlockList();
+    BLOCKED_IPV4.forEach(([address, prefix]) => this.blockList.addSubnet(address, prefix, 'ipv4'));
+    BLOCKED_IPV6.forEach(([address, prefix]) => this.blockList.addSubnet(address, prefix, 'ipv6'));
+
+    // dns.lookup replacement for http(s) agents: fails the connection when
+    // the host resolves to a blocked address (also catches DNS rebinding)
+    this.lookup = (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+          return callback(error);
+        }
+
+        const blocked = addresses.find(({ address }) => this.isBlocked(address));
+        if (blocked) {
+          return callback(this.blockedError(hostname, blocked.address));
+        }
+
+        return options.all
+          ? callback(null, addresses)
+          : callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+  }
+
+  /**
+   * Whether an IP address is loopback, private, link-local or otherwise not public
+   */
+  isBlocked(ip) {
+    const address = String(ip).replace(/^\[|\]$/g, '');
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+
+    if (mapped) {
+      return this.blockList.check(mapped[1], 'ipv4');
+    }
+
+    const family = net.isIP(address);
+    return family === 0 || this.blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Check that a URL is http(s) and its host resolves only to public addresses
+   * @param {string} url
+   * @returns {Promise<string|null>} - Reason the URL is refused, null when allowed
+   */
+  async checkUrl(url) {
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'must be a valid URL';
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'must use http or https';
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        return 'host does not resolve';
+      }
+    }
+
+    return addresses.some(address => this.isBlocked(address))
+      ? 'must not point to a private, loopback or link-local address'
+      : null;
+  }
+
+  blockedError(hostname, address) {
+    const error = new Error(`${hostname} resolves to blocked address ${address}`);
+    error.code = 'EADDRBLOCKED';
+    return error;
+  }
+}
+
+module.exports = new AddressGuardService();
@@ -42,12 +42,15 @@ class AuthHelper {
   /**
    * Generate SHA256 digest of request body
    * 
-   * @param {Object} requestBody - Request body object
+   * @param {Object|string|Buffer} requestBody - Request body object, or the raw
+   *   body exactly as received
    * @returns {string} - SHA256 hash with SHA-256= prefix (base64)
    */
   generateDigest(requestBody) {
-    // Convert request body to JSON string
-    const bodyString = JSON.stringify(requestBody);
+    // Convert request body to JSON string; raw bodies are hashed as received
+    const bodyString = typeof requestBody === 'string' || Buffer.isBuffer(requestBody)
+      ? requestBody
+      : JSON.stringify(requestBody);
     
     // Generate SHA256 hash and encode as base64
     const digest = crypto
@@ -127,17 +130,18 @@ class AuthHelper {
   /**
    * Validate timestamp to prevent replay attacks
    * 
-   * @param {string} timestamp - ISO 8601 timestamp to validate
+   * @param {string} timestamp - ISO 8601 or GMT timestamp to validate
    * @param {number} maxAgeSeconds - Maximum age in seconds (default: 300 = 5 minutes)
+   * @param {number} maxFutureSeconds - Allowed clock skew into the future (default: 0)
    * @returns {boolean} - Whether timestamp is valid
    */
-  validateTimestamp(timestamp, maxAgeSeconds = 300) {
+  validateTimestamp(timestamp, maxAgeSeconds = 300, maxFutureSeconds = 0) {
     try {
       const requestTime = new Date(timestamp).getTime();
       const currentTime = Date.now();
       const ageSeconds = (currentTime - requestTime) / 1000;
       
-      return ageSeconds >= 0 && ageSeconds <= maxAgeSeconds;
+      return ageSeconds >= -maxFutureSeconds && ageSeconds <= maxAgeSeconds;
     } catch (error) {
       return false;
     }
@@ -147,11 +151,30 @@ class AuthHelper {
    * Validate signature for incoming requests
    * 
    * @param {Object} headers - Request headers
-   * @param {Object} requestBody - Request body
+   * @param {Object|string|Buffer} requestBody - Request body (raw body preferred)
    * @param {string} apiSecret - API Secret for validation
+   * @param {Object} [options] - See checkSignature
    * @returns {boolean} - Whether signature is valid
    */
-  validateSignature(headers, requestBody, apiSecret) {
+  validateSignature(headers, requestBody, apiSecret, options) {
+    return this.checkSignature(headers, requestBody, apiSecret, options).valid;
+  }
+
+  /**
+   * Check the TNPG headers of an incoming request and say why they fail
+   * 
+   * @param {Object} headers - Request headers (lower-case names, as in Express)
+   * @param {Object|string|Buffer} requestBody - Request body (raw body preferred)
+   * @param {string} apiSecret - API Secret for validation
+   * @param {Object} [options]
+   * @param {number} [options.maxSkewSeconds=300] - Accepted clock difference either way
+   * @param {string} [options.merchantId] - Expected X-TNPG-MERCHANT-ID
+   * @returns {Object} - { valid, reason } where reason is MISSING_HEADERS,
+   *   STALE_TIMESTAMP, MERCHANT_MISMATCH, INVALID_SIGNATURE or INVALID_DIGEST
+   */
+  checkSignature(headers, requestBody, apiSecret, options = {}) {
+    const maxSkewSeconds = options.maxSkewSeconds === undefined ? 300 : options.maxSkewSeconds;
+
     try {
       const {
         'x-tnpg-timestamp': timestamp,
@@ -165,12 +188,16 @@ class AuthHelper {
 
       // Validate all required headers are present
       if (!timestamp || !host || !targetApi || !merchantId || !apiKey || !providedSignature || !providedDigest) {
-        return false;
+        return { valid: false, reason: 'MISSING_HEADERS' };
       }
 
       // Validate timestamp
-      if (!this.validateTimestamp(timestamp)) {
-        return false;
+      if (!this.validateTimestamp(timestamp, maxSkewSeconds, maxSkewSeconds)) {
+        return { valid: false, reason: 'STALE_TIMESTAMP' };
+      }
+
+      if (options.merchantId && merchantId !== options.merchantId) {
+        return { valid: false, reason: 'MERCHANT_MISMATCH' };
       }
 
       // Generate expected signature
@@ -186,33 +213,29 @@ class AuthHelper {
       // Generate expected digest
       const expectedDigest = this.generateDigest(requestBody);
 
-      // Compare signatures using timing-safe comparison
-      let signatureValid = false;
-      try {
-        signatureValid = crypto.timingSafeEqual(
-          Buffer.from(providedSignature),
-          Buffer.from(expectedSignature)
-        );
-      } catch (error) {
-        // Buffer lengths don't match, signatures are different
-        signatureValid = false;
+      // Compare using timing-safe comparison
+      if (!this.safeEqual(providedSignature, expectedSignature)) {
+        return { valid: false, reason: 'INVALID_SIGNATURE' };
       }
-
-      // Compare digests using timing-safe comparison
-      let digestValid = false;
-      try {
-        digestValid = crypto.timingSafeEqual(
-          Buffer.from(providedDigest),
-          Buffer.from(expectedDigest)
-        );
-      } catch (error) {
-        // Buffer lengths don't match, digests are different
-        digestValid = false;
+      if (!this.safeEqual(providedDigest, expectedDigest)) {
+        return { valid: false, reason: 'INVALID_DIGEST' };
       }
 
-      return signatureValid && digestValid;
+      return { valid: true, reason: null };
     } catch (error) {
       console.error('Signature validation error:', error);
+      return { valid: false, reason: 'INVALID_SIGNATURE' };
+    }
+  }
+
+  /**
+   * Timing-safe string comparison
+   */
+  safeEqual(provided, expected) {
+    try {
+      return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+    } catch (error) {
+      // Buffer lengths don't match, values are different
       return false;
     }
   }
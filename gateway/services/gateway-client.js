@@ -6,6 +6,7 @@
 const axios = require('axios');
 const config = require('../config/config');
 const authHelper = require('./auth-helper');
+const moneyService = require('./money');
 
 class GatewayClient {
   constructor() {
@@ -36,13 +37,14 @@ class GatewayClient {
   async createPaymentOrder(orderData) {
     const endpoint = config.gateway.endpoints.createOrder;
     const fullUrl = `${this.baseUrl}${endpoint}`;
+    const money = moneyService.parse(orderData.amount, orderData.currency || 'BDT');
     
     // Build request body matching exact API specification
     const requestBody = {
       order_id: orderData.orderId,
       order_information: {
-        payable_amount: parseFloat(orderData.amount),
-        currency_code: orderData.currency || 'BDT'
+        payable_amount: money.amount,
+        currency_code: money.currency
       },
       ipn_url: orderData.ipnUrl,
       success_url: orderData.successUrl,
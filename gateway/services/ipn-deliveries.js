@@ -0,0 +1,114 @@
+/**
+ * IPN Delivery Service
+ * Makes IPN processing idempotent. Each delivery is keyed on order ID, bank
+ * transaction ID and canonical status and recorded on the transaction
+ * (ipnDeliveries, ipnDeliveryCount, ipnFirstSeenAt, ipnLastSeenAt), so a
+ * resent IPN is recognised and ignored instead of being applied again.
+ */
+
+const transactionState = require('./transaction-state');
+
+// Delivery attempts kept per transaction; the count keeps growing
+const MAX_DELIVERIES = 50;
+
+const OUTCOMES = {
+  APPLIED: 'applied',
+  DUPLICATE: 'duplicate',
+  OUT_OF_ORDER: 'out_of_order',
+  CONFLICT: 'conflict',
+  REJECTED: 'rejected',
+  UNCONFIRMED: 'unconfirmed',
+  RETRY: 'retry'
+};
+
+class IpnDeliveryService {
+  constructor() {
+    this.outcomes = OUTCOMES;
+    // Keys being processed, so a resend that arrives during the inquiry
+    // round trip is not applied twice
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Idempotency key of an IPN body
+   * @returns {string} - e.g. 'order-123|bank-txn-789|APPROVED'
+   */
+  key(body) {
+    const status = transactionState.normalize(body.status, body.status_code) || String(body.status).toUpperCase();
+    return [body.order_id, body.transaction_id || '', status].join('|');
+  }
+
+  /**
+   * Whether a delivery with this key was already applied or is being processed
+   */
+  isDuplicate(transaction, key) {
+    return this.inFlight.has(key) ||
+      (transaction.ipnDeliveries || []).some(delivery => delivery.key === key && delivery.outcome === OUTCOMES.APPLIED);
+  }
+
+  /**
+   * Whether an IPN repeats the current status with a different bank
+   * transaction ID, which the state rules alone would accept
+   */
+  isConflict(transaction, body) {
+    return Boolean(transaction.bankTransactionId) && Boolean(body.transaction_id) &&
+      transaction.bankTransactionId !== body.transaction_id &&
+      transactionState.normalize(body.status, body.status_code) === transaction.status;
+  }
+
+  /**
+   * Record a delivery attempt on the transaction (the caller persists it)
+   * @param {Object} transaction - Stored transaction
+   * @param {Object} body - IPN body
+   * @param {string} outcome - One of OUTCOMES
+   */
+  record(transaction, body, outcome) {
+    const receivedAt = new Date().toISOString();
+
+    transaction.ipnDeliveryCount = (transaction.ipnDeliveryCount || 0) + 1;
+    transaction.ipnFirstSeenAt = transaction.ipnFirstSeenAt || receivedAt;
+    transaction.ipnLastSeenAt = receivedAt;
+    transaction.ipnDeliveries = (transaction.ipnDeliveries || []).concat({
+      key: this.key(body),
+      receivedAt,
+      status: body.status,
+      statusCode: body.status_code === undefined ? null : body.status_code,
+      bankTransactionId: body.transaction_id || null,
+      outcome
+    }).slice(-MAX_DELIVERIES);
+
+    return transaction;
+  }
+
+  /**
+   * Delivery summary for API responses
+   */
+  summarize(transaction) {
+    return {
+      deliveryCount: transaction.ipnDeliveryCount || 0,
+      firstSeenAt: transaction.ipnFirstSeenAt || null,
+      lastSeenAt: transaction.ipnLastSeenAt || null
+    };
+  }
+
+  /**
+   * Start processing a delivery unless it is a duplicate. Checking and
+   * marking it in flight happen in one step, so of two identical deliveries
+   * arriving together only one is processed.
+   * @returns {boolean} - false for a duplicate, which must not be processed
+   */
+  begin(transaction, key) {
+    if (this.isDuplicate(transaction, key)) {
+      return false;
+    }
+
+    this.inFlight.add(key);
+    return true;
+  }
+
+  end(key) {
+    this.inFlight.delete(key);
+  }
+}
+
+module.exports = new IpnDeliveryService();
@@ -0,0 +1,90 @@
+/**
+ * IPN Quarantine Service
+ * Appends rejected IPNs (bad signature, unknown IP, malformed body, status
+ * not confirmed by the gateway) to a JSON Lines file for inspection, e.g.
+ * `tail -n 20 data/ipn-quarantine.jsonl | jq .`. The file is rotated at a
+ * size limit and only a few rotations are kept, so a flood of bad IPNs
+ * cannot fill the disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Request headers worth keeping; cookies and the like are dropped
+const KEPT_HEADERS = /^(x-tnpg-|x-forwarded-for$|x-real-ip$|content-type$|user-agent$)/;
+
+class IpnQuarantineService {
+  constructor() {
+    this.path = config.ipn.quarantinePath;
+    this.maxBytes = config.ipn.quarantineMaxBytes;
+    this.maxFiles = config.ipn.quarantineFiles;
+  }
+
+  /**
+   * Quarantine a rejected IPN
+   * @param {Object} req - Express request
+   * @param {string} reason - Rejection code, e.g. 'INVALID_SIGNATURE'
+   * @param {Object} [details] - Extra context, e.g. { errors } or { inquiryStatus }
+   * @returns {Object} - The stored entry
+   */
+  add(req, reason, details = {}) {
+    const headers = {};
+    Object.keys(req.headers || {}).forEach(name => {
+      if (KEPT_HEADERS.test(name)) {
+        headers[name] = req.headers[name];
+      }
+    });
+
+    const entry = {
+      receivedAt: new Date().toISOString(),
+      reason,
+      ip: req.ip,
+      headers,
+      body: req.rawBody ? req.rawBody.toString('utf8') : req.body,
+      ...details
+    };
+
+    const line = `${JSON.stringify(entry)}\n`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      this.rotate(Buffer.byteLength(line));
+      fs.appendFileSync(this.path, line);
+    } catch (error) {
+      console.error(`[IPN] Could not write quarantine log ${this.path}:`, error.message);
+    }
+
+    console.warn(`[IPN] Quarantined (${reason}) from ${req.ip}`);
+    return entry;
+  }
+
+  /**
+   * Move the log to <path>.1 (and .1 to .2, ...) when the next line would
+   * take it past maxBytes; the rotation past maxFiles is overwritten
+   * @param {number} incoming - Bytes about to be appended
+   */
+  rotate(incoming) {
+    let size;
+
+    try {
+      size = fs.statSync(this.path).size;
+    } catch (error) {
+      return;
+    }
+
+    if (size === 0 || size + incoming <= this.maxBytes) {
+      return;
+    }
+
+    for (let index = this.maxFiles; index >= 1; index--) {
+      const from = index === 1 ? this.path : `${this.path}.${index - 1}`;
+
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.path}.${index}`);
+      }
+    }
+  }
+}
+
+module.exports = new IpnQuarantineService();
@@ -0,0 +1,84 @@
+/**
+ * Metadata Service
+ * Names the merchant-defined fields mdf_1..mdf_6 using the metadata_fields
+ * declaration the SDK sends with a payment order ({ cartId: 'mdf_1', ... }).
+ */
+
+const MDF_FIELDS = ['mdf_1', 'mdf_2', 'mdf_3', 'mdf_4', 'mdf_5', 'mdf_6'];
+const MDF_MAX_LENGTH = 255;
+const KEY_PATTERN = /^[A-Za-z_][\w.-]{0,63}$/;
+
+class MetadataService {
+  /**
+   * Validate a metadata_fields declaration against the request body
+   * @param {Object} fields - Metadata key -> mdf field
+   * @param {Object} body - Payment order request body
+   * @returns {Array} - [{ field, message }], field is 'mdf_N' or 'metadata_fields.<key>'
+   */
+  validate(fields, body) {
+    const errors = [];
+
+    if (fields === undefined || fields === null) {
+      return errors;
+    }
+
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      return [{ field: 'metadata_fields', message: 'must be an object' }];
+    }
+
+    const used = {};
+
+    Object.keys(fields).forEach(key => {
+      const slot = fields[key];
+      const field = `metadata_fields.${key}`;
+
+      if (!KEY_PATTERN.test(key)) {
+        errors.push({ field, message: 'is not a valid metadata key' });
+      } else if (!MDF_FIELDS.includes(slot)) {
+        errors.push({ field, message: `must be one of ${MDF_FIELDS.join(', ')}` });
+      } else if (used[slot]) {
+        errors.push({ field, message: `uses ${slot}, already used by metadata_fields.${used[slot]}` });
+      } else {
+        used[slot] = key;
+      }
+    });
+
+    MDF_FIELDS.forEach(slot => {
+      const value = body[slot];
+
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        errors.push({ field: slot, message: 'must be a string' });
+      } else if (typeof value === 'string' && value.length > MDF_MAX_LENGTH) {
+        errors.push({ field: slot, message: `must be at most ${MDF_MAX_LENGTH} characters` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Read named metadata out of mdf fields
+   * @param {Object} source - Object carrying mdf_1..mdf_6 (request body, IPN, transaction info)
+   * @param {Object} fields - Metadata key -> mdf field
+   * @returns {Object} - e.g. { cartId: 'CART-42' }
+   */
+  decode(source, fields) {
+    const metadata = {};
+
+    if (!source || !fields) {
+      return metadata;
+    }
+
+    Object.keys(fields).forEach(key => {
+      const value = source[fields[key]];
+
+      if (value !== undefined && value !== null && value !== '') {
+        metadata[key] = String(value);
+      }
+    });
+
+    return metadata;
+  }
+}
+
+module.exports = new MetadataService();
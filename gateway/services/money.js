@@ -0,0 +1,168 @@
+/**
+ * Money Service
+ * ISO 4217 currency table and decimal-safe amount handling. Amounts arrive
+ * in major units (29.99) and are converted to integer minor units (2999) by
+ * parsing their decimal digits, never by floating-point multiplication.
+ */
+
+// Same table as sdk/src/currencies.json; test/test-money.js fails when they differ
+const CURRENCIES = require('../config/currencies.json');
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+class MoneyService {
+  constructor() {
+    this.currencies = CURRENCIES;
+  }
+
+  /**
+   * Look up a currency
+   * @param {string} code - ISO 4217 code, e.g. 'BDT'
+   * @returns {Object|null} - { code, exponent, symbol }
+   */
+  getCurrency(code) {
+    if (typeof code !== 'string' || !Object.prototype.hasOwnProperty.call(CURRENCIES, code.toUpperCase())) {
+      return null;
+    }
+
+    const upper = code.toUpperCase();
+    return { code: upper, ...CURRENCIES[upper] };
+  }
+
+  /**
+   * Validate a payment amount
+   * @param {number|string} amount - Major units
+   * @param {string} currency - ISO 4217 code
+   * @returns {string[]} - Validation errors
+   */
+  validate(amount, currency) {
+    const { minor, error } = this.read(amount, currency);
+
+    if (error) {
+      return [error];
+    }
+    if (minor <= 0) {
+      return ['amount must be a positive number'];
+    }
+
+    return [];
+  }
+
+  /**
+   * Convert a major-unit amount to integer minor units
+   * @param {number|string} amount - e.g. 29.99 or '29.99'
+   * @param {string} currency - ISO 4217 code
+   * @returns {number} - e.g. 2999
+   */
+  toMinorUnits(amount, currency) {
+    const { minor, error } = this.read(amount, currency);
+
+    if (error) {
+      throw new Error(error);
+    }
+
+    return minor;
+  }
+
+  /**
+   * Exact decimal string for a minor-unit amount, e.g. 2999 -> '29.99'
+   */
+  toDecimalString(minor, currency) {
+    const info = this.requireCurrency(currency);
+    const digits = String(Math.abs(minor)).padStart(info.exponent + 1, '0');
+    const sign = minor < 0 ? '-' : '';
+
+    if (info.exponent === 0) {
+      return sign + digits;
+    }
+
+    return `${sign}${digits.slice(0, -info.exponent)}.${digits.slice(-info.exponent)}`;
+  }
+
+  /**
+   * Convert minor units back to a major-unit number, e.g. 2999 -> 29.99
+   */
+  fromMinorUnits(minor, currency) {
+    return Number(this.toDecimalString(minor, currency));
+  }
+
+  /**
+   * Format a minor-unit amount with its symbol and digit grouping,
+   * e.g. 123450 BDT -> '৳1,234.50'
+   */
+  format(minor, currency) {
+    const info = this.requireCurrency(currency);
+    const [whole, fraction] = this.toDecimalString(Math.abs(minor), info.code).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+    return `${minor < 0 ? '-' : ''}${info.symbol}${grouped}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  /**
+   * Normalize a validated payment amount
+   * @returns {Object} - { amount, minor, currency }
+   */
+  parse(amount, currency) {
+    const info = this.requireCurrency(currency);
+    const minor = this.toMinorUnits(amount, info.code);
+
+    return { amount: this.fromMinorUnits(minor, info.code), minor, currency: info.code };
+  }
+
+  /**
+   * Whether two major-unit amounts are the same sum of money, e.g. '100.00'
+   * and 100; unparsable amounts never match
+   */
+  amountsEqual(a, b, currency) {
+    const first = this.read(a, currency);
+    const second = this.read(b, currency);
+
+    return !first.error && !second.error && first.minor === second.minor;
+  }
+
+  /**
+   * Parse an amount's decimal digits; trailing zeros beyond the exponent
+   * are accepted, any other extra digit is an error rather than rounded
+   * @returns {Object} - { minor } or { error }
+   */
+  read(amount, currency) {
+    const info = this.getCurrency(currency);
+
+    if (!info) {
+      return { error: `currency "${currency}" is not supported` };
+    }
+
+    const text = typeof amount === 'number' && isFinite(amount) ? String(amount) : amount;
+    const match = typeof text === 'string' ? DECIMAL_PATTERN.exec(text.trim()) : null;
+
+    if (!match) {
+      return { error: 'amount must be a non-negative decimal number' };
+    }
+
+    const fraction = (match[2] || '').replace(/0+$/, '');
+
+    if (fraction.length > info.exponent) {
+      return { error: `${info.code} amounts allow at most ${info.exponent} decimal places` };
+    }
+
+    const minor = Number(match[1] + fraction.padEnd(info.exponent, '0'));
+
+    if (!Number.isSafeInteger(minor)) {
+      return { error: 'amount is too large' };
+    }
+
+    return { minor };
+  }
+
+  requireCurrency(code) {
+    const info = this.getCurrency(code);
+
+    if (!info) {
+      throw new Error(`currency "${code}" is not supported`);
+    }
+
+    return info;
+  }
+}
+
+module.exports = new MoneyService();
@@ -0,0 +1,204 @@
+/**
+ * Order Details Service
+ * Validates and normalizes customer_information, product_information and
+ * shipment_information before they are forwarded to the gateway, which
+ * would only reject them with a vague error. Mirrors the SDK's Validator
+ * (sdk/src/validation.js).
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Mobile operators use 013-019 after the 0 trunk prefix
+const BD_MOBILE_PATTERN = /^(?:\+?880|0)?(1[3-9]\d{8})$/;
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const BD_POSTCODE_PATTERN = /^\d{4}$/;
+
+const MAX_LENGTH = { name: 100, email: 254, address: 255, description: 500, city: 100 };
+
+const BD_DISTRICTS = [
+  'Bagerhat', 'Bandarban', 'Barguna', 'Barishal', 'Bhola', 'Bogura', 'Brahmanbaria', 'Chandpur',
+  'Chapainawabganj', 'Chattogram', 'Chuadanga', "Cox's Bazar", 'Cumilla', 'Dhaka', 'Dinajpur', 'Faridpur',
+  'Feni', 'Gaibandha', 'Gazipur', 'Gopalganj', 'Habiganj', 'Jamalpur', 'Jashore', 'Jhalokati',
+  'Jhenaidah', 'Joypurhat', 'Khagrachhari', 'Khulna', 'Kishoreganj', 'Kurigram', 'Kushtia', 'Lakshmipur',
+  'Lalmonirhat', 'Madaripur', 'Magura', 'Manikganj', 'Meherpur', 'Moulvibazar', 'Munshiganj', 'Mymensingh',
+  'Naogaon', 'Narail', 'Narayanganj', 'Narsingdi', 'Natore', 'Netrokona', 'Nilphamari', 'Noakhali',
+  'Pabna', 'Panchagarh', 'Patuakhali', 'Pirojpur', 'Rajbari', 'Rajshahi', 'Rangamati', 'Rangpur',
+  'Satkhira', 'Shariatpur', 'Sherpur', 'Sirajganj', 'Sunamganj', 'Sylhet', 'Tangail', 'Thakurgaon'
+];
+
+// Older English spellings still in common use
+const DISTRICT_ALIASES = {
+  barisal: 'Barishal',
+  bogra: 'Bogura',
+  chapainababganj: 'Chapainawabganj',
+  nawabganj: 'Chapainawabganj',
+  chittagong: 'Chattogram',
+  coxsbazar: "Cox's Bazar",
+  comilla: 'Cumilla',
+  jessore: 'Jashore',
+  jhalakati: 'Jhalokati',
+  jhalokathi: 'Jhalokati',
+  khagrachari: 'Khagrachhari',
+  laxmipur: 'Lakshmipur',
+  maulvibazar: 'Moulvibazar',
+  netrakona: 'Netrokona',
+  narshingdi: 'Narsingdi'
+};
+
+class OrderDetailsService {
+  constructor() {
+    this.districts = BD_DISTRICTS.reduce((index, district) => {
+      index[this.districtKey(district)] = district;
+      return index;
+    }, { ...DISTRICT_ALIASES });
+  }
+
+  /**
+   * Validate the details of a payment order request
+   * @param {Object} body - Payment order request body
+   * @returns {Object} - { errors: [{ field, message }], value } where value
+   *   holds the normalized details objects that were present
+   */
+  validate(body) {
+    const errors = [];
+    const value = {};
+
+    const sections = {
+      customer_information: (details, report) => this.checkCustomer(details, report),
+      product_information: (details, report) => this.checkProduct(details, report),
+      shipment_information: (details, report) => this.checkShipment(details, report)
+    };
+
+    Object.keys(sections).forEach(section => {
+      const details = body[section];
+
+      if (details === undefined || details === null) {
+        return;
+      }
+
+      if (typeof details !== 'object' || Array.isArray(details)) {
+        errors.push({ field: section, message: 'must be an object' });
+        return;
+      }
+
+      value[section] = { ...details };
+
+      // Empty objects are what the SDK sends when nothing was given
+      if (Object.keys(details).length > 0) {
+        sections[section](value[section], (field, message) => errors.push({ field: `${section}.${field}`, message }));
+      }
+    });
+
+    return { errors, value };
+  }
+
+  /**
+   * Normalize a Bangladeshi mobile number to +8801XXXXXXXXX
+   * @returns {string|null} - Normalized number, or null when it is not one
+   */
+  normalizeBDPhone(phone) {
+    const match = this.cleanPhone(phone).match(BD_MOBILE_PATTERN);
+    return match ? `+880${match[1]}` : null;
+  }
+
+  /**
+   * Canonical district name, or null for an unknown district
+   */
+  normalizeDistrict(district) {
+    return this.districts[this.districtKey(district)] || null;
+  }
+
+  checkCustomer(details, report) {
+    this.requireText(details, 'name', report);
+    this.limitText(details, 'address', report);
+
+    if (this.isPresent(details.email)) {
+      details.email = String(details.email).trim();
+      if (details.email.length > MAX_LENGTH.email || !EMAIL_PATTERN.test(details.email)) {
+        report('email', 'must be a valid email address');
+      }
+    }
+
+    if (this.isPresent(details.phone)) {
+      const bdPhone = this.normalizeBDPhone(details.phone);
+      const cleaned = this.cleanPhone(details.phone);
+
+      if (bdPhone) {
+        details.phone = bdPhone;
+      } else if (E164_PATTERN.test(cleaned) && !cleaned.startsWith('+880')) {
+        details.phone = cleaned;
+      } else {
+        report('phone', 'must be a Bangladeshi mobile number (01XXXXXXXXX) or an international number (+<country code>...)');
+      }
+    }
+  }
+
+  checkProduct(details, report) {
+    this.requireText(details, 'name', report);
+    this.limitText(details, 'description', report);
+
+    if (details.quantity !== undefined && !(Number.isInteger(details.quantity) && details.quantity >= 1)) {
+      report('quantity', 'must be a whole number of at least 1');
+    }
+  }
+
+  checkShipment(details, report) {
+    this.requireText(details, 'address', report);
+    this.limitText(details, 'city', report);
+
+    const country = this.isPresent(details.country) ? String(details.country).trim().toUpperCase() : 'BD';
+
+    // District and postcode rules only apply to Bangladesh, the default
+    if (!['BD', 'BGD', 'BANGLADESH'].includes(country)) {
+      return;
+    }
+
+    if (!this.isPresent(details.district)) {
+      report('district', 'is required');
+    } else if (this.normalizeDistrict(details.district)) {
+      details.district = this.normalizeDistrict(details.district);
+    } else {
+      report('district', 'must be a district of Bangladesh');
+    }
+
+    if (!this.isPresent(details.postcode)) {
+      report('postcode', 'is required');
+    } else if (BD_POSTCODE_PATTERN.test(String(details.postcode).trim())) {
+      details.postcode = String(details.postcode).trim();
+    } else {
+      report('postcode', 'must be 4 digits');
+    }
+  }
+
+  requireText(details, field, report) {
+    if (!this.isPresent(details[field])) {
+      report(field, 'is required');
+      return;
+    }
+
+    details[field] = String(details[field]).trim();
+    this.limitText(details, field, report);
+  }
+
+  limitText(details, field, report) {
+    if (this.isPresent(details[field]) && String(details[field]).trim().length > MAX_LENGTH[field]) {
+      report(field, `must be at most ${MAX_LENGTH[field]} characters`);
+    }
+  }
+
+  isPresent(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  }
+
+  cleanPhone(phone) {
+    return String(phone).replace(/[\s\-().]/g, '').replace(/^00/, '+');
+  }
+
+  districtKey(district) {
+    return String(district).toLowerCase().replace(/district$/, '').replace(/[^a-z]/g, '');
+  }
+}
+
+module.exports = new OrderDetailsService();
@@ -0,0 +1,156 @@
+/**
+ * Schema Validator Service
+ * Checks request bodies against the JSON Schemas in gateway/schemas and
+ * reports errors by field path, e.g. order_information.payable_amount.
+ * Supports the subset of draft-07 keywords those schemas use, plus
+ * errorMessage to word pattern failures for humans.
+ */
+
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+const FORMATS = {
+  uri: value => /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(value)
+};
+
+class SchemaValidatorService {
+  constructor() {
+    this.schemas = {};
+  }
+
+  /**
+   * Load a schema from gateway/schemas by name, e.g. 'payment-order'
+   * @returns {Object} - Parsed schema
+   */
+  getSchema(name) {
+    if (!this.schemas[name]) {
+      this.schemas[name] = require(path.join(SCHEMA_DIR, `${name}.json`));
+    }
+
+    return this.schemas[name];
+  }
+
+  /**
+   * Validate a value against a named schema
+   * @param {string} name - Schema name
+   * @param {*} value - Value to check, usually req.body
+   * @returns {Array} - [{ field, message }], empty when valid
+   */
+  validate(name, value) {
+    const errors = [];
+    this.check(this.getSchema(name), value, '', errors);
+    return errors;
+  }
+
+  check(schema, value, field, errors) {
+    const report = message => errors.push({ field: field || 'body', message });
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(`must be one of ${schema.enum.join(', ')}`);
+      return;
+    }
+
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      report(`must be ${this.describeType(schema.type)}`);
+      return;
+    }
+
+    if (typeof value === 'string') {
+      this.checkString(schema, value, report);
+    } else if (typeof value === 'number') {
+      this.checkNumber(schema, value, report);
+    } else if (Array.isArray(value)) {
+      if (schema.items) {
+        value.forEach((item, index) => this.check(schema.items, item, `${field}[${index}]`, errors));
+      }
+    } else if (value !== null && typeof value === 'object') {
+      this.checkObject(schema, value, field, errors);
+    }
+  }
+
+  checkString(schema, value, report) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(schema.errorMessage || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      report(`must be a valid ${schema.format === 'uri' ? 'http(s) URL' : schema.format}`);
+    }
+  }
+
+  checkNumber(schema, value, report) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  checkObject(schema, value, field, errors) {
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: prefix + key, message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      // Optional fields may be sent as null when the merchant left them
+      // out; required ones were reported above
+      if (value[key] === undefined || value[key] === null) {
+        return;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        this.check(properties[key], value[key], prefix + key, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: prefix + key, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        this.check(schema.additionalProperties, value[key], prefix + key, errors);
+      }
+    });
+  }
+
+  matchesType(type, value) {
+    if (Array.isArray(type)) {
+      return type.some(option => this.matchesType(option, value));
+    }
+
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  describeType(type) {
+    const names = { object: 'an object', array: 'an array', integer: 'an integer', null: 'null' };
+    const describe = option => names[option] || `a ${option}`;
+
+    return Array.isArray(type) ? type.map(describe).join(' or ') : describe(type);
+  }
+}
+
+module.exports = new SchemaValidatorService();
@@ -10,14 +10,15 @@ class SignatureService {
   /**
    * Generate signature for a payload
    * @param {Object} payload - Data to sign
+   * @param {string} [secret] - HMAC key, JWT_SECRET by default
    * @returns {string} - Generated signature
    */
-  generateSignature(payload) {
+  generateSignature(payload, secret = config.security.jwtSecret) {
     // Convert payload to string (sorted keys for consistency)
     const dataString = this.stringifyPayload(payload);
     
     // Create HMAC signature
-    const hmac = crypto.createHmac('sha256', config.security.jwtSecret);
+    const hmac = crypto.createHmac('sha256', secret);
     hmac.update(dataString);
     
     return hmac.digest('hex');
@@ -27,10 +28,11 @@ class SignatureService {
    * Validate signature
    * @param {Object} payload - Data to validate
    * @param {string} signature - Signature to check
+   * @param {string} [secret] - HMAC key, JWT_SECRET by default
    * @returns {boolean} - Whether signature is valid
    */
-  validateSignature(payload, signature) {
-    const expectedSignature = this.generateSignature(payload);
+  validateSignature(payload, signature, secret) {
+    const expectedSignature = this.generateSignature(payload, secret);
     return crypto.timingSafeEqual(
       Buffer.from(signature),
       Buffer.from(expectedSignature)
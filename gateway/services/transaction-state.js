@@ -0,0 +1,173 @@
+/**
+ * Transaction State Service
+ * Canonical payment statuses and the transitions allowed between them.
+ * Every accepted status change is appended to transaction.statusHistory
+ * with its source and raw payload, so a late or out-of-order update (a
+ * DECLINED IPN after an APPROVED verify) is rejected instead of silently
+ * overwriting the result.
+ */
+
+const STATUSES = {
+  CREATED: 'CREATED',
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  DECLINED: 'DECLINED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED',
+  REFUNDED: 'REFUNDED'
+};
+
+const SOURCES = ['create', 'verify', 'ipn', 'inquiry'];
+
+const OUTCOMES = [STATUSES.APPROVED, STATUSES.DECLINED, STATUSES.CANCELLED, STATUSES.FAILED, STATUSES.EXPIRED];
+
+// Final statuses only move on through refunds
+const TRANSITIONS = {
+  CREATED: [STATUSES.PENDING, ...OUTCOMES],
+  PENDING: OUTCOMES,
+  APPROVED: [STATUSES.REFUNDED],
+  DECLINED: [],
+  CANCELLED: [],
+  FAILED: [],
+  EXPIRED: [],
+  REFUNDED: []
+};
+
+// Gateway status codes, see GatewayClient.parsePaymentStatus
+const STATUS_CODES = {
+  '1002': STATUSES.APPROVED,
+  '1003': STATUSES.DECLINED,
+  '1004': STATUSES.CANCELLED,
+  '1005': STATUSES.FAILED
+};
+
+// Spellings seen from the gateway and hosted pages, mirrors sdk/src/status.js
+const STATUS_ALIASES = {
+  UNATTEMPTED: STATUSES.CREATED,
+  INITIATED: STATUSES.CREATED,
+  PROCESSING: STATUSES.PENDING,
+  SUCCESS: STATUSES.APPROVED,
+  SUCCESSFUL: STATUSES.APPROVED,
+  COMPLETED: STATUSES.APPROVED,
+  PAID: STATUSES.APPROVED,
+  REJECTED: STATUSES.DECLINED,
+  CANCELED: STATUSES.CANCELLED,
+  FAILURE: STATUSES.FAILED,
+  ERROR: STATUSES.FAILED,
+  REVERSED: STATUSES.REFUNDED
+};
+
+class TransactionStateService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.sources = SOURCES;
+  }
+
+  /**
+   * Canonical status for a gateway status string or status code
+   * @param {string} status - e.g. 'APPROVED', 'success', 'UNATTEMPTED'
+   * @param {string|number} [statusCode] - e.g. '1002', used when status is unknown
+   * @returns {string|null} - One of STATUSES, or null when unrecognized
+   */
+  normalize(status, statusCode) {
+    const key = status === undefined || status === null ? '' : String(status).trim().toUpperCase();
+
+    if (STATUSES[key]) {
+      return STATUSES[key];
+    }
+    if (STATUS_ALIASES[key]) {
+      return STATUS_ALIASES[key];
+    }
+
+    return STATUS_CODES[String(statusCode)] || null;
+  }
+
+  /**
+   * Whether a status may move to another
+   */
+  canTransition(from, to) {
+    return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+  }
+
+  /**
+   * Whether no further transitions (other than a refund) are expected
+   */
+  isFinal(status) {
+    return OUTCOMES.includes(status) || status === STATUSES.REFUNDED;
+  }
+
+  /**
+   * Set the initial status of a new transaction
+   * @param {Object} transaction - Transaction being created
+   * @param {string} status - Gateway status, CREATED when missing or unknown
+   * @param {Object} event - { source, statusCode, payload }
+   */
+  start(transaction, status, event) {
+    const initial = this.normalize(status, event.statusCode) || STATUSES.CREATED;
+
+    transaction.status = initial;
+    transaction.statusHistory = [this.entry(null, initial, event)];
+
+    return transaction;
+  }
+
+  /**
+   * Apply a status update from the gateway
+   * @param {Object} transaction - Stored transaction, changed in place when accepted
+   * @param {string} status - Gateway status
+   * @param {Object} event - { source: 'verify' | 'ipn' | ..., statusCode, payload }
+   * @returns {Object} - { accepted, changed, from, to }; a repeat of the
+   *   current status is accepted without a history entry
+   */
+  transition(transaction, status, event) {
+    // Transactions stored before the status model may hold other spellings
+    const from = this.normalize(transaction.status) || STATUSES.CREATED;
+    const to = this.normalize(status, event.statusCode);
+
+    if (!to) {
+      console.warn(`[Transaction] Rejected unknown status "${status}" (${event.source}) for ${transaction.id}, staying ${from}`);
+      return { accepted: false, changed: false, from, to: null };
+    }
+
+    if (to === from) {
+      return { accepted: true, changed: false, from, to };
+    }
+
+    if (!this.canTransition(from, to)) {
+      console.warn(`[Transaction] Rejected ${from} -> ${to} (${event.source}) for ${transaction.id}`);
+      return { accepted: false, changed: false, from, to };
+    }
+
+    transaction.status = to;
+    transaction.statusHistory = (transaction.statusHistory || []).concat(this.entry(from, to, event));
+
+    console.log(`[Transaction] ${transaction.id}: ${from} -> ${to} (${event.source})`);
+
+    return { accepted: true, changed: true, from, to };
+  }
+
+  /**
+   * History without raw payloads, for API responses
+   */
+  summarizeHistory(transaction) {
+    return (transaction.statusHistory || []).map(({ from, to, source, at }) => ({ from, to, source, at }));
+  }
+
+  entry(from, to, event) {
+    if (!SOURCES.includes(event.source)) {
+      throw new Error(`Unknown transaction status source "${event.source}"`);
+    }
+
+    return {
+      from,
+      to,
+      source: event.source,
+      at: new Date().toISOString(),
+      statusCode: event.statusCode === undefined ? null : event.statusCode,
+      payload: event.payload === undefined ? null : event.payload
+    };
+  }
+}
+
+module.exports = new TransactionStateService();
@@ -0,0 +1,417 @@
+/**
+ * Webhook Service
+ * Notifies merchant endpoints of payment status changes. Each attempt is
+ * signed with the endpoint secret over `<timestamp>.<body>`, where body is
+ * the sorted-key JSON event (see SignatureService.stringifyPayload), and
+ * delivered with exponential backoff. Endpoints must resolve to public
+ * addresses, checked again on every connection.
+ * Endpoints and delivery state are kept with the DB_DRIVER backend, so
+ * pending retries survive a restart; deliveries that exhaust their attempts
+ * go to the dead-letter queue until they are replayed.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const signatureService = require('./signature');
+const addressGuard = require('./address-guard');
+const transactionState = require('./transaction-state');
+const { createWebhookStore } = require('../models/stores');
+
+const { statuses } = transactionState;
+
+// Canonical status -> event type; CREATED is not announced
+const EVENT_TYPES = {
+  [statuses.PENDING]: 'payment.pending',
+  [statuses.APPROVED]: 'payment.approved',
+  [statuses.DECLINED]: 'payment.declined',
+  [statuses.CANCELLED]: 'payment.cancelled',
+  [statuses.FAILED]: 'payment.failed',
+  [statuses.EXPIRED]: 'payment.expired',
+  [statuses.REFUNDED]: 'payment.refunded'
+};
+
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+const HEADERS = {
+  id: 'X-PSO-Webhook-Id',
+  event: 'X-PSO-Webhook-Event',
+  timestamp: 'X-PSO-Webhook-Timestamp',
+  signature: 'X-PSO-Webhook-Signature'
+};
+
+// Response bodies are kept only this long in the attempt log
+const MAX_RESPONSE_LENGTH = 500;
+
+class WebhookService {
+  /**
+   * @param {Object} [options] - Defaults to config.webhooks and config.database.driver
+   */
+  constructor(options = {}) {
+    this.options = { ...config.webhooks, driver: config.database.driver, ...options };
+    this.eventTypes = Object.values(EVENT_TYPES);
+    this.deliveryStatuses = DELIVERY_STATUSES;
+    this.headers = HEADERS;
+    this.timer = null;
+    // Delivery IDs with a request on the wire, so a poll does not send them twice
+    this.inFlight = new Set();
+    // Connections fail when the endpoint host resolves to a blocked address
+    this.agents = {
+      httpAgent: new http.Agent({ lookup: addressGuard.lookup }),
+      httpsAgent: new https.Agent({ lookup: addressGuard.lookup })
+    };
+  }
+
+  // Opened on first use, so requiring the service does not create files
+  get endpoints() {
+    if (!this.endpointStore) {
+      this.endpointStore = createWebhookStore({ kind: 'endpoints', driver: this.options.driver, path: this.options.endpointsPath });
+    }
+    return this.endpointStore;
+  }
+
+  get deliveries() {
+    if (!this.deliveryStore) {
+      this.deliveryStore = createWebhookStore({ kind: 'deliveries', driver: this.options.driver, path: this.options.deliveriesPath });
+    }
+    return this.deliveryStore;
+  }
+
+  /**
+   * Register a merchant endpoint
+   * @param {string} merchantId - Owning merchant
+   * @param {Object} details - { url, events, description }; events defaults to all types
+   * @returns {Object} - The endpoint, including its signing secret
+   */
+  createEndpoint(merchantId, { url, events, description }) {
+    const endpoint = {
+      id: `we_${uuidv4()}`,
+      merchantId,
+      url,
+      events: events && events.length > 0 ? Array.from(new Set(events)) : this.eventTypes,
+      description: description || null,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    };
+
+    this.endpoints.insert(endpoint);
+    console.log(`[Webhooks] Endpoint ${endpoint.id} registered for ${merchantId}: ${url}`);
+
+    return endpoint;
+  }
+
+  /**
+   * Active endpoints of a merchant, newest first
+   */
+  listEndpoints(merchantId) {
+    return this.endpoints.list({ merchantId, status: 'active' });
+  }
+
+  /**
+   * Stop delivering to an endpoint; its pending deliveries go to the dead-letter queue
+   * @returns {Object|null} - The endpoint, or null if the merchant has no such endpoint
+   */
+  deleteEndpoint(merchantId, id) {
+    const endpoint = this.endpoints.get(id);
+
+    if (!endpoint || endpoint.merchantId !== merchantId || endpoint.status !== 'active') {
+      return null;
+    }
+
+    endpoint.status = 'deleted';
+    endpoint.deletedAt = new Date().toISOString();
+    this.endpoints.replace(endpoint);
+    console.log(`[Webhooks] Endpoint ${id} deleted`);
+
+    return endpoint;
+  }
+
+  /**
+   * Endpoint details for API responses; the secret is only shown on creation
+   */
+  describeEndpoint(endpoint, { withSecret = false } = {}) {
+    const { id, url, events, description, createdAt } = endpoint;
+    const details = { id, url, events, description, createdAt };
+
+    return withSecret ? { ...details, secret: endpoint.secret } : details;
+  }
+
+  /**
+   * Normalized event for a transaction's current status
+   * @returns {Object|null} - null when the status is not announced
+   */
+  buildEvent(transaction) {
+    const type = EVENT_TYPES[transaction.status];
+
+    if (!type) {
+      return null;
+    }
+
+    return {
+      id: `evt_${uuidv4()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: {
+        transactionId: transaction.id,
+        orderId: transaction.orderId,
+        status: transaction.status,
+        statusCode: transaction.statusCode === undefined ? null : transaction.statusCode,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        bankTransactionId: transaction.bankTransactionId || null,
+        metadata: transaction.metadata || {}
+      }
+    };
+  }
+
+  /**
+   * Queue an event for every endpoint of the transaction's merchant that
+   * subscribes to it. Call after an accepted status change.
+   * @returns {Array} - The queued deliveries
+   */
+  emit(transaction) {
+    const event = this.buildEvent(transaction);
+
+    if (!event || !transaction.merchantId) {
+      return [];
+    }
+
+    const queued = this.listEndpoints(transaction.merchantId)
+      .filter(endpoint => endpoint.events.includes(event.type))
+      .map(endpoint => this.deliveries.insert({
+        id: uuidv4(),
+        eventId: event.id,
+        type: event.type,
+        endpointId: endpoint.id,
+        merchantId: transaction.merchantId,
+        orderId: transaction.orderId,
+        url: endpoint.url,
+        status: DELIVERY_STATUSES.PENDING,
+        attempts: 0,
+        attemptLog: [],
+        nextAttemptAt: event.createdAt,
+        createdAt: event.createdAt,
+        event
+      }));
+
+    if (queued.length > 0) {
+      console.log(`[Webhooks] ${event.type} for order ${transaction.orderId} queued for ${queued.length} endpoint(s)`);
+      this.schedule();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Headers and body for a delivery attempt. The signature covers the
+   * timestamp, so receivers can reject old (replayed) deliveries.
+   * @param {number} [timestamp] - Unix seconds, now by default
+   * @returns {Object} - { headers, body }
+   */
+  sign(event, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    // Sent exactly as signed, so merchants can check the raw body
+    const body = signatureService.stringifyPayload(event);
+
+    return {
+      headers: {
+        'Content-Type': 'application/json',
+        [HEADERS.id]: event.id,
+        [HEADERS.event]: event.type,
+        [HEADERS.timestamp]: String(timestamp),
+        [HEADERS.signature]: crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+      },
+      body
+    };
+  }
+
+  /**
+   * Reason a URL may not receive webhooks, or null
+   * @returns {Promise<string|null>}
+   */
+  async checkUrl(url) {
+    return this.options.allowPrivateUrls ? null : addressGuard.checkUrl(url);
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   */
+  backoff(attempts) {
+    return Math.min(this.options.backoffMs * 2 ** (attempts - 1), this.options.maxBackoffMs);
+  }
+
+  /**
+   * Send every pending delivery whose next attempt is due, oldest first
+   */
+  async processDue() {
+    const now = Date.now();
+    const due = this.deliveries.list({ status: DELIVERY_STATUSES.PENDING })
+      .filter(delivery => Date.parse(delivery.nextAttemptAt) <= now)
+      .map(delivery => delivery.id)
+      .reverse();
+
+    for (const id of due) {
+      // Re-read: an overlapping run may have sent it while we awaited
+      const delivery = this.deliveries.get(id);
+
+      if (delivery && delivery.status === DELIVERY_STATUSES.PENDING && !this.inFlight.has(id)) {
+        await this.attempt(delivery);
+      }
+    }
+  }
+
+  /**
+   * Make one delivery attempt and store the outcome
+   */
+  async attempt(delivery) {
+    const endpoint = this.endpoints.get(delivery.endpointId);
+
+    if (!endpoint || endpoint.status !== 'active') {
+      return this.finish(delivery, DELIVERY_STATUSES.DEAD, 'Endpoint deleted');
+    }
+
+    const { headers, body } = this.sign(delivery.event, endpoint.secret);
+    const startedAt = Date.now();
+    const entry = { at: new Date(startedAt).toISOString() };
+
+    this.inFlight.add(delivery.id);
+    try {
+      const blocked = await this.checkUrl(endpoint.url);
+      if (blocked) {
+        throw Object.assign(new Error(`URL ${blocked}`), { code: 'EADDRBLOCKED' });
+      }
+
+      const response = await axios.post(endpoint.url, body, {
+        headers,
+        ...(this.options.allowPrivateUrls ? {} : this.agents),
+        timeout: this.options.timeoutMs,
+        maxRedirects: 0,
+        // Any response is recorded; only 2xx counts as delivered
+        validateStatus: () => true,
+        transformResponse: data => data
+      });
+
+      entry.statusCode = response.status;
+      entry.response = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_LENGTH) : null;
+      if (response.status < 200 || response.status >= 300) {
+        entry.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      entry.error = error.code || error.message;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+    delivery.attempts += 1;
+    delivery.attemptLog = delivery.attemptLog.concat(entry);
+
+    if (!entry.error) {
+      return this.finish(delivery, DELIVERY_STATUSES.DELIVERED);
+    }
+
+    if (delivery.attempts >= this.options.maxAttempts) {
+      return this.finish(delivery, DELIVERY_STATUSES.DEAD, entry.error);
+    }
+
+    delivery.lastError = entry.error;
+    delivery.nextAttemptAt = new Date(Date.now() + this.backoff(delivery.attempts)).toISOString();
+    this.deliveries.replace(delivery);
+    console.warn(`[Webhooks] ${delivery.type} to ${delivery.url} failed (${entry.error}), attempt ${delivery.attempts}/${this.options.maxAttempts}, retrying at ${delivery.nextAttemptAt}`);
+
+    return delivery;
+  }
+
+  finish(delivery, status, error) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+
+    if (status === DELIVERY_STATUSES.DELIVERED) {
+      delivery.deliveredAt = new Date().toISOString();
+      console.log(`[Webhooks] ${delivery.type} delivered to ${delivery.url} (attempt ${delivery.attempts})`);
+    } else {
+      delivery.lastError = error;
+      delivery.deadAt = new Date().toISOString();
+      console.error(`[Webhooks] ${delivery.type} to ${delivery.url} moved to the dead-letter queue: ${error}`);
+    }
+
+    this.deliveries.replace(delivery);
+    return delivery;
+  }
+
+  /**
+   * Deliveries of a merchant, newest first
+   * @param {Object} [filters] - { status, limit }
+   */
+  listDeliveries(merchantId, { status, limit = 100 } = {}) {
+    return this.deliveries.list({ merchantId, status, limit });
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue with a fresh set of attempts
+   * @returns {Object|null} - The delivery, or null if the merchant has no such dead letter
+   */
+  replay(merchantId, id) {
+    const delivery = this.deliveries.get(id);
+
+    if (!delivery || delivery.merchantId !== merchantId || delivery.status !== DELIVERY_STATUSES.DEAD) {
+      return null;
+    }
+
+    delivery.status = DELIVERY_STATUSES.PENDING;
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date().toISOString();
+    delivery.replayedAt = delivery.nextAttemptAt;
+    this.deliveries.replace(delivery);
+    this.schedule();
+
+    return delivery;
+  }
+
+  /**
+   * Poll for due deliveries until stop()
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.schedule(), this.options.pollIntervalMs);
+    // Pending retries alone do not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Process due deliveries on the next tick
+   */
+  schedule() {
+    setImmediate(() => {
+      this.processDue().catch(error => console.error('[Webhooks] Dispatch error:', error));
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop polling and release the backends
+   */
+  close() {
+    this.stop();
+    [this.endpointStore, this.deliveryStore].forEach(store => store && store.close());
+    this.endpointStore = null;
+    this.deliveryStore = null;
+  }
+}
+
+module.exports = new WebhookService();
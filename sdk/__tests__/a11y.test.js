@@ -0,0 +1,115 @@
+/**
+ * PSO Payment SDK - Accessibility Helper Tests
+ */
+
+import { FocusTrap, announce, prefersReducedMotion } from '../src/a11y.js';
+
+function keydown(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+describe('FocusTrap', () => {
+  let trigger;
+  let dialog;
+  let first;
+  let last;
+
+  beforeEach(() => {
+    trigger = document.createElement('button');
+    dialog = document.createElement('div');
+    dialog.innerHTML = '<button class="first">Close</button><p>Text</p><button class="last">Pay</button>';
+    document.body.appendChild(trigger);
+    document.body.appendChild(dialog);
+    first = dialog.querySelector('.first');
+    last = dialog.querySelector('.last');
+    trigger.focus();
+  });
+
+  afterEach(() => {
+    trigger.remove();
+    dialog.remove();
+  });
+
+  test('should move focus into the dialog and back on deactivate', () => {
+    const trap = new FocusTrap(dialog);
+
+    trap.activate();
+    expect(document.activeElement).toBe(first);
+
+    trap.deactivate();
+    expect(document.activeElement).toBe(trigger);
+    expect(dialog.querySelector('.pso-focus-guard')).toBeNull();
+  });
+
+  test('should wrap Tab and Shift+Tab at the edges', () => {
+    const trap = new FocusTrap(dialog);
+    trap.activate(last);
+
+    expect(keydown('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(first);
+
+    expect(keydown('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(last);
+
+    trap.deactivate();
+  });
+
+  test('should redirect focus that reaches the guards or leaves the dialog', () => {
+    const trap = new FocusTrap(dialog);
+    trap.activate();
+    const [startGuard, endGuard] = dialog.querySelectorAll('.pso-focus-guard');
+
+    endGuard.focus();
+    expect(document.activeElement).toBe(first);
+
+    startGuard.focus();
+    expect(document.activeElement).toBe(last);
+
+    trigger.focus();
+    expect(document.activeElement).toBe(first);
+
+    trap.deactivate();
+  });
+
+  test('should call onEscape', () => {
+    const onEscape = jest.fn();
+    const trap = new FocusTrap(dialog, { onEscape });
+    trap.activate();
+
+    keydown('Escape');
+
+    expect(onEscape).toHaveBeenCalledTimes(1);
+    trap.deactivate();
+  });
+});
+
+describe('announce', () => {
+  test('should write to a single polite live region', () => {
+    announce('Loading');
+    announce('Loaded');
+
+    const regions = document.querySelectorAll('#pso-live-region');
+    expect(regions).toHaveLength(1);
+    expect(regions[0].getAttribute('aria-live')).toBe('polite');
+    expect(regions[0].textContent).toBe('Loaded');
+  });
+});
+
+describe('prefersReducedMotion', () => {
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  test('should read the media query', () => {
+    window.matchMedia = jest.fn().mockReturnValue({ matches: true });
+
+    expect(prefersReducedMotion()).toBe(true);
+    expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+  });
+
+  test('should default to false without matchMedia', () => {
+    expect(prefersReducedMotion()).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * PSO Payment SDK - Error Class Tests
+ */
+
+import {
+  PSOError,
+  PSOValidationError,
+  PSONetworkError,
+  PSOGatewayError,
+  PSORateLimitError,
+  createResponseError
+} from '../src/errors.js';
+
+describe('SDK errors', () => {
+  test('should keep the class hierarchy', () => {
+    const error = new PSORateLimitError('Slow down');
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toBeInstanceOf(PSOError);
+    expect(error).toBeInstanceOf(PSOGatewayError);
+    expect(error.name).toBe('PSORateLimitError');
+    expect(error.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect(error.status).toBe(429);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('should default codes per class', () => {
+    expect(new PSOError('x').code).toBe('PSO_ERROR');
+    expect(new PSOValidationError('x').code).toBe('VALIDATION_ERROR');
+    expect(new PSONetworkError('x').code).toBe('NETWORK_ERROR');
+    expect(new PSOGatewayError('x').code).toBe('GATEWAY_ERROR');
+  });
+
+  test('should not mark aborted requests as retryable', () => {
+    expect(new PSONetworkError('x', { code: 'TIMEOUT' }).retryable).toBe(true);
+    expect(new PSONetworkError('x', { code: 'ABORTED' }).retryable).toBe(false);
+  });
+
+  test('should serialize to JSON', () => {
+    const error = new PSOGatewayError('Declined', { status: 502, data: { reason: 'x' } });
+
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+      name: 'PSOGatewayError',
+      code: 'GATEWAY_ERROR',
+      message: 'Declined',
+      status: 502,
+      retryable: true,
+      data: { reason: 'x' }
+    });
+  });
+
+  describe('createResponseError', () => {
+    test('should map proxy validation failures', () => {
+      const payload = {
+        success: false,
+        message: 'Validation failed',
+        errors: ['orderId is required and must be a string']
+      };
+      const error = createResponseError(400, payload, 'Failed');
+
+      expect(error).toBeInstanceOf(PSOValidationError);
+      expect(error.errors).toEqual(payload.errors);
+      expect(error.data).toBe(payload);
+    });
+
+    test('should prefer field-level validation errors', () => {
+      const fieldErrors = [{ field: 'customer_information.email', message: 'must be a valid email address' }];
+      const error = createResponseError(400, {
+        success: false,
+        message: 'Validation failed',
+        errors: ['customer_information.email must be a valid email address'],
+        fieldErrors
+      }, 'Failed');
+
+      expect(error.errors).toEqual(fieldErrors);
+      expect(error.field).toBe('customer_information.email');
+    });
+
+    test('should map rate limit responses with Retry-After', () => {
+      const error = createResponseError(
+        429,
+        { success: false, message: 'Too many payment requests', error: 'RATE_LIMIT_EXCEEDED' },
+        'Failed',
+        { headers: { get: () => '30' } }
+      );
+
+      expect(error).toBeInstanceOf(PSORateLimitError);
+      expect(error.retryAfter).toBe(30);
+    });
+
+    test('should keep gateway reason and status text', () => {
+      const error = createResponseError(
+        502,
+        { success: false, message: 'Upstream failed', reason: 'Bad Gateway', statusCode: 502, statusText: 'Bad Gateway' },
+        'Failed'
+      );
+
+      expect(error).toBeInstanceOf(PSOGatewayError);
+      expect(error.message).toBe('Upstream failed');
+      expect(error.reason).toBe('Bad Gateway');
+      expect(error.statusText).toBe('Bad Gateway');
+      expect(error.retryable).toBe(true);
+    });
+
+    test('should use payload error codes', () => {
+      const error = createResponseError(
+        401,
+        { success: false, message: 'Merchant ID is required', error: 'MISSING_MERCHANT_ID' },
+        'Failed'
+      );
+
+      expect(error.code).toBe('MISSING_MERCHANT_ID');
+      expect(error.retryable).toBe(false);
+    });
+
+    test('should fall back to the provided message', () => {
+      const error = createResponseError(500, null, 'Failed to verify payment');
+
+      expect(error.message).toBe('Failed to verify payment');
+      expect(error.data).toBeUndefined();
+    });
+  });
+});
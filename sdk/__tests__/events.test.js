@@ -0,0 +1,85 @@
+/**
+ * PSO Payment SDK - Event Emitter Tests
+ */
+
+import { EventEmitter } from '../src/events.js';
+
+describe('EventEmitter', () => {
+  let events;
+
+  beforeEach(() => {
+    events = new EventEmitter();
+  });
+
+  test('should call listeners with the payload', () => {
+    const listener = jest.fn();
+    events.on('order:created', listener);
+
+    events.emit('order:created', { orderId: 'ORD-1' });
+
+    expect(listener).toHaveBeenCalledWith({ orderId: 'ORD-1' });
+  });
+
+  test('should unsubscribe with off and the returned function', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    events.on('payment:success', first);
+    const unsubscribe = events.on('payment:success', second);
+
+    events.off('payment:success', first);
+    unsubscribe();
+    events.emit('payment:success', {});
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('should call once listeners a single time', () => {
+    const listener = jest.fn();
+    events.once('gateway:loaded', listener);
+
+    events.emit('gateway:loaded', 1);
+    events.emit('gateway:loaded', 2);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(1);
+  });
+
+  test('should remove once listeners by the original function', () => {
+    const listener = jest.fn();
+    events.once('gateway:loaded', listener);
+
+    events.off('gateway:loaded', listener);
+    events.emit('gateway:loaded', 1);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should pass event name to wildcard listeners', () => {
+    const listener = jest.fn();
+    events.on('*', listener);
+
+    events.emit('popup:opened', { mode: 'iframe' });
+
+    expect(listener).toHaveBeenCalledWith('popup:opened', { mode: 'iframe' });
+  });
+
+  test('should contain listener exceptions', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+    const after = jest.fn();
+    events.on('message:received', () => {
+      throw new Error('analytics broke');
+    });
+    events.on('message:received', after);
+
+    expect(() => events.emit('message:received', {})).not.toThrow();
+    expect(after).toHaveBeenCalled();
+    expect(consoleSpy).toHaveBeenCalled();
+
+    consoleSpy.mockRestore();
+  });
+
+  test('should reject non-function listeners', () => {
+    expect(() => events.on('order:created', null)).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * PSO Payment SDK - Localization Tests
+ */
+
+import { Translator, resolveLocale, toBengaliDigits } from '../src/i18n.js';
+import { Validator } from '../src/validation.js';
+import { appendQueryParams } from '../src/url.js';
+
+describe('Translator', () => {
+  test('should resolve locale tags to bundled catalogs', () => {
+    expect(resolveLocale('bn')).toBe('bn');
+    expect(resolveLocale('bn-BD')).toBe('bn');
+    expect(resolveLocale('en_GB')).toBe('en');
+    expect(resolveLocale('fr')).toBe('en');
+    expect(resolveLocale(undefined)).toBe('en');
+  });
+
+  test('should translate with the locale catalog', () => {
+    expect(new Translator().t('popup.title')).toBe('Secure Payment');
+    expect(new Translator({ locale: 'bn' }).t('popup.title')).toBe('নিরাপদ পেমেন্ট');
+  });
+
+  test('should prefer merchant overrides and fall back to the key', () => {
+    const i18n = new Translator({ locale: 'bn', messages: { 'popup.title': 'Acme Pay' } });
+
+    expect(i18n.t('popup.title')).toBe('Acme Pay');
+    expect(i18n.t('unknown.key')).toBe('unknown.key');
+  });
+
+  test('should fill placeholders using the active numerals', () => {
+    expect(new Translator().t('validation.cvvLength', { min: 3, max: 4 })).toBe('CVV must be 3-4 digits');
+    expect(new Translator({ locale: 'bn', numerals: 'beng' }).t('validation.cvvLength', { min: 3, max: 4 }))
+      .toBe('CVV ৩-৪ অঙ্কের হতে হবে');
+  });
+
+  test('should format numbers and amounts per locale', () => {
+    expect(new Translator().formatNumber(1234567)).toBe('1,234,567');
+    expect(new Translator({ locale: 'bn' }).formatNumber(1234567)).toBe('12,34,567');
+    expect(new Translator({ locale: 'bn', numerals: 'beng' }).formatNumber(1234567)).toBe('১২,৩৪,৫৬৭');
+    expect(new Translator().formatAmount(1000, 'USD')).toBe('$1,000.00');
+    expect(new Translator().formatAmount(5, 'NOPE')).toBe('NOPE 5');
+  });
+
+  test('should convert digits to Bengali', () => {
+    expect(toBengaliDigits('Order 2024-09')).toBe('Order ২০২৪-০৯');
+  });
+});
+
+describe('Validator localization', () => {
+  test('should keep English messages by default', () => {
+    expect(Validator.validateCardNumber('123').message).toBe('Card number must be 13-19 digits');
+    expect(Validator.validateCardholderName('Al').message).toBe('Name must be at least 3 characters');
+  });
+
+  test('should use the given translator', () => {
+    const i18n = new Translator({ locale: 'bn', numerals: 'beng' });
+
+    expect(Validator.validateCardNumber('123', i18n).message).toBe('কার্ড নম্বর ১৩-১৯ অঙ্কের হতে হবে');
+    expect(Validator.validateExpiry('1/2', i18n).message).toBe('ফরম্যাট MM/YY হতে হবে');
+  });
+});
+
+describe('appendQueryParams', () => {
+  test('should set non-empty parameters', () => {
+    expect(appendQueryParams('https://gateway.example.com/pay?id=1', { locale: 'bn', theme_mode: undefined, x: '' }))
+      .toBe('https://gateway.example.com/pay?id=1&locale=bn');
+  });
+
+  test('should return unparseable URLs unchanged', () => {
+    expect(appendQueryParams('/relative', { locale: 'bn' })).toBe('/relative');
+  });
+});
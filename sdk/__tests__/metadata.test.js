@@ -0,0 +1,76 @@
+/**
+ * PSO Payment SDK - Checkout Metadata Tests
+ */
+
+import { mapMetadata, validateMetadataFields, MDF_MAX_LENGTH } from '../src/metadata.js';
+import { PSOValidationError } from '../src/errors.js';
+
+describe('validateMetadataFields', () => {
+  test('should accept a mapping to distinct mdf fields', () => {
+    expect(() => validateMetadataFields({ cartId: 'mdf_1', 'utm.campaign': 'mdf_6' })).not.toThrow();
+    expect(() => validateMetadataFields(undefined)).not.toThrow();
+  });
+
+  test.each([
+    [['mdf_1'], 'metadataFields must map'],
+    [{ cartId: 'mdf_7' }, 'metadataFields.cartId must be one of'],
+    [{ cartId: 'custom' }, 'metadataFields.cartId must be one of'],
+    [{ '1st': 'mdf_1' }, 'must start with a letter'],
+    [{ cartId: 'mdf_1', basketId: 'mdf_1' }, 'both use mdf_1']
+  ])('should reject %j', (fields, message) => {
+    const error = (() => {
+      try {
+        validateMetadataFields(fields);
+      } catch (e) {
+        return e;
+      }
+      return null;
+    })();
+
+    expect(error).toBeInstanceOf(PSOValidationError);
+    expect(error.field).toBe('metadataFields');
+    expect(error.message).toContain(message);
+  });
+});
+
+describe('mapMetadata', () => {
+  const fields = { cartId: 'mdf_1', loyalty: 'mdf_2', gift: 'mdf_3' };
+
+  test('should map values to their mdf fields as strings', () => {
+    expect(mapMetadata({ cartId: 'CART-42', loyalty: 120, gift: false }, fields)).toEqual({
+      mdf_1: 'CART-42',
+      mdf_2: '120',
+      mdf_3: 'false'
+    });
+  });
+
+  test('should skip empty values and missing metadata', () => {
+    expect(mapMetadata({ cartId: null, loyalty: undefined }, fields)).toEqual({});
+    expect(mapMetadata(undefined, fields)).toEqual({});
+  });
+
+  test('should reject keys without an mdf field', () => {
+    expect(() => mapMetadata({ coupon: 'X' }, fields)).toThrow(
+      expect.objectContaining({ field: 'metadata.coupon', message: expect.stringContaining('declare it in metadataFields') })
+    );
+  });
+
+  test('should reject values that are not scalars', () => {
+    expect(() => mapMetadata({ cartId: { id: 1 } }, fields)).toThrow('must be a string, number or boolean');
+    expect(() => mapMetadata({ loyalty: NaN }, fields)).toThrow('must be a string, number or boolean');
+  });
+
+  test('should reject values longer than the gateway limit', () => {
+    expect(() => mapMetadata({ cartId: 'x'.repeat(MDF_MAX_LENGTH) }, fields)).not.toThrow();
+    expect(() => mapMetadata({ cartId: 'x'.repeat(MDF_MAX_LENGTH + 1) }, fields)).toThrow(`at most ${MDF_MAX_LENGTH}`);
+  });
+
+  test('should reject slots already set in customFields', () => {
+    expect(() => mapMetadata({ cartId: 'CART-42' }, fields, { mdf_1: 'raw' })).toThrow('already set in customFields');
+    expect(mapMetadata({ cartId: 'CART-42' }, fields, { mdf_1: '' })).toEqual({ mdf_1: 'CART-42' });
+  });
+
+  test('should reject metadata that is not an object', () => {
+    expect(() => mapMetadata('cart', fields)).toThrow(PSOValidationError);
+  });
+});
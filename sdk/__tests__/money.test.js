@@ -0,0 +1,131 @@
+/**
+ * PSO Payment SDK - Money Tests
+ */
+
+import {
+  CURRENCIES,
+  getCurrency,
+  toMinorUnits,
+  toDecimalString,
+  fromMinorUnits,
+  formatMoney,
+  parseAmount,
+  amountsEqual
+} from '../src/money.js';
+import { PSOValidationError } from '../src/errors.js';
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('getCurrency', () => {
+  test('should look up ISO 4217 codes case-insensitively', () => {
+    expect(getCurrency('bdt')).toEqual({ code: 'BDT', exponent: 2, symbol: '৳' });
+    expect(getCurrency('JPY').exponent).toBe(0);
+    expect(getCurrency('KWD').exponent).toBe(3);
+  });
+
+  test('should return null for unknown codes', () => {
+    expect(getCurrency('XYZ')).toBeNull();
+    expect(getCurrency('toString')).toBeNull();
+    expect(getCurrency(undefined)).toBeNull();
+  });
+
+  test('should give every currency an integer exponent and a symbol', () => {
+    Object.keys(CURRENCIES).forEach(code => {
+      expect(code).toMatch(/^[A-Z]{3}$/);
+      expect([0, 2, 3]).toContain(CURRENCIES[code].exponent);
+      expect(CURRENCIES[code].symbol).toBeTruthy();
+    });
+  });
+});
+
+describe('toMinorUnits', () => {
+  test('should convert without floating-point error', () => {
+    expect(toMinorUnits(29.99, 'USD')).toBe(2999);
+    expect(toMinorUnits(1.005, 'KWD')).toBe(1005);
+    expect(toMinorUnits(0.29, 'BDT')).toBe(29);
+    expect(toMinorUnits('1234.5', 'BDT')).toBe(123450);
+    expect(toMinorUnits(500, 'JPY')).toBe(500);
+  });
+
+  test('should accept trailing zeros beyond the exponent', () => {
+    expect(toMinorUnits('29.9900', 'USD')).toBe(2999);
+    expect(toMinorUnits('500.0', 'JPY')).toBe(500);
+  });
+
+  test.each([
+    [29.999, 'USD', 'at most 2 decimal places'],
+    [10.5, 'JPY', 'at most 0 decimal places'],
+    [0.1 + 0.2, 'BDT', 'at most 2 decimal places'],
+    [-5, 'BDT', 'non-negative decimal'],
+    [NaN, 'BDT', 'non-negative decimal'],
+    [Infinity, 'BDT', 'non-negative decimal'],
+    ['1e3', 'BDT', 'non-negative decimal'],
+    [1e21, 'BDT', 'non-negative decimal'],
+    ['99999999999999999', 'BDT', 'too large']
+  ])('should reject %p %s', (amount, currency, message) => {
+    const error = catchError(() => toMinorUnits(amount, currency));
+
+    expect(error).toBeInstanceOf(PSOValidationError);
+    expect(error.field).toBe('amount');
+    expect(error.message).toContain(message);
+  });
+
+  test('should reject unknown currencies', () => {
+    const error = catchError(() => toMinorUnits(10, 'XYZ'));
+
+    expect(error.field).toBe('currency');
+    expect(error.message).toContain('unsupported currency "XYZ"');
+  });
+});
+
+describe('toDecimalString / fromMinorUnits', () => {
+  test('should render exact decimals per exponent', () => {
+    expect(toDecimalString(2999, 'USD')).toBe('29.99');
+    expect(toDecimalString(5, 'USD')).toBe('0.05');
+    expect(toDecimalString(1005, 'KWD')).toBe('1.005');
+    expect(toDecimalString(500, 'JPY')).toBe('500');
+    expect(toDecimalString(-150, 'BDT')).toBe('-1.50');
+  });
+
+  test('should round-trip through major units', () => {
+    expect(fromMinorUnits(2999, 'USD')).toBe(29.99);
+    expect(toMinorUnits(fromMinorUnits(123456789, 'BDT'), 'BDT')).toBe(123456789);
+  });
+});
+
+describe('formatMoney', () => {
+  test('should format with symbol and grouping', () => {
+    expect(formatMoney(123450, 'BDT')).toBe('৳1,234.50');
+    expect(formatMoney(100000000, 'USD')).toBe('$1,000,000.00');
+    expect(formatMoney(1234, 'JPY')).toBe('¥1,234');
+    expect(formatMoney(1005, 'KWD')).toBe('KD 1.005');
+    expect(formatMoney(-2999, 'EUR')).toBe('-€29.99');
+  });
+});
+
+describe('parseAmount', () => {
+  test('should normalize a valid amount', () => {
+    expect(parseAmount(29.9, 'usd')).toEqual({ amount: 29.9, minor: 2990, currency: 'USD' });
+    expect(parseAmount('100.00', 'BDT')).toEqual({ amount: 100, minor: 10000, currency: 'BDT' });
+  });
+
+  test('should reject zero', () => {
+    expect(() => parseAmount(0, 'BDT')).toThrow('PSOPayment: amount must be a positive number');
+  });
+});
+
+describe('amountsEqual', () => {
+  test('should compare amounts in minor units', () => {
+    expect(amountsEqual('100.00', 100, 'BDT')).toBe(true);
+    expect(amountsEqual(0.3, '0.30', 'BDT')).toBe(true);
+    expect(amountsEqual(100, 100.01, 'BDT')).toBe(false);
+    expect(amountsEqual('abc', 100, 'BDT')).toBe(false);
+  });
+});
@@ -3,12 +3,18 @@
  */
 
 import PSOPayment from '../src/payment-sdk.js';
+import { PaymentPopup } from '../src/popup.js';
+import { PSOValidationError, PSOGatewayError, PSORateLimitError, PSOPaymentError } from '../src/errors.js';
 
 // Mock the popup module
 jest.mock('../src/popup.js', () => ({
   PaymentPopup: jest.fn().mockImplementation(() => ({
     show: jest.fn(),
-    close: jest.fn()
+    close: jest.fn(),
+    mount: jest.fn(),
+    unmount: jest.fn(),
+    showEmbedError: jest.fn(),
+    focus: jest.fn()
   }))
 }));
 
@@ -16,7 +22,23 @@ jest.mock('../src/popup.js', () => ({
 delete window.location;
 window.location = { protocol: 'https:' };
 
+// Queue fetch responses: plain objects are sent as JSON bodies, objects with
+// ok: false are used as the response itself
+function mockFetchSequence(...responses) {
+  responses.forEach(response => {
+    global.fetch.mockResolvedValueOnce(response.ok === false ? response : {
+      ok: true,
+      text: async () => JSON.stringify(response)
+    });
+  });
+}
+
 describe('PSOPayment SDK', () => {
+  beforeEach(() => {
+    // Cross-tab claims are shared through localStorage
+    window.localStorage.clear();
+  });
+
   describe('Initialization', () => {
     test('should initialize with valid config', () => {
       const config = {
@@ -30,6 +52,16 @@ describe('PSOPayment SDK', () => {
       expect(pso.config.environment).toBe('test');
     });
 
+    test('should throw a validation error for invalid config', () => {
+      expect(() => {
+        new PSOPayment({});
+      }).toThrow(PSOValidationError);
+    });
+
+    test('should expose error classes on the constructor', () => {
+      expect(PSOPayment.PSOGatewayError).toBe(PSOGatewayError);
+    });
+
     test('should throw error when merchantId is missing', () => {
       expect(() => {
         new PSOPayment({});
@@ -121,6 +153,53 @@ describe('PSOPayment SDK', () => {
         pso.showPaymentForm({ amount: 100, currency: 123 })
       ).rejects.toThrow('PSOPayment: currency must be a string');
     });
+
+    test('should reject unsupported currencies', async () => {
+      await expect(
+        pso.showPaymentForm({ amount: 100, currency: 'XYZ' })
+      ).rejects.toMatchObject({ field: 'currency' });
+    });
+
+    test('should report invalid customer, product and shipment fields together', async () => {
+      global.fetch = jest.fn();
+
+      const error = await pso.showPaymentForm({
+        amount: 100,
+        customerInfo: { name: 'Rahim', email: 'rahim@', phone: '12345' },
+        productInfo: { name: 'Plan', quantity: 0 },
+        shipmentInfo: { address: 'House 1', district: 'Atlantis', postcode: '1207' }
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(PSOValidationError);
+      expect(error.field).toBe('customerInfo.email');
+      expect(error.errors.map(e => e.field)).toEqual([
+        'customerInfo.email',
+        'customerInfo.phone',
+        'productInfo.quantity',
+        'shipmentInfo.district'
+      ]);
+      expect(error.message).toContain('customerInfo.email: Enter a valid email address');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should reject more decimal places than the currency has', async () => {
+      await expect(
+        pso.showPaymentForm({ amount: 10.005, currency: 'BDT' })
+      ).rejects.toThrow('PSOPayment: BDT amounts allow at most 2 decimal places');
+      await expect(
+        pso.showPaymentForm({ amount: 10.5, currency: 'JPY' })
+      ).rejects.toThrow('PSOPayment: JPY amounts allow at most 0 decimal places');
+    });
+
+    test('should reject with a typed validation error', async () => {
+      await expect(
+        pso.showPaymentForm({ amount: -1 })
+      ).rejects.toMatchObject({
+        name: 'PSOValidationError',
+        code: 'VALIDATION_ERROR',
+        field: 'amount'
+      });
+    });
   });
 
   describe('generateOrderId', () => {
@@ -175,7 +254,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => mockResponse
+        text: async () => JSON.stringify(mockResponse)
       });
 
       const result = await pso.createPaymentOrder({
@@ -199,10 +278,198 @@ describe('PSOPayment SDK', () => {
       );
     });
 
+    test('should send the amount in major units with a normalized currency', async () => {
+      global.fetch.mockResolvedValue({ ok: true, text: async () => JSON.stringify({ success: true }) });
+
+      await pso.createPaymentOrder({ orderId: 'ORD-123', amount: '1234.50', currency: 'usd' });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.order_information).toEqual({ payable_amount: 1234.5, currency_code: 'USD' });
+    });
+
+    test('should send normalized customer and shipment details', async () => {
+      global.fetch.mockResolvedValue({ ok: true, text: async () => JSON.stringify({ success: true }) });
+
+      await pso.createPaymentOrder({
+        orderId: 'ORD-123',
+        amount: 100,
+        customerInfo: { name: 'Rahim Uddin', phone: '01712-345678' },
+        shipmentInfo: { address: 'House 1, Road 2', district: 'Chittagong', postcode: '4000' }
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.customer_information).toEqual({ name: 'Rahim Uddin', phone: '+8801712345678' });
+      expect(body.shipment_information).toEqual({ address: 'House 1, Road 2', district: 'Chattogram', postcode: '4000' });
+    });
+
+    test('should not create an order for an amount it would have to round', async () => {
+      await expect(
+        pso.createPaymentOrder({ orderId: 'ORD-123', amount: 10.001, currency: 'BDT' })
+      ).rejects.toMatchObject({ field: 'amount' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid metadataFields declaration', () => {
+      expect(() => new PSOPayment({ merchantId: 'TEST_MERCHANT_123', metadataFields: { cartId: 'mdf_9' } }))
+        .toThrow(expect.objectContaining({ field: 'metadataFields' }));
+    });
+
+    test('should send metadata in its declared mdf fields', async () => {
+      pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        environment: 'test',
+        metadataFields: { cartId: 'mdf_1', campaign: 'mdf_4' }
+      });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true })
+      });
+
+      await pso.createPaymentOrder({
+        orderId: 'ORD-123',
+        amount: 1000,
+        currency: 'BDT',
+        customFields: { mdf_2: 'raw' },
+        metadata: { cartId: 'CART-42', campaign: null }
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toEqual(expect.objectContaining({
+        mdf_1: 'CART-42',
+        mdf_2: 'raw',
+        metadata_fields: { cartId: 'mdf_1' }
+      }));
+      expect(body.mdf_4).toBeUndefined();
+    });
+
+    test('should reject unmapped metadata before creating the order', async () => {
+      await expect(pso.showPaymentForm({ amount: 1000, metadata: { cartId: 'CART-42' } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', field: 'metadata.cartId' });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should accept a per-call metadataFields declaration', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true })
+      });
+
+      await pso.createPaymentOrder({
+        orderId: 'ORD-123',
+        amount: 1000,
+        metadata: { cartId: 'CART-42' },
+        metadataFields: { cartId: 'mdf_6' }
+      });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).mdf_6).toBe('CART-42');
+    });
+
+    test('should send an idempotency key that is stable per order', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true })
+      });
+
+      await pso.createPaymentOrder({ orderId: 'ORD-123', amount: 1000, currency: 'BDT' });
+      await pso.createPaymentOrder({ orderId: 'ORD-123', amount: 1000, currency: 'BDT' });
+      await pso.createPaymentOrder({ orderId: 'ORD-456', amount: 1000, currency: 'BDT' });
+
+      const keys = global.fetch.mock.calls.map(call => call[1].headers['Idempotency-Key']);
+      expect(keys[0]).toMatch(/^[A-Za-z0-9_-]{8,128}$/);
+      expect(keys[1]).toBe(keys[0]);
+      expect(keys[2]).not.toBe(keys[0]);
+    });
+
+    test('should use a caller-provided idempotency key', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true })
+      });
+
+      await pso.createPaymentOrder({ orderId: 'ORD-123', amount: 1000, idempotencyKey: 'cart-42-attempt-1' });
+
+      expect(global.fetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('cart-42-attempt-1');
+    });
+
+    test('should retry transient failures with the same idempotency key', async () => {
+      jest.spyOn(pso.transport, 'sleep').mockResolvedValue();
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 503, text: async () => '' })
+        .mockResolvedValueOnce({ ok: true, text: async () => JSON.stringify({ success: true, transactionId: 'PO-1' }) });
+
+      const result = await pso.createPaymentOrder({ orderId: 'ORD-123', amount: 1000, currency: 'BDT' });
+
+      expect(result.transactionId).toBe('PO-1');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const [first, second] = global.fetch.mock.calls.map(call => call[1].headers['Idempotency-Key']);
+      expect(second).toBe(first);
+    });
+
+    test('should give a double submit the pending call instead of a second order', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-1',
+          gatewayPageUrl: 'https://gateway.example.com/pay/1'
+        })
+      });
+      const secondError = jest.fn();
+
+      const first = pso.showPaymentForm({ amount: 1000 });
+      const second = pso.showPaymentForm({ amount: 1000, onError: secondError });
+
+      expect(second).toBe(first);
+      await expect(Promise.all([first, second])).resolves.toBeDefined();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(pso.popup.show).toHaveBeenCalledTimes(1);
+      expect(secondError).not.toHaveBeenCalled();
+    });
+
+    test('should share the pending call for a repeated orderId only', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: false, message: 'Gateway down' })
+      });
+
+      const first = pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      const repeated = pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      const other = pso.showPaymentForm({ orderId: 'ORD-456', amount: 1000 });
+
+      expect(repeated).toBe(first);
+      expect(other).not.toBe(first);
+      await expect(first).rejects.toMatchObject({ code: 'ORDER_CREATION_FAILED' });
+      await expect(other).rejects.toMatchObject({ code: 'ORDER_CREATION_FAILED' });
+
+      // Settled calls are not shared any more
+      const retry = pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      expect(retry).not.toBe(first);
+      await expect(retry).rejects.toBeDefined();
+    });
+
+    test('should start a new idempotency key once the checkout finishes', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-1',
+          gatewayPageUrl: 'https://gateway.example.com/pay/1'
+        })
+      });
+
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      pso.popup.show.mock.calls[0][0].onCancel({ success: false });
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      const [first, second] = global.fetch.mock.calls.map(call => call[1].headers['Idempotency-Key']);
+      expect(second).not.toBe(first);
+    });
+
     test('should handle API errors', async () => {
       global.fetch.mockResolvedValue({
         ok: false,
-        json: async () => ({ message: 'Payment order creation failed' })
+        text: async () => JSON.stringify({ message: 'Payment order creation failed' })
       });
 
       await expect(
@@ -216,6 +483,54 @@ describe('PSOPayment SDK', () => {
       ).rejects.toThrow('Payment order creation failed');
     });
 
+    test('should reject with a rate limit error', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 429,
+        text: async () => JSON.stringify({
+          success: false,
+          message: 'Too many payment requests, please try again later',
+          error: 'RATE_LIMIT_EXCEEDED'
+        })
+      });
+
+      const error = await pso.createPaymentOrder({
+        orderId: 'ORD-123',
+        amount: 1000,
+        currency: 'BDT'
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(PSORateLimitError);
+      expect(error.code).toBe('RATE_LIMIT_EXCEEDED');
+      expect(error.retryable).toBe(true);
+    });
+
+    test('should reject with gateway reason and status', async () => {
+      const payload = {
+        success: false,
+        message: 'Merchant not active',
+        reason: 'Forbidden',
+        statusCode: 403,
+        statusText: 'Forbidden'
+      };
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 403,
+        text: async () => JSON.stringify(payload)
+      });
+
+      const error = await pso.createPaymentOrder({
+        orderId: 'ORD-123',
+        amount: 1000,
+        currency: 'BDT'
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(PSOGatewayError);
+      expect(error.status).toBe(403);
+      expect(error.reason).toBe('Forbidden');
+      expect(error.data).toEqual(payload);
+    });
+
     test('should use correct gateway URL for production', async () => {
       const psoProd = new PSOPayment({
         merchantId: 'TEST_MERCHANT_123',
@@ -224,7 +539,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => ({ success: true })
+        text: async () => JSON.stringify({ success: true })
       });
 
       await psoProd.createPaymentOrder({
@@ -244,7 +559,7 @@ describe('PSOPayment SDK', () => {
     test('should use correct gateway URL for test', async () => {
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => ({ success: true })
+        text: async () => JSON.stringify({ success: true })
       });
 
       await pso.createPaymentOrder({
@@ -270,7 +585,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => ({ success: true })
+        text: async () => JSON.stringify({ success: true })
       });
 
       await psoCustom.createPaymentOrder({
@@ -290,7 +605,7 @@ describe('PSOPayment SDK', () => {
     test('should include optional fields in request', async () => {
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => ({ success: true })
+        text: async () => JSON.stringify({ success: true })
       });
 
       await pso.createPaymentOrder({
@@ -337,7 +652,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => mockResponse
+        text: async () => JSON.stringify(mockResponse)
       });
 
       const result = await pso.verifyPayment('TXN-123');
@@ -378,7 +693,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => mockResponse
+        text: async () => JSON.stringify(mockResponse)
       });
 
       const result = await pso.createPaymentToken({
@@ -422,7 +737,7 @@ describe('PSOPayment SDK', () => {
 
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => mockResponse
+        text: async () => JSON.stringify(mockResponse)
       });
 
       const result = await pso.verifyPaymentStatus('ORD-123');
@@ -440,6 +755,1114 @@ describe('PSOPayment SDK', () => {
     });
   });
 
+  describe('checkout', () => {
+    let pso;
+
+    const orderResponse = {
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      gatewayPageUrl: 'https://gateway.example.com/pay/123'
+    };
+
+    // Wait until showPaymentForm has created the order and opened the popup
+    async function openedPopupOptions() {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return pso.popup.show.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+      pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        environment: 'test'
+      });
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify(orderResponse)
+      });
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should resolve with the success result', async () => {
+      const onSuccess = jest.fn();
+      const result = pso.checkout({ amount: 100, onSuccess });
+
+      const popupOptions = await openedPopupOptions();
+      popupOptions.onSuccess({ success: true, transactionId: 'PO-123' });
+
+      await expect(result).resolves.toEqual({
+        success: true,
+        transactionId: 'PO-123',
+        status: 'success'
+      });
+      expect(onSuccess).toHaveBeenCalledWith({ success: true, transactionId: 'PO-123' });
+    });
+
+    test('should resolve with a cancelled result', async () => {
+      const onCancel = jest.fn();
+      const result = pso.checkout({ amount: 100, onCancel });
+
+      const popupOptions = await openedPopupOptions();
+      popupOptions.onCancel({ success: false, message: 'Payment cancelled by user' });
+
+      await expect(result).resolves.toMatchObject({ status: 'cancelled' });
+      expect(onCancel).toHaveBeenCalled();
+    });
+
+    test('should reject with a typed payment error', async () => {
+      const onError = jest.fn();
+      const result = pso.checkout({ amount: 100, onError });
+
+      const popupOptions = await openedPopupOptions();
+      popupOptions.onError({ success: false, message: 'Card declined', transactionId: 'PO-123' });
+
+      const error = await result.catch(e => e);
+      expect(error).toBeInstanceOf(PSOPaymentError);
+      expect(error.code).toBe('PAYMENT_FAILED');
+      expect(error.message).toBe('Card declined');
+      expect(error.transactionId).toBe('PO-123');
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject when order creation fails', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: false, message: 'Order rejected' })
+      });
+
+      await expect(
+        pso.checkout({ amount: 100 })
+      ).rejects.toMatchObject({ code: 'ORDER_CREATION_FAILED', message: 'Order rejected' });
+    });
+
+    test('should reject invalid options', async () => {
+      await expect(pso.checkout({})).rejects.toThrow(PSOValidationError);
+    });
+
+    test('should reject a second concurrent checkout', async () => {
+      pso.checkout({ amount: 100 });
+
+      await expect(
+        pso.checkout({ amount: 100 })
+      ).rejects.toMatchObject({ code: 'CHECKOUT_IN_PROGRESS' });
+    });
+
+    test('should settle as cancelled when the form is closed programmatically', async () => {
+      const result = pso.checkout({ amount: 100 });
+      await openedPopupOptions();
+
+      pso.closePaymentForm();
+
+      await expect(result).resolves.toMatchObject({ status: 'cancelled' });
+    });
+  });
+
+  describe('verifyOnComplete', () => {
+    let pso;
+
+    const orderResponse = {
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      gatewayPageUrl: 'https://gateway.example.com/pay/123'
+    };
+
+    async function completePayment(options) {
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, ...options });
+      const popupOptions = pso.popup.show.mock.calls[0][0];
+      await popupOptions.onSuccess({ success: true, transactionId: 'PO-123' });
+    }
+
+    beforeEach(() => {
+      pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        environment: 'test',
+        verifyOnComplete: true
+      });
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should call onSuccess with verified transaction info', async () => {
+      const transactionInfo = { status: 'APPROVED', status_code: '1002', order_id: 'ORD-123', amount: 1000 };
+      mockFetchSequence(orderResponse, { success: true, transactionInfo });
+      const onSuccess = jest.fn();
+      const onError = jest.fn();
+
+      await completePayment({ onSuccess, onError });
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/processing/verify'),
+        expect.objectContaining({ body: JSON.stringify({ paymentOrderId: 'PO-123' }) })
+      );
+      expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        verified: true,
+        transactionId: 'PO-123',
+        transactionInfo
+      }));
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    test('should accept approved status codes', async () => {
+      mockFetchSequence(orderResponse, { success: true, transactionInfo: { status_code: '1002' } });
+      const onSuccess = jest.fn();
+
+      await completePayment({ onSuccess });
+
+      expect(onSuccess).toHaveBeenCalled();
+    });
+
+    test('should report a mismatch when the gateway declined', async () => {
+      mockFetchSequence(orderResponse, { success: true, transactionInfo: { status: 'DECLINED', order_id: 'ORD-123' } });
+      const onSuccess = jest.fn();
+      const onError = jest.fn();
+
+      await completePayment({ onSuccess, onError });
+
+      expect(onSuccess).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.any(PSOPaymentError));
+      expect(onError.mock.calls[0][0].code).toBe('VERIFICATION_MISMATCH');
+    });
+
+    test('should emit payment:success with the verified result', async () => {
+      const transactionInfo = { status: 'APPROVED', order_id: 'ORD-123', amount: 1000 };
+      mockFetchSequence(orderResponse, { success: true, transactionInfo });
+      const succeeded = jest.fn();
+      const failed = jest.fn();
+      pso.on('payment:success', succeeded);
+      pso.on('payment:failed', failed);
+
+      await completePayment({});
+
+      expect(pso.popup.show.mock.calls[0][0].verifyOnComplete).toBe(true);
+      expect(succeeded).toHaveBeenCalledTimes(1);
+      expect(succeeded).toHaveBeenCalledWith(expect.objectContaining({ verified: true, transactionInfo }));
+      expect(failed).not.toHaveBeenCalled();
+    });
+
+    test('should emit payment:failed on a mismatch', async () => {
+      mockFetchSequence(orderResponse, { success: true, transactionInfo: { status: 'DECLINED', order_id: 'ORD-123' } });
+      const succeeded = jest.fn();
+      const failed = jest.fn();
+      pso.on('payment:success', succeeded);
+      pso.on('payment:failed', failed);
+
+      await completePayment({});
+
+      expect(succeeded).not.toHaveBeenCalled();
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ code: 'VERIFICATION_MISMATCH' }));
+    });
+
+    test('should match amounts the gateway reports as decimal strings', async () => {
+      mockFetchSequence(orderResponse, {
+        success: true,
+        transactionInfo: { status: 'APPROVED', order_id: 'ORD-123', amount: '1000.00' }
+      });
+      const onSuccess = jest.fn();
+
+      await completePayment({ onSuccess });
+
+      expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ verified: true }));
+    });
+
+    test('should report a mismatch for another order or amount', async () => {
+      mockFetchSequence(orderResponse, {
+        success: true,
+        transactionInfo: { status: 'APPROVED', order_id: 'ORD-999', amount: 5 }
+      });
+      const onError = jest.fn();
+
+      await completePayment({ onError });
+
+      const error = onError.mock.calls[0][0];
+      expect(error.message).toContain('order_id ORD-999 does not match ORD-123');
+      expect(error.message).toContain('amount 5 does not match 1000');
+    });
+
+    test('should report verification request failures', async () => {
+      mockFetchSequence(orderResponse);
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      const onError = jest.fn();
+
+      await completePayment({ onError });
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'GATEWAY_ERROR', status: 404 }));
+    });
+
+    test('should skip verification when disabled per call', async () => {
+      mockFetchSequence(orderResponse);
+      const onSuccess = jest.fn();
+
+      await completePayment({ onSuccess, verifyOnComplete: false });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(onSuccess).toHaveBeenCalledWith({ success: true, transactionId: 'PO-123' });
+    });
+  });
+
+  describe('Lifecycle events', () => {
+    let pso;
+
+    beforeEach(() => {
+      pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        environment: 'test'
+      });
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should pass the event emitter to the popup', () => {
+      expect(PaymentPopup).toHaveBeenLastCalledWith(pso.config, pso.events, pso.i18n);
+    });
+
+    test('should emit order:created after a successful order', async () => {
+      const listener = jest.fn();
+      pso.on('order:created', listener);
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-123',
+          sessionId: 'SESSION-123',
+          gatewayPageUrl: 'https://gateway.example.com/pay/123'
+        })
+      });
+
+      await pso.createPaymentOrder({ orderId: 'ORD-123', amount: 100, currency: 'BDT' });
+
+      expect(listener).toHaveBeenCalledWith({
+        orderId: 'ORD-123',
+        transactionId: 'PO-123',
+        sessionId: 'SESSION-123',
+        gatewayPageUrl: 'https://gateway.example.com/pay/123'
+      });
+    });
+
+    test('should emit order:failed when the order request fails', async () => {
+      const listener = jest.fn();
+      pso.on('order:failed', listener);
+      global.fetch.mockResolvedValue({ ok: false, status: 400 });
+
+      await expect(
+        pso.createPaymentOrder({ orderId: 'ORD-123', amount: 100, currency: 'BDT' })
+      ).rejects.toThrow();
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ orderId: 'ORD-123', error: expect.any(Error) })
+      );
+    });
+
+    test('should emit verification:completed with the result', async () => {
+      const listener = jest.fn();
+      pso.once('verification:completed', listener);
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true, transactionInfo: { status: 'APPROVED' } })
+      });
+
+      await pso.verifyPaymentStatus('PO-123');
+
+      expect(listener).toHaveBeenCalledWith({
+        paymentOrderId: 'PO-123',
+        result: { success: true, transactionInfo: { status: 'APPROVED' } }
+      });
+    });
+
+    test('should stop notifying after off', async () => {
+      const listener = jest.fn();
+      pso.on('verification:failed', listener);
+      pso.off('verification:failed', listener);
+      global.fetch.mockResolvedValue({ ok: false, status: 400 });
+
+      await expect(pso.verifyPaymentStatus('PO-123')).rejects.toThrow();
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Redirect mode', () => {
+    const orderResponse = {
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      gatewayPageUrl: 'https://gateway.example.com/pay/123'
+    };
+
+    function createPSO(config = {}) {
+      return new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test', ...config });
+    }
+
+    async function startRedirect(pso, options = {}) {
+      mockFetchSequence(orderResponse);
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, mode: 'redirect', ...options });
+    }
+
+    beforeEach(() => {
+      window.location.href = 'https://shop.example.com/checkout?cart=1';
+      window.location.assign = jest.fn();
+      window.sessionStorage.clear();
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      delete window.location.href;
+      delete window.location.assign;
+      jest.clearAllMocks();
+    });
+
+    test('should navigate to the gateway instead of opening the popup', async () => {
+      const pso = createPSO();
+      const listener = jest.fn();
+      pso.on('redirect:started', listener);
+
+      await startRedirect(pso);
+
+      expect(window.location.assign).toHaveBeenCalledWith(`${orderResponse.gatewayPageUrl}?locale=en`);
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'ORD-123', transactionId: 'PO-123' }));
+    });
+
+    test('should send tagged return URLs defaulting to the current page', async () => {
+      const pso = createPSO();
+
+      await startRedirect(pso, { cancelUrl: 'https://shop.example.com/cart' });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.success_url).toBe('https://shop.example.com/checkout?cart=1&pso_return=success');
+      expect(body.cancel_url).toBe('https://shop.example.com/cart?pso_return=cancel');
+      expect(body.failure_url).toBe('https://shop.example.com/checkout?cart=1&pso_return=failure');
+    });
+
+    test('should reject an unknown mode', async () => {
+      const pso = createPSO();
+
+      await expect(pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, mode: 'modal' }))
+        .rejects.toThrow(PSOValidationError);
+    });
+
+    test('should pass popup mode through to the popup', async () => {
+      const pso = createPSO();
+      mockFetchSequence(orderResponse);
+
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, mode: 'popup' });
+
+      expect(pso.popup.show).toHaveBeenCalledWith(expect.objectContaining({ usePopupWindow: true }));
+    });
+
+    test('should settle a resumed redirect checkout once it navigates away', async () => {
+      await startRedirect(createPSO());
+      const pso = createPSO();
+      window.location.assign.mockClear();
+      mockFetchSequence({ success: true, transactionInfo: { status: 'PENDING' } });
+
+      const result = await pso.resumePendingPayment();
+
+      expect(result).toEqual({ status: 'redirected', redirected: true, orderId: 'ORD-123', transactionId: 'PO-123' });
+      expect(window.location.assign).toHaveBeenCalledWith(`${orderResponse.gatewayPageUrl}?locale=en`);
+      expect(pso.popup.show).not.toHaveBeenCalled();
+    });
+
+    test('should resolve null when there is no pending redirect checkout', async () => {
+      window.location.href = 'https://shop.example.com/checkout?pso_return=success';
+
+      await expect(PSOPayment.handleReturn()).resolves.toBeNull();
+    });
+
+    test('should complete a successful return and forget the checkout', async () => {
+      await startRedirect(createPSO());
+      window.location.href = 'https://shop.example.com/checkout?cart=1&pso_return=success&payment_order_id=PO-123';
+      const onSuccess = jest.fn();
+
+      const result = await PSOPayment.handleReturn({ onSuccess });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'success', orderId: 'ORD-123', transactionId: 'PO-123' }));
+      expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ success: true, orderId: 'ORD-123' }));
+      await expect(PSOPayment.handleReturn()).resolves.toBeNull();
+    });
+
+    test('should destroy the instance the static handleReturn creates', async () => {
+      await startRedirect(createPSO());
+      window.location.href = 'https://shop.example.com/checkout?cart=1&pso_return=success&payment_order_id=PO-123';
+      const destroy = jest.spyOn(PSOPayment.prototype, 'destroy');
+
+      await PSOPayment.handleReturn();
+
+      expect(destroy).toHaveBeenCalledTimes(1);
+      destroy.mockRestore();
+    });
+
+    test('should verify the payment on return when verifyOnComplete is set', async () => {
+      await startRedirect(createPSO({ verifyOnComplete: true }));
+      window.location.href = 'https://shop.example.com/checkout?pso_return=success';
+      mockFetchSequence({
+        success: true,
+        transactionInfo: { status: 'APPROVED', order_id: 'ORD-123', amount: 1000 }
+      });
+
+      const result = await PSOPayment.handleReturn();
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/processing/verify'),
+        expect.objectContaining({ body: JSON.stringify({ paymentOrderId: 'PO-123' }) })
+      );
+      expect(result).toEqual(expect.objectContaining({ status: 'success', verified: true }));
+    });
+
+    test('should reject when verification on return does not match', async () => {
+      await startRedirect(createPSO({ verifyOnComplete: true }));
+      window.location.href = 'https://shop.example.com/checkout?pso_return=success';
+      mockFetchSequence({ success: true, transactionInfo: { status: 'DECLINED' } });
+      const onError = jest.fn();
+
+      await expect(PSOPayment.handleReturn({ onError })).rejects.toMatchObject({ code: 'VERIFICATION_MISMATCH' });
+      expect(onError).toHaveBeenCalled();
+    });
+
+    test('should reject a failure return with a payment error', async () => {
+      const pso = createPSO();
+      await startRedirect(pso);
+      window.location.href = 'https://shop.example.com/checkout?pso_return=failure&message=Card%20declined';
+
+      await expect(pso.handleReturn()).rejects.toThrow(PSOPaymentError);
+      await expect(pso.handleReturn()).resolves.toBeNull();
+    });
+
+    test('should resolve a cancel return as cancelled', async () => {
+      const pso = createPSO();
+      await startRedirect(pso);
+      window.location.href = 'https://shop.example.com/checkout?pso_return=cancel&order_id=ORD-123';
+      const onCancel = jest.fn();
+
+      const result = await pso.handleReturn({ onCancel });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'cancelled', success: false }));
+      expect(onCancel).toHaveBeenCalled();
+    });
+  });
+
+  describe('mount', () => {
+    let pso;
+    let slot;
+
+    beforeEach(() => {
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test' });
+      slot = document.createElement('div');
+      slot.id = 'payment-slot';
+      document.body.appendChild(slot);
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      slot.remove();
+      jest.clearAllMocks();
+    });
+
+    test('should render into the container found by selector', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-123',
+          sessionId: 'SESSION-123',
+          gatewayPageUrl: 'https://gateway.example.com/pay/123'
+        })
+      });
+
+      await pso.mount('#payment-slot', { amount: 1000, height: 480 });
+
+      expect(pso.popup.mount).toHaveBeenCalledWith(slot);
+      expect(pso.popup.show).toHaveBeenCalledWith(expect.objectContaining({
+        container: slot,
+        height: 480,
+        gatewayUrl: 'https://gateway.example.com/pay/123?locale=en'
+      }));
+    });
+
+    test('should reject a missing container', async () => {
+      await expect(pso.mount('#does-not-exist', { amount: 1000 })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        field: 'container'
+      });
+      expect(pso.popup.mount).not.toHaveBeenCalled();
+    });
+
+    test('should show the error state when the order cannot be created', async () => {
+      // Every retry fails as well
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: async () => JSON.stringify({ success: false, message: 'Gateway down' })
+      });
+
+      await expect(pso.mount(slot, { amount: 1000 })).rejects.toThrow(PSOGatewayError);
+      expect(pso.popup.showEmbedError).toHaveBeenCalledWith('Gateway down');
+    });
+
+    test('should tear down on unmount', () => {
+      pso.unmount();
+
+      expect(pso.popup.unmount).toHaveBeenCalled();
+    });
+  });
+
+  describe('resumePendingPayment', () => {
+    let pso;
+
+    const orderResponse = {
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      gatewayPageUrl: 'https://gateway.example.com/pay/123'
+    };
+
+    // Start an overlay checkout, then "reload" with a fresh SDK instance
+    async function startAndReload(options = {}) {
+      mockFetchSequence(orderResponse);
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, ...options });
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test' });
+    }
+
+    beforeEach(() => {
+      window.sessionStorage.clear();
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test' });
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should keep an open checkout across a reload', async () => {
+      await startAndReload();
+
+      expect(pso.getPendingPayment()).toEqual(expect.objectContaining({
+        mode: 'iframe',
+        orderId: 'ORD-123',
+        transactionId: 'PO-123',
+        sessionId: 'SESSION-123',
+        amount: 1000
+      }));
+      expect(pso.getPendingPayment('PO-123').orderId).toBe('ORD-123');
+    });
+
+    test('should forget the checkout once it completes', async () => {
+      mockFetchSequence(orderResponse);
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      pso.popup.show.mock.calls[0][0].onCancel({ success: false });
+
+      expect(pso.getPendingPayment()).toBeNull();
+    });
+
+    test('should forget the checkout when closed programmatically', async () => {
+      mockFetchSequence(orderResponse);
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      pso.closePaymentForm();
+
+      expect(pso.getPendingPayment()).toBeNull();
+    });
+
+    test('should resolve with null when nothing is pending', async () => {
+      await expect(pso.resumePendingPayment()).resolves.toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should reopen the same gateway session while the order is pending', async () => {
+      await startAndReload();
+      mockFetchSequence({ success: true, transactionInfo: { status: 'PENDING' } });
+      const onSuccess = jest.fn();
+      const resumed = jest.fn();
+      pso.on('checkout:resumed', resumed);
+
+      const result = pso.resumePendingPayment({ onSuccess });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/processing/verify'),
+        expect.objectContaining({ body: JSON.stringify({ paymentOrderId: 'PO-123' }) })
+      );
+      expect(resumed).toHaveBeenCalledWith({ orderId: 'ORD-123', transactionId: 'PO-123', action: 'reopen' });
+
+      const popupOptions = pso.popup.show.mock.calls[0][0];
+      expect(popupOptions).toEqual(expect.objectContaining({
+        gatewayUrl: 'https://gateway.example.com/pay/123?locale=en',
+        transactionId: 'PO-123',
+        sessionId: 'SESSION-123',
+        usePopupWindow: false
+      }));
+
+      popupOptions.onSuccess({ success: true, transactionId: 'PO-123' });
+
+      await expect(result).resolves.toEqual(expect.objectContaining({ status: 'success' }));
+      expect(onSuccess).toHaveBeenCalled();
+      expect(pso.getPendingPayment()).toBeNull();
+    });
+
+    test('should not reopen an order that already succeeded', async () => {
+      await startAndReload();
+      mockFetchSequence({
+        success: true,
+        transactionInfo: { status_code: '1002', order_id: 'ORD-123', amount: 1000 }
+      });
+      const onSuccess = jest.fn();
+
+      const result = await pso.resumePendingPayment({ onSuccess });
+
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ status: 'success', verified: true, orderId: 'ORD-123' }));
+      expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 'PO-123' }));
+      expect(pso.getPendingPayment()).toBeNull();
+    });
+
+    test('should report an order that already failed', async () => {
+      await startAndReload();
+      mockFetchSequence({ success: true, transactionInfo: { status: 'DECLINED' } });
+      const onError = jest.fn();
+
+      await expect(pso.resumePendingPayment({ onError })).rejects.toBeInstanceOf(PSOPaymentError);
+
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.any(PSOPaymentError));
+      expect(pso.getPendingPayment()).toBeNull();
+    });
+
+    test('should report an order that was cancelled', async () => {
+      await startAndReload();
+      mockFetchSequence({ success: true, transactionInfo: { status: 'CANCELLED' } });
+      const onCancel = jest.fn();
+
+      const result = await pso.resumePendingPayment({ onCancel });
+
+      expect(result.status).toBe('cancelled');
+      expect(onCancel).toHaveBeenCalled();
+    });
+
+    test('should resolve the outcome by polling with action "status"', async () => {
+      await startAndReload();
+      jest.spyOn(pso.transport, 'sleep').mockResolvedValue();
+      mockFetchSequence(
+        { success: true, transactionInfo: { status: 'PENDING' } },
+        { success: true, transactionInfo: { status: 'APPROVED' } }
+      );
+
+      const result = await pso.resumePendingPayment({ action: 'status' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(result.status).toBe('success');
+    });
+
+    test('should reopen in the stored mode unless overridden', async () => {
+      await startAndReload({ mode: 'popup' });
+      mockFetchSequence(
+        { success: true, transactionInfo: { status: 'PENDING' } },
+        { success: true, transactionInfo: { status: 'PENDING' } }
+      );
+
+      pso.resumePendingPayment();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(pso.popup.show.mock.calls[0][0].usePopupWindow).toBe(true);
+
+      pso.popup.show.mockClear();
+      pso.resumePendingPayment({ mode: 'iframe' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(pso.popup.show.mock.calls[0][0].usePopupWindow).toBe(false);
+    });
+
+    test('should keep the checkout when the status check fails', async () => {
+      await startAndReload();
+      global.fetch.mockResolvedValue({ ok: false, status: 403 });
+
+      await expect(pso.resumePendingPayment()).rejects.toMatchObject({ status: 403 });
+
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(pso.getPendingPayment()).not.toBeNull();
+    });
+
+    test('should reject unknown actions', async () => {
+      await startAndReload();
+
+      await expect(pso.resumePendingPayment({ action: 'restart' })).rejects.toBeInstanceOf(PSOValidationError);
+    });
+  });
+
+  describe('Cross-tab guard', () => {
+    let pso;
+
+    const orderResponse = {
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      gatewayPageUrl: 'https://gateway.example.com/pay/123'
+    };
+
+    function claimInOtherTab(orderId) {
+      const now = Date.now();
+      window.localStorage.setItem('pso_active_checkouts', JSON.stringify({
+        [orderId]: { tabId: 'tab_other', orderId, startedAt: now, updatedAt: now }
+      }));
+    }
+
+    function receiveFromOtherTab(message) {
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'pso_checkout_message',
+        newValue: JSON.stringify({ tabId: 'tab_other', ...message })
+      }));
+    }
+
+    function activeClaims() {
+      return JSON.parse(window.localStorage.getItem('pso_active_checkouts') || '{}');
+    }
+
+    beforeEach(() => {
+      window.sessionStorage.clear();
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test' });
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify(orderResponse)
+      });
+    });
+
+    afterEach(() => {
+      if (pso.tabSync) {
+        pso.tabSync.destroy();
+      }
+      jest.clearAllMocks();
+    });
+
+    test('should not create a second payment order for an order open in another tab', async () => {
+      claimInOtherTab('ORD-123');
+      const onError = jest.fn();
+      const listener = jest.fn();
+      pso.on('checkout:active-elsewhere', listener);
+      const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+      await expect(pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000, onError }))
+        .rejects.toMatchObject({ code: 'CHECKOUT_IN_OTHER_TAB' });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(pso.popup.show).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.any(PSOPaymentError));
+      expect(listener).toHaveBeenCalledWith({ orderId: 'ORD-123', startedAt: expect.any(Number) });
+      expect(setItem).toHaveBeenCalledWith('pso_checkout_message', expect.stringContaining('checkout.focus'));
+      expect(activeClaims()['ORD-123'].tabId).toBe('tab_other');
+      setItem.mockRestore();
+    });
+
+    test('should allow other orders', async () => {
+      claimInOtherTab('ORD-999');
+
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      expect(pso.popup.show).toHaveBeenCalled();
+      expect(activeClaims()['ORD-123']).toEqual(expect.objectContaining({ orderId: 'ORD-123' }));
+    });
+
+    test('should release the order and notify other tabs when the payment completes', async () => {
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+      pso.popup.show.mock.calls[0][0].onSuccess({ success: true, transactionId: 'PO-123' });
+
+      expect(activeClaims()['ORD-123']).toBeUndefined();
+      const message = setItem.mock.calls.find(call => call[0] === 'pso_checkout_message');
+      expect(JSON.parse(message[1])).toEqual(expect.objectContaining({
+        type: 'checkout.completed',
+        orderId: 'ORD-123',
+        outcome: 'success',
+        transactionId: 'PO-123'
+      }));
+      setItem.mockRestore();
+    });
+
+    test('should release the order when order creation fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await expect(pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 })).rejects.toThrow();
+
+      expect(activeClaims()['ORD-123']).toBeUndefined();
+    });
+
+    test('should report orders completed in another tab', () => {
+      pso.pendingStore.save({ mode: 'iframe', orderId: 'ORD-123', transactionId: 'PO-123' });
+      const listener = jest.fn();
+      pso.on('checkout:completed-elsewhere', listener);
+
+      receiveFromOtherTab({ type: 'checkout.completed', orderId: 'ORD-123', transactionId: 'PO-123', outcome: 'success' });
+
+      expect(listener).toHaveBeenCalledWith({ orderId: 'ORD-123', transactionId: 'PO-123', outcome: 'success' });
+      expect(pso.getPendingPayment('ORD-123')).toBeNull();
+    });
+
+    test('should bring its checkout to the front when another tab asks', async () => {
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      receiveFromOtherTab({ type: 'checkout.focus', orderId: 'ORD-999' });
+      expect(pso.popup.focus).not.toHaveBeenCalled();
+
+      receiveFromOtherTab({ type: 'checkout.focus', orderId: 'ORD-123' });
+      expect(pso.popup.focus).toHaveBeenCalled();
+    });
+
+    test('should not resume an order open in another tab', async () => {
+      pso.pendingStore.save({ mode: 'iframe', orderId: 'ORD-123', transactionId: 'PO-123' });
+      claimInOtherTab('ORD-123');
+
+      await expect(pso.resumePendingPayment()).rejects.toMatchObject({ code: 'CHECKOUT_IN_OTHER_TAB' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should be disabled with crossTabGuard: false', async () => {
+      pso.tabSync.destroy();
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test', crossTabGuard: false });
+      claimInOtherTab('ORD-123');
+
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+
+      expect(pso.tabSync).toBeNull();
+      expect(pso.popup.show).toHaveBeenCalled();
+    });
+
+    test('should stop cross-tab coordination on destroy', async () => {
+      await pso.showPaymentForm({ orderId: 'ORD-123', amount: 1000 });
+      const destroy = jest.spyOn(pso.tabSync, 'destroy');
+      const removeListener = jest.spyOn(window, 'removeEventListener');
+
+      pso.destroy();
+
+      expect(destroy).toHaveBeenCalled();
+      expect(removeListener).toHaveBeenCalledWith('pagehide', expect.any(Function));
+      expect(pso.tabSync).toBeNull();
+      expect(activeClaims()).toEqual({});
+      expect(() => pso.destroy()).not.toThrow();
+      removeListener.mockRestore();
+    });
+  });
+
+  describe('waitForPaymentResult', () => {
+    let pso;
+
+    beforeEach(() => {
+      pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test' });
+      global.fetch = jest.fn();
+      jest.spyOn(pso.transport, 'sleep').mockResolvedValue();
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should resolve once the stored status is terminal', async () => {
+      mockFetchSequence({ success: true, transaction: { id: 'PO-1', orderId: 'ORD-1', status: 'APPROVED' } });
+
+      const result = await pso.waitForPaymentResult('ORD-1');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/payment/status/ORD-1'),
+        expect.objectContaining({ method: 'GET' })
+      );
+      expect(result).toEqual(expect.objectContaining({ id: 'ORD-1', status: 'APPROVED', success: true, attempts: 1 }));
+    });
+
+    test('should switch to verify with the payment order ID while pending', async () => {
+      mockFetchSequence(
+        { success: true, transaction: { id: 'PO-1', orderId: 'ORD-1', status: 'PENDING' } },
+        { success: true, transactionInfo: { status_code: '1000' } },
+        { success: true, transactionInfo: { status_code: '1003' } }
+      );
+      const statuses = [];
+      pso.on('payment:status', payload => statuses.push(payload.status));
+
+      const result = await pso.waitForPaymentResult('ORD-1');
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/processing/verify'),
+        expect.objectContaining({ body: JSON.stringify({ paymentOrderId: 'PO-1' }) })
+      );
+      expect(statuses).toEqual(['PENDING', 'UNKNOWN', 'DECLINED']);
+      expect(result).toEqual(expect.objectContaining({ status: 'DECLINED', success: false, attempts: 3 }));
+    });
+
+    test('should treat unknown IDs as payment order IDs', async () => {
+      mockFetchSequence(
+        { ok: false, status: 404 },
+        { success: true, transactionInfo: { status: 'CANCELLED' } }
+      );
+
+      const result = await pso.waitForPaymentResult('PO-9');
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/processing/verify'),
+        expect.objectContaining({ body: JSON.stringify({ paymentOrderId: 'PO-9' }) })
+      );
+      expect(result.status).toBe('CANCELLED');
+    });
+
+    test('should keep polling through transient errors', async () => {
+      mockFetchSequence(
+        { ok: false, status: 503 },
+        { success: true, transaction: { orderId: 'ORD-1', status_code: '1002' } }
+      );
+
+      const result = await pso.waitForPaymentResult('ORD-1', { source: 'status' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'APPROVED', attempts: 2 }));
+      expect(pso.transport.sleep).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop on non-retryable errors', async () => {
+      mockFetchSequence({ ok: false, status: 403 });
+
+      await expect(pso.waitForPaymentResult('ORD-1')).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('should back off exponentially up to maxInterval', async () => {
+      mockFetchSequence(
+        ...Array.from({ length: 4 }, () => ({ success: true, transaction: { status: 'PENDING' } })),
+        { success: true, transaction: { status: 'APPROVED' } }
+      );
+
+      await pso.waitForPaymentResult('ORD-1', { source: 'status', interval: 1000, maxInterval: 5000 });
+
+      expect(pso.transport.sleep.mock.calls.map(call => call[0])).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    test('should apply jitter between half and the full delay', () => {
+      Math.random.mockReturnValue(0);
+      expect(pso.getPollDelay(0, { interval: 1000 })).toBe(500);
+      Math.random.mockReturnValue(0.5);
+      expect(pso.getPollDelay(1, { interval: 1000 })).toBe(1500);
+    });
+
+    test('should fail with RESULT_TIMEOUT when no final status arrives', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true, transaction: { status: 'PENDING' } })
+      });
+
+      const error = await pso.waitForPaymentResult('ORD-1', { source: 'status', timeout: 1500, interval: 1000 })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(PSOPaymentError);
+      expect(error.code).toBe('RESULT_TIMEOUT');
+      expect(error.retryable).toBe(true);
+      expect(error.data).toEqual({ id: 'ORD-1', lastStatus: 'PENDING', attempts: 2 });
+    });
+
+    test('should stop with ABORTED when the signal fires', async () => {
+      const controller = new AbortController();
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: async () => JSON.stringify({ success: true, transaction: { status: 'PENDING' } })
+      });
+      pso.transport.sleep.mockImplementation(async () => controller.abort());
+
+      await expect(pso.waitForPaymentResult('ORD-1', { source: 'status', signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'ABORTED' });
+    });
+
+    test('should require an ID', async () => {
+      await expect(pso.waitForPaymentResult()).rejects.toBeInstanceOf(PSOValidationError);
+    });
+  });
+
+  describe('Theme', () => {
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should reject an unknown theme mode', () => {
+      expect(() => new PSOPayment({ merchantId: 'TEST_MERCHANT_123', theme: { mode: 'sepia' } }))
+        .toThrow(expect.objectContaining({ field: 'theme.mode' }));
+    });
+
+    test('should forward whitelisted theme tokens to the gateway page', async () => {
+      const pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        environment: 'test',
+        theme: { primaryColor: '#0a7d5a', mode: 'dark', headerText: 'Pay Shop' }
+      });
+      global.fetch = jest.fn().mockResolvedValueOnce({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-123',
+          gatewayPageUrl: 'https://gateway.example.com/pay/123'
+        })
+      });
+
+      await pso.showPaymentForm({ amount: 1000 });
+
+      const gatewayUrl = new URL(pso.popup.show.mock.calls[0][0].gatewayUrl);
+      expect(gatewayUrl.searchParams.get('theme_primary_color')).toBe('#0a7d5a');
+      expect(gatewayUrl.searchParams.get('theme_mode')).toBe('dark');
+      expect(gatewayUrl.searchParams.has('theme_header_text')).toBe(false);
+    });
+  });
+
+  describe('Localization', () => {
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should pass the locale to the gateway page', async () => {
+      const pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', environment: 'test', locale: 'bn-BD' });
+      global.fetch = jest.fn().mockResolvedValueOnce({
+        ok: true,
+        text: async () => JSON.stringify({
+          success: true,
+          transactionId: 'PO-123',
+          gatewayPageUrl: 'https://gateway.example.com/pay/123'
+        })
+      });
+
+      await pso.showPaymentForm({ amount: 1000 });
+
+      expect(pso.popup.show).toHaveBeenCalledWith(expect.objectContaining({
+        gatewayUrl: 'https://gateway.example.com/pay/123?locale=bn'
+      }));
+    });
+
+    test('should localize SDK messages with overrides', () => {
+      const pso = new PSOPayment({
+        merchantId: 'TEST_MERCHANT_123',
+        locale: 'bn',
+        messages: { 'payment.closed': 'Closed by shopper' }
+      });
+      pso.pendingCheckout = { resolve: jest.fn() };
+
+      pso.closePaymentForm();
+
+      expect(pso.pendingCheckout.resolve).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Closed by shopper'
+      }));
+      expect(pso.i18n.t('payment.failed')).toBe('পেমেন্ট ব্যর্থ হয়েছে');
+    });
+
+    test('should format amounts with Bengali digits when asked', () => {
+      const pso = new PSOPayment({ merchantId: 'TEST_MERCHANT_123', locale: 'bn', numerals: 'beng' });
+
+      expect(pso.formatAmount(1234.5, 'BDT')).toBe('১,২৩৪.৫০৳');
+    });
+
+    test('should reject unknown numerals', () => {
+      expect(() => new PSOPayment({ merchantId: 'TEST_MERCHANT_123', numerals: 'arab' }))
+        .toThrow(expect.objectContaining({ field: 'numerals' }));
+    });
+  });
+
   describe('SDK version', () => {
     test('should have version property', () => {
       expect(PSOPayment.version).toBeDefined();
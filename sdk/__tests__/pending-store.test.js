@@ -0,0 +1,83 @@
+/**
+ * PSO Payment SDK - Pending Checkout Store Tests
+ */
+
+import { PendingCheckoutStore } from '../src/pending-store.js';
+
+describe('PendingCheckoutStore', () => {
+  let store;
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    store = new PendingCheckoutStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should save and get entries by order ID', () => {
+    const entry = store.save({ orderId: 'ORD-1', transactionId: 'PO-1' });
+
+    expect(entry.expiresAt).toBeGreaterThan(entry.createdAt);
+    expect(store.get('ORD-1')).toEqual(entry);
+    expect(store.get('ORD-2')).toBeNull();
+  });
+
+  test('should find entries by transaction or session ID', () => {
+    store.save({ orderId: 'ORD-1', transactionId: 'PO-1', sessionId: 'S-1' });
+
+    expect(store.find('PO-1').orderId).toBe('ORD-1');
+    expect(store.find('S-1').orderId).toBe('ORD-1');
+    expect(store.find('missing')).toBeNull();
+    expect(store.find(undefined)).toBeNull();
+  });
+
+  test('should survive a new store instance (page load)', () => {
+    store.save({ orderId: 'ORD-1' });
+
+    expect(new PendingCheckoutStore().get('ORD-1')).not.toBeNull();
+  });
+
+  test('should drop expired entries', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    store = new PendingCheckoutStore({ ttl: 1000 });
+    store.save({ orderId: 'ORD-1' });
+
+    Date.now.mockReturnValue(now + 1001);
+
+    expect(store.get('ORD-1')).toBeNull();
+    expect(window.sessionStorage.getItem('pso_pending_checkouts')).toBeNull();
+  });
+
+  test('should update without extending expiry', () => {
+    const saved = store.save({ orderId: 'ORD-1', status: 'created' });
+
+    const updated = store.update('ORD-1', { status: 'redirected' });
+
+    expect(updated.status).toBe('redirected');
+    expect(updated.expiresAt).toBe(saved.expiresAt);
+    expect(store.update('ORD-2', {})).toBeNull();
+  });
+
+  test('should remove and clear entries', () => {
+    store.save({ orderId: 'ORD-1' });
+    store.save({ orderId: 'ORD-2' });
+
+    store.remove('ORD-1');
+    expect(store.getAll().map(entry => entry.orderId)).toEqual(['ORD-2']);
+
+    store.clear();
+    expect(store.getAll()).toEqual([]);
+  });
+
+  test('should tolerate corrupt or missing storage', () => {
+    window.sessionStorage.setItem('pso_pending_checkouts', '{not json');
+    expect(store.getAll()).toEqual([]);
+
+    const noStorage = new PendingCheckoutStore({ storage: null });
+    expect(noStorage.save({ orderId: 'ORD-1' }).orderId).toBe('ORD-1');
+    expect(noStorage.get('ORD-1')).toBeNull();
+  });
+});
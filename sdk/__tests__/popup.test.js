@@ -0,0 +1,443 @@
+/**
+ * PSO Payment SDK - Embedded Checkout Tests
+ */
+
+import { PaymentPopup } from '../src/popup.js';
+import { EventEmitter } from '../src/events.js';
+
+const GATEWAY_URL = 'https://gateway.example.com/pay/123';
+
+function postGatewayMessage(type, payload) {
+  window.dispatchEvent(new MessageEvent('message', {
+    origin: 'https://gateway.example.com',
+    data: {
+      source: 'pso-gateway',
+      version: 1,
+      type,
+      sessionId: 'SESSION-123',
+      transactionId: 'PO-123',
+      payload
+    }
+  }));
+}
+
+describe('PaymentPopup embedded mode', () => {
+  let popup;
+  let slot;
+
+  beforeEach(() => {
+    popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123' }, new EventEmitter());
+    slot = document.createElement('div');
+    document.body.appendChild(slot);
+  });
+
+  afterEach(() => {
+    popup.unmount();
+    slot.remove();
+  });
+
+  function showEmbedded(options = {}) {
+    popup.show({
+      gatewayUrl: GATEWAY_URL,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123',
+      container: slot,
+      ...options
+    });
+  }
+
+  test('should render a loading shell into the container', () => {
+    popup.mount(slot);
+
+    const embed = slot.querySelector('.pso-embed');
+    expect(embed.getAttribute('data-state')).toBe('loading');
+    expect(embed.querySelector('iframe')).toBeNull();
+  });
+
+  test('should add the iframe without overlay chrome or scroll lock', () => {
+    showEmbedded();
+
+    expect(slot.querySelector('#pso-gateway-iframe').getAttribute('src')).toBe(GATEWAY_URL);
+    expect(document.querySelector('.pso-overlay')).toBeNull();
+    expect(slot.querySelector('.pso-header')).toBeNull();
+    expect(slot.querySelector('.pso-close')).toBeNull();
+    expect(document.body.style.overflow).toBe('');
+  });
+
+  test('should resize the iframe from gateway height messages', () => {
+    showEmbedded({ height: 400 });
+    const iframe = slot.querySelector('iframe');
+    expect(iframe.style.height).toBe('400px');
+
+    postGatewayMessage('gateway.resize', { height: 612.4 });
+    expect(iframe.style.height).toBe('613px');
+
+    postGatewayMessage('gateway.resize', { height: 'tall' });
+    expect(iframe.style.height).toBe('613px');
+  });
+
+  test('should switch to the ready state on the ready message', () => {
+    showEmbedded();
+
+    postGatewayMessage('gateway.ready');
+
+    expect(slot.querySelector('.pso-embed').getAttribute('data-state')).toBe('ready');
+  });
+
+  test('should show the error state as text', () => {
+    popup.mount(slot);
+
+    popup.showEmbedError('<b>Gateway down</b>');
+
+    const error = slot.querySelector('.pso-embed-error');
+    expect(slot.querySelector('.pso-embed').getAttribute('data-state')).toBe('error');
+    expect(error.style.display).toBe('');
+    expect(error.textContent).toContain('<b>Gateway down</b>');
+  });
+
+  test('should remove the frame and stop listening after completion', () => {
+    const onSuccess = jest.fn();
+    showEmbedded({ onSuccess });
+
+    postGatewayMessage('payment.success', { status: 'APPROVED' });
+    postGatewayMessage('payment.success', { status: 'APPROVED' });
+
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    expect(slot.children).toHaveLength(0);
+    expect(popup.isOpen).toBe(false);
+  });
+
+  test('should leave payment:success to the SDK when verifying on completion', () => {
+    const events = new EventEmitter();
+    const succeeded = jest.fn();
+    events.on('payment:success', succeeded);
+    popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123' }, events);
+    const onSuccess = jest.fn();
+    showEmbedded({ onSuccess, verifyOnComplete: true });
+
+    postGatewayMessage('payment.success', { status: 'APPROVED' });
+
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    expect(succeeded).not.toHaveBeenCalled();
+  });
+
+  test('should not let the payload override trusted result fields', () => {
+    const onSuccess = jest.fn();
+    const onError = jest.fn();
+    showEmbedded({ onSuccess });
+
+    postGatewayMessage('payment.success', { status: 'APPROVED', success: false, transactionId: 'PO-999', sessionId: 'X' });
+
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'APPROVED',
+      success: true,
+      transactionId: 'PO-123',
+      sessionId: 'SESSION-123'
+    }));
+
+    showEmbedded({ onError });
+    postGatewayMessage('payment.failed', { message: 'Declined', success: true, transactionId: 'PO-999' });
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Declined',
+      success: false,
+      transactionId: 'PO-123'
+    }));
+  });
+
+  test('should clean up on unmount', () => {
+    showEmbedded();
+
+    popup.unmount();
+
+    expect(slot.children).toHaveLength(0);
+    expect(popup.messageListener).toBeNull();
+    expect(popup.iframe).toBeNull();
+  });
+});
+
+describe('PaymentPopup theming', () => {
+  test('should apply the theme to the overlay and header', () => {
+    jest.useFakeTimers();
+    const popup = new PaymentPopup({
+      merchantId: 'TEST_MERCHANT_123',
+      theme: { primaryColor: '#0a7d5a', mode: 'auto', headerText: 'Pay Shop', logoUrl: '/logo.png' }
+    }, new EventEmitter());
+
+    popup.show({ gatewayUrl: GATEWAY_URL, transactionId: 'PO-123', sessionId: 'SESSION-123' });
+
+    const overlay = document.querySelector('.pso-overlay');
+    expect(overlay.style.getPropertyValue('--pso-primary-color')).toBe('#0a7d5a');
+    expect(overlay.classList.contains('pso-theme-auto')).toBe(true);
+    expect(overlay.querySelector('.pso-header h2').textContent).toBe('Pay Shop');
+    expect(overlay.querySelector('.pso-logo').getAttribute('src')).toBe('/logo.png');
+
+    popup.close();
+    jest.runAllTimers();
+    jest.useRealTimers();
+    expect(document.querySelector('.pso-overlay')).toBeNull();
+  });
+
+  test('should apply the theme to the embedded shell', () => {
+    const popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123', theme: { mode: 'dark' } }, new EventEmitter());
+    const slot = document.createElement('div');
+
+    popup.mount(slot);
+
+    expect(slot.querySelector('.pso-embed').classList.contains('pso-theme-dark')).toBe(true);
+  });
+});
+
+describe('PaymentPopup localization', () => {
+  test('should render UI strings from the locale catalog', () => {
+    const popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123', locale: 'bn' }, new EventEmitter());
+    const slot = document.createElement('div');
+
+    popup.mount(slot);
+
+    expect(slot.querySelector('.pso-embed').getAttribute('lang')).toBe('bn');
+    expect(slot.querySelector('#pso-loading p').textContent).toBe('পেমেন্ট গেটওয়ে লোড হচ্ছে...');
+  });
+});
+
+describe('PaymentPopup accessibility', () => {
+  let popup;
+  let trigger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123' }, new EventEmitter());
+    trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+  });
+
+  afterEach(() => {
+    popup.close();
+    jest.runAllTimers();
+    jest.useRealTimers();
+    trigger.remove();
+  });
+
+  function showOverlay(options = {}) {
+    popup.show({ gatewayUrl: GATEWAY_URL, transactionId: 'PO-123', sessionId: 'SESSION-123', ...options });
+    return document.querySelector('.pso-popup');
+  }
+
+  test('should render a labelled modal dialog', () => {
+    const dialog = showOverlay();
+    const titleId = dialog.getAttribute('aria-labelledby');
+
+    expect(dialog.getAttribute('role')).toBe('dialog');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(titleId).textContent).toBe('Secure Payment');
+    expect(dialog.querySelector('.pso-close').getAttribute('aria-label')).toBe('Close payment dialog');
+    expect(dialog.querySelector('iframe').getAttribute('title')).toBe('Secure Payment');
+  });
+
+  test('should focus the close button and return focus on close', () => {
+    const dialog = showOverlay();
+    expect(document.activeElement).toBe(dialog.querySelector('.pso-close'));
+
+    popup.close();
+
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  test('should cancel on Escape', () => {
+    const onCancel = jest.fn();
+    showOverlay({ onCancel });
+
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  test('should announce loading and result states', () => {
+    showOverlay();
+    const region = document.getElementById('pso-live-region');
+    expect(region.textContent).toBe('Loading payment gateway...');
+
+    postGatewayMessage('gateway.ready');
+    expect(region.textContent).toBe('Payment gateway loaded');
+
+    postGatewayMessage('payment.failed', { message: 'Card declined' });
+    expect(region.textContent).toBe('Card declined');
+  });
+
+  test('should remove the overlay without delay when reduced motion is preferred', () => {
+    window.matchMedia = jest.fn().mockReturnValue({ matches: true });
+    showOverlay();
+
+    popup.close();
+    jest.advanceTimersByTime(0);
+
+    expect(document.querySelector('.pso-overlay')).toBeNull();
+    delete window.matchMedia;
+  });
+});
+
+describe('PaymentPopup load watchdog', () => {
+  let popup;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    events = new EventEmitter();
+  });
+
+  afterEach(() => {
+    popup.close();
+    popup.unmount();
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  function showOverlay(config = {}, options = {}) {
+    popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123', loadTimeout: 5000, ...config }, events);
+    popup.show({ gatewayUrl: GATEWAY_URL, transactionId: 'PO-123', sessionId: 'SESSION-123', ...options });
+    return document.querySelector('.pso-popup');
+  }
+
+  test('should show the recovery panel when the gateway does not load in time', () => {
+    const listener = jest.fn();
+    events.on('gateway:unreachable', listener);
+    const dialog = showOverlay();
+
+    jest.advanceTimersByTime(5000);
+
+    const panel = dialog.querySelector('.pso-load-failure');
+    expect(panel.getAttribute('role')).toBe('alert');
+    expect(panel.querySelector('.pso-retry').textContent).toBe('Try again');
+    expect(dialog.querySelector('iframe').style.display).toBe('none');
+    expect(listener).toHaveBeenCalledWith({ reason: 'timeout', attempts: 1, gatewayUrl: GATEWAY_URL });
+  });
+
+  test('should not fire once the gateway has loaded', () => {
+    const dialog = showOverlay();
+
+    dialog.querySelector('iframe').dispatchEvent(new Event('load'));
+    jest.advanceTimersByTime(5000);
+
+    expect(dialog.querySelector('.pso-load-failure')).toBeNull();
+  });
+
+  test('should wait for the ready handshake when configured', () => {
+    const dialog = showOverlay({ waitForGatewayReady: true });
+
+    dialog.querySelector('iframe').dispatchEvent(new Event('load'));
+    expect(dialog.querySelector('#pso-loading').style.display).toBe('');
+
+    postGatewayMessage('gateway.ready');
+    jest.advanceTimersByTime(5000);
+
+    expect(dialog.querySelector('#pso-loading').style.display).toBe('none');
+    expect(dialog.querySelector('.pso-load-failure')).toBeNull();
+  });
+
+  test('should time out on an error page that never sends the handshake', () => {
+    const dialog = showOverlay({ waitForGatewayReady: true });
+
+    dialog.querySelector('iframe').dispatchEvent(new Event('load'));
+    jest.advanceTimersByTime(5000);
+
+    expect(dialog.querySelector('.pso-load-failure')).not.toBeNull();
+  });
+
+  test('should reload the frame and restart the watchdog on retry', () => {
+    const dialog = showOverlay();
+    jest.advanceTimersByTime(5000);
+
+    dialog.querySelector('.pso-retry').click();
+
+    expect(dialog.querySelector('.pso-load-failure')).toBeNull();
+    expect(dialog.querySelector('iframe').style.display).toBe('');
+    expect(dialog.querySelector('#pso-loading').style.display).toBe('');
+
+    jest.advanceTimersByTime(5000);
+    expect(popup.loadFailure).toEqual({ reason: 'timeout', attempts: 2 });
+  });
+
+  test('should continue in a pop-up window', () => {
+    const popupWindow = { closed: false, focus: jest.fn(), close: jest.fn() };
+    window.open = jest.fn().mockReturnValue(popupWindow);
+    const dialog = showOverlay();
+    jest.advanceTimersByTime(5000);
+
+    dialog.querySelector('.pso-open-window').click();
+
+    expect(window.open).toHaveBeenCalledWith(GATEWAY_URL, 'PSOPaymentGateway', expect.any(String));
+    expect(document.querySelector('.pso-overlay')).toBeNull();
+    expect(document.body.style.overflow).toBe('');
+    expect(popup.isOpen).toBe(true);
+    delete window.open;
+  });
+
+  test('should report a distinct error when the customer gives up', () => {
+    const onError = jest.fn();
+    const onCancel = jest.fn();
+    const dialog = showOverlay({}, { onError, onCancel });
+    jest.advanceTimersByTime(5000);
+
+    dialog.querySelector('.pso-close').click();
+
+    expect(onCancel).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'PSONetworkError',
+      code: 'GATEWAY_UNREACHABLE',
+      data: expect.objectContaining({ reason: 'timeout', attempts: 1 })
+    }));
+  });
+
+  test('should be disabled with loadTimeout 0', () => {
+    const dialog = showOverlay({ loadTimeout: 0 });
+
+    jest.advanceTimersByTime(60000);
+
+    expect(dialog.querySelector('.pso-load-failure')).toBeNull();
+  });
+
+  test('should show the recovery panel in embedded mode', () => {
+    popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123', loadTimeout: 5000 }, events);
+    const slot = document.createElement('div');
+    document.body.appendChild(slot);
+
+    popup.show({ gatewayUrl: GATEWAY_URL, transactionId: 'PO-123', container: slot });
+    slot.querySelector('iframe').dispatchEvent(new Event('error'));
+
+    expect(slot.querySelector('.pso-embed').getAttribute('data-state')).toBe('error');
+    expect(slot.querySelector('.pso-load-failure')).not.toBeNull();
+    expect(popup.loadFailure.reason).toBe('error');
+  });
+});
+
+describe('PaymentPopup focus', () => {
+  afterEach(() => {
+    delete window.open;
+    jest.restoreAllMocks();
+  });
+
+  test('should focus the pop-up window when one is open', () => {
+    const popupWindow = { closed: false, focus: jest.fn(), close: jest.fn() };
+    window.open = jest.fn().mockReturnValue(popupWindow);
+    const popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123' }, new EventEmitter());
+    popup.show({ gatewayUrl: GATEWAY_URL, transactionId: 'PO-123', usePopupWindow: true });
+    popupWindow.focus.mockClear();
+
+    popup.focus();
+
+    expect(popupWindow.focus).toHaveBeenCalled();
+    popup.close();
+  });
+
+  test('should focus this tab otherwise', () => {
+    const focus = jest.spyOn(window, 'focus').mockImplementation(() => {});
+    const popup = new PaymentPopup({ merchantId: 'TEST_MERCHANT_123' }, new EventEmitter());
+
+    popup.focus();
+
+    expect(focus).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * PSO Payment SDK - Gateway Message Protocol Tests
+ */
+
+import {
+  PROTOCOL_SOURCE,
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  parseGatewayMessage,
+  getOrigin
+} from '../src/protocol.js';
+
+const GATEWAY_ORIGIN = 'https://pay.example.com';
+
+function envelope(overrides = {}) {
+  return {
+    source: PROTOCOL_SOURCE,
+    version: PROTOCOL_VERSION,
+    type: MESSAGE_TYPES.PAYMENT_SUCCESS,
+    sessionId: 'SESSION-1',
+    transactionId: 'PO-1',
+    payload: { status: 'APPROVED' },
+    ...overrides
+  };
+}
+
+function messageEvent(data, origin = GATEWAY_ORIGIN) {
+  return { data, origin };
+}
+
+const expected = {
+  origins: [GATEWAY_ORIGIN],
+  sessionId: 'SESSION-1',
+  transactionId: 'PO-1'
+};
+
+describe('Gateway message protocol', () => {
+  test('should accept a valid envelope', () => {
+    const result = parseGatewayMessage(messageEvent(envelope()), expected);
+
+    expect(result.ok).toBe(true);
+    expect(result.message).toEqual({
+      type: 'payment.success',
+      version: 1,
+      sessionId: 'SESSION-1',
+      transactionId: 'PO-1',
+      payload: { status: 'APPROVED' }
+    });
+  });
+
+  test('should reject messages from other origins', () => {
+    const result = parseGatewayMessage(messageEvent(envelope(), 'https://evil.example.com'), expected);
+
+    expect(result).toEqual({ ok: false, reason: 'origin' });
+  });
+
+  test('should reject legacy and string messages', () => {
+    expect(parseGatewayMessage(messageEvent('payment-success'), expected).reason).toBe('format');
+    expect(parseGatewayMessage(messageEvent({ type: 'PAYMENT_SUCCESS', success: true }), expected).reason)
+      .toBe('format');
+  });
+
+  test('should reject unsupported protocol versions', () => {
+    const result = parseGatewayMessage(messageEvent(envelope({ version: 2 })), expected);
+
+    expect(result.reason).toBe('version');
+  });
+
+  test('should reject unknown message types', () => {
+    const result = parseGatewayMessage(messageEvent(envelope({ type: 'payment.refunded' })), expected);
+
+    expect(result.reason).toBe('type');
+  });
+
+  test('should reject messages for another session', () => {
+    const result = parseGatewayMessage(messageEvent(envelope({ sessionId: 'SESSION-2' })), expected);
+
+    expect(result.reason).toBe('session');
+  });
+
+  test('should reject messages that do not name the session', () => {
+    const result = parseGatewayMessage(
+      messageEvent(envelope({ sessionId: undefined, transactionId: undefined })),
+      expected
+    );
+
+    expect(result.reason).toBe('session');
+  });
+
+  test('should accept a match on transaction ID alone', () => {
+    const result = parseGatewayMessage(messageEvent(envelope({ sessionId: undefined })), expected);
+
+    expect(result.ok).toBe(true);
+  });
+
+  test('should default a missing payload to an empty object', () => {
+    const result = parseGatewayMessage(
+      messageEvent(envelope({ type: MESSAGE_TYPES.READY, payload: undefined })),
+      expected
+    );
+
+    expect(result.message.payload).toEqual({});
+  });
+
+  test('should derive origins from gateway URLs', () => {
+    expect(getOrigin('https://pay.example.com:8443/checkout?session=1')).toBe('https://pay.example.com:8443');
+    expect(getOrigin('http://')).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * PSO Payment SDK - Redirect Helper Tests
+ */
+
+import { buildReturnUrl, readReturnParams, RETURN_OUTCOMES } from '../src/redirect.js';
+
+describe('Redirect helpers', () => {
+  test('should tag return URLs with the outcome', () => {
+    expect(buildReturnUrl('https://shop.example.com/done?ref=1', RETURN_OUTCOMES.SUCCESS))
+      .toBe('https://shop.example.com/done?ref=1&pso_return=success');
+  });
+
+  test('should default return URLs to the current page', () => {
+    const url = new URL(buildReturnUrl(undefined, RETURN_OUTCOMES.CANCEL));
+
+    expect(url.origin).toBe(window.location.origin);
+    expect(url.searchParams.get('pso_return')).toBe('cancel');
+  });
+
+  test('should read gateway return parameters', () => {
+    const params = readReturnParams(
+      'https://shop.example.com/done?pso_return=success&order_id=ORD-1&payment_order_id=PO-1&session_id=S-1&transaction_id=BTX-1'
+    );
+
+    expect(params).toEqual(expect.objectContaining({
+      outcome: 'success',
+      orderId: 'ORD-1',
+      transactionId: 'PO-1',
+      sessionId: 'S-1',
+      bankTransactionId: 'BTX-1'
+    }));
+  });
+
+  test('should derive the outcome from the status when the marker is missing', () => {
+    expect(readReturnParams('https://shop.example.com/?status=APPROVED').outcome).toBe('success');
+    expect(readReturnParams('https://shop.example.com/?status_code=1004').outcome).toBe('cancel');
+    expect(readReturnParams('https://shop.example.com/?status=DECLINED').outcome).toBe('failure');
+    expect(readReturnParams('https://shop.example.com/?status=PENDING').outcome).toBeNull();
+    expect(readReturnParams('https://shop.example.com/?pso_return=bogus').outcome).toBeNull();
+  });
+
+  test('should handle unparseable URLs', () => {
+    expect(readReturnParams('http://').outcome).toBeNull();
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * PSO Payment SDK - Payment Status Tests
+ */
+
+import { normalizeStatus, isTerminalStatus, PAYMENT_STATUS } from '../src/status.js';
+
+describe('Payment status helpers', () => {
+  test('should map gateway status codes', () => {
+    expect(normalizeStatus('1002')).toBe(PAYMENT_STATUS.APPROVED);
+    expect(normalizeStatus(1003)).toBe(PAYMENT_STATUS.DECLINED);
+    expect(normalizeStatus('1004')).toBe(PAYMENT_STATUS.CANCELLED);
+    expect(normalizeStatus('1005')).toBe(PAYMENT_STATUS.FAILED);
+  });
+
+  test('should normalize status spellings', () => {
+    expect(normalizeStatus('success')).toBe(PAYMENT_STATUS.APPROVED);
+    expect(normalizeStatus('Canceled')).toBe(PAYMENT_STATUS.CANCELLED);
+    expect(normalizeStatus('declined')).toBe(PAYMENT_STATUS.DECLINED);
+    expect(normalizeStatus('processing')).toBe(PAYMENT_STATUS.PENDING);
+    expect(normalizeStatus('something-else')).toBe(PAYMENT_STATUS.UNKNOWN);
+    expect(normalizeStatus(undefined)).toBe(PAYMENT_STATUS.UNKNOWN);
+  });
+
+  test('should read transaction info objects', () => {
+    expect(normalizeStatus({ status: 'APPROVED' })).toBe(PAYMENT_STATUS.APPROVED);
+    expect(normalizeStatus({ status_code: '1003' })).toBe(PAYMENT_STATUS.DECLINED);
+    expect(normalizeStatus({ status: 'UNKNOWN', statusCode: '1005' })).toBe(PAYMENT_STATUS.FAILED);
+  });
+
+  test('should detect terminal statuses', () => {
+    expect(isTerminalStatus('APPROVED')).toBe(true);
+    expect(isTerminalStatus('1004')).toBe(true);
+    expect(isTerminalStatus('PENDING')).toBe(false);
+    expect(isTerminalStatus('UNKNOWN')).toBe(false);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * PSO Payment SDK - Cross-Tab Checkout Coordination Tests
+ */
+
+import { CheckoutTabSync, TAB_MESSAGES } from '../src/tab-sync.js';
+
+// Each copy of the module has its own tab ID, like a separate tab
+function loadOtherTab() {
+  let module;
+  jest.isolateModules(() => {
+    module = require('../src/tab-sync.js');
+  });
+  return module.CheckoutTabSync;
+}
+
+// In-memory BroadcastChannel shared by every "tab" in the test
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+      .forEach(channel => channel.onmessage({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+FakeBroadcastChannel.channels = [];
+
+describe('CheckoutTabSync', () => {
+  let syncs;
+
+  function create(TabSync = CheckoutTabSync, options = {}) {
+    const sync = new TabSync(options);
+    syncs.push(sync);
+    return sync;
+  }
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    syncs = [];
+  });
+
+  afterEach(() => {
+    syncs.forEach(sync => sync.destroy());
+    delete window.BroadcastChannel;
+    FakeBroadcastChannel.channels = [];
+    jest.useRealTimers();
+  });
+
+  test('should see claims held by another tab but not its own', () => {
+    const local = create();
+    const remote = create(loadOtherTab());
+
+    remote.claim('ORD-1');
+
+    expect(local.getRemoteClaim('ORD-1')).toEqual(expect.objectContaining({ orderId: 'ORD-1', tabId: remote.tabId }));
+    expect(remote.getRemoteClaim('ORD-1')).toBeNull();
+    expect(remote.owns('ORD-1')).toBe(true);
+  });
+
+  test('should share the tab ID between instances on the same page', () => {
+    const first = create();
+    const second = create();
+
+    first.claim('ORD-1');
+
+    expect(second.getRemoteClaim('ORD-1')).toBeNull();
+  });
+
+  test('should drop the claim on release', () => {
+    const local = create();
+    const remote = create(loadOtherTab());
+
+    remote.claim('ORD-1');
+    remote.release('ORD-1');
+
+    expect(local.getRemoteClaim('ORD-1')).toBeNull();
+  });
+
+  test('should keep claims alive with a heartbeat and expire abandoned ones', () => {
+    jest.useFakeTimers();
+    const local = create();
+    const remote = create(loadOtherTab());
+
+    remote.claim('ORD-1');
+    jest.advanceTimersByTime(60000);
+    expect(local.getRemoteClaim('ORD-1')).not.toBeNull();
+
+    // The tab stops sending heartbeats (crashed or frozen)
+    remote.stopHeartbeat();
+    jest.advanceTimersByTime(16000);
+    expect(local.getRemoteClaim('ORD-1')).toBeNull();
+  });
+
+  test('should release claims when the page is hidden', () => {
+    const local = create();
+    const remote = create(loadOtherTab());
+
+    remote.claim('ORD-1');
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(local.getRemoteClaim('ORD-1')).toBeNull();
+  });
+
+  test('should close the channel, heartbeat and listeners on destroy', () => {
+    jest.useFakeTimers();
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const removeListener = jest.spyOn(window, 'removeEventListener');
+    const sync = create();
+
+    sync.claim('ORD-1');
+    sync.destroy();
+
+    expect(FakeBroadcastChannel.channels).toHaveLength(0);
+    expect(jest.getTimerCount()).toBe(0);
+    expect(removeListener).toHaveBeenCalledWith('pagehide', expect.any(Function));
+    expect(sync.owns('ORD-1')).toBe(false);
+    removeListener.mockRestore();
+  });
+
+  test('should deliver messages over BroadcastChannel', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const onMessage = jest.fn();
+    create(CheckoutTabSync, { onMessage });
+    const remote = create(loadOtherTab());
+
+    remote.claim('ORD-1');
+    remote.release('ORD-1', { outcome: 'success', transactionId: 'PO-1' });
+    remote.requestFocus('ORD-2');
+
+    expect(onMessage.mock.calls.map(call => call[0].type)).toEqual([
+      TAB_MESSAGES.STARTED,
+      TAB_MESSAGES.COMPLETED,
+      TAB_MESSAGES.FOCUS
+    ]);
+    expect(onMessage.mock.calls[1][0]).toEqual(expect.objectContaining({
+      orderId: 'ORD-1',
+      outcome: 'success',
+      transactionId: 'PO-1'
+    }));
+  });
+
+  test('should ignore its own messages', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const onMessage = jest.fn();
+    create(CheckoutTabSync, { onMessage });
+    const sameTab = create();
+
+    sameTab.claim('ORD-1');
+
+    expect(onMessage).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to storage events without BroadcastChannel', () => {
+    const onMessage = jest.fn();
+    create(CheckoutTabSync, { onMessage });
+
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'pso_checkout_message',
+      newValue: JSON.stringify({ type: TAB_MESSAGES.COMPLETED, orderId: 'ORD-1', tabId: 'tab_other', outcome: 'failed' })
+    }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'pso_checkout_message', newValue: null }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'other', newValue: '{}' }));
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'ORD-1', outcome: 'failed' }));
+  });
+
+  test('should post through storage without leaving the message behind', () => {
+    const sync = create();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+    sync.requestFocus('ORD-1');
+
+    expect(setItem).toHaveBeenCalledWith('pso_checkout_message', expect.stringContaining('"orderId":"ORD-1"'));
+    expect(window.localStorage.getItem('pso_checkout_message')).toBeNull();
+    setItem.mockRestore();
+  });
+
+  test('should work without storage', () => {
+    const sync = create(CheckoutTabSync, { storage: null });
+
+    sync.claim('ORD-1');
+
+    expect(sync.getRemoteClaim('ORD-1')).toBeNull();
+    expect(() => sync.release('ORD-1', { outcome: 'cancelled' })).not.toThrow();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * PSO Payment SDK - Theme Tests
+ */
+
+import { applyTheme, getGatewayThemeParams, getHeaderHTML } from '../src/theme.js';
+
+describe('Theme helpers', () => {
+  test('should map theme tokens to CSS custom properties', () => {
+    const element = document.createElement('div');
+
+    applyTheme(element, { primaryColor: '#0a7d5a', fontFamily: 'Inter, sans-serif', borderRadius: '4px', mode: 'dark' });
+
+    expect(element.style.getPropertyValue('--pso-primary-color')).toBe('#0a7d5a');
+    expect(element.style.getPropertyValue('--pso-font-family')).toBe('Inter, sans-serif');
+    expect(element.style.getPropertyValue('--pso-border-radius')).toBe('4px');
+    expect(element.classList.contains('pso-theme-dark')).toBe(true);
+  });
+
+  test('should default to the light mode', () => {
+    const element = document.createElement('div');
+
+    applyTheme(element);
+
+    expect(element.classList.contains('pso-theme-light')).toBe(true);
+    expect(element.getAttribute('style')).toBeNull();
+  });
+
+  test('should forward only whitelisted, well-formed tokens to the gateway', () => {
+    expect(getGatewayThemeParams({
+      primaryColor: '#0A7D5A',
+      borderRadius: '8px',
+      fontFamily: 'Inter, sans-serif',
+      mode: 'auto',
+      textColor: '#ffffff',
+      logoUrl: 'https://shop.example.com/logo.png'
+    })).toEqual({
+      theme_primary_color: '#0A7D5A',
+      theme_border_radius: '8px',
+      theme_font_family: 'Inter, sans-serif',
+      theme_mode: 'auto'
+    });
+
+    expect(getGatewayThemeParams({
+      primaryColor: 'red;background:url(x)',
+      borderRadius: 'calc(100vh)',
+      fontFamily: '<script>'
+    })).toEqual({});
+  });
+
+  test('should render escaped header text and a safe logo', () => {
+    const html = getHeaderHTML({ headerText: 'Pay <Shop>', logoUrl: 'https://shop.example.com/logo.png' });
+
+    expect(html).toContain('>Pay &lt;Shop&gt;</h2>');
+    expect(html).toContain('<img class="pso-logo" src="https://shop.example.com/logo.png" alt="">');
+    expect(getHeaderHTML({ logoUrl: 'javascript:alert(1)' })).not.toContain('<img');
+    expect(getHeaderHTML()).toContain('>Secure Payment</h2>');
+  });
+});
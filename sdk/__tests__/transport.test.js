@@ -0,0 +1,159 @@
+/**
+ * PSO Payment SDK - HTTP Transport Tests
+ */
+
+import { HttpTransport } from '../src/transport.js';
+
+function mockResponse(body, init = {}) {
+  return {
+    ok: init.ok !== undefined ? init.ok : true,
+    status: init.status || 200,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+  };
+}
+
+// fetch mock that never settles on its own but honours the abort signal
+function hangingFetch() {
+  return jest.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  }));
+}
+
+describe('HttpTransport', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new HttpTransport({
+      merchantId: 'TEST_MERCHANT_123',
+      environment: 'test',
+      retry: { retries: 2, minDelay: 1, maxDelay: 4 }
+    });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should send JSON body with merchant header', async () => {
+    global.fetch.mockResolvedValue(mockResponse({ success: true }));
+
+    const result = await transport.request('/api/test', {
+      method: 'POST',
+      body: { foo: 'bar' }
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:3000/api/test',
+      expect.objectContaining({
+        method: 'POST',
+        body: '{"foo":"bar"}',
+        headers: expect.objectContaining({
+          'Content-Type': 'application/json',
+          'X-Merchant-Id': 'TEST_MERCHANT_123'
+        })
+      })
+    );
+  });
+
+  test('should retry safe requests on transient status codes', async () => {
+    global.fetch
+      .mockResolvedValueOnce(mockResponse({ message: 'busy' }, { ok: false, status: 503 }))
+      .mockResolvedValueOnce(mockResponse({ message: 'busy' }, { ok: false, status: 502 }))
+      .mockResolvedValueOnce(mockResponse({ success: true }));
+
+    const result = await transport.request('/api/test', { retry: true });
+
+    expect(result).toEqual({ success: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should give up after the configured number of retries', async () => {
+    global.fetch.mockResolvedValue(mockResponse({ message: 'busy' }, { ok: false, status: 503 }));
+
+    await expect(
+      transport.request('/api/test', { retry: true })
+    ).rejects.toThrow('busy');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry unsafe requests', async () => {
+    global.fetch.mockResolvedValue(mockResponse({ message: 'busy' }, { ok: false, status: 503 }));
+
+    await expect(
+      transport.request('/api/test', { method: 'POST', body: {} })
+    ).rejects.toThrow('busy');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry client errors', async () => {
+    global.fetch.mockResolvedValue(mockResponse({ message: 'bad request' }, { ok: false, status: 400 }));
+
+    await expect(
+      transport.request('/api/test', { retry: true })
+    ).rejects.toThrow('bad request');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should time out stalled requests', async () => {
+    global.fetch = hangingFetch();
+
+    await expect(
+      transport.request('/api/test', { timeout: 10 })
+    ).rejects.toMatchObject({ name: 'PSONetworkError', code: 'TIMEOUT' });
+  });
+
+  test('should stop when the caller aborts', async () => {
+    global.fetch = hangingFetch();
+    const controller = new AbortController();
+
+    const pending = transport.request('/api/test', { retry: true, signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED', retryable: false });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject immediately with an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      transport.request('/api/test', { signal: controller.signal })
+    ).rejects.toMatchObject({ code: 'ABORTED', retryable: false });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should handle non-JSON error bodies', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse('<html>502 Bad Gateway</html>', { ok: false, status: 400 })
+    );
+
+    await expect(
+      transport.request('/api/test', { errorMessage: 'Failed to do thing' })
+    ).rejects.toMatchObject({
+      message: 'Failed to do thing',
+      status: 400,
+      data: { raw: '<html>502 Bad Gateway</html>' }
+    });
+  });
+
+  test('should reject non-JSON success bodies', async () => {
+    global.fetch.mockResolvedValue(mockResponse('OK'));
+
+    await expect(
+      transport.request('/api/test')
+    ).rejects.toThrow('Invalid JSON response from gateway');
+  });
+
+  test('should cap backoff delay', () => {
+    expect(transport.getBackoffDelay(0)).toBe(1);
+    expect(transport.getBackoffDelay(1)).toBe(2);
+    expect(transport.getBackoffDelay(5)).toBe(4);
+  });
+});
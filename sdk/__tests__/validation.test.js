@@ -0,0 +1,155 @@
+/**
+ * PSO Payment SDK - Customer, Product and Shipment Validation Tests
+ */
+
+import { Validator, BD_DISTRICTS } from '../src/validation.js';
+import { Translator } from '../src/i18n.js';
+
+describe('Validator.validateEmail', () => {
+  test.each(['customer@example.com', ' a.b+tag@mail.example.com.bd '])('should accept %p', (email) => {
+    expect(Validator.validateEmail(email).valid).toBe(true);
+  });
+
+  test.each(['customer', 'customer@', 'customer@example', 'a b@example.com', '@example.com'])(
+    'should reject %p',
+    (email) => {
+      expect(Validator.validateEmail(email)).toEqual({ valid: false, message: 'Enter a valid email address' });
+    }
+  );
+});
+
+describe('Validator.normalizeBDPhone', () => {
+  test.each([
+    ['01712345678', '+8801712345678'],
+    ['+8801712345678', '+8801712345678'],
+    ['8801912345678', '+8801912345678'],
+    ['008801312345678', '+8801312345678'],
+    ['+880 1712-345678', '+8801712345678'],
+    ['(017) 1234 5678', '+8801712345678']
+  ])('should normalize %p', (phone, expected) => {
+    expect(Validator.normalizeBDPhone(phone)).toBe(expected);
+  });
+
+  test.each(['01212345678', '0171234567', '017123456789', '+8801234567890', 'phone'])(
+    'should reject %p',
+    (phone) => {
+      expect(Validator.normalizeBDPhone(phone)).toBeNull();
+    }
+  );
+});
+
+describe('Validator.validatePhone', () => {
+  test('should accept other countries in E.164 form', () => {
+    expect(Validator.validatePhone('+44 20 7946 0958')).toEqual({ valid: true, message: '', normalized: '+442079460958' });
+  });
+
+  test('should not accept malformed +880 numbers as E.164', () => {
+    expect(Validator.validatePhone('+8801234567890').valid).toBe(false);
+  });
+
+  test('should localize the message', () => {
+    const i18n = new Translator({ locale: 'bn' });
+
+    expect(Validator.validatePhone('123', i18n).message).toBe('সঠিক বাংলাদেশি মোবাইল নম্বর দিন, যেমন 01712345678');
+  });
+});
+
+describe('Validator.validateDistrict / validatePostcode', () => {
+  test('should list all 64 districts', () => {
+    expect(BD_DISTRICTS).toHaveLength(64);
+    expect(new Set(BD_DISTRICTS).size).toBe(64);
+  });
+
+  test.each([
+    ['dhaka', 'Dhaka'],
+    ['Chittagong', 'Chattogram'],
+    ['COMILLA', 'Cumilla'],
+    ['Coxs Bazar', "Cox's Bazar"],
+    ['Sylhet District', 'Sylhet']
+  ])('should normalize district %p', (district, expected) => {
+    expect(Validator.validateDistrict(district)).toEqual({ valid: true, message: '', normalized: expected });
+  });
+
+  test('should reject unknown districts', () => {
+    expect(Validator.validateDistrict('Kolkata').valid).toBe(false);
+  });
+
+  test('should require 4-digit postcodes', () => {
+    expect(Validator.validatePostcode('1207').valid).toBe(true);
+    expect(Validator.validatePostcode(1207).valid).toBe(true);
+    expect(Validator.validatePostcode('12070')).toEqual({ valid: false, message: 'Postcode must be 4 digits' });
+  });
+});
+
+describe('Validator.validateCustomerInfo', () => {
+  test('should treat missing or empty details as valid', () => {
+    expect(Validator.validateCustomerInfo(undefined).valid).toBe(true);
+    expect(Validator.validateCustomerInfo({})).toEqual({ valid: true, errors: [], value: {} });
+  });
+
+  test('should normalize valid details without changing the input', () => {
+    const info = { name: ' Rahim Uddin ', email: 'rahim@example.com ', phone: '01712-345678' };
+    const result = Validator.validateCustomerInfo(info);
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual({ name: 'Rahim Uddin', email: 'rahim@example.com', phone: '+8801712345678' });
+    expect(info.phone).toBe('01712-345678');
+  });
+
+  test('should report every invalid field', () => {
+    const result = Validator.validateCustomerInfo({ email: 'nope', phone: '123', address: 'x'.repeat(256) });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'customerInfo.name', message: 'This field is required' },
+      { field: 'customerInfo.address', message: 'Must be at most 255 characters' },
+      { field: 'customerInfo.email', message: 'Enter a valid email address' },
+      { field: 'customerInfo.phone', message: 'Enter a valid Bangladeshi mobile number, e.g. 01712345678' }
+    ]);
+  });
+
+  test('should reject non-objects', () => {
+    expect(Validator.validateCustomerInfo('Rahim').errors).toEqual([
+      { field: 'customerInfo', message: 'must be an object' }
+    ]);
+  });
+});
+
+describe('Validator.validateProductInfo', () => {
+  test('should require a name and a whole quantity', () => {
+    expect(Validator.validateProductInfo({ name: 'Plan', quantity: 2 }).valid).toBe(true);
+    expect(Validator.validateProductInfo({ quantity: 1.5 }).errors).toEqual([
+      { field: 'productInfo.name', message: 'This field is required' },
+      { field: 'productInfo.quantity', message: 'Quantity must be a whole number of at least 1' }
+    ]);
+    expect(Validator.validateProductInfo({ name: 'Plan', quantity: 0 }).valid).toBe(false);
+  });
+});
+
+describe('Validator.validateShipmentInfo', () => {
+  test('should require address, district and postcode in Bangladesh', () => {
+    expect(Validator.validateShipmentInfo({ address: 'House 1, Road 2' }).errors).toEqual([
+      { field: 'shipmentInfo.district', message: 'This field is required' },
+      { field: 'shipmentInfo.postcode', message: 'This field is required' }
+    ]);
+  });
+
+  test('should normalize the district', () => {
+    const result = Validator.validateShipmentInfo({
+      address: 'House 1, Road 2',
+      city: 'Chattogram',
+      district: 'chittagong',
+      postcode: ' 4000 '
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual(expect.objectContaining({ district: 'Chattogram', postcode: '4000' }));
+  });
+
+  test('should only require an address abroad', () => {
+    expect(Validator.validateShipmentInfo({ address: '1 Main St', country: 'US', postcode: '10001' }).valid).toBe(true);
+    expect(Validator.validateShipmentInfo({ country: 'US' }).errors).toEqual([
+      { field: 'shipmentInfo.address', message: 'This field is required' }
+    ]);
+  });
+});
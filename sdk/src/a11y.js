@@ -0,0 +1,179 @@
+/**
+ * Accessibility Helpers
+ * Focus trap for the modal overlay, a shared live region for screen-reader
+ * announcements and the reduced-motion preference.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'iframe',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+const LIVE_REGION_ID = 'pso-live-region';
+
+/**
+ * Whether the user asked the OS to minimize animations
+ */
+export function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Announce a message through a polite live region. The region lives on
+ * document.body so results are still read after the overlay is removed.
+ */
+export function announce(message) {
+  let region = document.getElementById(LIVE_REGION_ID);
+
+  if (!region) {
+    region = document.createElement('div');
+    region.id = LIVE_REGION_ID;
+    region.className = 'pso-sr-only';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+  }
+
+  region.textContent = message || '';
+}
+
+/**
+ * Keeps keyboard focus inside a dialog, closes it on Escape and returns
+ * focus to the previously focused element on deactivate().
+ *
+ * Focus guards at both ends of the dialog catch tabbing out of the gateway
+ * iframe, whose key events never reach this document.
+ */
+export class FocusTrap {
+  /**
+   * @param {HTMLElement} root - Dialog element
+   * @param {Object} [options]
+   * @param {Function} [options.onEscape] - Called when Escape is pressed
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.onEscape = options.onEscape;
+    this.previousFocus = null;
+    this.startGuard = null;
+    this.endGuard = null;
+    this.keydownListener = null;
+    this.focusinListener = null;
+  }
+
+  /**
+   * Start trapping focus and move it into the dialog
+   *
+   * @param {HTMLElement} [initialFocus] - Element to focus (defaults to the first focusable one)
+   */
+  activate(initialFocus) {
+    this.previousFocus = document.activeElement;
+
+    this.startGuard = this.createGuard();
+    this.endGuard = this.createGuard();
+    this.root.insertBefore(this.startGuard, this.root.firstChild);
+    this.root.appendChild(this.endGuard);
+
+    this.keydownListener = (event) => this.handleKeydown(event);
+    this.focusinListener = (event) => this.handleFocusin(event);
+    document.addEventListener('keydown', this.keydownListener, true);
+    document.addEventListener('focusin', this.focusinListener);
+
+    this.focus(initialFocus || this.getFocusableElements()[0] || this.root);
+  }
+
+  /**
+   * Stop trapping focus and restore it to where it was before activate()
+   */
+  deactivate() {
+    if (!this.keydownListener) {
+      return;
+    }
+
+    document.removeEventListener('keydown', this.keydownListener, true);
+    document.removeEventListener('focusin', this.focusinListener);
+    this.keydownListener = null;
+    this.focusinListener = null;
+
+    [this.startGuard, this.endGuard].forEach(guard => {
+      if (guard && guard.parentNode) {
+        guard.parentNode.removeChild(guard);
+      }
+    });
+
+    const previous = this.previousFocus;
+    this.previousFocus = null;
+
+    if (previous && previous !== document.body && document.body.contains(previous)) {
+      this.focus(previous);
+    }
+  }
+
+  handleKeydown(event) {
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      if (this.onEscape) {
+        event.preventDefault();
+        this.onEscape();
+      }
+      return;
+    }
+
+    if (event.key !== 'Tab') {
+      return;
+    }
+
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!first) {
+      event.preventDefault();
+      return;
+    }
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      this.focus(last);
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      this.focus(first);
+    }
+  }
+
+  handleFocusin(event) {
+    const focusable = this.getFocusableElements();
+
+    if (event.target === this.startGuard) {
+      this.focus(focusable[focusable.length - 1] || this.root);
+    } else if (event.target === this.endGuard || !this.root.contains(event.target)) {
+      this.focus(focusable[0] || this.root);
+    }
+  }
+
+  getFocusableElements() {
+    return Array.prototype.filter.call(
+      this.root.querySelectorAll(FOCUSABLE_SELECTOR),
+      element => element !== this.startGuard && element !== this.endGuard
+    );
+  }
+
+  createGuard() {
+    const guard = document.createElement('div');
+    guard.className = 'pso-focus-guard';
+    guard.setAttribute('tabindex', '0');
+    guard.setAttribute('aria-hidden', 'true');
+    return guard;
+  }
+
+  focus(element) {
+    if (element && typeof element.focus === 'function') {
+      element.focus();
+    }
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * SDK Error Classes
+ * Typed errors with stable, machine-readable codes so integrations can
+ * branch on failures without matching on message strings.
+ */
+
+// HTTP statuses that indicate a transient failure worth retrying
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Base class for every error thrown by the SDK
+ */
+export class PSOError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details]
+   * @param {string} [details.code] - Stable error code
+   * @param {number} [details.status] - HTTP status, when the error came from a response
+   * @param {*} [details.data] - Raw gateway payload
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    // Set explicitly: constructor names do not survive minification
+    this.name = 'PSOError';
+    this.code = details.code || 'PSO_ERROR';
+    this.status = details.status;
+    this.data = details.data;
+    this.retryable = details.retryable || false;
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      retryable: this.retryable,
+      data: this.data
+    };
+  }
+}
+
+/**
+ * Invalid configuration, payment options or request payload
+ */
+export class PSOValidationError extends PSOError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - PSOError details plus `field` and `errors`
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, code: details.code || 'VALIDATION_ERROR' });
+    this.name = 'PSOValidationError';
+    this.field = details.field;
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * The request never produced a response: connection failure, timeout or abort
+ */
+export class PSONetworkError extends PSOError {
+  constructor(message, details = {}) {
+    const code = details.code || 'NETWORK_ERROR';
+    super(message, { retryable: code !== 'ABORTED', ...details, code });
+    this.name = 'PSONetworkError';
+  }
+}
+
+/**
+ * The gateway (or the proxy in front of it) answered with a failure
+ */
+export class PSOGatewayError extends PSOError {
+  /**
+   * @param {string} message
+   * @param {Object} [details] - PSOError details plus `reason` and `statusText`
+   */
+  constructor(message, details = {}) {
+    super(message, {
+      retryable: RETRYABLE_STATUS.includes(details.status),
+      ...details,
+      code: details.code || 'GATEWAY_ERROR'
+    });
+    this.name = 'PSOGatewayError';
+    this.reason = details.reason;
+    this.statusText = details.statusText;
+  }
+}
+
+/**
+ * Too many requests - wait `retryAfter` seconds (when known) before retrying
+ */
+export class PSORateLimitError extends PSOGatewayError {
+  constructor(message, details = {}) {
+    super(message, {
+      status: 429,
+      ...details,
+      code: details.code || 'RATE_LIMIT_EXCEEDED',
+      retryable: true
+    });
+    this.name = 'PSORateLimitError';
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * The customer completed the checkout but the payment itself failed
+ * (declined, expired or rejected by the gateway page)
+ */
+export class PSOPaymentError extends PSOError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: details.code || 'PAYMENT_FAILED' });
+    this.name = 'PSOPaymentError';
+    this.transactionId = details.transactionId;
+  }
+}
+
+/**
+ * Build the matching error for a failed proxy/gateway response
+ *
+ * Understands the proxy's error shapes:
+ * - `{ message, reason, statusCode, statusText }` from gateway failures
+ * - `{ message, errors: [...], fieldErrors?: [{ field, message }] }` from
+ *   request validation; field-level errors replace the plain list
+ * - `{ message, error: 'RATE_LIMIT_EXCEEDED' }` from the rate limiter
+ *
+ * @param {number} status - HTTP status
+ * @param {Object|null} payload - Parsed response body
+ * @param {string} fallbackMessage - Message to use when the payload has none
+ * @param {Object} [response] - Fetch response (used for Retry-After)
+ * @returns {PSOError}
+ */
+export function createResponseError(status, payload, fallbackMessage, response) {
+  const data = payload || undefined;
+  const message = (payload && payload.message) || fallbackMessage || `Request failed with status ${status}`;
+  const payloadCode = payload && typeof payload.error === 'string' ? payload.error : undefined;
+
+  if (status === 429 || payloadCode === 'RATE_LIMIT_EXCEEDED') {
+    const header = response && response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('Retry-After')
+      : null;
+    return new PSORateLimitError(message, {
+      status,
+      data,
+      retryAfter: header ? parseInt(header, 10) : undefined
+    });
+  }
+
+  if (status === 400 && payload && Array.isArray(payload.errors)) {
+    const fieldErrors = Array.isArray(payload.fieldErrors) && payload.fieldErrors.length > 0
+      ? payload.fieldErrors
+      : null;
+
+    return new PSOValidationError(message, {
+      status,
+      data,
+      errors: fieldErrors || payload.errors,
+      field: fieldErrors ? fieldErrors[0].field : undefined
+    });
+  }
+
+  return new PSOGatewayError(message, {
+    code: payloadCode,
+    status,
+    data,
+    reason: payload && payload.reason,
+    statusText: (payload && payload.statusText) || (response && response.statusText)
+  });
+}
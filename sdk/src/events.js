@@ -0,0 +1,106 @@
+/**
+ * Event Emitter
+ * Minimal listener registry behind PSOPayment.on/off/once.
+ * Listener exceptions are contained so analytics code cannot break a checkout.
+ */
+
+/**
+ * Lifecycle events emitted by PSOPayment and PaymentPopup
+ */
+export const EVENTS = {
+  ORDER_CREATED: 'order:created',
+  ORDER_FAILED: 'order:failed',
+  REDIRECT_STARTED: 'redirect:started',
+  CHECKOUT_RESUMED: 'checkout:resumed',
+  CHECKOUT_ACTIVE_ELSEWHERE: 'checkout:active-elsewhere',
+  CHECKOUT_COMPLETED_ELSEWHERE: 'checkout:completed-elsewhere',
+  POPUP_OPENED: 'popup:opened',
+  POPUP_BLOCKED: 'popup:blocked',
+  POPUP_CLOSED: 'popup:closed',
+  GATEWAY_LOADED: 'gateway:loaded',
+  GATEWAY_UNREACHABLE: 'gateway:unreachable',
+  WINDOW_CLOSED: 'window:closed',
+  MESSAGE_RECEIVED: 'message:received',
+  PAYMENT_SUCCESS: 'payment:success',
+  PAYMENT_FAILED: 'payment:failed',
+  PAYMENT_CANCELLED: 'payment:cancelled',
+  PAYMENT_STATUS: 'payment:status',
+  VERIFICATION_COMPLETED: 'verification:completed',
+  VERIFICATION_FAILED: 'verification:failed'
+};
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Register a listener; use '*' to receive every event as (name, payload)
+   *
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener function
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('PSOPayment: event listener must be a function');
+    }
+
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.listener = listener;
+
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener, or every listener for the event when none is given
+   */
+  off(event, listener) {
+    if (!this.listeners[event]) {
+      return;
+    }
+
+    if (!listener) {
+      delete this.listeners[event];
+      return;
+    }
+
+    this.listeners[event] = this.listeners[event].filter(
+      l => l !== listener && l.listener !== listener
+    );
+  }
+
+  /**
+   * Call every listener for the event, then wildcard listeners
+   */
+  emit(event, payload) {
+    const listeners = (this.listeners[event] || []).slice();
+    const wildcard = (this.listeners['*'] || []).slice();
+
+    listeners.forEach(listener => this.invoke(listener, [payload], event));
+    wildcard.forEach(listener => this.invoke(listener, [event, payload], event));
+  }
+
+  invoke(listener, args, event) {
+    try {
+      listener(...args);
+    } catch (error) {
+      console.error(`[PSO SDK] Error in "${event}" listener:`, error);
+    }
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Localization
+ * Message catalogs for the SDK's own UI strings plus locale-aware number
+ * and amount formatting. Gateway page content is localized by the gateway
+ * itself from the `locale` query parameter.
+ */
+
+import { getCurrency } from './money.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const CATALOGS = {
+  en: {
+    'popup.title': 'Secure Payment',
+    'popup.loading': 'Loading payment gateway...',
+    'popup.securedBy': 'Secured by PSO Payment Gateway',
+    'popup.loadError': 'Unable to load the payment gateway',
+    'popup.loaded': 'Payment gateway loaded',
+    'popup.close': 'Close payment dialog',
+    'popup.loadTimeout': 'The payment gateway is not responding.',
+    'popup.retry': 'Try again',
+    'popup.openInNewWindow': 'Open in new window',
+    'popup.cancelPayment': 'Cancel payment',
+    'popup.unreachable': 'The payment gateway could not be loaded',
+    'payment.succeeded': 'Payment successful',
+    'payment.failed': 'Payment failed',
+    'payment.cancelled': 'Payment cancelled by user',
+    'payment.closed': 'Payment form closed',
+    'validation.cardNumberLength': 'Card number must be {min}-{max} digits',
+    'validation.cardNumberInvalid': 'Invalid card number',
+    'validation.expiryFormat': 'Format should be MM/YY',
+    'validation.expiryMonth': 'Invalid month',
+    'validation.expired': 'Card has expired',
+    'validation.cvvLength': 'CVV must be {min}-{max} digits',
+    'validation.nameLength': 'Name must be at least {min} characters',
+    'validation.nameLetters': 'Name should contain only letters',
+    'validation.required': 'This field is required',
+    'validation.maxLength': 'Must be at most {max} characters',
+    'validation.email': 'Enter a valid email address',
+    'validation.phone': 'Enter a valid Bangladeshi mobile number, e.g. 01712345678',
+    'validation.quantity': 'Quantity must be a whole number of at least {min}',
+    'validation.postcode': 'Postcode must be {length} digits',
+    'validation.district': 'Enter a district of Bangladesh'
+  },
+  bn: {
+    'popup.title': 'নিরাপদ পেমেন্ট',
+    'popup.loading': 'পেমেন্ট গেটওয়ে লোড হচ্ছে...',
+    'popup.securedBy': 'PSO পেমেন্ট গেটওয়ে দ্বারা সুরক্ষিত',
+    'popup.loadError': 'পেমেন্ট গেটওয়ে লোড করা যায়নি',
+    'popup.loaded': 'পেমেন্ট গেটওয়ে লোড হয়েছে',
+    'popup.close': 'পেমেন্ট ডায়ালগ বন্ধ করুন',
+    'popup.loadTimeout': 'পেমেন্ট গেটওয়ে সাড়া দিচ্ছে না।',
+    'popup.retry': 'আবার চেষ্টা করুন',
+    'popup.openInNewWindow': 'নতুন উইন্ডোতে খুলুন',
+    'popup.cancelPayment': 'পেমেন্ট বাতিল করুন',
+    'popup.unreachable': 'পেমেন্ট গেটওয়ে লোড করা যায়নি',
+    'payment.succeeded': 'পেমেন্ট সফল হয়েছে',
+    'payment.failed': 'পেমেন্ট ব্যর্থ হয়েছে',
+    'payment.cancelled': 'ব্যবহারকারী পেমেন্ট বাতিল করেছেন',
+    'payment.closed': 'পেমেন্ট ফর্ম বন্ধ করা হয়েছে',
+    'validation.cardNumberLength': 'কার্ড নম্বর {min}-{max} অঙ্কের হতে হবে',
+    'validation.cardNumberInvalid': 'কার্ড নম্বর সঠিক নয়',
+    'validation.expiryFormat': 'ফরম্যাট MM/YY হতে হবে',
+    'validation.expiryMonth': 'মাস সঠিক নয়',
+    'validation.expired': 'কার্ডের মেয়াদ শেষ হয়ে গেছে',
+    'validation.cvvLength': 'CVV {min}-{max} অঙ্কের হতে হবে',
+    'validation.nameLength': 'নাম কমপক্ষে {min} অক্ষরের হতে হবে',
+    'validation.nameLetters': 'নামে শুধু অক্ষর থাকতে পারবে',
+    'validation.required': 'এই তথ্যটি আবশ্যক',
+    'validation.maxLength': 'সর্বোচ্চ {max} অক্ষর হতে পারবে',
+    'validation.email': 'সঠিক ইমেইল ঠিকানা দিন',
+    'validation.phone': 'সঠিক বাংলাদেশি মোবাইল নম্বর দিন, যেমন 01712345678',
+    'validation.quantity': 'পরিমাণ কমপক্ষে {min} এর পূর্ণ সংখ্যা হতে হবে',
+    'validation.postcode': 'পোস্টকোড {length} অঙ্কের হতে হবে',
+    'validation.district': 'বাংলাদেশের একটি জেলার নাম দিন'
+  }
+};
+
+export const NUMERALS = ['latn', 'beng'];
+
+// BCP 47 tags used for Intl formatting
+const INTL_LOCALES = {
+  en: 'en-US',
+  bn: 'bn-BD'
+};
+
+const BENGALI_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+/**
+ * Map a locale tag ('bn', 'bn-BD', 'en_US') to a bundled catalog
+ */
+export function resolveLocale(locale) {
+  const language = String(locale || '').split(/[-_]/)[0].toLowerCase();
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Replace ASCII digits with Bengali digits
+ */
+export function toBengaliDigits(value) {
+  return String(value).replace(/[0-9]/g, digit => BENGALI_DIGITS[digit]);
+}
+
+export class Translator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.locale] - 'en' (default) or 'bn'
+   * @param {Object} [options.messages] - Overrides keyed by message key
+   * @param {string} [options.numerals] - 'latn' (default) or 'beng' for Bengali digits
+   */
+  constructor(options = {}) {
+    this.locale = resolveLocale(options.locale);
+    this.numerals = options.numerals || 'latn';
+    this.messages = {
+      ...CATALOGS[DEFAULT_LOCALE],
+      ...CATALOGS[this.locale],
+      ...(options.messages || {})
+    };
+  }
+
+  /**
+   * Look up a message and fill `{name}` placeholders; numbers are formatted
+   * with the active numerals
+   *
+   * @param {string} key - Message key, e.g. 'popup.title'
+   * @param {Object} [params] - Placeholder values
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    const template = this.messages[key] !== undefined ? this.messages[key] : key;
+
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+      if (params[name] === undefined) {
+        return match;
+      }
+      return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+    });
+  }
+
+  /**
+   * Format a number with the locale's grouping and the active numerals
+   */
+  formatNumber(value, options = {}) {
+    let formatted;
+
+    try {
+      formatted = new Intl.NumberFormat(`${INTL_LOCALES[this.locale]}-u-nu-latn`, options).format(value);
+    } catch (error) {
+      // Unknown currency code or no Intl support
+      formatted = options.currency ? `${options.currency} ${value}` : String(value);
+    }
+
+    return this.applyNumerals(formatted);
+  }
+
+  /**
+   * Format an amount in major units with its currency,
+   * e.g. "BDT 1,000.00" (en) or "১,০০০.০০৳" (bn with Bengali numerals)
+   */
+  formatAmount(amount, currency = 'BDT') {
+    const info = getCurrency(currency);
+
+    if (!info) {
+      return this.formatNumber(amount, { style: 'currency', currency });
+    }
+
+    // Decimal places come from the ISO 4217 table, not the Intl data
+    return this.formatNumber(amount, {
+      style: 'currency',
+      currency: info.code,
+      minimumFractionDigits: info.exponent,
+      maximumFractionDigits: info.exponent
+    });
+  }
+
+  applyNumerals(text) {
+    return this.numerals === 'beng' ? toBengaliDigits(text) : text;
+  }
+}
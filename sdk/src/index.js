@@ -5,10 +5,42 @@
  */
 
 import PSOPayment from './payment-sdk.js';
+import {
+  PSOError,
+  PSOValidationError,
+  PSONetworkError,
+  PSOGatewayError,
+  PSORateLimitError,
+  PSOPaymentError
+} from './errors.js';
+import { EVENTS } from './events.js';
+import { Validator } from './validation.js';
+import {
+  CURRENCIES,
+  getCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+} from './money.js';
 import './styles.css';
 
 export default PSOPayment;
-export { PSOPayment };
+export {
+  PSOPayment,
+  PSOError,
+  PSOValidationError,
+  PSONetworkError,
+  PSOGatewayError,
+  PSORateLimitError,
+  PSOPaymentError,
+  EVENTS,
+  Validator,
+  CURRENCIES,
+  getCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+};
 
 // Make available globally in browser environments
 if (typeof window !== 'undefined') {
@@ -0,0 +1,112 @@
+/**
+ * Checkout Metadata
+ * Maps named metadata to the gateway's merchant-defined fields mdf_1..mdf_6
+ * according to the merchant's `metadataFields` declaration, e.g.
+ * `{ cartId: 'mdf_1', campaign: 'mdf_2' }`.
+ */
+
+import { PSOValidationError } from './errors.js';
+
+export const MDF_FIELDS = ['mdf_1', 'mdf_2', 'mdf_3', 'mdf_4', 'mdf_5', 'mdf_6'];
+
+// Longest value the gateway accepts in one mdf field
+export const MDF_MAX_LENGTH = 255;
+
+const KEY_PATTERN = /^[A-Za-z_][\w.-]{0,63}$/;
+
+/**
+ * Check a metadataFields declaration
+ *
+ * @param {Object} fields - Metadata key -> mdf field
+ * @throws {PSOValidationError} - field 'metadataFields'
+ */
+export function validateMetadataFields(fields) {
+  if (fields === undefined || fields === null) {
+    return;
+  }
+
+  const fail = (message) => {
+    throw new PSOValidationError(`PSOPayment: ${message}`, { field: 'metadataFields' });
+  };
+
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    fail('metadataFields must map metadata keys to "mdf_1".."mdf_6"');
+  }
+
+  const used = {};
+
+  Object.keys(fields).forEach(key => {
+    const slot = fields[key];
+
+    if (!KEY_PATTERN.test(key)) {
+      fail(`metadataFields key "${key}" must start with a letter or "_" and be at most 64 characters`);
+    }
+    if (!MDF_FIELDS.includes(slot)) {
+      fail(`metadataFields.${key} must be one of ${MDF_FIELDS.join(', ')}`);
+    }
+    if (used[slot]) {
+      fail(`metadataFields.${key} and metadataFields.${used[slot]} both use ${slot}`);
+    }
+
+    used[slot] = key;
+  });
+}
+
+/**
+ * Convert metadata to mdf fields
+ *
+ * null and undefined values are skipped; strings, finite numbers and
+ * booleans are sent as strings.
+ *
+ * @param {Object} metadata - Named metadata from the payment options
+ * @param {Object} fields - Metadata key -> mdf field
+ * @param {Object} [customFields] - Raw custom fields already set on the order
+ * @returns {Object} - e.g. { mdf_1: 'CART-42' }
+ * @throws {PSOValidationError} - field 'metadata.<key>'
+ */
+export function mapMetadata(metadata, fields = {}, customFields = {}) {
+  const mapped = {};
+
+  if (metadata === undefined || metadata === null) {
+    return mapped;
+  }
+
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new PSOValidationError('PSOPayment: metadata must be an object', { field: 'metadata' });
+  }
+
+  Object.keys(metadata).forEach(key => {
+    const value = metadata[key];
+    const slot = fields[key];
+    const fail = (message) => {
+      throw new PSOValidationError(`PSOPayment: metadata.${key} ${message}`, { field: `metadata.${key}` });
+    };
+
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (!slot) {
+      fail('has no mdf field; declare it in metadataFields');
+    }
+    if (customFields[slot] !== undefined && customFields[slot] !== '') {
+      fail(`maps to ${slot}, which is already set in customFields`);
+    }
+
+    const isScalar = typeof value === 'string' || typeof value === 'boolean' ||
+      (typeof value === 'number' && isFinite(value));
+
+    if (!isScalar) {
+      fail('must be a string, number or boolean');
+    }
+
+    const text = String(value);
+
+    if (text.length > MDF_MAX_LENGTH) {
+      fail(`must be at most ${MDF_MAX_LENGTH} characters`);
+    }
+
+    mapped[slot] = text;
+  });
+
+  return mapped;
+}
@@ -0,0 +1,154 @@
+/**
+ * Money
+ * ISO 4217 currency table and decimal-safe amount handling. Amounts are
+ * given in major units (29.99) and converted to integer minor units (2999)
+ * by parsing their decimal digits, never by floating-point multiplication.
+ * The table lives in currencies.json; the gateway proxy keeps a copy in
+ * gateway/config/currencies.json that test/test-money.js checks is identical.
+ */
+
+import { PSOValidationError } from './errors.js';
+import currencies from './currencies.json';
+
+/**
+ * Supported currencies: minor-unit exponent and display symbol
+ */
+export const CURRENCIES = currencies;
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Look up a currency
+ *
+ * @param {string} code - ISO 4217 code, e.g. 'BDT'
+ * @returns {Object|null} - { code, exponent, symbol }
+ */
+export function getCurrency(code) {
+  if (typeof code !== 'string' || !Object.prototype.hasOwnProperty.call(CURRENCIES, code.toUpperCase())) {
+    return null;
+  }
+
+  const upper = code.toUpperCase();
+  return { code: upper, ...CURRENCIES[upper] };
+}
+
+/**
+ * Convert a major-unit amount to integer minor units
+ *
+ * Trailing zeros beyond the currency's exponent are accepted ("29.990"),
+ * any other extra digit is rejected rather than rounded.
+ *
+ * @param {number|string} amount - e.g. 29.99 or '29.99'
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - e.g. 2999
+ * @throws {PSOValidationError} - field 'amount' or 'currency'
+ */
+export function toMinorUnits(amount, currency) {
+  const info = requireCurrency(currency);
+  const text = typeof amount === 'number' && isFinite(amount) ? String(amount) : amount;
+  const match = typeof text === 'string' ? DECIMAL_PATTERN.exec(text.trim()) : null;
+
+  if (!match) {
+    throw new PSOValidationError('PSOPayment: amount must be a non-negative decimal number', { field: 'amount' });
+  }
+
+  const fraction = (match[2] || '').replace(/0+$/, '');
+
+  if (fraction.length > info.exponent) {
+    throw new PSOValidationError(
+      `PSOPayment: ${info.code} amounts allow at most ${info.exponent} decimal places`,
+      { field: 'amount' }
+    );
+  }
+
+  const minor = Number(match[1] + fraction.padEnd(info.exponent, '0'));
+
+  if (!Number.isSafeInteger(minor)) {
+    throw new PSOValidationError('PSOPayment: amount is too large', { field: 'amount' });
+  }
+
+  return minor;
+}
+
+/**
+ * Exact decimal string for a minor-unit amount, e.g. 2999 -> '29.99'
+ *
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+export function toDecimalString(minor, currency) {
+  const info = requireCurrency(currency);
+  const digits = String(Math.abs(minor)).padStart(info.exponent + 1, '0');
+  const sign = minor < 0 ? '-' : '';
+
+  if (info.exponent === 0) {
+    return sign + digits;
+  }
+
+  return `${sign}${digits.slice(0, -info.exponent)}.${digits.slice(-info.exponent)}`;
+}
+
+/**
+ * Convert minor units back to a major-unit number, e.g. 2999 -> 29.99
+ */
+export function fromMinorUnits(minor, currency) {
+  return Number(toDecimalString(minor, currency));
+}
+
+/**
+ * Format a minor-unit amount with its symbol and digit grouping,
+ * e.g. 123450 BDT -> '৳1,234.50'
+ *
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+export function formatMoney(minor, currency) {
+  const info = requireCurrency(currency);
+  const [whole, fraction] = toDecimalString(Math.abs(minor), info.code).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+  return `${minor < 0 ? '-' : ''}${info.symbol}${grouped}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Check a payment amount: positive, known currency, valid decimal places
+ *
+ * @param {number|string} amount - Major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} - { amount, minor, currency } with the amount normalized
+ * @throws {PSOValidationError}
+ */
+export function parseAmount(amount, currency) {
+  const info = requireCurrency(currency);
+  const minor = toMinorUnits(amount, info.code);
+
+  if (minor <= 0) {
+    throw new PSOValidationError('PSOPayment: amount must be a positive number', { field: 'amount' });
+  }
+
+  return { amount: fromMinorUnits(minor, info.code), minor, currency: info.code };
+}
+
+/**
+ * Whether two major-unit amounts are the same sum of money, e.g. '100.00'
+ * and 100; unparsable amounts never match
+ */
+export function amountsEqual(a, b, currency) {
+  try {
+    return toMinorUnits(a, currency) === toMinorUnits(b, currency);
+  } catch (error) {
+    return false;
+  }
+}
+
+function requireCurrency(code) {
+  const info = getCurrency(code);
+
+  if (!info) {
+    throw new PSOValidationError(`PSOPayment: unsupported currency "${code}"`, { field: 'currency' });
+  }
+
+  return info;
+}
@@ -4,6 +4,26 @@
  */
 
 import { PaymentPopup } from './popup.js';
+import { HttpTransport } from './transport.js';
+import { EventEmitter, EVENTS } from './events.js';
+import { normalizeStatus, isTerminalStatus, PAYMENT_STATUS } from './status.js';
+import { PendingCheckoutStore } from './pending-store.js';
+import { CheckoutTabSync, TAB_MESSAGES } from './tab-sync.js';
+import { buildReturnUrl, readReturnParams, navigateTo, RETURN_OUTCOMES } from './redirect.js';
+import { getGatewayThemeParams, THEME_MODES } from './theme.js';
+import { Translator, NUMERALS } from './i18n.js';
+import { appendQueryParams } from './url.js';
+import { mapMetadata, validateMetadataFields } from './metadata.js';
+import { parseAmount, amountsEqual } from './money.js';
+import { Validator } from './validation.js';
+import {
+  PSOError,
+  PSOValidationError,
+  PSONetworkError,
+  PSOGatewayError,
+  PSORateLimitError,
+  PSOPaymentError
+} from './errors.js';
 import './styles.css';
 
 class PSOPayment {
@@ -15,10 +35,36 @@ class PSOPayment {
       environment: config.environment || 'test',
       gatewayUrl: config.gatewayUrl,
       theme: config.theme || {},
-      debug: config.debug || false
+      locale: config.locale || 'en',
+      messages: config.messages || {},
+      numerals: config.numerals || 'latn',
+      debug: config.debug || false,
+      usePopupWindow: config.usePopupWindow || false,
+      loadTimeout: config.loadTimeout !== undefined ? config.loadTimeout : 15000,
+      waitForGatewayReady: config.waitForGatewayReady || false,
+      timeout: config.timeout,
+      retry: config.retry,
+      trustedOrigins: config.trustedOrigins || [],
+      verifyOnComplete: config.verifyOnComplete || false,
+      metadataFields: config.metadataFields || {},
+      pendingTtl: config.pendingTtl,
+      crossTabGuard: config.crossTabGuard !== false
     };
 
-    this.popup = new PaymentPopup(this.config);
+    this.transport = new HttpTransport(this.config);
+    this.events = new EventEmitter();
+    this.i18n = new Translator(this.config);
+    this.popup = new PaymentPopup(this.config, this.events, this.i18n);
+    this.pendingStore = new PendingCheckoutStore({ ttl: this.config.pendingTtl });
+    this.pendingCheckout = null;
+    this.activeOrderId = null;
+    this.idempotencyKeys = {};
+    // { orderId, generated, promise } of the showPaymentForm() call still
+    // creating its order; a double submit gets that call's promise
+    this.creatingOrder = null;
+    this.tabSync = this.config.crossTabGuard
+      ? new CheckoutTabSync({ onMessage: (message) => this.handleTabMessage(message) })
+      : null;
     
     if (this.config.debug) {
       console.log('[PSO SDK] Initialized with config:', this.config);
@@ -30,13 +76,27 @@ class PSOPayment {
    */
   validateConfig(config) {
     if (!config.merchantId) {
-      throw new Error('PSOPayment: merchantId is required');
+      throw new PSOValidationError('PSOPayment: merchantId is required', { field: 'merchantId' });
     }
 
     if (config.environment && !['test', 'production'].includes(config.environment)) {
-      throw new Error('PSOPayment: environment must be "test" or "production"');
+      throw new PSOValidationError('PSOPayment: environment must be "test" or "production"', {
+        field: 'environment'
+      });
+    }
+
+    if (config.numerals && !NUMERALS.includes(config.numerals)) {
+      throw new PSOValidationError('PSOPayment: numerals must be "latn" or "beng"', { field: 'numerals' });
+    }
+
+    if (config.theme && config.theme.mode && !THEME_MODES.includes(config.theme.mode)) {
+      throw new PSOValidationError('PSOPayment: theme.mode must be "light", "dark" or "auto"', {
+        field: 'theme.mode'
+      });
     }
 
+    validateMetadataFields(config.metadataFields);
+
     // Enforce HTTPS in production
     if (config.environment === 'production' && window.location.protocol !== 'https:') {
       console.warn('[PSO SDK] Warning: HTTPS is required for production environment');
@@ -45,27 +105,68 @@ class PSOPayment {
 
   /**
    * Show payment form (opens gateway in popup)
+   *
+   * `options.mode` selects how the gateway page is shown: 'iframe' overlay
+   * (default), 'popup' window, or 'redirect' to navigate the top window
+   * (finish the flow with handleReturn() on the return page).
+   *
+   * A second call while the first is still creating its order (same
+   * orderId, or neither passes one) returns the first call's promise
+   * instead of opening a second checkout; its callbacks are not used.
+   */
+  showPaymentForm(options = {}) {
+    const creating = this.creatingOrder;
+
+    if (creating && (options.orderId ? options.orderId === creating.orderId : creating.generated)) {
+      return creating.promise;
+    }
+
+    const orderId = options.orderId || this.generateOrderId();
+    const promise = this.startPaymentForm(options, orderId);
+    const done = () => {
+      if (this.creatingOrder && this.creatingOrder.promise === promise) {
+        this.creatingOrder = null;
+      }
+    };
+
+    this.creatingOrder = { orderId, generated: !options.orderId, promise };
+    promise.then(done, done);
+
+    return promise;
+  }
+
+  /**
+   * Create the order and show its gateway page (see showPaymentForm)
    */
-  async showPaymentForm(options = {}) {
+  async startPaymentForm(options, orderId) {
     this.validatePaymentOptions(options);
 
+    const mode = options.mode || (this.config.usePopupWindow ? 'popup' : 'iframe');
+    const isRedirect = mode === 'redirect';
+
     const paymentOptions = {
-      orderId: options.orderId || this.generateOrderId(),
+      orderId,
       amount: options.amount,
-      currency: options.currency || 'BDT',
+      currency: (options.currency || 'BDT').toUpperCase(),
       customerInfo: options.customerInfo || {},
       productInfo: options.productInfo || {},
+      shipmentInfo: options.shipmentInfo,
       promotionInfo: options.promotionInfo,
       discountDetail: options.discountDetail,
       ipnUrl: options.ipnUrl,
-      successUrl: options.successUrl,
-      cancelUrl: options.cancelUrl,
-      failureUrl: options.failureUrl,
+      successUrl: isRedirect ? buildReturnUrl(options.successUrl, RETURN_OUTCOMES.SUCCESS) : options.successUrl,
+      cancelUrl: isRedirect ? buildReturnUrl(options.cancelUrl, RETURN_OUTCOMES.CANCEL) : options.cancelUrl,
+      failureUrl: isRedirect ? buildReturnUrl(options.failureUrl, RETURN_OUTCOMES.FAILURE) : options.failureUrl,
       customFields: options.customFields || {},
       onSuccess: options.onSuccess,
       onError: options.onError,
       onCancel: options.onCancel,
-      metadata: options.metadata || {}
+      metadata: options.metadata || {},
+      metadataFields: options.metadataFields,
+      idempotencyKey: options.idempotencyKey,
+      verifyOnComplete: options.verifyOnComplete !== undefined
+        ? options.verifyOnComplete
+        : this.config.verifyOnComplete
     };
 
     if (this.config.debug) {
@@ -73,23 +174,42 @@ class PSOPayment {
     }
 
     try {
+      this.assertNotActiveElsewhere(paymentOptions.orderId);
+      if (this.tabSync) {
+        this.tabSync.claim(paymentOptions.orderId);
+      }
+
       // Create payment order and get gateway URL
-      const orderResult = await this.createPaymentOrder(paymentOptions);
+      const orderResult = await this.createPaymentOrder(paymentOptions, {
+        timeout: options.timeout,
+        signal: options.signal
+      });
       
-      if (orderResult.success && orderResult.gatewayPageUrl) {
+
+      if (orderResult.success && orderResult.gatewayPageUrl && isRedirect) {
+        this.startRedirect(paymentOptions, orderResult);
+      } else if (orderResult.success && orderResult.gatewayPageUrl) {
+        const context = this.savePendingCheckout(options.container ? 'embedded' : mode, paymentOptions, orderResult);
+
         // Open gateway URL in popup
-        this.popup.show({
-          gatewayUrl: orderResult.gatewayPageUrl,
-          transactionId: orderResult.transactionId,
-          sessionId: orderResult.sessionId,
-          onSuccess: paymentOptions.onSuccess,
-          onError: paymentOptions.onError,
-          onCancel: paymentOptions.onCancel
+        this.openGateway(context, paymentOptions, {
+          usePopupWindow: mode === 'popup',
+          container: options.container,
+          height: options.height
         });
       } else {
-        throw new Error(orderResult.message || 'Failed to create payment order');
+        const error = new PSOGatewayError(orderResult.message || 'Failed to create payment order', {
+          code: 'ORDER_CREATION_FAILED',
+          data: orderResult,
+          reason: orderResult.reason
+        });
+        this.events.emit(EVENTS.ORDER_FAILED, { orderId: paymentOptions.orderId, error });
+        throw error;
       }
     } catch (error) {
+      if (this.tabSync) {
+        this.tabSync.release(paymentOptions.orderId);
+      }
       if (this.config.debug) {
         console.error('[PSO SDK] Payment initialization failed:', error);
       }
@@ -101,23 +221,653 @@ class PSOPayment {
   }
 
   /**
-   * Create payment order with gateway
+   * Gateway page URL with the locale and whitelisted theme parameters
+   */
+  getGatewayPageUrl(gatewayPageUrl) {
+    return appendQueryParams(gatewayPageUrl, {
+      locale: this.i18n.locale,
+      ...getGatewayThemeParams(this.config.theme)
+    });
+  }
+
+  /**
+   * Format an amount for display in the configured locale and numerals
+   *
+   * @param {number} amount - Amount in major units
+   * @param {string} [currency] - ISO 4217 code (default: BDT)
+   * @returns {string}
+   */
+  formatAmount(amount, currency) {
+    return this.i18n.formatAmount(amount, currency);
+  }
+
+  /**
+   * Persist the checkout context so it survives a reload or redirect
+   *
+   * @param {string} mode - 'iframe', 'popup', 'embedded' or 'redirect'
+   * @returns {Object} - Stored entry
+   */
+  savePendingCheckout(mode, paymentOptions, orderResult) {
+    return this.pendingStore.save({
+      mode,
+      orderId: paymentOptions.orderId,
+      transactionId: orderResult.transactionId,
+      sessionId: orderResult.sessionId,
+      gatewayPageUrl: orderResult.gatewayPageUrl,
+      amount: paymentOptions.amount,
+      currency: paymentOptions.currency,
+      verifyOnComplete: paymentOptions.verifyOnComplete,
+      config: {
+        merchantId: this.config.merchantId,
+        environment: this.config.environment,
+        gatewayUrl: this.config.gatewayUrl
+      }
+    });
+  }
+
+  /**
+   * Show the gateway page for a stored checkout. The stored entry is removed
+   * as soon as the payment succeeds, fails or is cancelled, so only a reload
+   * leaves it behind.
+   *
+   * @param {Object} context - Stored checkout entry
+   * @param {Object} callbacks - { onSuccess, onError, onCancel }
+   * @param {Object} display - { usePopupWindow, container, height }
+   */
+  openGateway(context, callbacks, display) {
+    const finish = (callback, outcome) => (data) => {
+      this.pendingStore.remove(context.orderId);
+      this.activeOrderId = null;
+      delete this.idempotencyKeys[context.orderId];
+      this.notifyCompleted(context, outcome);
+      return callback ? callback(data) : undefined;
+    };
+
+    const onSuccess = context.verifyOnComplete
+      ? (data) => this.completeWithVerification(data, { ...callbacks, ...context }, context)
+      : callbacks.onSuccess;
+
+    this.activeOrderId = context.orderId;
+
+    this.popup.show({
+      gatewayUrl: this.getGatewayPageUrl(context.gatewayPageUrl),
+      transactionId: context.transactionId,
+      sessionId: context.sessionId,
+      usePopupWindow: display.usePopupWindow,
+      container: display.container,
+      height: display.height,
+      verifyOnComplete: context.verifyOnComplete,
+      onSuccess: finish(onSuccess, 'success'),
+      onError: finish(callbacks.onError, 'failed'),
+      onCancel: finish(callbacks.onCancel, 'cancelled')
+    });
+  }
+
+  /**
+   * Refuse to start an order that another tab is already paying, and ask
+   * that tab to bring its checkout to the front
+   *
+   * @throws {PSOPaymentError} - CHECKOUT_IN_OTHER_TAB
+   */
+  assertNotActiveElsewhere(orderId) {
+    const remote = this.tabSync && this.tabSync.getRemoteClaim(orderId);
+
+    if (!remote) {
+      return;
+    }
+
+    this.tabSync.requestFocus(orderId);
+    this.events.emit(EVENTS.CHECKOUT_ACTIVE_ELSEWHERE, { orderId, startedAt: remote.startedAt });
+
+    throw new PSOPaymentError('PSOPayment: this order is already being paid in another tab', {
+      code: 'CHECKOUT_IN_OTHER_TAB',
+      data: { orderId, startedAt: remote.startedAt }
+    });
+  }
+
+  /**
+   * Tell the other tabs that an order finished and drop this tab's claim
+   *
+   * @param {Object} context - { orderId, transactionId }
+   * @param {string} [outcome] - 'success', 'failed' or 'cancelled'
+   */
+  notifyCompleted(context, outcome) {
+    if (this.tabSync) {
+      this.tabSync.release(context.orderId, outcome && {
+        outcome,
+        transactionId: context.transactionId
+      });
+    }
+  }
+
+  /**
+   * Messages from PSOPayment instances in other tabs
+   */
+  handleTabMessage(message) {
+    if (message.type === TAB_MESSAGES.FOCUS && this.tabSync.owns(message.orderId)) {
+      this.popup.focus();
+    } else if (message.type === TAB_MESSAGES.COMPLETED) {
+      // A duplicated tab copies sessionStorage; never resume a finished order
+      this.pendingStore.remove(message.orderId);
+      this.events.emit(EVENTS.CHECKOUT_COMPLETED_ELSEWHERE, {
+        orderId: message.orderId,
+        transactionId: message.transactionId,
+        outcome: message.outcome
+      });
+    }
+  }
+
+  /**
+   * Store the checkout context and navigate to the gateway page
+   */
+  startRedirect(paymentOptions, orderResult) {
+    this.savePendingCheckout('redirect', paymentOptions, orderResult);
+
+    this.events.emit(EVENTS.REDIRECT_STARTED, {
+      orderId: paymentOptions.orderId,
+      transactionId: orderResult.transactionId,
+      gatewayPageUrl: orderResult.gatewayPageUrl
+    });
+
+    navigateTo(this.getGatewayPageUrl(orderResult.gatewayPageUrl));
+  }
+
+  /**
+   * Finish a redirect checkout on the success/cancel/failure return page
+   *
+   * Reads the return parameters, restores the stored checkout context and
+   * runs the same verification and callbacks as the overlay flow. Settles
+   * like checkout(); resolves with null when there is no pending redirect
+   * checkout for this page.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.url] - Return URL (defaults to the current page)
+   * @param {string} [options.outcome] - Force 'success', 'cancel' or 'failure'
+   * @param {boolean} [options.verifyOnComplete] - Override the stored setting
+   * @param {Function} [options.onSuccess]
+   * @param {Function} [options.onError]
+   * @param {Function} [options.onCancel]
+   * @returns {Promise<Object|null>}
+   */
+  async handleReturn(options = {}) {
+    const params = readReturnParams(options.url);
+    const context = PSOPayment.findReturnContext(this.pendingStore, params);
+    const outcome = options.outcome || params.outcome;
+
+    if (!context || !outcome) {
+      if (this.config.debug) {
+        console.log('[PSO SDK] No pending redirect checkout to handle');
+      }
+      return null;
+    }
+
+    // Forget the context first so a reload cannot run the flow twice
+    this.pendingStore.remove(context.orderId);
+    this.notifyCompleted(context, outcome === RETURN_OUTCOMES.SUCCESS ? 'success'
+      : outcome === RETURN_OUTCOMES.CANCEL ? 'cancelled' : 'failed');
+
+    const base = {
+      transactionId: context.transactionId,
+      sessionId: context.sessionId,
+      orderId: context.orderId
+    };
+
+    if (outcome === RETURN_OUTCOMES.CANCEL) {
+      const result = { ...base, success: false, message: this.i18n.t('payment.cancelled') };
+      this.events.emit(EVENTS.PAYMENT_CANCELLED, result);
+      if (options.onCancel) {
+        options.onCancel(result);
+      }
+      return { ...result, status: 'cancelled' };
+    }
+
+    try {
+      if (outcome !== RETURN_OUTCOMES.SUCCESS) {
+        throw new PSOPaymentError(params.message || this.i18n.t('payment.failed'), {
+          transactionId: context.transactionId,
+          data: params
+        });
+      }
+
+      const data = { ...base, success: true, returnParams: params };
+      const verify = options.verifyOnComplete !== undefined ? options.verifyOnComplete : context.verifyOnComplete;
+      const result = verify ? await this.verifyCompletion(data, context, context) : data;
+
+      this.events.emit(EVENTS.PAYMENT_SUCCESS, result);
+      if (options.onSuccess) {
+        options.onSuccess(result);
+      }
+      return { ...result, status: 'success' };
+    } catch (error) {
+      this.events.emit(EVENTS.PAYMENT_FAILED, error);
+      if (options.onError) {
+        options.onError(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the stored context a return page belongs to
+   */
+  static findReturnContext(store, params) {
+    const redirects = store.getAll().filter(entry => entry.mode === 'redirect');
+
+    return redirects.find(entry =>
+      (params.orderId && entry.orderId === params.orderId) ||
+      (params.transactionId && entry.transactionId === params.transactionId) ||
+      (params.sessionId && entry.sessionId === params.sessionId)
+    ) || (redirects.length === 1 && !params.orderId && !params.transactionId ? redirects[0] : null);
+  }
+
+  /**
+   * Static variant of handleReturn() for return pages that do not keep an
+   * SDK instance around; the instance is rebuilt from the stored config
+   *
+   * @param {Object} [options] - handleReturn options plus optional `config` overrides
+   * @returns {Promise<Object|null>}
+   */
+  static handleReturn(options = {}) {
+    const store = new PendingCheckoutStore();
+    const context = PSOPayment.findReturnContext(store, readReturnParams(options.url));
+
+    if (!context) {
+      return Promise.resolve(null);
+    }
+
+    const pso = new PSOPayment({ ...context.config, ...(options.config || {}) });
+    const done = () => pso.destroy();
+    const result = pso.handleReturn(options);
+
+    // The instance is not handed out, so nothing else could tear it down
+    result.then(done, done);
+    return result;
+  }
+
+  /**
+   * The most recent checkout left unfinished by a reload, if any
+   *
+   * @param {string} [id] - Merchant order ID, payment order ID or session ID
+   * @returns {Object|null} - { mode, orderId, transactionId, sessionId, amount, currency, expiresAt, ... }
+   */
+  getPendingPayment(id) {
+    if (id) {
+      return this.pendingStore.find(id);
+    }
+
+    return this.pendingStore.getAll()[0] || null;
+  }
+
+  /**
+   * Pick up a checkout that was interrupted by a page reload
+   *
+   * The gateway is asked for the order's status first. An order that already
+   * finished is never reopened: its outcome is delivered through the
+   * callbacks instead. Otherwise 'reopen' shows the gateway page again for
+   * the same session (in the stored mode unless overridden) and 'status'
+   * polls with waitForPaymentResult() until the order finishes. Settles like
+   * checkout(); resolves with null when nothing is pending. Reopening a
+   * redirect checkout navigates away and resolves right away with
+   * { status: 'redirected', redirected: true, orderId, transactionId };
+   * handleReturn() on the return page reports the outcome.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.orderId] - Checkout to resume (defaults to the most recent)
+   * @param {string} [options.action='reopen'] - 'reopen' or 'status'
+   * @param {string} [options.mode] - 'iframe' or 'popup' for reopen
+   * @param {string|HTMLElement} [options.container] - Container for an embedded checkout
+   * @param {number} [options.height] - Embedded iframe height
+   * @param {number} [options.timeout] - Polling timeout for 'status'
+   * @param {number} [options.interval] - First polling delay for 'status'
+   * @param {AbortSignal} [options.signal] - Cancels the status requests
+   * @param {Function} [options.onSuccess]
+   * @param {Function} [options.onError]
+   * @param {Function} [options.onCancel]
+   * @returns {Promise<Object|null>}
+   */
+  async resumePendingPayment(options = {}) {
+    const context = this.getPendingPayment(options.orderId);
+
+    if (!context) {
+      if (this.config.debug) {
+        console.log('[PSO SDK] No pending checkout to resume');
+      }
+      return null;
+    }
+
+    if (this.popup.isOpen) {
+      throw new PSOError('PSOPayment: a checkout is already in progress', { code: 'CHECKOUT_IN_PROGRESS' });
+    }
+
+    const action = options.action || 'reopen';
+
+    if (!['reopen', 'status'].includes(action)) {
+      throw new PSOValidationError('PSOPayment: action must be "reopen" or "status"', { field: 'action' });
+    }
+
+    const id = context.transactionId || context.orderId;
+    const source = context.transactionId ? 'verify' : 'status';
+
+    try {
+      let transactionInfo;
+
+      if (action === 'reopen') {
+        this.assertNotActiveElsewhere(context.orderId);
+      }
+
+      if (action === 'status') {
+        const result = await this.waitForPaymentResult(id, {
+          source,
+          timeout: options.timeout,
+          interval: options.interval,
+          signal: options.signal
+        });
+        transactionInfo = result.transactionInfo;
+      } else {
+        transactionInfo = await this.fetchPaymentStatus(id, source, { signal: options.signal });
+      }
+
+      this.events.emit(EVENTS.CHECKOUT_RESUMED, {
+        orderId: context.orderId,
+        transactionId: context.transactionId,
+        action
+      });
+
+      if (transactionInfo && isTerminalStatus(normalizeStatus(transactionInfo))) {
+        return this.settleResumed(context, transactionInfo, options);
+      }
+    } catch (error) {
+      if (options.onError) {
+        options.onError(error);
+      }
+      throw error;
+    }
+
+    return this.reopenPendingPayment(context, options);
+  }
+
+  /**
+   * Show the gateway page again for a stored checkout; settles with its outcome,
+   * or with a 'redirected' result once a redirect checkout navigates away
+   */
+  reopenPendingPayment(context, options) {
+    if (this.tabSync) {
+      this.tabSync.claim(context.orderId);
+    }
+
+    const container = typeof options.container === 'string'
+      ? document.querySelector(options.container)
+      : options.container;
+    const mode = options.mode || (context.mode === 'embedded' && !container ? 'iframe' : context.mode);
+
+    if (mode === 'redirect') {
+      this.pendingStore.save(context);
+      this.events.emit(EVENTS.REDIRECT_STARTED, {
+        orderId: context.orderId,
+        transactionId: context.transactionId,
+        gatewayPageUrl: context.gatewayPageUrl
+      });
+      navigateTo(this.getGatewayPageUrl(context.gatewayPageUrl));
+
+      // The page is navigating away; handleReturn() reports the outcome
+      return Promise.resolve({
+        status: 'redirected',
+        redirected: true,
+        orderId: context.orderId,
+        transactionId: context.transactionId
+      });
+    }
+
+    if (container) {
+      this.popup.mount(container);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.openGateway(context, {
+        onSuccess: (data) => {
+          if (options.onSuccess) {
+            options.onSuccess(data);
+          }
+          resolve({ ...data, status: 'success' });
+        },
+        onError: (error) => {
+          if (options.onError) {
+            options.onError(error);
+          }
+          reject(this.toCheckoutError(error));
+        },
+        onCancel: (data) => {
+          if (options.onCancel) {
+            options.onCancel(data);
+          }
+          resolve({ ...data, status: 'cancelled' });
+        }
+      }, {
+        usePopupWindow: mode === 'popup',
+        container: container || undefined,
+        height: options.height
+      });
+    });
+  }
+
+  /**
+   * Deliver the outcome of a stored checkout that already finished
+   */
+  settleResumed(context, transactionInfo, options) {
+    const status = normalizeStatus(transactionInfo);
+    const base = {
+      transactionId: context.transactionId,
+      sessionId: context.sessionId,
+      orderId: context.orderId
+    };
+
+    this.pendingStore.remove(context.orderId);
+    this.notifyCompleted(context, status === PAYMENT_STATUS.APPROVED ? 'success'
+      : status === PAYMENT_STATUS.CANCELLED ? 'cancelled' : 'failed');
+
+    if (status === PAYMENT_STATUS.CANCELLED) {
+      const result = { ...base, success: false, message: this.i18n.t('payment.cancelled') };
+      this.events.emit(EVENTS.PAYMENT_CANCELLED, result);
+      if (options.onCancel) {
+        options.onCancel(result);
+      }
+      return { ...result, status: 'cancelled' };
+    }
+
+    let result;
+
+    try {
+      if (status !== PAYMENT_STATUS.APPROVED) {
+        throw new PSOPaymentError(this.i18n.t('payment.failed'), {
+          transactionId: context.transactionId,
+          data: transactionInfo
+        });
+      }
+      result = this.matchTransaction({ ...base, success: true }, context, context.transactionId, transactionInfo);
+    } catch (error) {
+      this.events.emit(EVENTS.PAYMENT_FAILED, error);
+      throw error;
+    }
+
+    this.events.emit(EVENTS.PAYMENT_SUCCESS, result);
+    if (options.onSuccess) {
+      options.onSuccess(result);
+    }
+    return { ...result, status: 'success' };
+  }
+
+  /**
+   * Confirm a success signal with the proxy before reporting it
+   *
+   * Emits payment:success and calls onSuccess with the verified
+   * transactionInfo, or emits payment:failed and calls onError with a
+   * VERIFICATION_MISMATCH error when the gateway does not confirm the payment.
+   */
+  async completeWithVerification(data, paymentOptions, orderResult) {
+    let result;
+
+    try {
+      result = await this.verifyCompletion(data, paymentOptions, orderResult);
+    } catch (error) {
+      if (this.config.debug) {
+        console.error('[PSO SDK] Payment verification on completion failed:', error);
+      }
+      this.events.emit(EVENTS.PAYMENT_FAILED, error);
+      if (paymentOptions.onError) {
+        paymentOptions.onError(error);
+      }
+      return;
+    }
+
+    this.events.emit(EVENTS.PAYMENT_SUCCESS, result);
+    if (paymentOptions.onSuccess) {
+      paymentOptions.onSuccess(result);
+    }
+  }
+
+  /**
+   * Verify a completed payment and check it matches the checkout
+   *
+   * @param {Object} data - Success payload from the popup
+   * @param {Object} expected - Checkout being completed ({ orderId, amount })
+   * @param {Object} orderResult - Payment order creation response
+   * @returns {Promise<Object>} - Success payload with verified transactionInfo
+   * @throws {PSOPaymentError} - VERIFICATION_MISMATCH when the gateway disagrees
+   */
+  async verifyCompletion(data, expected, orderResult) {
+    const paymentOrderId = orderResult.transactionId || data.transactionId;
+    const result = await this.verifyPaymentStatus(paymentOrderId);
+
+    return this.matchTransaction(data, expected, paymentOrderId, (result && result.transactionInfo) || {});
+  }
+
+  /**
+   * Check verified transaction info against the checkout it should complete
+   *
+   * @returns {Object} - Success payload with verified transactionInfo
+   * @throws {PSOPaymentError} - VERIFICATION_MISMATCH when the gateway disagrees
    */
-  async createPaymentOrder(options) {
-    const gatewayUrl = this.config.environment === 'production'
-      ? this.config.gatewayUrl || 'https://api.pso-gateway.com'
-      : this.config.gatewayUrl || 'http://localhost:3000';
+  matchTransaction(data, expected, paymentOrderId, transactionInfo) {
+    const status = normalizeStatus(transactionInfo);
+    const mismatches = [];
+
+    if (status !== PAYMENT_STATUS.APPROVED) {
+      mismatches.push(`status is ${status}`);
+    }
+    if (transactionInfo.order_id && String(transactionInfo.order_id) !== String(expected.orderId)) {
+      mismatches.push(`order_id ${transactionInfo.order_id} does not match ${expected.orderId}`);
+    }
+    if (transactionInfo.amount !== undefined && expected.amount !== undefined &&
+        !amountsEqual(transactionInfo.amount, expected.amount, expected.currency || 'BDT')) {
+      mismatches.push(`amount ${transactionInfo.amount} does not match ${expected.amount}`);
+    }
+
+    if (mismatches.length > 0) {
+      throw new PSOPaymentError(`Payment verification mismatch: ${mismatches.join(', ')}`, {
+        code: 'VERIFICATION_MISMATCH',
+        transactionId: paymentOrderId,
+        data: { signal: data, transactionInfo }
+      });
+    }
+
+    return {
+      ...data,
+      success: true,
+      verified: true,
+      transactionId: paymentOrderId,
+      transactionInfo
+    };
+  }
+
+  /**
+   * Run a checkout and settle with its final outcome
+   *
+   * Same options as showPaymentForm. Resolves with `{ status: 'success', ... }`
+   * on payment success or `{ status: 'cancelled', ... }` when the customer
+   * cancels; rejects with a PSOError when order creation or the payment fails.
+   * Callbacks passed in options are still invoked.
+   *
+   * @param {Object} options - Payment options
+   * @returns {Promise<Object>} - Final checkout result
+   */
+  checkout(options = {}) {
+    if (this.pendingCheckout) {
+      return Promise.reject(new PSOError('PSOPayment: a checkout is already in progress', {
+        code: 'CHECKOUT_IN_PROGRESS'
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const pending = {
+        resolve: (result) => {
+          this.pendingCheckout = null;
+          resolve(result);
+        },
+        reject: (error) => {
+          this.pendingCheckout = null;
+          reject(error);
+        }
+      };
+      this.pendingCheckout = pending;
+
+      this.showPaymentForm({
+        ...options,
+        onSuccess: (data) => {
+          if (options.onSuccess) {
+            options.onSuccess(data);
+          }
+          pending.resolve({ ...data, status: 'success' });
+        },
+        onError: (error) => {
+          if (options.onError) {
+            options.onError(error);
+          }
+          pending.reject(this.toCheckoutError(error));
+        },
+        onCancel: (data) => {
+          if (options.onCancel) {
+            options.onCancel(data);
+          }
+          pending.resolve({ ...data, status: 'cancelled' });
+        }
+      }).catch(pending.reject);
+    });
+  }
+
+  /**
+   * Convert a popup failure payload into a typed error
+   */
+  toCheckoutError(error) {
+    if (error instanceof PSOError) {
+      return error;
+    }
+
+    return new PSOPaymentError((error && error.message) || this.i18n.t('payment.failed'), {
+      data: error,
+      transactionId: error && error.transactionId
+    });
+  }
 
+  /**
+   * Create payment order with gateway
+   *
+   * @param {Object} options - Payment options
+   * @param {Object} [requestOptions] - Transport options (timeout, signal)
+   */
+  async createPaymentOrder(options, requestOptions = {}) {
     try {
+      const money = parseAmount(options.amount, options.currency || 'BDT');
+      const details = this.validateOrderDetails(options);
+
       // Build request body matching exact API specification
       const requestBody = {
         order_id: options.orderId,
         order_information: {
-          payable_amount: parseFloat(options.amount),
-          currency_code: options.currency
+          payable_amount: money.amount,
+          currency_code: money.currency
         },
-        customer_information: options.customerInfo,
-        product_information: options.productInfo,
+        customer_information: details.customerInfo,
+        product_information: details.productInfo,
         ipn_url: options.ipnUrl,
         success_url: options.successUrl,
         cancel_url: options.cancelUrl,
@@ -131,44 +881,81 @@ class PSOPayment {
       if (options.discountDetail) {
         requestBody.discount_detail = options.discountDetail;
       }
+      if (details.shipmentInfo) {
+        requestBody.shipment_information = details.shipmentInfo;
+      }
       if (options.customFields) {
         Object.assign(requestBody, options.customFields);
       }
 
+      // Named metadata travels in its declared mdf fields; the declaration
+      // lets the proxy name the values again in status and verify responses
+      const metadataFields = options.metadataFields || this.config.metadataFields;
+      const mdf = mapMetadata(options.metadata, metadataFields, options.customFields);
+
+      if (Object.keys(mdf).length > 0) {
+        Object.assign(requestBody, mdf);
+        requestBody.metadata_fields = {};
+        Object.keys(options.metadata).forEach(key => {
+          if (options.metadata[key] !== undefined && options.metadata[key] !== null) {
+            requestBody.metadata_fields[key] = metadataFields[key];
+          }
+        });
+      }
+
       // Gateway proxy will add TNPG authentication headers:
       // X-TNPG-TIMESTAMP, X-TNPG-HOST, X-TNPG-TARGET-API,
       // X-TNPG-MERCHANT-ID, X-TNPG-API-KEY, X-TNPG-SIGNATURE, X-TNPG-DIGEST
-      const response = await fetch(`${gatewayUrl}/payment/api/v1/p/service/api/payment/processing/payment-order`, {
+      // The proxy replays its first response for a repeated Idempotency-Key,
+      // so retrying cannot create a second gateway order.
+      const result = await this.transport.request('/payment/api/v1/p/service/api/payment/processing/payment-order', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Merchant-Id': this.config.merchantId
-        },
-        body: JSON.stringify(requestBody)
+        body: requestBody,
+        headers: { 'Idempotency-Key': options.idempotencyKey || this.getIdempotencyKey(options.orderId) },
+        retry: true,
+        retries: requestOptions.retries,
+        timeout: requestOptions.timeout,
+        signal: requestOptions.signal,
+        errorMessage: 'Failed to create payment order'
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || 'Failed to create payment order');
-      }
-
-      const result = await response.json();
       
       // Parse response according to API specification
       // Response contains: order_detail, gateway_page_url, token_response
       if (this.config.debug) {
         console.log('[PSO SDK] Payment order created:', result);
       }
+
+      if (result && result.success) {
+        this.events.emit(EVENTS.ORDER_CREATED, {
+          orderId: options.orderId,
+          transactionId: result.transactionId,
+          sessionId: result.sessionId,
+          gatewayPageUrl: result.gatewayPageUrl
+        });
+      }
       
       return result;
     } catch (error) {
       if (this.config.debug) {
         console.error('[PSO SDK] Payment order creation failed:', error);
       }
+      this.events.emit(EVENTS.ORDER_FAILED, { orderId: options.orderId, error });
       throw error;
     }
   }
 
+  /**
+   * Idempotency key for an order's payment-order creation. The key is reused
+   * for every attempt until the checkout finishes, so double submits and
+   * retries map to a single gateway order.
+   */
+  getIdempotencyKey(orderId) {
+    if (!this.idempotencyKeys[orderId]) {
+      this.idempotencyKeys[orderId] = generateIdempotencyKey();
+    }
+    return this.idempotencyKeys[orderId];
+  }
+
   /**
    * Generate unique order ID
    */
@@ -181,53 +968,330 @@ class PSOPayment {
    */
   validatePaymentOptions(options) {
     if (!options.amount || typeof options.amount !== 'number' || options.amount <= 0) {
-      throw new Error('PSOPayment: amount must be a positive number');
+      throw new PSOValidationError('PSOPayment: amount must be a positive number', { field: 'amount' });
     }
 
     if (options.currency && typeof options.currency !== 'string') {
-      throw new Error('PSOPayment: currency must be a string');
+      throw new PSOValidationError('PSOPayment: currency must be a string', { field: 'currency' });
     }
+
+    // Known ISO 4217 currency and no more decimal places than it has
+    parseAmount(options.amount, options.currency || 'BDT');
+
+    if (options.mode && !['iframe', 'popup', 'redirect'].includes(options.mode)) {
+      throw new PSOValidationError('PSOPayment: mode must be "iframe", "popup" or "redirect"', {
+        field: 'mode'
+      });
+    }
+
+    validateMetadataFields(options.metadataFields);
+    mapMetadata(options.metadata, options.metadataFields || this.config.metadataFields, options.customFields);
+
+    this.validateOrderDetails(options);
   }
 
   /**
-   * Verify payment status
+   * Check customer, product and shipment details before they reach the
+   * gateway, which would only reject them with a vague error
+   *
+   * @returns {Object} - { customerInfo, productInfo, shipmentInfo } normalized
+   *   (trimmed, phone as +880..., canonical district name)
+   * @throws {PSOValidationError} - `errors` lists every { field, message }
    */
-  async verifyPaymentStatus(paymentOrderId) {
-    const gatewayUrl = this.config.environment === 'production'
-      ? this.config.gatewayUrl || 'https://api.pso-gateway.com'
-      : this.config.gatewayUrl || 'http://localhost:3000';
+  validateOrderDetails(options) {
+    const results = {
+      customerInfo: Validator.validateCustomerInfo(options.customerInfo, this.i18n),
+      productInfo: Validator.validateProductInfo(options.productInfo, this.i18n),
+      shipmentInfo: Validator.validateShipmentInfo(options.shipmentInfo, this.i18n)
+    };
+    const errors = [].concat(...Object.keys(results).map(key => results[key].errors));
+
+    if (errors.length > 0) {
+      const summary = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+      throw new PSOValidationError(`PSOPayment: ${summary}`, { field: errors[0].field, errors });
+    }
+
+    return {
+      customerInfo: results.customerInfo.value,
+      productInfo: results.productInfo.value,
+      shipmentInfo: results.shipmentInfo.value
+    };
+  }
 
+  /**
+   * Verify payment status
+   *
+   * @param {string} paymentOrderId - Gateway payment order ID
+   * @param {Object} [requestOptions] - Transport options (timeout, signal, retries)
+   */
+  async verifyPaymentStatus(paymentOrderId, requestOptions = {}) {
     try {
       // Gateway proxy will add TNPG authentication headers
-      const response = await fetch(`${gatewayUrl}/payment/api/v1/p/service/api/payment/processing/verify`, {
+      const result = await this.transport.request('/payment/api/v1/p/service/api/payment/processing/verify', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Merchant-Id': this.config.merchantId
-        },
-        body: JSON.stringify({
+        body: {
           paymentOrderId: paymentOrderId
-        })
+        },
+        retry: true,
+        retries: requestOptions.retries,
+        timeout: requestOptions.timeout,
+        signal: requestOptions.signal,
+        errorMessage: 'Failed to verify payment'
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to verify payment');
-      }
+      this.events.emit(EVENTS.VERIFICATION_COMPLETED, { paymentOrderId, result });
 
-      return await response.json();
+      return result;
     } catch (error) {
       if (this.config.debug) {
         console.error('[PSO SDK] Payment verification failed:', error);
       }
+      this.events.emit(EVENTS.VERIFICATION_FAILED, { paymentOrderId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the proxy's stored status of an order
+   *
+   * @param {string} orderId - Merchant order ID
+   * @param {Object} [requestOptions] - Transport options (timeout, signal, retries)
+   * @returns {Promise<Object>} - { success, transaction: { orderId, status, statusCode, ... } }
+   */
+  async getPaymentStatus(orderId, requestOptions = {}) {
+    return this.transport.request(`/api/payment/status/${encodeURIComponent(orderId)}`, {
+      method: 'GET',
+      retry: true,
+      retries: requestOptions.retries,
+      timeout: requestOptions.timeout,
+      signal: requestOptions.signal,
+      errorMessage: 'Failed to get payment status'
+    });
+  }
+
+  /**
+   * Poll until the payment reaches a terminal status
+   * (APPROVED, DECLINED, CANCELLED or FAILED)
+   *
+   * With source 'auto' the first lookup goes to the status endpoint (merchant
+   * order ID). A final stored status is returned straight away; otherwise
+   * polling continues on the verify endpoint with the payment order ID from
+   * the stored transaction, so the gateway is asked directly. IDs the proxy
+   * does not know (404) are treated as payment order IDs. Delays grow
+   * exponentially with jitter; transient errors (network, timeouts, 429/5xx)
+   * keep polling.
+   *
+   * @param {string} id - Merchant order ID or gateway payment order ID
+   * @param {Object} [options]
+   * @param {number} [options.timeout=120000] - Give up after this many ms
+   * @param {number} [options.interval=2000] - First delay between polls in ms
+   * @param {number} [options.maxInterval=15000] - Upper bound for the delay
+   * @param {string} [options.source='auto'] - 'auto', 'status' or 'verify'
+   * @param {AbortSignal} [options.signal] - Stops polling with an ABORTED error
+   * @returns {Promise<Object>} - { status, success, id, attempts, transactionInfo }
+   * @throws {PSOPaymentError} - RESULT_TIMEOUT when no terminal status arrived in time
+   */
+  async waitForPaymentResult(id, options = {}) {
+    if (!id) {
+      throw new PSOValidationError('PSOPayment: order ID or payment order ID is required', { field: 'id' });
+    }
+
+    const timeout = options.timeout !== undefined ? options.timeout : 120000;
+    const deadline = Date.now() + timeout;
+    const signal = options.signal;
+    let source = options.source || 'auto';
+    let pollId = id;
+    let lastStatus = PAYMENT_STATUS.UNKNOWN;
+    let attempts = 0;
+
+    for (;;) {
+      if (signal && signal.aborted) {
+        throw this.transport.createAbortError();
+      }
+
+      attempts += 1;
+      let info = null;
+
+      try {
+        info = await this.fetchPaymentStatus(pollId, source, {
+          signal,
+          timeout: Math.max(1, Math.min(this.transport.timeout, deadline - Date.now()))
+        });
+      } catch (error) {
+        if (source === 'auto' && error.status === 404) {
+          source = 'verify';
+          continue;
+        }
+        if (error.code === 'ABORTED' || !error.retryable) {
+          throw error;
+        }
+        if (this.config.debug) {
+          console.warn('[PSO SDK] Status poll failed, retrying:', error.message);
+        }
+      }
+
+      if (info) {
+        lastStatus = normalizeStatus(info);
+        this.events.emit(EVENTS.PAYMENT_STATUS, { id, status: lastStatus, attempt: attempts });
+
+        if (isTerminalStatus(lastStatus)) {
+          return {
+            id,
+            status: lastStatus,
+            success: lastStatus === PAYMENT_STATUS.APPROVED,
+            attempts,
+            transactionInfo: info
+          };
+        }
+
+        // Stored status is not final yet: ask the gateway from now on
+        if (source === 'auto' && info.id) {
+          source = 'verify';
+          pollId = info.id;
+        }
+      }
+
+      const delay = this.getPollDelay(attempts - 1, options);
+
+      if (Date.now() + delay >= deadline) {
+        throw new PSOPaymentError(`No final payment status after ${timeout}ms (last status: ${lastStatus})`, {
+          code: 'RESULT_TIMEOUT',
+          retryable: true,
+          data: { id, lastStatus, attempts }
+        });
+      }
+
+      await this.transport.sleep(delay, signal);
+    }
+  }
+
+  /**
+   * One status lookup for waitForPaymentResult(); resolves with the
+   * transaction info object, or null while the proxy has none
+   */
+  async fetchPaymentStatus(id, source, requestOptions) {
+    if (source === 'verify') {
+      const result = await this.verifyPaymentStatus(id, { ...requestOptions, retries: 0 });
+      return result.transactionInfo || null;
+    }
+
+    const result = await this.getPaymentStatus(id, { ...requestOptions, retries: 0 });
+    return result.transaction || null;
+  }
+
+  /**
+   * Exponential backoff with jitter: a random delay between 50% and 100%
+   * of min(interval * 2^attempt, maxInterval)
+   */
+  getPollDelay(attempt, options = {}) {
+    const interval = options.interval || 2000;
+    const maxInterval = options.maxInterval || 15000;
+    const delay = Math.min(interval * Math.pow(2, attempt), maxInterval);
+
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Subscribe to a lifecycle event (see EVENTS for names and payloads)
+   *
+   * @param {string} event - Event name, or '*' for every event
+   * @param {Function} listener - Listener function
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of a lifecycle event
+   */
+  once(event, listener) {
+    return this.events.once(event, listener);
+  }
+
+  /**
+   * Unsubscribe a listener (or all listeners of the event)
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  /**
+   * Render the checkout inline inside a merchant container instead of the
+   * overlay. The iframe follows height messages from the gateway page; the
+   * container shows a loading state while the order is created and an error
+   * state if that fails. The frame is removed when the payment completes or
+   * unmount() is called.
+   *
+   * @param {string|HTMLElement} target - Container element or CSS selector
+   * @param {Object} options - Same options as showPaymentForm(), plus `height`
+   */
+  async mount(target, options = {}) {
+    const container = typeof target === 'string' ? document.querySelector(target) : target;
+
+    if (!container || container.nodeType !== 1) {
+      throw new PSOValidationError('PSOPayment: mount target not found', { field: 'container' });
+    }
+
+    this.validatePaymentOptions(options);
+
+    if (this.popup.container) {
+      this.popup.unmount();
+    }
+    this.popup.mount(container);
+
+    try {
+      return await this.showPaymentForm({ ...options, mode: undefined, container });
+    } catch (error) {
+      this.popup.showEmbedError(error.message);
       throw error;
     }
   }
 
+  /**
+   * Remove an embedded checkout from its container
+   */
+  unmount() {
+    if (this.popup.isOpen) {
+      this.closePaymentForm();
+    }
+    this.popup.unmount();
+  }
+
+  /**
+   * Stop the instance's cross-tab coordination: closes its BroadcastChannel,
+   * clears the claim heartbeat and removes its window listeners. Orders this
+   * tab still claims are released without announcing an outcome. Close an
+   * open checkout with closePaymentForm() first.
+   */
+  destroy() {
+    if (this.tabSync) {
+      this.tabSync.destroy();
+      this.tabSync = null;
+    }
+  }
+
   /**
    * Close payment form
    */
   closePaymentForm() {
     this.popup.close();
+
+    if (this.activeOrderId) {
+      this.pendingStore.remove(this.activeOrderId);
+      delete this.idempotencyKeys[this.activeOrderId];
+      this.notifyCompleted({ orderId: this.activeOrderId }, 'cancelled');
+      this.activeOrderId = null;
+    }
+
+    // The popup does not report programmatic closes, settle checkout() here
+    if (this.pendingCheckout) {
+      this.pendingCheckout.resolve({
+        success: false,
+        status: 'cancelled',
+        message: this.i18n.t('payment.closed')
+      });
+    }
   }
 
   /**
@@ -239,27 +1303,19 @@ class PSOPayment {
 
   /**
    * Create a payment token (for advanced integrations)
+   *
+   * @param {Object} cardData - Card details to tokenize
+   * @param {Object} [requestOptions] - Transport options (timeout, signal)
    */
-  async createPaymentToken(cardData) {
-    const gatewayUrl = this.config.environment === 'production'
-      ? this.config.gatewayUrl || 'https://api.pso-gateway.com'
-      : this.config.gatewayUrl || 'http://localhost:3000';
-
+  async createPaymentToken(cardData, requestOptions = {}) {
     try {
-      const response = await fetch(`${gatewayUrl}/api/tokens/create`, {
+      return await this.transport.request('/api/tokens/create', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Merchant-ID': this.config.merchantId
-        },
-        body: JSON.stringify(cardData)
+        body: cardData,
+        timeout: requestOptions.timeout,
+        signal: requestOptions.signal,
+        errorMessage: 'Failed to create payment token'
       });
-
-      if (!response.ok) {
-        throw new Error('Failed to create payment token');
-      }
-
-      return await response.json();
     } catch (error) {
       if (this.config.debug) {
         console.error('[PSO SDK] Token creation failed:', error);
@@ -270,34 +1326,54 @@ class PSOPayment {
 
   /**
    * Verify a payment
+   *
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} [requestOptions] - Transport options (timeout, signal, retries)
    */
-  async verifyPayment(transactionId) {
-    const gatewayUrl = this.config.environment === 'production'
-      ? this.config.gatewayUrl || 'https://api.pso-gateway.com'
-      : this.config.gatewayUrl || 'http://localhost:3000';
-
+  async verifyPayment(transactionId, requestOptions = {}) {
     try {
-      const response = await fetch(`${gatewayUrl}/api/payments/verify/${transactionId}`, {
+      const result = await this.transport.request(`/api/payments/verify/${encodeURIComponent(transactionId)}`, {
         method: 'GET',
-        headers: {
-          'X-Merchant-ID': this.config.merchantId
-        }
+        retry: true,
+        retries: requestOptions.retries,
+        timeout: requestOptions.timeout,
+        signal: requestOptions.signal,
+        errorMessage: 'Failed to verify payment'
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to verify payment');
-      }
+      this.events.emit(EVENTS.VERIFICATION_COMPLETED, { transactionId, result });
 
-      return await response.json();
+      return result;
     } catch (error) {
       if (this.config.debug) {
         console.error('[PSO SDK] Payment verification failed:', error);
       }
+      this.events.emit(EVENTS.VERIFICATION_FAILED, { transactionId, error });
       throw error;
     }
   }
 }
 
+/**
+ * Random key for the Idempotency-Key header
+ */
+function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return `idem-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Expose error classes on the constructor for script-tag (UMD) consumers
+PSOPayment.PSOError = PSOError;
+PSOPayment.PSOValidationError = PSOValidationError;
+PSOPayment.PSONetworkError = PSONetworkError;
+PSOPayment.PSOGatewayError = PSOGatewayError;
+PSOPayment.PSORateLimitError = PSORateLimitError;
+PSOPayment.PSOPaymentError = PSOPaymentError;
+PSOPayment.EVENTS = EVENTS;
+
 // Export for different module systems
 export default PSOPayment;
 
@@ -0,0 +1,170 @@
+/**
+ * Pending Checkout Store
+ * Persists in-flight checkout context in sessionStorage so it survives
+ * full-page navigation (redirect mode) and reloads.
+ * Entries are keyed by merchant order ID and expire after a TTL.
+ */
+
+const STORAGE_KEY = 'pso_pending_checkouts';
+const DEFAULT_TTL = 30 * 60 * 1000; // 30 minutes
+
+export class PendingCheckoutStore {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Storage backend (defaults to sessionStorage)
+   * @param {number} [options.ttl] - Entry lifetime in ms
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : getSessionStorage();
+    this.ttl = options.ttl || DEFAULT_TTL;
+  }
+
+  /**
+   * Save (or replace) the context for an order
+   *
+   * @param {Object} context - Checkout context; must include orderId
+   * @returns {Object} - Stored entry with createdAt/expiresAt
+   */
+  save(context) {
+    const now = Date.now();
+    const entries = this.read();
+    const existing = entries[context.orderId];
+
+    const entry = {
+      ...context,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      expiresAt: now + this.ttl
+    };
+
+    entries[context.orderId] = entry;
+    this.write(entries);
+
+    return entry;
+  }
+
+  /**
+   * Merge fields into an existing entry without extending its expiry
+   */
+  update(orderId, changes) {
+    const entries = this.read();
+
+    if (!entries[orderId]) {
+      return null;
+    }
+
+    entries[orderId] = { ...entries[orderId], ...changes, updatedAt: Date.now() };
+    this.write(entries);
+
+    return entries[orderId];
+  }
+
+  /**
+   * Get a live entry by merchant order ID
+   */
+  get(orderId) {
+    return this.read()[orderId] || null;
+  }
+
+  /**
+   * Find a live entry by order ID, payment order (transaction) ID or session ID
+   */
+  find(id) {
+    if (!id) {
+      return null;
+    }
+
+    return this.getAll().find(entry =>
+      entry.orderId === id || entry.transactionId === id || entry.sessionId === id
+    ) || null;
+  }
+
+  /**
+   * All live entries, most recent first
+   */
+  getAll() {
+    const entries = this.read();
+    return Object.keys(entries)
+      .map(key => entries[key])
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Remove the entry for an order
+   */
+  remove(orderId) {
+    const entries = this.read();
+
+    if (entries[orderId]) {
+      delete entries[orderId];
+      this.write(entries);
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.write({});
+  }
+
+  /**
+   * Read entries, dropping expired ones
+   */
+  read() {
+    if (!this.storage) {
+      return {};
+    }
+
+    let entries;
+
+    try {
+      entries = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+
+    const now = Date.now();
+    let expired = false;
+
+    Object.keys(entries).forEach(key => {
+      if (!entries[key] || entries[key].expiresAt <= now) {
+        delete entries[key];
+        expired = true;
+      }
+    });
+
+    if (expired) {
+      this.write(entries);
+    }
+
+    return entries;
+  }
+
+  write(entries) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      if (Object.keys(entries).length === 0) {
+        this.storage.removeItem(STORAGE_KEY);
+      } else {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+      }
+    } catch (error) {
+      // Quota exceeded or storage disabled - pending state is best effort
+    }
+  }
+}
+
+/**
+ * sessionStorage when available (it throws in some privacy modes)
+ */
+function getSessionStorage() {
+  try {
+    return typeof window !== 'undefined' && window.sessionStorage ? window.sessionStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
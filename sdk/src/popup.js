@@ -3,9 +3,20 @@
  * Handles opening gateway URL in popup/iframe and monitoring payment completion
  */
 
+import { EVENTS } from './events.js';
+import { MESSAGE_TYPES, parseGatewayMessage, getOrigin } from './protocol.js';
+import { applyTheme, getHeaderHTML, escapeHtml } from './theme.js';
+import { Translator } from './i18n.js';
+import { FocusTrap, announce, prefersReducedMotion } from './a11y.js';
+import { PSONetworkError } from './errors.js';
+
+const DEFAULT_LOAD_TIMEOUT = 15000;
+
 export class PaymentPopup {
-  constructor(config) {
+  constructor(config, events, i18n) {
     this.config = config;
+    this.events = events;
+    this.i18n = i18n || new Translator(config);
     this.overlay = null;
     this.popup = null;
     this.iframe = null;
@@ -13,6 +24,11 @@ export class PaymentPopup {
     this.isOpen = false;
     this.messageListener = null;
     this.intervalCheck = null;
+    this.container = null;
+    this.focusTrap = null;
+    this.loadTimer = null;
+    this.loadFailure = null;
+    this.loadAttempts = 0;
   }
 
   /**
@@ -24,32 +40,69 @@ export class PaymentPopup {
     }
 
     this.options = options;
+    this.loadAttempts = 0;
+
+    // Embedded checkout: render into the merchant container, no overlay
+    if (options.container) {
+      this.createEmbeddedFrame(options.container);
+      this.attachEventListeners();
+      this.isOpen = true;
+      this.setupMessageListener();
+      this.emit(EVENTS.POPUP_OPENED, { mode: 'embedded', gatewayUrl: options.gatewayUrl });
+      return;
+    }
     
     // Decide between iframe (default) or popup window
-    const usePopupWindow = this.config.usePopupWindow || false;
+    const usePopupWindow = options.usePopupWindow !== undefined
+      ? options.usePopupWindow
+      : this.config.usePopupWindow || false;
     
     if (usePopupWindow) {
       this.openPopupWindow();
     } else {
-      this.createOverlay();
-      this.createIframePopup();
-      this.attachEventListeners();
+      this.openOverlay();
     }
     
     this.isOpen = true;
     
     // Listen for payment completion messages
     this.setupMessageListener();
+  }
 
-    // Prevent body scrolling when using overlay
-    if (!usePopupWindow) {
-      document.body.style.overflow = 'hidden';
-
-      // Trigger animation
-      setTimeout(() => {
+  /**
+   * Show the gateway iframe in the modal overlay
+   */
+  openOverlay() {
+    this.createOverlay();
+    this.createIframePopup();
+    this.attachEventListeners();
+    this.emit(EVENTS.POPUP_OPENED, { mode: 'iframe', gatewayUrl: this.options.gatewayUrl });
+
+    // Prevent body scrolling behind the overlay
+    document.body.style.overflow = 'hidden';
+
+    // Modal dialog: keep focus inside, Escape cancels, focus returns on close
+    this.focusTrap = new FocusTrap(this.popup, { onEscape: () => this.dismiss() });
+    this.focusTrap.activate(this.popup.querySelector('.pso-close'));
+    announce(this.i18n.t('popup.loading'));
+
+    // Trigger animation (the overlay may already be gone if closed right away)
+    setTimeout(() => {
+      if (this.overlay && this.popup) {
         this.overlay.classList.add('pso-active');
         this.popup.classList.add('pso-active');
-      }, 10);
+      }
+    }, 10);
+  }
+
+  /**
+   * Bring the checkout to the front (pop-up window, or this tab)
+   */
+  focus() {
+    if (this.popupWindow && !this.popupWindow.closed && this.popupWindow.focus) {
+      this.popupWindow.focus();
+    } else if (typeof window.focus === 'function') {
+      window.focus();
     }
   }
 
@@ -61,12 +114,26 @@ export class PaymentPopup {
       return;
     }
 
+    this.emit(EVENTS.POPUP_CLOSED, { transactionId: this.options.transactionId });
+    this.clearLoadWatchdog();
+
+    if (this.container) {
+      this.unmount();
+      return;
+    }
+
     // Clean up message listener
     if (this.messageListener) {
       window.removeEventListener('message', this.messageListener);
       this.messageListener = null;
     }
 
+    // Release focus back to the element that opened the dialog
+    if (this.focusTrap) {
+      this.focusTrap.deactivate();
+      this.focusTrap = null;
+    }
+
     // Clean up popup window check interval
     if (this.intervalCheck) {
       clearInterval(this.intervalCheck);
@@ -95,7 +162,7 @@ export class PaymentPopup {
         this.iframe = null;
         this.isOpen = false;
         document.body.style.overflow = '';
-      }, 300);
+      }, prefersReducedMotion() ? 0 : 300);
     } else {
       this.isOpen = false;
     }
@@ -105,6 +172,23 @@ export class PaymentPopup {
    * Open gateway URL in popup window
    */
   openPopupWindow() {
+    this.popupWindow = this.openGatewayWindow();
+
+    if (!this.popupWindow) {
+      // Popup blocked - fallback to iframe
+      console.warn('[PSO SDK] Popup blocked, falling back to iframe');
+      this.emit(EVENTS.POPUP_BLOCKED, { fallback: 'iframe', gatewayUrl: this.options.gatewayUrl });
+      this.openOverlay();
+      return;
+    }
+
+    this.watchPopupWindow();
+  }
+
+  /**
+   * window.open() the gateway page; null when blocked
+   */
+  openGatewayWindow() {
     const width = 600;
     const height = 700;
     const left = (window.screen.width - width) / 2;
@@ -112,31 +196,25 @@ export class PaymentPopup {
 
     const features = `width=${width},height=${height},left=${left},top=${top},toolbar=no,menubar=no,scrollbars=yes,resizable=yes`;
 
-    this.popupWindow = window.open(
+    return window.open(
       this.options.gatewayUrl,
       'PSOPaymentGateway',
       features
     );
+  }
 
-    if (!this.popupWindow) {
-      // Popup blocked - fallback to iframe
-      console.warn('[PSO SDK] Popup blocked, falling back to iframe');
-      this.createOverlay();
-      this.createIframePopup();
-      this.attachEventListeners();
-      document.body.style.overflow = 'hidden';
-      setTimeout(() => {
-        this.overlay.classList.add('pso-active');
-        this.popup.classList.add('pso-active');
-      }, 10);
-      return;
-    }
+  /**
+   * Track the opened pop-up window until the customer closes it
+   */
+  watchPopupWindow() {
+    this.emit(EVENTS.POPUP_OPENED, { mode: 'window', gatewayUrl: this.options.gatewayUrl });
 
     // Check if popup is closed
     this.intervalCheck = setInterval(() => {
       if (this.popupWindow && this.popupWindow.closed) {
         clearInterval(this.intervalCheck);
         this.intervalCheck = null;
+        this.emit(EVENTS.WINDOW_CLOSED, { transactionId: this.options.transactionId });
         this.handleCancel();
       }
     }, 500);
@@ -153,15 +231,117 @@ export class PaymentPopup {
   createOverlay() {
     this.overlay = document.createElement('div');
     this.overlay.className = 'pso-overlay';
+    this.overlay.setAttribute('lang', this.i18n.locale);
+    applyTheme(this.overlay, this.config.theme);
     document.body.appendChild(this.overlay);
   }
 
+  /**
+   * Render the embedded checkout shell into a merchant container. Shows the
+   * loading state until an iframe is added by createEmbeddedFrame().
+   */
+  mount(container) {
+    if (this.container && this.container !== container) {
+      this.unmount();
+    }
+
+    if (!this.container) {
+      this.container = container;
+      this.popup = document.createElement('div');
+      this.popup.className = 'pso-embed';
+      this.popup.setAttribute('lang', this.i18n.locale);
+      applyTheme(this.popup, this.config.theme);
+      this.popup.innerHTML = this.getEmbeddedHTML();
+      container.appendChild(this.popup);
+    }
+
+    this.setEmbedState('loading');
+    announce(this.i18n.t('popup.loading'));
+  }
+
+  /**
+   * Add the gateway iframe to the embedded shell
+   */
+  createEmbeddedFrame(container) {
+    this.mount(container);
+
+    const body = this.popup.querySelector('.pso-embed-body');
+    body.insertAdjacentHTML('beforeend', this.getIframeHTML());
+    this.iframe = body.querySelector('#pso-gateway-iframe');
+
+    if (this.options.height) {
+      this.iframe.style.height = `${this.options.height}px`;
+    }
+  }
+
+  /**
+   * Show the error state inside the embedded shell
+   */
+  showEmbedError(message) {
+    if (!this.container || !this.popup) {
+      return;
+    }
+
+    // textContent: messages can come from the gateway response
+    this.popup.querySelector('.pso-embed-error-message').textContent =
+      message || this.i18n.t('popup.loadError');
+    this.setEmbedState('error');
+  }
+
+  setEmbedState(state) {
+    this.popup.setAttribute('data-state', state);
+    this.popup.querySelector('#pso-loading').style.display = state === 'loading' ? '' : 'none';
+    this.popup.querySelector('.pso-embed-error').style.display = state === 'error' ? '' : 'none';
+
+    if (this.iframe) {
+      this.iframe.style.display = state === 'error' ? 'none' : '';
+    }
+  }
+
+  /**
+   * Remove the embedded checkout and its listeners from the container
+   */
+  unmount() {
+    this.clearLoadWatchdog();
+    this.loadFailure = null;
+
+    if (this.messageListener) {
+      window.removeEventListener('message', this.messageListener);
+      this.messageListener = null;
+    }
+
+    if (this.popup && this.popup.parentNode) {
+      this.popup.parentNode.removeChild(this.popup);
+    }
+
+    this.container = null;
+    this.popup = null;
+    this.iframe = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Apply a height reported by the gateway page (embedded mode only)
+   */
+  resize(height) {
+    const value = Number(height);
+
+    if (!this.container || !this.iframe || !isFinite(value) || value <= 0) {
+      return;
+    }
+
+    this.iframe.style.height = `${Math.ceil(value)}px`;
+  }
+
   /**
    * Create popup with iframe showing gateway page
    */
   createIframePopup() {
     this.popup = document.createElement('div');
     this.popup.className = 'pso-popup pso-popup-iframe';
+    this.popup.setAttribute('role', 'dialog');
+    this.popup.setAttribute('aria-modal', 'true');
+    this.popup.setAttribute('aria-labelledby', 'pso-dialog-title');
     this.popup.innerHTML = this.getIframePopupHTML();
     this.overlay.appendChild(this.popup);
 
@@ -175,99 +355,382 @@ export class PaymentPopup {
   getIframePopupHTML() {
     return `
       <div class="pso-header">
-        <h2>Secure Payment</h2>
-        <button class="pso-close" type="button">&times;</button>
+        ${getHeaderHTML(this.config.theme, this.i18n.t('popup.title'))}
+        <button class="pso-close" type="button" aria-label="${escapeHtml(this.i18n.t('popup.close'))}">
+          <span aria-hidden="true">&times;</span>
+        </button>
       </div>
       <div class="pso-body pso-iframe-container">
         <div class="pso-loading" id="pso-loading">
-          <div class="pso-spinner"></div>
-          <p>Loading payment gateway...</p>
+          <div class="pso-spinner" aria-hidden="true"></div>
+          <p>${escapeHtml(this.i18n.t('popup.loading'))}</p>
         </div>
-        <iframe 
-          id="pso-gateway-iframe" 
-          src="${this.options.gatewayUrl}" 
-          frameborder="0"
-          allow="payment"
-          sandbox="allow-same-origin allow-scripts allow-forms allow-popups allow-top-navigation"
-        ></iframe>
+        ${this.getIframeHTML()}
       </div>
       <div class="pso-footer">
         <div class="pso-security-info">
-          <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
             <path d="M8 0L2 3v4c0 3.5 2.5 6.5 6 7 3.5-.5 6-3.5 6-7V3L8 0z"/>
           </svg>
-          <span>Secured by PSO Payment Gateway</span>
+          <span>${escapeHtml(this.i18n.t('popup.securedBy'))}</span>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Get HTML for the embedded checkout shell (no header or footer chrome)
+   */
+  getEmbeddedHTML() {
+    return `
+      <div class="pso-embed-body">
+        <div class="pso-loading" id="pso-loading">
+          <div class="pso-spinner" aria-hidden="true"></div>
+          <p>${escapeHtml(this.i18n.t('popup.loading'))}</p>
+        </div>
+        <div class="pso-embed-error" role="alert" style="display: none;">
+          <p class="pso-embed-error-message"></p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get the gateway iframe markup
+   */
+  getIframeHTML() {
+    return `
+        <iframe 
+          id="pso-gateway-iframe" 
+          src="${this.options.gatewayUrl}" 
+          title="${escapeHtml(this.i18n.t('popup.title'))}" 
+          frameborder="0"
+          allow="payment"
+          sandbox="allow-same-origin allow-scripts allow-forms allow-popups allow-top-navigation"
+        ></iframe>`;
+  }
+
   /**
    * Attach event listeners
    */
   attachEventListeners() {
-    // Close button
+    // Close button (not rendered in embedded mode)
     const closeBtn = this.popup.querySelector('.pso-close');
-    closeBtn.addEventListener('click', () => {
-      this.handleCancel();
-    });
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.dismiss();
+      });
+    }
 
     // Iframe load event
     if (this.iframe) {
       this.iframe.addEventListener('load', () => {
-        const loading = this.popup.querySelector('#pso-loading');
-        if (loading) {
-          loading.style.display = 'none';
+        this.emit(EVENTS.GATEWAY_LOADED, { gatewayUrl: this.options.gatewayUrl });
+
+        // An error page also fires load; with waitForGatewayReady only the
+        // gateway.ready handshake counts
+        if (!this.config.waitForGatewayReady && !this.loadFailure) {
+          this.markGatewayReady();
         }
       });
+      this.iframe.addEventListener('error', () => {
+        this.showLoadFailure('error');
+      });
+      this.startLoadWatchdog();
+    }
+  }
+
+  /**
+   * Start (or restart) the gateway load timeout
+   */
+  startLoadWatchdog() {
+    const timeout = this.config.loadTimeout !== undefined ? this.config.loadTimeout : DEFAULT_LOAD_TIMEOUT;
+
+    this.clearLoadWatchdog();
+    this.loadFailure = null;
+    this.loadAttempts += 1;
+
+    if (timeout > 0) {
+      this.loadTimer = setTimeout(() => {
+        this.loadTimer = null;
+        this.showLoadFailure('timeout');
+      }, timeout);
+    }
+  }
+
+  clearLoadWatchdog() {
+    if (this.loadTimer) {
+      clearTimeout(this.loadTimer);
+      this.loadTimer = null;
+    }
+  }
+
+  /**
+   * The gateway page is usable: stop the watchdog and hide the spinner
+   */
+  markGatewayReady() {
+    if (this.loadFailure) {
+      this.hideLoadFailure();
+    }
+    this.clearLoadWatchdog();
+    this.hideLoading();
+  }
+
+  /**
+   * Replace the frame with the recovery panel (retry / open in new window)
+   *
+   * @param {string} reason - 'timeout' or 'error'
+   */
+  showLoadFailure(reason) {
+    if (!this.iframe || this.loadFailure) {
+      return;
+    }
+
+    this.clearLoadWatchdog();
+    this.loadFailure = { reason, attempts: this.loadAttempts };
+
+    if (this.config.debug) {
+      console.warn(`[PSO SDK] Gateway page did not load (${reason})`);
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'pso-load-failure';
+    panel.setAttribute('role', 'alert');
+    panel.innerHTML = this.getLoadFailureHTML();
+    panel.querySelector('.pso-retry').addEventListener('click', () => this.retryLoad());
+    panel.querySelector('.pso-open-window').addEventListener('click', () => this.openInNewWindow());
+    panel.querySelector('.pso-dismiss').addEventListener('click', () => this.dismiss());
+
+    const loading = this.popup.querySelector('#pso-loading');
+    if (loading) {
+      loading.style.display = 'none';
+    }
+    this.iframe.style.display = 'none';
+    this.iframe.parentNode.appendChild(panel);
+
+    if (this.container) {
+      this.popup.setAttribute('data-state', 'error');
+    }
+
+    this.emit(EVENTS.GATEWAY_UNREACHABLE, {
+      reason,
+      attempts: this.loadAttempts,
+      gatewayUrl: this.options.gatewayUrl
+    });
+  }
+
+  hideLoadFailure() {
+    const panel = this.popup && this.popup.querySelector('.pso-load-failure');
+    if (panel) {
+      panel.parentNode.removeChild(panel);
+    }
+    if (this.iframe) {
+      this.iframe.style.display = '';
+    }
+    this.loadFailure = null;
+  }
+
+  getLoadFailureHTML() {
+    return `
+      <p class="pso-load-failure-message">${escapeHtml(this.i18n.t('popup.loadTimeout'))}</p>
+      <div class="pso-load-failure-actions">
+        <button class="pso-retry" type="button">${escapeHtml(this.i18n.t('popup.retry'))}</button>
+        <button class="pso-open-window" type="button">${escapeHtml(this.i18n.t('popup.openInNewWindow'))}</button>
+        <button class="pso-dismiss" type="button">${escapeHtml(this.i18n.t('popup.cancelPayment'))}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Reload the gateway page in the same frame
+   */
+  retryLoad() {
+    this.hideLoadFailure();
+
+    const loading = this.popup.querySelector('#pso-loading');
+    if (loading) {
+      loading.style.display = '';
+    }
+    if (this.container) {
+      this.popup.setAttribute('data-state', 'loading');
+    }
+
+    announce(this.i18n.t('popup.loading'));
+    this.startLoadWatchdog();
+    this.iframe.src = this.options.gatewayUrl;
+  }
+
+  /**
+   * Continue the checkout in a pop-up window instead of the frame.
+   * Runs from the button's click handler so the pop-up is not blocked.
+   */
+  openInNewWindow() {
+    const popupWindow = this.openGatewayWindow();
+
+    if (!popupWindow) {
+      this.emit(EVENTS.POPUP_BLOCKED, { fallback: 'none', gatewayUrl: this.options.gatewayUrl });
+      return;
+    }
+
+    this.removeFrame();
+    this.popupWindow = popupWindow;
+    this.watchPopupWindow();
+  }
+
+  /**
+   * Remove the overlay or embedded frame immediately, keeping the checkout open
+   */
+  removeFrame() {
+    this.clearLoadWatchdog();
+    this.loadFailure = null;
+
+    if (this.focusTrap) {
+      this.focusTrap.deactivate();
+      this.focusTrap = null;
+    }
+
+    const root = this.container ? this.popup : this.overlay;
+    if (root && root.parentNode) {
+      root.parentNode.removeChild(root);
+    }
+
+    if (this.overlay) {
+      document.body.style.overflow = '';
+    }
+
+    this.overlay = null;
+    this.popup = null;
+    this.iframe = null;
+    this.container = null;
+  }
+
+  /**
+   * Close button / Escape: a cancel, unless the gateway never loaded
+   */
+  dismiss() {
+    if (this.loadFailure) {
+      this.handleLoadFailure();
+    } else {
+      this.handleCancel();
+    }
+  }
+
+  /**
+   * The customer gave up on a gateway page that could not be loaded
+   */
+  handleLoadFailure() {
+    const failure = this.loadFailure;
+    const error = new PSONetworkError(this.i18n.t('popup.unreachable'), {
+      code: 'GATEWAY_UNREACHABLE',
+      data: {
+        reason: failure.reason,
+        attempts: failure.attempts,
+        gatewayUrl: this.options.gatewayUrl,
+        transactionId: this.options.transactionId
+      }
+    });
+
+    this.close();
+    announce(error.message);
+    this.emit(EVENTS.PAYMENT_FAILED, error);
+
+    if (this.options.onError) {
+      this.options.onError(error);
     }
   }
 
   /**
    * Setup message listener for payment completion
+   *
+   * Only protocol envelopes (see protocol.js) posted from the gateway origin,
+   * or an explicitly trusted origin, for this checkout's session are accepted.
    */
   setupMessageListener() {
-    this.messageListener = (event) => {
-      // Verify origin if needed
-      // if (event.origin !== this.expectedOrigin) return;
+    const expected = {
+      origins: this.getTrustedOrigins(),
+      sessionId: this.options.sessionId,
+      transactionId: this.options.transactionId
+    };
 
-      const data = event.data;
+    this.messageListener = (event) => {
+      const result = parseGatewayMessage(event, expected);
 
-      if (this.config.debug) {
-        console.log('[PSO SDK] Received message:', data);
+      if (!result.ok) {
+        if (this.config.debug) {
+          console.log(`[PSO SDK] Ignored message (${result.reason}) from ${event.origin}`);
+        }
+        return;
       }
 
-      // Handle payment completion messages
-      if (data && typeof data === 'object') {
-        if (data.type === 'PAYMENT_SUCCESS' || data.status === 'SUCCESS' || data.success === true) {
-          this.handleSuccess(data);
-        } else if (data.type === 'PAYMENT_FAILURE' || data.status === 'FAILED' || data.success === false) {
-          this.handleError(data);
-        } else if (data.type === 'PAYMENT_CANCEL' || data.status === 'CANCELLED') {
-          this.handleCancel();
-        }
+      const message = result.message;
+
+      if (this.config.debug) {
+        console.log('[PSO SDK] Received message:', message);
       }
 
-      // Also listen for redirect URLs
-      if (typeof data === 'string') {
-        if (data.includes('success') || data.includes('payment-success')) {
-          this.handleSuccess({ redirectUrl: data });
-        } else if (data.includes('cancel') || data.includes('payment-cancel')) {
+      this.emit(EVENTS.MESSAGE_RECEIVED, { type: message.type, data: message, origin: event.origin });
+
+      switch (message.type) {
+        case MESSAGE_TYPES.READY:
+          this.markGatewayReady();
+          break;
+        case MESSAGE_TYPES.RESIZE:
+          this.resize(message.payload.height);
+          break;
+        case MESSAGE_TYPES.PAYMENT_SUCCESS:
+          this.handleSuccess(message.payload);
+          break;
+        case MESSAGE_TYPES.PAYMENT_FAILED:
+          this.handleError(message.payload);
+          break;
+        case MESSAGE_TYPES.PAYMENT_CANCELLED:
           this.handleCancel();
-        } else if (data.includes('failure') || data.includes('payment-failure')) {
-          this.handleError({ redirectUrl: data });
-        }
+          break;
+        default:
+          break;
       }
     };
 
     window.addEventListener('message', this.messageListener);
 
     // Also monitor URL changes for redirect detection
-    if (!this.config.usePopupWindow && this.iframe) {
+    if (this.iframe) {
       this.monitorIframeRedirects();
     }
   }
 
+  /**
+   * Origins allowed to post protocol messages: the gateway page origin
+   * plus any `trustedOrigins` from the SDK config
+   */
+  getTrustedOrigins() {
+    const origins = (this.config.trustedOrigins || []).slice();
+    const gatewayOrigin = getOrigin(this.options.gatewayUrl);
+
+    if (gatewayOrigin) {
+      origins.unshift(gatewayOrigin);
+    }
+
+    return origins;
+  }
+
+  /**
+   * Hide the loading indicator
+   */
+  hideLoading() {
+    announce(this.i18n.t('popup.loaded'));
+
+    if (this.container && this.popup) {
+      this.setEmbedState('ready');
+      return;
+    }
+
+    const loading = this.popup && this.popup.querySelector('#pso-loading');
+    if (loading) {
+      loading.style.display = 'none';
+    }
+  }
+
   /**
    * Monitor iframe URL changes for payment completion
    */
@@ -319,13 +782,23 @@ export class PaymentPopup {
 
     this.close();
 
+    // The payload comes from the gateway page; it must not override the
+    // outcome or the IDs of the order this popup was opened for
+    const result = {
+      ...data,
+      success: true,
+      transactionId: this.options.transactionId,
+      sessionId: this.options.sessionId
+    };
+
+    announce(this.i18n.t('payment.succeeded'));
+    // Unverified signals are reported by the SDK once the proxy confirms them
+    if (!this.options.verifyOnComplete) {
+      this.emit(EVENTS.PAYMENT_SUCCESS, result);
+    }
+
     if (this.options.onSuccess) {
-      this.options.onSuccess({
-        success: true,
-        transactionId: this.options.transactionId,
-        sessionId: this.options.sessionId,
-        ...data
-      });
+      this.options.onSuccess(result);
     }
   }
 
@@ -339,13 +812,19 @@ export class PaymentPopup {
 
     this.close();
 
+    // As in handleSuccess(), the payload cannot override trusted fields
+    const result = {
+      ...data,
+      success: false,
+      message: data.message || this.i18n.t('payment.failed'),
+      transactionId: this.options.transactionId
+    };
+
+    announce(result.message);
+    this.emit(EVENTS.PAYMENT_FAILED, result);
+
     if (this.options.onError) {
-      this.options.onError({
-        success: false,
-        message: data.message || 'Payment failed',
-        transactionId: this.options.transactionId,
-        ...data
-      });
+      this.options.onError(result);
     }
   }
 
@@ -359,12 +838,26 @@ export class PaymentPopup {
 
     this.close();
 
+    const result = {
+      success: false,
+      message: this.i18n.t('payment.cancelled'),
+      transactionId: this.options.transactionId
+    };
+
+    announce(result.message);
+    this.emit(EVENTS.PAYMENT_CANCELLED, result);
+
     if (this.options.onCancel) {
-      this.options.onCancel({
-        success: false,
-        message: 'Payment cancelled by user',
-        transactionId: this.options.transactionId
-      });
+      this.options.onCancel(result);
+    }
+  }
+
+  /**
+   * Emit a lifecycle event on the owning PSOPayment instance
+   */
+  emit(event, payload) {
+    if (this.events) {
+      this.events.emit(event, payload);
     }
   }
 }
@@ -0,0 +1,116 @@
+/**
+ * Gateway Message Protocol
+ * Versioned postMessage envelope exchanged between the hosted gateway page
+ * and the SDK. See docs/MESSAGE-PROTOCOL.md for the full specification.
+ *
+ * Envelope:
+ * {
+ *   source: 'pso-gateway',
+ *   version: 1,
+ *   type: 'payment.success',
+ *   sessionId: '...',
+ *   transactionId: '...',
+ *   payload: { ... }
+ * }
+ */
+
+export const PROTOCOL_SOURCE = 'pso-gateway';
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+  READY: 'gateway.ready',
+  RESIZE: 'gateway.resize',
+  PAYMENT_SUCCESS: 'payment.success',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_CANCELLED: 'payment.cancelled'
+};
+
+const KNOWN_TYPES = Object.keys(MESSAGE_TYPES).map(key => MESSAGE_TYPES[key]);
+
+/**
+ * Origin (scheme://host:port) of a URL, or null when it cannot be parsed
+ */
+export function getOrigin(url) {
+  try {
+    const base = typeof window !== 'undefined' && window.location && window.location.href
+      ? window.location.href
+      : undefined;
+    return new URL(url, base).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a MessageEvent against the protocol and the current checkout
+ *
+ * @param {MessageEvent} event - Incoming message event
+ * @param {Object} expected - Current checkout context
+ * @param {string[]} expected.origins - Origins allowed to post messages
+ * @param {string} [expected.sessionId] - Gateway session ID of this checkout
+ * @param {string} [expected.transactionId] - Payment order ID of this checkout
+ * @returns {{ ok: boolean, reason?: string, message?: Object }}
+ */
+export function parseGatewayMessage(event, expected) {
+  if (!expected.origins.includes(event.origin)) {
+    return { ok: false, reason: 'origin' };
+  }
+
+  const data = event.data;
+
+  if (!data || typeof data !== 'object' || data.source !== PROTOCOL_SOURCE) {
+    return { ok: false, reason: 'format' };
+  }
+
+  if (typeof data.version !== 'number' || Math.floor(data.version) !== PROTOCOL_VERSION) {
+    return { ok: false, reason: 'version' };
+  }
+
+  if (!KNOWN_TYPES.includes(data.type)) {
+    return { ok: false, reason: 'type' };
+  }
+
+  if (!matchesSession(data, expected)) {
+    return { ok: false, reason: 'session' };
+  }
+
+  return {
+    ok: true,
+    message: {
+      type: data.type,
+      version: data.version,
+      sessionId: data.sessionId,
+      transactionId: data.transactionId,
+      payload: data.payload && typeof data.payload === 'object' ? data.payload : {}
+    }
+  };
+}
+
+/**
+ * A message must name this checkout by session or transaction ID and must
+ * not contradict either one
+ */
+function matchesSession(data, expected) {
+  const pairs = [
+    [data.sessionId, expected.sessionId],
+    [data.transactionId, expected.transactionId]
+  ].filter(([, current]) => current);
+
+  if (pairs.length === 0) {
+    return true;
+  }
+
+  let matched = false;
+
+  for (const [received, current] of pairs) {
+    if (received === undefined || received === null || received === '') {
+      continue;
+    }
+    if (String(received) !== String(current)) {
+      return false;
+    }
+    matched = true;
+  }
+
+  return matched;
+}
@@ -0,0 +1,109 @@
+/**
+ * Redirect Checkout Helpers
+ * URL handling for the full-page redirect mode: tagging return URLs with the
+ * outcome, reading return parameters and navigating the top window.
+ */
+
+import { normalizeStatus, PAYMENT_STATUS } from './status.js';
+
+// Query parameter the SDK adds to return URLs to tell the outcome apart
+export const RETURN_PARAM = 'pso_return';
+
+export const RETURN_OUTCOMES = {
+  SUCCESS: 'success',
+  CANCEL: 'cancel',
+  FAILURE: 'failure'
+};
+
+/**
+ * Current page URL without its hash
+ */
+export function currentPageUrl() {
+  const href = window.location && window.location.href;
+  return href ? href.split('#')[0] : '';
+}
+
+/**
+ * Add the outcome marker to a return URL
+ *
+ * @param {string} url - Merchant return URL (defaults to the current page)
+ * @param {string} outcome - One of RETURN_OUTCOMES
+ * @returns {string}
+ */
+export function buildReturnUrl(url, outcome) {
+  const parsed = new URL(url || currentPageUrl(), currentPageUrl() || undefined);
+  parsed.searchParams.set(RETURN_PARAM, outcome);
+  return parsed.toString();
+}
+
+/**
+ * Read the parameters the gateway and SDK put on a return URL
+ *
+ * @param {string} [url] - Return URL (defaults to the current page)
+ * @returns {Object} - { outcome, orderId, transactionId, sessionId, status, statusCode, message }
+ */
+export function readReturnParams(url) {
+  let params;
+
+  try {
+    params = new URL(url || currentPageUrl()).searchParams;
+  } catch (error) {
+    return { outcome: null };
+  }
+
+  const pick = (...names) => {
+    for (const name of names) {
+      const value = params.get(name);
+      if (value) {
+        return value;
+      }
+    }
+    return undefined;
+  };
+
+  const result = {
+    outcome: pick(RETURN_PARAM) || null,
+    orderId: pick('order_id', 'orderId'),
+    transactionId: pick('payment_order_id', 'paymentOrderId', 'order_tracking_id'),
+    sessionId: pick('session_id', 'sessionId'),
+    status: pick('status'),
+    statusCode: pick('status_code', 'statusCode'),
+    bankTransactionId: pick('transaction_id', 'bank_transaction_id'),
+    message: pick('message', 'reason')
+  };
+
+  if (!Object.values(RETURN_OUTCOMES).includes(result.outcome)) {
+    result.outcome = outcomeFromStatus(result.status || result.statusCode);
+  }
+
+  return result;
+}
+
+/**
+ * Map a gateway status to a return outcome when the marker is missing
+ */
+function outcomeFromStatus(status) {
+  switch (normalizeStatus(status)) {
+    case PAYMENT_STATUS.APPROVED:
+      return RETURN_OUTCOMES.SUCCESS;
+    case PAYMENT_STATUS.CANCELLED:
+      return RETURN_OUTCOMES.CANCEL;
+    case PAYMENT_STATUS.DECLINED:
+    case PAYMENT_STATUS.FAILED:
+      return RETURN_OUTCOMES.FAILURE;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Navigate the top window, falling back to the current one when the SDK
+ * runs inside a cross-origin frame
+ */
+export function navigateTo(url) {
+  try {
+    window.top.location.assign(url);
+  } catch (error) {
+    window.location.assign(url);
+  }
+}
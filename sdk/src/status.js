@@ -0,0 +1,81 @@
+/**
+ * Payment Status Helpers
+ * Normalizes gateway statuses and status codes to the canonical values
+ * used by the gateway proxy (see GatewayClient.parsePaymentStatus).
+ */
+
+export const PAYMENT_STATUS = {
+  APPROVED: 'APPROVED',
+  DECLINED: 'DECLINED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED',
+  PENDING: 'PENDING',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Gateway status codes, mirrors GatewayClient.parsePaymentStatus
+export const STATUS_CODES = {
+  '1002': PAYMENT_STATUS.APPROVED,
+  '1003': PAYMENT_STATUS.DECLINED,
+  '1004': PAYMENT_STATUS.CANCELLED,
+  '1005': PAYMENT_STATUS.FAILED
+};
+
+// Spellings seen from the gateway, the legacy test routes and hosted pages
+const STATUS_ALIASES = {
+  APPROVED: PAYMENT_STATUS.APPROVED,
+  SUCCESS: PAYMENT_STATUS.APPROVED,
+  SUCCESSFUL: PAYMENT_STATUS.APPROVED,
+  COMPLETED: PAYMENT_STATUS.APPROVED,
+  PAID: PAYMENT_STATUS.APPROVED,
+  DECLINED: PAYMENT_STATUS.DECLINED,
+  REJECTED: PAYMENT_STATUS.DECLINED,
+  CANCELLED: PAYMENT_STATUS.CANCELLED,
+  CANCELED: PAYMENT_STATUS.CANCELLED,
+  FAILED: PAYMENT_STATUS.FAILED,
+  FAILURE: PAYMENT_STATUS.FAILED,
+  ERROR: PAYMENT_STATUS.FAILED,
+  EXPIRED: PAYMENT_STATUS.FAILED,
+  PENDING: PAYMENT_STATUS.PENDING,
+  CREATED: PAYMENT_STATUS.PENDING,
+  INITIATED: PAYMENT_STATUS.PENDING,
+  PROCESSING: PAYMENT_STATUS.PENDING
+};
+
+const TERMINAL_STATUSES = [
+  PAYMENT_STATUS.APPROVED,
+  PAYMENT_STATUS.DECLINED,
+  PAYMENT_STATUS.CANCELLED,
+  PAYMENT_STATUS.FAILED
+];
+
+/**
+ * Normalize a status string, status code or transaction info object
+ *
+ * @param {string|number|Object} value - e.g. 'success', '1002' or { status, status_code }
+ * @returns {string} - One of PAYMENT_STATUS
+ */
+export function normalizeStatus(value) {
+  if (value === null || value === undefined) {
+    return PAYMENT_STATUS.UNKNOWN;
+  }
+
+  if (typeof value === 'object') {
+    const fromStatus = normalizeStatus(value.status || value.order_status);
+    if (fromStatus !== PAYMENT_STATUS.UNKNOWN) {
+      return fromStatus;
+    }
+    return normalizeStatus(value.status_code || value.statusCode);
+  }
+
+  const key = String(value).trim().toUpperCase();
+
+  return STATUS_CODES[key] || STATUS_ALIASES[key] || PAYMENT_STATUS.UNKNOWN;
+}
+
+/**
+ * Whether the status is final (no further transitions expected)
+ */
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(normalizeStatus(status));
+}
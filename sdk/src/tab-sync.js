@@ -0,0 +1,263 @@
+/**
+ * Cross-Tab Checkout Coordination
+ * Tracks which tab owns the checkout for an order so the same order is not
+ * paid twice from two tabs of the same origin. Claims live in localStorage
+ * and are kept alive by a heartbeat; notifications travel over
+ * BroadcastChannel, or storage events where it is not available.
+ */
+
+const CHANNEL_NAME = 'pso_checkout';
+const CLAIMS_KEY = 'pso_active_checkouts';
+const MESSAGE_KEY = 'pso_checkout_message';
+const HEARTBEAT_INTERVAL = 5000;
+
+// A claim whose tab missed this many heartbeats is treated as abandoned
+const STALE_AFTER = HEARTBEAT_INTERVAL * 3;
+
+// Shared by every SDK instance on the page
+const TAB_ID = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+
+export const TAB_MESSAGES = {
+  STARTED: 'checkout.started',
+  COMPLETED: 'checkout.completed',
+  FOCUS: 'checkout.focus'
+};
+
+export class CheckoutTabSync {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage] - Shared storage (defaults to localStorage)
+   * @param {Function} [options.onMessage] - Called with messages from other tabs
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : getLocalStorage();
+    this.onMessage = options.onMessage || (() => {});
+    this.tabId = TAB_ID;
+    this.owned = {};
+    this.heartbeat = null;
+    this.channel = null;
+    this.storageListener = null;
+    this.pagehideListener = null;
+
+    this.connect();
+  }
+
+  /**
+   * Claim for the order held by another live tab, if any
+   *
+   * @param {string} orderId - Merchant order ID
+   * @returns {Object|null} - { tabId, orderId, startedAt, updatedAt }
+   */
+  getRemoteClaim(orderId) {
+    const claim = this.readClaims()[orderId];
+    return claim && claim.tabId !== this.tabId ? claim : null;
+  }
+
+  /**
+   * Mark the order as in progress in this tab and tell the other tabs
+   */
+  claim(orderId) {
+    const now = Date.now();
+    const claims = this.readClaims();
+
+    claims[orderId] = { tabId: this.tabId, orderId, startedAt: now, updatedAt: now };
+    this.writeClaims(claims);
+    this.owned[orderId] = true;
+    this.startHeartbeat();
+
+    this.post({ type: TAB_MESSAGES.STARTED, orderId });
+  }
+
+  /**
+   * Drop this tab's claim; with a result the other tabs learn the order
+   * finished (also for orders this tab never claimed, e.g. redirect returns)
+   *
+   * @param {string} orderId - Merchant order ID
+   * @param {Object} [result] - { outcome: 'success'|'failed'|'cancelled', transactionId }
+   */
+  release(orderId, result) {
+    if (this.owned[orderId]) {
+      delete this.owned[orderId];
+
+      const claims = this.readClaims();
+      if (claims[orderId] && claims[orderId].tabId === this.tabId) {
+        delete claims[orderId];
+        this.writeClaims(claims);
+      }
+
+      if (Object.keys(this.owned).length === 0) {
+        this.stopHeartbeat();
+      }
+    }
+
+    if (result) {
+      this.post({ type: TAB_MESSAGES.COMPLETED, orderId, ...result });
+    }
+  }
+
+  /**
+   * Ask the tab that owns the order to bring its checkout to the front
+   */
+  requestFocus(orderId) {
+    this.post({ type: TAB_MESSAGES.FOCUS, orderId });
+  }
+
+  /**
+   * Whether this tab owns the order
+   */
+  owns(orderId) {
+    return Boolean(this.owned[orderId]);
+  }
+
+  /**
+   * Stop listening and release every claim without announcing an outcome
+   */
+  destroy() {
+    Object.keys(this.owned).forEach(orderId => this.release(orderId));
+    this.stopHeartbeat();
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+    if (this.pagehideListener) {
+      window.removeEventListener('pagehide', this.pagehideListener);
+      this.pagehideListener = null;
+    }
+  }
+
+  connect() {
+    if (typeof window === 'undefined') {
+      return;
+    }
+
+    if (typeof window.BroadcastChannel === 'function') {
+      this.channel = new window.BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    } else if (this.storage) {
+      this.storageListener = (event) => {
+        if (event.key === MESSAGE_KEY && event.newValue) {
+          this.receive(parseJSON(event.newValue));
+        }
+      };
+      window.addEventListener('storage', this.storageListener);
+    }
+
+    // A closed or reloaded tab must not keep blocking its orders
+    this.pagehideListener = () => Object.keys(this.owned).forEach(orderId => this.release(orderId));
+    window.addEventListener('pagehide', this.pagehideListener);
+  }
+
+  post(message) {
+    const envelope = { ...message, tabId: this.tabId, sentAt: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(envelope);
+    } else if (this.storage) {
+      try {
+        // Storage events only fire on change, so every message is unique
+        this.storage.setItem(MESSAGE_KEY, JSON.stringify({ ...envelope, nonce: Math.random() }));
+        this.storage.removeItem(MESSAGE_KEY);
+      } catch (error) {
+        // Storage disabled - other tabs are simply not notified
+      }
+    }
+  }
+
+  receive(message) {
+    if (!message || !message.type || !message.orderId || message.tabId === this.tabId) {
+      return;
+    }
+
+    this.onMessage(message);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      const claims = this.readClaims();
+      const now = Date.now();
+
+      Object.keys(this.owned).forEach(orderId => {
+        claims[orderId] = { ...(claims[orderId] || { tabId: this.tabId, orderId, startedAt: now }), updatedAt: now };
+      });
+      this.writeClaims(claims);
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Read live claims, dropping ones whose tab stopped sending heartbeats
+   */
+  readClaims() {
+    if (!this.storage) {
+      return {};
+    }
+
+    let claims;
+
+    try {
+      claims = JSON.parse(this.storage.getItem(CLAIMS_KEY) || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+
+    const now = Date.now();
+
+    Object.keys(claims).forEach(orderId => {
+      if (!claims[orderId] || now - claims[orderId].updatedAt > STALE_AFTER) {
+        delete claims[orderId];
+      }
+    });
+
+    return claims;
+  }
+
+  writeClaims(claims) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      if (Object.keys(claims).length === 0) {
+        this.storage.removeItem(CLAIMS_KEY);
+      } else {
+        this.storage.setItem(CLAIMS_KEY, JSON.stringify(claims));
+      }
+    } catch (error) {
+      // Quota exceeded or storage disabled - the guard is best effort
+    }
+  }
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * localStorage when available (it throws in some privacy modes)
+ */
+function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
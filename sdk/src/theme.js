@@ -0,0 +1,90 @@
+/**
+ * Checkout Theming
+ * Maps config.theme tokens to CSS custom properties on the SDK's own
+ * elements and to query parameters for the hosted gateway page.
+ */
+
+export const THEME_MODES = ['light', 'dark', 'auto'];
+
+// Theme token -> CSS custom property (see styles.css)
+export const THEME_TOKENS = {
+  primaryColor: '--pso-primary-color',
+  fontFamily: '--pso-font-family',
+  borderRadius: '--pso-border-radius',
+  backgroundColor: '--pso-background',
+  textColor: '--pso-text-color',
+  overlayColor: '--pso-overlay-color'
+};
+
+// Tokens forwarded to the gateway page, with the format each must match.
+// Anything else stays on the merchant page.
+const GATEWAY_PARAMS = {
+  primaryColor: { param: 'theme_primary_color', pattern: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i },
+  borderRadius: { param: 'theme_border_radius', pattern: /^\d{1,3}(?:\.\d+)?(?:px|rem|em)?$/ },
+  fontFamily: { param: 'theme_font_family', pattern: /^[\w\s,'"-]{1,100}$/ },
+  mode: { param: 'theme_mode', pattern: /^(?:light|dark|auto)$/ }
+};
+
+const DEFAULT_HEADER_TEXT = 'Secure Payment';
+
+/**
+ * Apply theme tokens and mode to a root element (overlay or embed container)
+ *
+ * @param {HTMLElement} element - Element whose subtree is themed
+ * @param {Object} theme - config.theme
+ */
+export function applyTheme(element, theme = {}) {
+  Object.keys(THEME_TOKENS).forEach(token => {
+    if (theme[token]) {
+      element.style.setProperty(THEME_TOKENS[token], String(theme[token]));
+    }
+  });
+
+  element.classList.add(`pso-theme-${theme.mode || 'light'}`);
+}
+
+/**
+ * Whitelisted theme tokens as gateway query parameters
+ *
+ * @param {Object} theme - config.theme
+ * @returns {Object} - e.g. { theme_primary_color: '#0a7', theme_mode: 'dark' }
+ */
+export function getGatewayThemeParams(theme = {}) {
+  const params = {};
+
+  Object.keys(GATEWAY_PARAMS).forEach(token => {
+    const rule = GATEWAY_PARAMS[token];
+    const value = theme[token];
+
+    if (typeof value === 'string' && rule.pattern.test(value)) {
+      params[rule.param] = value;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Header markup for the overlay: optional logo plus title
+ */
+export function getHeaderHTML(theme = {}, defaultText = DEFAULT_HEADER_TEXT) {
+  const text = escapeHtml(theme.headerText || defaultText);
+  const logo = isSafeImageUrl(theme.logoUrl)
+    ? `<img class="pso-logo" src="${escapeHtml(theme.logoUrl)}" alt="">`
+    : '';
+
+  return `<div class="pso-header-title">${logo}<h2 id="pso-dialog-title">${text}</h2></div>`;
+}
+
+function isSafeImageUrl(url) {
+  return typeof url === 'string' && /^(?:https?:\/\/|\/(?!\/)|data:image\/(?:png|jpeg|gif|webp);)/i.test(url);
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,225 @@
+/**
+ * HTTP Transport
+ * Single fetch wrapper used by every PSOPayment network call.
+ * Adds per-call timeouts, caller abort signals, retries with exponential
+ * backoff for safe operations and tolerant parsing of error bodies.
+ */
+
+import { PSONetworkError, PSOGatewayError, createResponseError } from './errors.js';
+
+const DEFAULT_TIMEOUT = 30000;
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  minDelay: 500,
+  maxDelay: 5000
+};
+
+export class HttpTransport {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+    this.retry = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+  }
+
+  /**
+   * Resolve the gateway proxy base URL for the configured environment
+   */
+  getBaseUrl() {
+    return this.config.environment === 'production'
+      ? this.config.gatewayUrl || 'https://api.pso-gateway.com'
+      : this.config.gatewayUrl || 'http://localhost:3000';
+  }
+
+  /**
+   * Perform a request against the gateway proxy
+   *
+   * @param {string} path - Path relative to the gateway base URL
+   * @param {Object} options - Request options
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {Object} [options.body] - JSON body
+   * @param {Object} [options.headers] - Extra headers
+   * @param {number} [options.timeout] - Per-attempt timeout in ms
+   * @param {AbortSignal} [options.signal] - Caller abort signal
+   * @param {boolean} [options.retry=false] - Retry on transient failures (safe operations only)
+   * @param {number} [options.retries] - Override the configured retry count
+   * @param {string} [options.errorMessage] - Fallback message for failed requests
+   * @returns {Promise<Object>} - Parsed JSON response body
+   */
+  async request(path, options = {}) {
+    const retries = options.retry
+      ? (options.retries !== undefined ? options.retries : this.retry.retries)
+      : 0;
+
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await this.attempt(path, options);
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryable(error, options.signal)) {
+          throw error;
+        }
+
+        const delay = this.getBackoffDelay(attempt);
+        attempt++;
+
+        if (this.config.debug) {
+          console.log(`[PSO SDK] Retrying ${path} in ${delay}ms (attempt ${attempt}/${retries})`);
+        }
+
+        await this.sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Run a single fetch attempt with its own timeout
+   */
+  async attempt(path, options) {
+    const method = options.method || 'GET';
+    const timeout = options.timeout || this.timeout;
+    const controller = new AbortController();
+    const callerSignal = options.signal;
+    let timedOut = false;
+
+    if (callerSignal && callerSignal.aborted) {
+      throw this.createAbortError();
+    }
+
+    const onCallerAbort = () => controller.abort();
+    if (callerSignal) {
+      callerSignal.addEventListener('abort', onCallerAbort);
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    const headers = {
+      'X-Merchant-Id': this.config.merchantId,
+      ...(options.headers || {})
+    };
+
+    const init = { method, headers, signal: controller.signal };
+
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(options.body);
+    }
+
+    let response;
+    let body;
+
+    try {
+      response = await fetch(`${this.getBaseUrl()}${path}`, init);
+      body = await this.parseBody(response);
+    } catch (error) {
+      if (timedOut) {
+        throw this.createTimeoutError(timeout);
+      }
+      if (callerSignal && callerSignal.aborted) {
+        throw this.createAbortError();
+      }
+      throw this.createNetworkError(error);
+    } finally {
+      clearTimeout(timer);
+      if (callerSignal) {
+        callerSignal.removeEventListener('abort', onCallerAbort);
+      }
+    }
+
+    if (!response.ok) {
+      throw createResponseError(
+        response.status,
+        body.json || (body.text ? { raw: body.text } : null),
+        options.errorMessage,
+        response
+      );
+    }
+
+    if (body.text && body.json === null) {
+      throw new PSOGatewayError('Invalid JSON response from gateway', {
+        code: 'INVALID_RESPONSE',
+        status: response.status,
+        data: { raw: body.text }
+      });
+    }
+
+    return body.json;
+  }
+
+  /**
+   * Read a response body, tolerating empty and non-JSON payloads
+   * (proxies and load balancers often answer with HTML error pages)
+   */
+  async parseBody(response) {
+    const text = typeof response.text === 'function' ? await response.text() : '';
+
+    if (!text) {
+      return { json: null, text: '' };
+    }
+
+    try {
+      return { json: JSON.parse(text), text };
+    } catch (error) {
+      return { json: null, text };
+    }
+  }
+
+  /**
+   * Decide whether a failed attempt may be retried
+   */
+  isRetryable(error, signal) {
+    if (signal && signal.aborted) {
+      return false;
+    }
+    return Boolean(error.retryable);
+  }
+
+  /**
+   * Exponential backoff delay for the given retry attempt
+   */
+  getBackoffDelay(attempt) {
+    return Math.min(this.retry.minDelay * Math.pow(2, attempt), this.retry.maxDelay);
+  }
+
+  /**
+   * Wait for the given delay, rejecting early if the signal aborts
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  createTimeoutError(timeout) {
+    return new PSONetworkError(`Request timed out after ${timeout}ms`, { code: 'TIMEOUT' });
+  }
+
+  createAbortError() {
+    return new PSONetworkError('Request aborted', { code: 'ABORTED' });
+  }
+
+  createNetworkError(cause) {
+    return new PSONetworkError(
+      `Network request failed: ${cause && cause.message ? cause.message : 'unknown error'}`,
+      { code: 'NETWORK_ERROR', cause }
+    );
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * URL Helpers
+ */
+
+/**
+ * Set query parameters on a URL, skipping empty values. Returns the URL
+ * unchanged when it cannot be parsed.
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} params - Parameter name -> value
+ * @returns {string}
+ */
+export function appendQueryParams(url, params = {}) {
+  const names = Object.keys(params).filter(name =>
+    params[name] !== undefined && params[name] !== null && params[name] !== ''
+  );
+
+  if (!url || names.length === 0) {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    names.forEach(name => parsed.searchParams.set(name, String(params[name])));
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
@@ -1,17 +1,72 @@
 /**
  * Form Validation Utilities
  * Provides validation functions for payment form fields
+ *
+ * Messages come from the i18n catalogs; pass the SDK's Translator
+ * (`pso.i18n`) as the last argument to localize them.
  */
 
+import { Translator } from './i18n.js';
+
+const defaultTranslator = new Translator();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Mobile operators use 013-019 after the 0 trunk prefix
+const BD_MOBILE_PATTERN = /^(?:\+?880|0)?(1[3-9]\d{8})$/;
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const BD_POSTCODE_LENGTH = 4;
+
+const MAX_LENGTH = { name: 100, email: 254, address: 255, description: 500, city: 100 };
+
+/**
+ * The 64 districts of Bangladesh, with older English spellings as aliases
+ */
+export const BD_DISTRICTS = [
+  'Bagerhat', 'Bandarban', 'Barguna', 'Barishal', 'Bhola', 'Bogura', 'Brahmanbaria', 'Chandpur',
+  'Chapainawabganj', 'Chattogram', 'Chuadanga', "Cox's Bazar", 'Cumilla', 'Dhaka', 'Dinajpur', 'Faridpur',
+  'Feni', 'Gaibandha', 'Gazipur', 'Gopalganj', 'Habiganj', 'Jamalpur', 'Jashore', 'Jhalokati',
+  'Jhenaidah', 'Joypurhat', 'Khagrachhari', 'Khulna', 'Kishoreganj', 'Kurigram', 'Kushtia', 'Lakshmipur',
+  'Lalmonirhat', 'Madaripur', 'Magura', 'Manikganj', 'Meherpur', 'Moulvibazar', 'Munshiganj', 'Mymensingh',
+  'Naogaon', 'Narail', 'Narayanganj', 'Narsingdi', 'Natore', 'Netrokona', 'Nilphamari', 'Noakhali',
+  'Pabna', 'Panchagarh', 'Patuakhali', 'Pirojpur', 'Rajbari', 'Rajshahi', 'Rangamati', 'Rangpur',
+  'Satkhira', 'Shariatpur', 'Sherpur', 'Sirajganj', 'Sunamganj', 'Sylhet', 'Tangail', 'Thakurgaon'
+];
+
+const DISTRICT_ALIASES = {
+  barisal: 'Barishal',
+  bogra: 'Bogura',
+  chapainababganj: 'Chapainawabganj',
+  nawabganj: 'Chapainawabganj',
+  chittagong: 'Chattogram',
+  coxsbazar: "Cox's Bazar",
+  comilla: 'Cumilla',
+  jessore: 'Jashore',
+  jhalakati: 'Jhalokati',
+  jhalokathi: 'Jhalokati',
+  khagrachari: 'Khagrachhari',
+  laxmipur: 'Lakshmipur',
+  maulvibazar: 'Moulvibazar',
+  netrakona: 'Netrokona',
+  narshingdi: 'Narsingdi'
+};
+
+const DISTRICT_INDEX = BD_DISTRICTS.reduce((index, district) => {
+  index[districtKey(district)] = district;
+  return index;
+}, { ...DISTRICT_ALIASES });
+
 export class Validator {
   /**
    * Validate credit card number using Luhn algorithm
    */
-  static validateCardNumber(cardNumber) {
+  static validateCardNumber(cardNumber, i18n = defaultTranslator) {
     const cleaned = cardNumber.replace(/\s/g, '');
     
     if (!/^\d{13,19}$/.test(cleaned)) {
-      return { valid: false, message: 'Card number must be 13-19 digits' };
+      return { valid: false, message: i18n.t('validation.cardNumberLength', { min: 13, max: 19 }) };
     }
 
     // Luhn algorithm
@@ -35,33 +90,33 @@ export class Validator {
     const valid = sum % 10 === 0;
     return {
       valid,
-      message: valid ? '' : 'Invalid card number'
+      message: valid ? '' : i18n.t('validation.cardNumberInvalid')
     };
   }
 
   /**
    * Validate expiry date (MM/YY format)
    */
-  static validateExpiry(expiry) {
+  static validateExpiry(expiry, i18n = defaultTranslator) {
     const cleaned = expiry.replace(/\s/g, '');
     const match = cleaned.match(/^(\d{2})\/(\d{2})$/);
 
     if (!match) {
-      return { valid: false, message: 'Format should be MM/YY' };
+      return { valid: false, message: i18n.t('validation.expiryFormat') };
     }
 
     const month = parseInt(match[1], 10);
     const year = parseInt(match[2], 10) + 2000;
 
     if (month < 1 || month > 12) {
-      return { valid: false, message: 'Invalid month' };
+      return { valid: false, message: i18n.t('validation.expiryMonth') };
     }
 
     const now = new Date();
     const expDate = new Date(year, month - 1);
 
     if (expDate < now) {
-      return { valid: false, message: 'Card has expired' };
+      return { valid: false, message: i18n.t('validation.expired') };
     }
 
     return { valid: true, message: '' };
@@ -70,11 +125,11 @@ export class Validator {
   /**
    * Validate CVV/CVC code
    */
-  static validateCVV(cvv) {
+  static validateCVV(cvv, i18n = defaultTranslator) {
     const cleaned = cvv.replace(/\s/g, '');
 
     if (!/^\d{3,4}$/.test(cleaned)) {
-      return { valid: false, message: 'CVV must be 3-4 digits' };
+      return { valid: false, message: i18n.t('validation.cvvLength', { min: 3, max: 4 }) };
     }
 
     return { valid: true, message: '' };
@@ -83,20 +138,187 @@ export class Validator {
   /**
    * Validate cardholder name
    */
-  static validateCardholderName(name) {
+  static validateCardholderName(name, i18n = defaultTranslator) {
     const trimmed = name.trim();
 
     if (trimmed.length < 3) {
-      return { valid: false, message: 'Name must be at least 3 characters' };
+      return { valid: false, message: i18n.t('validation.nameLength', { min: 3 }) };
     }
 
     if (!/^[a-zA-Z\s]+$/.test(trimmed)) {
-      return { valid: false, message: 'Name should contain only letters' };
+      return { valid: false, message: i18n.t('validation.nameLetters') };
+    }
+
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Validate an email address
+   */
+  static validateEmail(email, i18n = defaultTranslator) {
+    const trimmed = String(email).trim();
+
+    if (trimmed.length > MAX_LENGTH.email || !EMAIL_PATTERN.test(trimmed)) {
+      return { valid: false, message: i18n.t('validation.email') };
     }
 
     return { valid: true, message: '' };
   }
 
+  /**
+   * Bring a Bangladeshi mobile number to +8801XXXXXXXXX, accepting
+   * 01XXXXXXXXX, 8801XXXXXXXXX, +880 1XXX-XXXXXX and the like
+   *
+   * @returns {string|null} - Normalized number, or null when it is not one
+   */
+  static normalizeBDPhone(phone) {
+    const cleaned = String(phone).replace(/[\s\-().]/g, '').replace(/^00/, '+');
+    const match = cleaned.match(BD_MOBILE_PATTERN);
+
+    return match ? `+880${match[1]}` : null;
+  }
+
+  /**
+   * Validate a customer phone number. Bangladeshi mobiles are normalized to
+   * +880; other countries are accepted in E.164 form (+<country><number>).
+   *
+   * @returns {Object} - { valid, message, normalized }
+   */
+  static validatePhone(phone, i18n = defaultTranslator) {
+    const normalized = Validator.normalizeBDPhone(phone);
+
+    if (normalized) {
+      return { valid: true, message: '', normalized };
+    }
+
+    const cleaned = String(phone).replace(/[\s\-().]/g, '').replace(/^00/, '+');
+
+    if (E164_PATTERN.test(cleaned) && !cleaned.startsWith('+880')) {
+      return { valid: true, message: '', normalized: cleaned };
+    }
+
+    return { valid: false, message: i18n.t('validation.phone'), normalized: null };
+  }
+
+  /**
+   * Validate a Bangladeshi postcode (4 digits)
+   */
+  static validatePostcode(postcode, i18n = defaultTranslator) {
+    const valid = new RegExp(`^\\d{${BD_POSTCODE_LENGTH}}$`).test(String(postcode).trim());
+
+    return {
+      valid,
+      message: valid ? '' : i18n.t('validation.postcode', { length: BD_POSTCODE_LENGTH })
+    };
+  }
+
+  /**
+   * Validate a district of Bangladesh; older spellings (Chittagong, Comilla)
+   * are accepted and normalized
+   *
+   * @returns {Object} - { valid, message, normalized }
+   */
+  static validateDistrict(district, i18n = defaultTranslator) {
+    const normalized = DISTRICT_INDEX[districtKey(district)] || null;
+
+    return {
+      valid: Boolean(normalized),
+      message: normalized ? '' : i18n.t('validation.district'),
+      normalized
+    };
+  }
+
+  /**
+   * Validate customerInfo: name is required, email and phone are checked
+   * when given and the phone is normalized
+   *
+   * @param {Object} info - { name, email, phone, address }
+   * @param {Translator} [i18n]
+   * @returns {Object} - { valid, errors: [{ field, message }], value }
+   */
+  static validateCustomerInfo(info, i18n = defaultTranslator) {
+    return checkDetails('customerInfo', info, i18n, (value, report) => {
+      requireText(value, 'name', report, i18n);
+      limitText(value, 'address', report, i18n);
+
+      if (isPresent(value.email)) {
+        const result = Validator.validateEmail(value.email, i18n);
+        if (result.valid) {
+          value.email = String(value.email).trim();
+        } else {
+          report('email', result.message);
+        }
+      }
+
+      if (isPresent(value.phone)) {
+        const result = Validator.validatePhone(value.phone, i18n);
+        if (result.valid) {
+          value.phone = result.normalized;
+        } else {
+          report('phone', result.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Validate productInfo: name is required, quantity must be a whole
+   * number of at least 1
+   *
+   * @returns {Object} - { valid, errors: [{ field, message }], value }
+   */
+  static validateProductInfo(info, i18n = defaultTranslator) {
+    return checkDetails('productInfo', info, i18n, (value, report) => {
+      requireText(value, 'name', report, i18n);
+      limitText(value, 'description', report, i18n);
+
+      if (value.quantity !== undefined && !(Number.isInteger(value.quantity) && value.quantity >= 1)) {
+        report('quantity', i18n.t('validation.quantity', { min: 1 }));
+      }
+    });
+  }
+
+  /**
+   * Validate shipmentInfo: address is required; for Bangladesh (the
+   * default country) a district and a 4-digit postcode are required too
+   *
+   * @returns {Object} - { valid, errors: [{ field, message }], value }
+   */
+  static validateShipmentInfo(info, i18n = defaultTranslator) {
+    return checkDetails('shipmentInfo', info, i18n, (value, report) => {
+      requireText(value, 'address', report, i18n);
+      limitText(value, 'city', report, i18n);
+
+      const country = isPresent(value.country) ? String(value.country).trim().toUpperCase() : 'BD';
+
+      if (country !== 'BD' && country !== 'BGD' && country !== 'BANGLADESH') {
+        return;
+      }
+
+      if (!isPresent(value.district)) {
+        report('district', i18n.t('validation.required'));
+      } else {
+        const result = Validator.validateDistrict(value.district, i18n);
+        if (result.valid) {
+          value.district = result.normalized;
+        } else {
+          report('district', result.message);
+        }
+      }
+
+      if (!isPresent(value.postcode)) {
+        report('postcode', i18n.t('validation.required'));
+      } else {
+        const result = Validator.validatePostcode(value.postcode, i18n);
+        if (result.valid) {
+          value.postcode = String(value.postcode).trim();
+        } else {
+          report('postcode', result.message);
+        }
+      }
+    });
+  }
+
   /**
    * Sanitize input to prevent XSS
    */
@@ -140,3 +362,51 @@ export class Validator {
     return cleaned;
   }
 }
+
+/**
+ * Run field checks on a copy of an optional details object; empty or
+ * missing details are valid
+ */
+function checkDetails(prefix, info, i18n, check) {
+  const errors = [];
+
+  if (info === undefined || info === null) {
+    return { valid: true, errors, value: info };
+  }
+
+  if (typeof info !== 'object' || Array.isArray(info)) {
+    return { valid: false, errors: [{ field: prefix, message: 'must be an object' }], value: info };
+  }
+
+  const value = { ...info };
+
+  if (Object.keys(value).length > 0) {
+    check(value, (field, message) => errors.push({ field: `${prefix}.${field}`, message }));
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+function requireText(value, field, report, i18n) {
+  if (!isPresent(value[field])) {
+    report(field, i18n.t('validation.required'));
+    return;
+  }
+
+  value[field] = String(value[field]).trim();
+  limitText(value, field, report, i18n);
+}
+
+function limitText(value, field, report, i18n) {
+  if (isPresent(value[field]) && String(value[field]).trim().length > MAX_LENGTH[field]) {
+    report(field, i18n.t('validation.maxLength', { max: MAX_LENGTH[field] }));
+  }
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function districtKey(district) {
+  return String(district).toLowerCase().replace(/district$/, '').replace(/[^a-z]/g, '');
+}
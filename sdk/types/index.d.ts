@@ -27,11 +27,26 @@ export interface PSOPaymentConfig {
   /**
    * Theme customization options
    */
-  theme?: {
-    primaryColor?: string;
-    fontFamily?: string;
-    borderRadius?: string;
-  };
+  theme?: PSOTheme;
+
+  /**
+   * Language of the SDK's UI strings, also passed to the gateway page as
+   * the `locale` query parameter. Unknown locales fall back to 'en'.
+   * @default 'en'
+   */
+  locale?: 'en' | 'bn' | string;
+
+  /**
+   * Overrides for UI strings of the active locale, keyed by message key
+   * (e.g. `{ 'popup.title': 'Acme Pay' }`)
+   */
+  messages?: Record<string, string>;
+
+  /**
+   * Digits used when formatting numbers and amounts; 'beng' renders Bengali digits
+   * @default 'latn'
+   */
+  numerals?: 'latn' | 'beng';
 
   /**
    * Enable debug logging
@@ -44,6 +59,107 @@ export interface PSOPaymentConfig {
    * @default false
    */
   usePopupWindow?: boolean;
+
+  /**
+   * Time in ms the gateway page has to load (or confirm readiness) before
+   * the overlay shows the retry / open-in-new-window panel; 0 disables it
+   * @default 15000
+   */
+  loadTimeout?: number;
+
+  /**
+   * Only treat the gateway page as loaded once it posts `gateway.ready`,
+   * so error pages that fire `load` are caught by the load timeout
+   * @default false
+   */
+  waitForGatewayReady?: boolean;
+
+  /**
+   * Confirm success signals with the proxy verify endpoint before calling
+   * onSuccess; mismatches are reported through onError (VERIFICATION_MISMATCH)
+   * @default false
+   */
+  verifyOnComplete?: boolean;
+
+  /**
+   * How long an unfinished checkout is kept in sessionStorage for
+   * resumePendingPayment() / handleReturn(), in milliseconds
+   * @default 1800000
+   */
+  pendingTtl?: number;
+
+  /**
+   * Coordinate checkouts across tabs of the same origin so an order that is
+   * being paid in one tab cannot be started again in another
+   * @default true
+   */
+  crossTabGuard?: boolean;
+
+  /**
+   * Maps metadata keys to the gateway's merchant-defined fields
+   * @example { cartId: 'mdf_1', campaign: 'mdf_2' }
+   */
+  metadataFields?: MetadataFields;
+
+  /**
+   * Extra origins (besides the gateway page origin) allowed to post
+   * protocol messages, e.g. your own success page inside the iframe
+   */
+  trustedOrigins?: string[];
+
+  /**
+   * Default per-attempt request timeout in milliseconds
+   * @default 30000
+   */
+  timeout?: number;
+
+  /**
+   * Retry policy for safe (verify/status) requests
+   */
+  retry?: RetryOptions;
+}
+
+/**
+ * Retry policy with exponential backoff
+ */
+export interface RetryOptions {
+  /**
+   * Number of retries after the first attempt
+   * @default 2
+   */
+  retries?: number;
+
+  /**
+   * Delay before the first retry in milliseconds (doubled on each retry)
+   * @default 500
+   */
+  minDelay?: number;
+
+  /**
+   * Maximum delay between retries in milliseconds
+   * @default 5000
+   */
+  maxDelay?: number;
+}
+
+/**
+ * Per-call transport options
+ */
+export interface RequestOptions {
+  /**
+   * Per-attempt timeout in milliseconds (overrides config.timeout)
+   */
+  timeout?: number;
+
+  /**
+   * Abort signal to cancel the request
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Override the retry count (safe operations only)
+   */
+  retries?: number;
 }
 
 /**
@@ -51,22 +167,23 @@ export interface PSOPaymentConfig {
  */
 export interface CustomerInfo {
   /**
-   * Customer's full name
+   * Customer's full name (required when any customer field is given)
    */
   name: string;
 
   /**
    * Customer's email address
    */
-  email: string;
+  email?: string;
 
   /**
-   * Customer's phone number
+   * Customer's phone number; Bangladeshi mobiles (01XXXXXXXXX, 8801...)
+   * are sent as +8801XXXXXXXXX, other countries must use E.164 (+...)
    */
-  phone: string;
+  phone?: string;
 
   /**
-   * Customer's address (optional)
+   * Customer's address (optional, at most 255 characters)
    */
   address?: string;
 
@@ -96,17 +213,22 @@ export interface CustomerInfo {
  */
 export interface ProductInfo {
   /**
-   * Product name or description
+   * Product name
    */
   name: string;
 
+  /**
+   * Product description (optional, at most 500 characters)
+   */
+  description?: string;
+
   /**
    * Product category (optional)
    */
   category?: string;
 
   /**
-   * Product quantity
+   * Product quantity, a whole number of at least 1
    * @default 1
    */
   quantity?: number;
@@ -117,6 +239,22 @@ export interface ProductInfo {
   unitPrice?: number;
 }
 
+/**
+ * Shipping details. For Bangladesh (the default country) `district` and a
+ * 4-digit `postcode` are required; older district spellings such as
+ * 'Chittagong' are sent in their current form ('Chattogram').
+ */
+export interface ShipmentInfo {
+  address: string;
+  city?: string;
+  district?: string;
+  postcode?: string;
+  /**
+   * @default 'BD'
+   */
+  country?: string;
+}
+
 /**
  * Promotion/discount information
  */
@@ -142,7 +280,8 @@ export interface PromotionInfo {
  */
 export interface PaymentOptions {
   /**
-   * Payment amount in smallest currency unit (e.g., cents for USD, paisa for BDT)
+   * Payment amount in major units (e.g., 29.99), with no more decimal
+   * places than the currency allows
    */
   amount: number;
 
@@ -153,14 +292,19 @@ export interface PaymentOptions {
   currency?: string;
 
   /**
-   * Customer information
+   * Customer information, validated before the order is created
+   */
+  customerInfo?: CustomerInfo;
+
+  /**
+   * Product information, validated before the order is created
    */
-  customer?: CustomerInfo;
+  productInfo?: ProductInfo;
 
   /**
-   * Product information
+   * Shipping details, sent as `shipment_information`
    */
-  product?: ProductInfo;
+  shipmentInfo?: ShipmentInfo;
 
   /**
    * Promotion/discount information
@@ -183,9 +327,14 @@ export interface PaymentOptions {
   cancelUrl?: string;
 
   /**
-   * Additional metadata to attach to the transaction
+   * Named values sent in the mdf fields declared by `metadataFields`
    */
-  metadata?: Record<string, any>;
+  metadata?: Record<string, string | number | boolean | null | undefined>;
+
+  /**
+   * Overrides `config.metadataFields` for this payment
+   */
+  metadataFields?: MetadataFields;
 
   /**
    * Callback function invoked on successful payment
@@ -206,6 +355,34 @@ export interface PaymentOptions {
    * Callback function invoked when popup/modal is closed
    */
   onClose?: () => void;
+
+  /**
+   * Override config.verifyOnComplete for this checkout
+   */
+  verifyOnComplete?: boolean;
+
+  /**
+   * Idempotency-Key for payment-order creation
+   * (default: generated per orderId and reused until the checkout finishes)
+   */
+  idempotencyKey?: string;
+
+  /**
+   * How the gateway page is shown. 'redirect' navigates the top window and
+   * requires handleReturn() on the success/cancel/failure pages.
+   * @default 'iframe' ('popup' when config.usePopupWindow is set)
+   */
+  mode?: CheckoutMode;
+
+  /**
+   * Timeout for the payment order request in milliseconds
+   */
+  timeout?: number;
+
+  /**
+   * Abort signal to cancel payment order creation
+   */
+  signal?: AbortSignal;
 }
 
 /**
@@ -293,6 +470,450 @@ export interface PaymentError {
   details?: any;
 }
 
+/**
+ * Stable error codes carried by SDK errors
+ */
+export type PSOErrorCode =
+  | 'PSO_ERROR'
+  | 'VALIDATION_ERROR'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'ABORTED'
+  | 'GATEWAY_ERROR'
+  | 'INVALID_RESPONSE'
+  | 'ORDER_CREATION_FAILED'
+  | 'RATE_LIMIT_EXCEEDED'
+  | 'PAYMENT_FAILED'
+  | 'VERIFICATION_MISMATCH'
+  | 'CHECKOUT_IN_PROGRESS'
+  | 'GATEWAY_UNREACHABLE'
+  | 'RESULT_TIMEOUT'
+  | 'CHECKOUT_IN_OTHER_TAB'
+  | (string & {});
+
+/**
+ * Base class for every error thrown by the SDK
+ */
+export class PSOError extends Error {
+  /**
+   * Machine-readable error code
+   */
+  code: PSOErrorCode;
+
+  /**
+   * HTTP status when the error came from a response
+   */
+  status?: number;
+
+  /**
+   * Raw gateway/proxy payload
+   */
+  data?: any;
+
+  /**
+   * Whether retrying the same call may succeed
+   */
+  retryable: boolean;
+
+  toJSON(): Record<string, any>;
+}
+
+/**
+ * Invalid configuration, payment options or request payload
+ */
+export class PSOValidationError extends PSOError {
+  /**
+   * Offending field, for client-side validation failures
+   */
+  field?: string;
+
+  /**
+   * Validation messages reported by the gateway proxy
+   */
+  errors: any[];
+}
+
+/**
+ * Connection failure, timeout (`TIMEOUT`) or caller abort (`ABORTED`)
+ */
+export class PSONetworkError extends PSOError {}
+
+/**
+ * Failure response from the gateway or proxy
+ */
+export class PSOGatewayError extends PSOError {
+  reason?: string;
+  statusText?: string;
+}
+
+/**
+ * Rate limit exceeded (`RATE_LIMIT_EXCEEDED`)
+ */
+export class PSORateLimitError extends PSOGatewayError {
+  /**
+   * Seconds to wait before retrying, when the server says
+   */
+  retryAfter?: number;
+}
+
+/**
+ * The payment itself failed (`PAYMENT_FAILED`), e.g. declined on the gateway page
+ */
+export class PSOPaymentError extends PSOError {
+  transactionId?: string;
+}
+
+/**
+ * Checkout theme. Tokens are applied as CSS custom properties
+ * (`--pso-primary-color`, ...) on the overlay or embedded container;
+ * primaryColor, borderRadius, fontFamily and mode are also forwarded to the
+ * gateway page as `theme_*` query parameters when well-formed.
+ */
+export interface PSOTheme {
+  /** Hex color (`#rgb` / `#rrggbb`) to forward it to the gateway page */
+  primaryColor?: string;
+  fontFamily?: string;
+  /** e.g. `'8px'` */
+  borderRadius?: string;
+  backgroundColor?: string;
+  textColor?: string;
+  overlayColor?: string;
+  /**
+   * Color scheme; 'auto' follows prefers-color-scheme
+   * @default 'light'
+   */
+  mode?: 'light' | 'dark' | 'auto';
+  /**
+   * Overlay header title
+   * @default 'Secure Payment'
+   */
+  headerText?: string;
+  /** http(s), root-relative or data:image URL of a logo shown in the header */
+  logoUrl?: string;
+}
+
+/**
+ * Options for `mount()`
+ */
+export interface MountOptions extends Omit<PaymentOptions, 'mode'> {
+  /**
+   * Initial iframe height in pixels until the gateway page reports its own
+   * @default 600
+   */
+  height?: number;
+}
+
+/**
+ * Checkout display mode
+ */
+export type CheckoutMode = 'iframe' | 'popup' | 'redirect';
+
+/**
+ * Merchant-defined gateway field
+ */
+export type MdfField = 'mdf_1' | 'mdf_2' | 'mdf_3' | 'mdf_4' | 'mdf_5' | 'mdf_6';
+
+/**
+ * Metadata key -> merchant-defined field
+ */
+export type MetadataFields = Record<string, MdfField>;
+
+/**
+ * Options for `handleReturn()` on redirect return pages
+ */
+export interface HandleReturnOptions {
+  /**
+   * Return URL to read (defaults to the current page)
+   */
+  url?: string;
+
+  /**
+   * Force the outcome instead of reading it from the URL
+   */
+  outcome?: 'success' | 'cancel' | 'failure';
+
+  /**
+   * Override the verifyOnComplete setting stored with the checkout
+   */
+  verifyOnComplete?: boolean;
+
+  /**
+   * Config overrides for the SDK instance built by the static variant
+   */
+  config?: Partial<PSOPaymentConfig>;
+
+  onSuccess?: (data: PaymentSuccessData) => void;
+  onError?: (error: PSOError) => void;
+  onCancel?: (data: { success: false; message: string; orderId?: string }) => void;
+}
+
+/**
+ * Checkout context kept in sessionStorage until the payment finishes
+ */
+export interface PendingPayment {
+  mode: 'iframe' | 'popup' | 'embedded' | 'redirect';
+  orderId: string;
+  transactionId?: string;
+  sessionId?: string;
+  gatewayPageUrl: string;
+  amount: number;
+  currency: string;
+  verifyOnComplete: boolean;
+  createdAt: number;
+  updatedAt: number;
+  expiresAt: number;
+}
+
+/**
+ * Options for `resumePendingPayment()`
+ */
+export interface ResumeOptions {
+  /**
+   * Checkout to resume (defaults to the most recent one)
+   */
+  orderId?: string;
+
+  /**
+   * Reopen the gateway page for the same session, or poll until the order finishes
+   * @default 'reopen'
+   */
+  action?: 'reopen' | 'status';
+
+  /**
+   * Display mode for 'reopen' (defaults to the stored mode)
+   */
+  mode?: 'iframe' | 'popup';
+
+  /**
+   * Container for resuming an embedded checkout
+   */
+  container?: string | HTMLElement;
+
+  height?: number;
+
+  /**
+   * Polling timeout and first delay for 'status'
+   */
+  timeout?: number;
+  interval?: number;
+
+  signal?: AbortSignal;
+
+  onSuccess?: (data: PaymentSuccessData) => void;
+  onError?: (error: PSOError) => void;
+  onCancel?: (data: { success: false; message: string; orderId?: string }) => void;
+}
+
+/**
+ * Final outcome of `checkout()`
+ */
+export type CheckoutResult =
+  | (Partial<PaymentSuccessData> & { status: 'success'; success: true; [key: string]: any })
+  | { status: 'cancelled'; success: false; message?: string; transactionId?: string };
+
+/**
+ * `resumePendingPayment()` result when a redirect checkout navigated away;
+ * `handleReturn()` reports its outcome on the return page
+ */
+export interface RedirectedResult {
+  status: 'redirected';
+  redirected: true;
+  orderId: string;
+  transactionId?: string;
+}
+
+/**
+ * Canonical payment status (mirrors the gateway proxy)
+ */
+export type PaymentStatus = 'APPROVED' | 'DECLINED' | 'CANCELLED' | 'FAILED' | 'PENDING' | 'UNKNOWN';
+
+/**
+ * Options for `waitForPaymentResult()`
+ */
+export interface WaitForResultOptions {
+  /**
+   * Give up after this many milliseconds
+   * @default 120000
+   */
+  timeout?: number;
+
+  /**
+   * First delay between polls in milliseconds; doubles on each poll
+   * @default 2000
+   */
+  interval?: number;
+
+  /**
+   * Upper bound for the delay between polls
+   * @default 15000
+   */
+  maxInterval?: number;
+
+  /**
+   * Where to read the status: the proxy's stored status, the gateway verify
+   * endpoint, or the status endpoint first and verify afterwards
+   * @default 'auto'
+   */
+  source?: 'auto' | 'status' | 'verify';
+
+  /**
+   * Abort signal to stop polling
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Final outcome of `waitForPaymentResult()`
+ */
+export interface PaymentResult {
+  id: string;
+  status: 'APPROVED' | 'DECLINED' | 'CANCELLED' | 'FAILED';
+  success: boolean;
+  attempts: number;
+  transactionInfo: any;
+}
+
+/**
+ * Gateway page message types (see docs/MESSAGE-PROTOCOL.md)
+ */
+export type GatewayMessageType =
+  | 'gateway.ready'
+  | 'gateway.resize'
+  | 'payment.success'
+  | 'payment.failed'
+  | 'payment.cancelled';
+
+/**
+ * Accepted gateway page message
+ */
+export interface GatewayMessage {
+  type: GatewayMessageType;
+  version: number;
+  sessionId?: string;
+  transactionId?: string;
+  payload: Record<string, any>;
+}
+
+/**
+ * Lifecycle event names and their payloads
+ */
+export interface PSOEventMap {
+  'order:created': { orderId: string; transactionId?: string; sessionId?: string; gatewayPageUrl?: string };
+  'order:failed': { orderId: string; error: PSOError };
+  'redirect:started': { orderId: string; transactionId?: string; gatewayPageUrl: string };
+  'checkout:resumed': { orderId: string; transactionId?: string; action: 'reopen' | 'status' };
+  'checkout:active-elsewhere': { orderId: string; startedAt: number };
+  'checkout:completed-elsewhere': { orderId: string; transactionId?: string; outcome: 'success' | 'failed' | 'cancelled' };
+  'popup:opened': { mode: 'iframe' | 'window' | 'embedded'; gatewayUrl: string };
+  'popup:blocked': { fallback: 'iframe'; gatewayUrl: string };
+  'popup:closed': { transactionId?: string };
+  'gateway:loaded': { gatewayUrl: string };
+  'gateway:unreachable': { reason: 'timeout' | 'error'; attempts: number; gatewayUrl: string };
+  'window:closed': { transactionId?: string };
+  'message:received': { type: GatewayMessageType; data: GatewayMessage; origin: string };
+  'payment:success': { success: true; transactionId?: string; sessionId?: string; [key: string]: any };
+  'payment:failed': { success: false; message: string; transactionId?: string; [key: string]: any };
+  'payment:cancelled': { success: false; message: string; transactionId?: string };
+  'payment:status': { id: string; status: PaymentStatus; attempt: number };
+  'verification:completed': { paymentOrderId?: string; transactionId?: string; result: any };
+  'verification:failed': { paymentOrderId?: string; transactionId?: string; error: PSOError };
+}
+
+export type PSOEventName = keyof PSOEventMap;
+
+/**
+ * One invalid field of a PSOValidationError
+ */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+/**
+ * Result of a details check; `value` is the normalized copy
+ */
+export interface DetailsValidationResult<T> {
+  valid: boolean;
+  errors: FieldError[];
+  value: T | undefined;
+}
+
+/**
+ * Field validators used by the SDK; pass `pso.i18n` to localize messages
+ */
+export class Validator {
+  static validateEmail(email: string, i18n?: any): { valid: boolean; message: string };
+  static normalizeBDPhone(phone: string): string | null;
+  static validatePhone(phone: string, i18n?: any): { valid: boolean; message: string; normalized: string | null };
+  static validatePostcode(postcode: string | number, i18n?: any): { valid: boolean; message: string };
+  static validateDistrict(district: string, i18n?: any): { valid: boolean; message: string; normalized: string | null };
+  static validateCustomerInfo(info?: CustomerInfo, i18n?: any): DetailsValidationResult<CustomerInfo>;
+  static validateProductInfo(info?: ProductInfo, i18n?: any): DetailsValidationResult<ProductInfo>;
+  static validateShipmentInfo(info?: ShipmentInfo, i18n?: any): DetailsValidationResult<ShipmentInfo>;
+}
+
+/**
+ * ISO 4217 currency from the SDK's currency table
+ */
+export interface CurrencyInfo {
+  code: string;
+  /** Decimal places of the minor unit (2 for USD, 0 for JPY, 3 for KWD) */
+  exponent: number;
+  symbol: string;
+}
+
+/**
+ * Supported currencies keyed by ISO 4217 code
+ */
+export const CURRENCIES: Record<string, { exponent: number; symbol: string }>;
+
+/**
+ * Look up a currency (case-insensitive); null when unsupported
+ */
+export function getCurrency(code: string): CurrencyInfo | null;
+
+/**
+ * Convert a major-unit amount to integer minor units without rounding,
+ * e.g. `toMinorUnits(29.99, 'USD') === 2999`
+ * @throws {PSOValidationError} Too many decimal places or unsupported currency
+ */
+export function toMinorUnits(amount: number | string, currency: string): number;
+
+/**
+ * Convert integer minor units to a major-unit number, e.g. 2999 -> 29.99
+ */
+export function fromMinorUnits(minor: number, currency: string): number;
+
+/**
+ * Format minor units with symbol and grouping, e.g. `formatMoney(123450, 'BDT') === '৳1,234.50'`
+ */
+export function formatMoney(minor: number, currency: string): string;
+
+/**
+ * Event name constants
+ */
+export const EVENTS: {
+  ORDER_CREATED: 'order:created';
+  ORDER_FAILED: 'order:failed';
+  REDIRECT_STARTED: 'redirect:started';
+  CHECKOUT_RESUMED: 'checkout:resumed';
+  CHECKOUT_ACTIVE_ELSEWHERE: 'checkout:active-elsewhere';
+  CHECKOUT_COMPLETED_ELSEWHERE: 'checkout:completed-elsewhere';
+  POPUP_OPENED: 'popup:opened';
+  POPUP_BLOCKED: 'popup:blocked';
+  POPUP_CLOSED: 'popup:closed';
+  GATEWAY_LOADED: 'gateway:loaded';
+  GATEWAY_UNREACHABLE: 'gateway:unreachable';
+  WINDOW_CLOSED: 'window:closed';
+  MESSAGE_RECEIVED: 'message:received';
+  PAYMENT_SUCCESS: 'payment:success';
+  PAYMENT_FAILED: 'payment:failed';
+  PAYMENT_CANCELLED: 'payment:cancelled';
+  PAYMENT_STATUS: 'payment:status';
+  VERIFICATION_COMPLETED: 'verification:completed';
+  VERIFICATION_FAILED: 'verification:failed';
+};
+
 /**
  * Response from verifying a payment
  */
@@ -346,7 +967,7 @@ export default class PSOPayment {
    * Create a new PSO Payment SDK instance
    * 
    * @param config - Configuration options
-   * @throws {Error} If merchantId is not provided or environment is invalid
+   * @throws {PSOValidationError} If merchantId is not provided or environment is invalid
    * 
    * @example
    * ```typescript
@@ -363,7 +984,8 @@ export default class PSOPayment {
    * 
    * @param options - Payment options
    * @returns Promise that resolves when payment flow completes
-   * @throws {Error} If required options are missing or invalid
+   * @throws {PSOValidationError} If required options are missing or invalid
+   * @throws {PSOGatewayError} If the payment order could not be created
    * 
    * @example
    * ```typescript
@@ -386,6 +1008,77 @@ export default class PSOPayment {
    */
   showPaymentForm(options: PaymentOptions): Promise<void>;
 
+  /**
+   * Run a checkout and wait for its final outcome.
+   * Resolves on success or cancellation, rejects with a PSOError otherwise.
+   * Callbacks in options are still invoked.
+   *
+   * @param options - Payment options
+   * @returns Promise settling with the final checkout result
+   * @throws {PSOPaymentError} If the payment fails
+   *
+   * @example
+   * ```typescript
+   * const result = await pso.checkout({ amount: 1000 });
+   * if (result.status === 'cancelled') {
+   *   showCartAgain();
+   * }
+   * ```
+   */
+  checkout(options: PaymentOptions): Promise<CheckoutResult>;
+
+  /**
+   * Finish a redirect checkout on the return page.
+   * Settles like checkout(); resolves with null when no redirect checkout is pending.
+   *
+   * @example
+   * ```typescript
+   * // On the success/cancel/failure page
+   * const result = await PSOPayment.handleReturn();
+   * if (result && result.status === 'success') {
+   *   showReceipt(result.orderId);
+   * }
+   * ```
+   */
+  handleReturn(options?: HandleReturnOptions): Promise<CheckoutResult | null>;
+  static handleReturn(options?: HandleReturnOptions): Promise<CheckoutResult | null>;
+
+  /**
+   * Render the checkout inline inside a merchant container (no overlay).
+   * The iframe follows `gateway.resize` messages from the gateway page.
+   *
+   * @param target - Container element or CSS selector
+   * @param options - Payment options plus the initial iframe `height`
+   * @throws {PSOValidationError} If the container does not exist (field `container`)
+   *
+   * @example
+   * ```typescript
+   * await pso.mount('#payment-slot', { amount: 1000, onSuccess: showReceipt });
+   * ```
+   */
+  mount(target: string | HTMLElement, options: MountOptions): Promise<void>;
+
+  /**
+   * Remove an embedded checkout from its container
+   */
+  unmount(): void;
+
+  /**
+   * Stop cross-tab coordination (BroadcastChannel, claim heartbeat, window
+   * listeners) for an instance that is no longer used
+   */
+  destroy(): void;
+
+  /**
+   * Format an amount (major units) in the configured locale and numerals
+   *
+   * @example
+   * ```typescript
+   * new PSOPayment({ merchantId, locale: 'bn', numerals: 'beng' }).formatAmount(1234.5, 'BDT'); // '১,২৩৪.৫০৳'
+   * ```
+   */
+  formatAmount(amount: number, currency?: string): string;
+
   /**
    * Create a payment order
    * 
@@ -401,7 +1094,7 @@ export default class PSOPayment {
    * console.log('Order created:', order.orderId);
    * ```
    */
-  createPaymentOrder(options: PaymentOptions): Promise<PaymentOrderResponse>;
+  createPaymentOrder(options: PaymentOptions, requestOptions?: RequestOptions): Promise<PaymentOrderResponse>;
 
   /**
    * Verify a payment transaction
@@ -417,7 +1110,81 @@ export default class PSOPayment {
    * }
    * ```
    */
-  verifyPayment(orderId: string): Promise<VerificationResponse>;
+  verifyPayment(orderId: string, requestOptions?: RequestOptions): Promise<VerificationResponse>;
+
+  /**
+   * Verify a payment order through the gateway proxy.
+   * Transient failures are retried with exponential backoff.
+   *
+   * @param paymentOrderId - Gateway payment order ID
+   * @param requestOptions - Timeout, abort signal and retry overrides
+   *
+   * @example
+   * ```typescript
+   * const controller = new AbortController();
+   * const result = await pso.verifyPaymentStatus('PO-123', {
+   *   timeout: 10000,
+   *   signal: controller.signal
+   * });
+   * ```
+   */
+  verifyPaymentStatus(paymentOrderId: string, requestOptions?: RequestOptions): Promise<any>;
+
+  /**
+   * Get the proxy's stored status of an order
+   *
+   * @param orderId - Merchant order ID
+   * @param requestOptions - Timeout, abort signal and retry overrides
+   */
+  getPaymentStatus(orderId: string, requestOptions?: RequestOptions): Promise<any>;
+
+  /**
+   * Poll until the payment reaches APPROVED, DECLINED, CANCELLED or FAILED.
+   * Rejects with RESULT_TIMEOUT when no final status arrives in time and
+   * with ABORTED when the signal fires.
+   *
+   * @param id - Merchant order ID or gateway payment order ID
+   * @param options - Timeout, backoff and abort signal
+   *
+   * @example
+   * ```typescript
+   * const result = await pso.waitForPaymentResult('ORD-123', { timeout: 60000 });
+   * if (result.success) {
+   *   showReceipt(result.transactionInfo);
+   * }
+   * ```
+   */
+  waitForPaymentResult(id: string, options?: WaitForResultOptions): Promise<PaymentResult>;
+
+  /**
+   * The most recent checkout left unfinished by a page reload, if any
+   *
+   * @param id - Merchant order ID, payment order ID or session ID
+   */
+  getPendingPayment(id?: string): PendingPayment | null;
+
+  /**
+   * Resume a checkout interrupted by a page reload. Orders that already
+   * finished are never reopened; their outcome is delivered through the
+   * callbacks. Resolves with null when nothing is pending, and with a
+   * `RedirectedResult` when a redirect checkout navigates away.
+   *
+   * @example
+   * ```typescript
+   * if (pso.getPendingPayment()) {
+   *   const result = await pso.resumePendingPayment();
+   * }
+   * ```
+   */
+  resumePendingPayment(options?: ResumeOptions): Promise<CheckoutResult | RedirectedResult | null>;
+
+  /**
+   * Create a payment token (for advanced integrations)
+   *
+   * @param cardData - Card details to tokenize
+   * @param requestOptions - Timeout and abort signal
+   */
+  createPaymentToken(cardData: Record<string, any>, requestOptions?: RequestOptions): Promise<any>;
 
   /**
    * Generate a unique order ID
@@ -436,7 +1203,7 @@ export default class PSOPayment {
    * Validate payment options
    * 
    * @param options - Payment options to validate
-   * @throws {Error} If options are invalid
+   * @throws {PSOValidationError} If options are invalid
    */
   validatePaymentOptions(options: PaymentOptions): void;
 
@@ -444,9 +1211,41 @@ export default class PSOPayment {
    * Validate configuration
    * 
    * @param config - Configuration to validate
-   * @throws {Error} If configuration is invalid
+   * @throws {PSOValidationError} If configuration is invalid
    */
   validateConfig(config: PSOPaymentConfig): void;
+
+  /**
+   * Subscribe to a lifecycle event
+   *
+   * @returns Function that removes the listener
+   *
+   * @example
+   * ```typescript
+   * pso.on('order:created', ({ orderId }) => analytics.track('order_created', { orderId }));
+   * pso.on('*', (name, payload) => console.debug(name, payload));
+   * ```
+   */
+  on<K extends PSOEventName>(event: K, listener: (payload: PSOEventMap[K]) => void): () => void;
+  on(event: '*', listener: (event: PSOEventName, payload: any) => void): () => void;
+
+  /**
+   * Subscribe to the next occurrence of a lifecycle event
+   */
+  once<K extends PSOEventName>(event: K, listener: (payload: PSOEventMap[K]) => void): () => void;
+
+  /**
+   * Remove a listener, or all listeners of the event when none is given
+   */
+  off(event: PSOEventName | '*', listener?: (...args: any[]) => void): void;
+
+  static readonly EVENTS: typeof EVENTS;
+  static readonly PSOError: typeof PSOError;
+  static readonly PSOValidationError: typeof PSOValidationError;
+  static readonly PSONetworkError: typeof PSONetworkError;
+  static readonly PSOGatewayError: typeof PSOGatewayError;
+  static readonly PSORateLimitError: typeof PSORateLimitError;
+  static readonly PSOPaymentError: typeof PSOPaymentError;
 }
 
 export { PSOPayment };
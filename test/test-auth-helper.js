@@ -150,6 +150,43 @@ const isInvalid = authHelper.validateSignature(invalidHeaders, requestBody, test
 console.log('✓ Invalid signature rejected:', !isInvalid ? 'PASS' : 'FAIL');
 console.log();
 
+// Test 11: Rejection Reasons
+console.log('Test 11: Rejection Reasons');
+const tamperedCheck = authHelper.checkSignature(testHeaders, { ...requestBody, order_id: 'tampered' }, testConfig.apiSecret);
+console.log('✓ Tampered body:', tamperedCheck.reason === 'INVALID_DIGEST' ? 'PASS' : 'FAIL');
+const merchantCheck = authHelper.checkSignature(testHeaders, requestBody, testConfig.apiSecret, { merchantId: 'other-merchant' });
+console.log('✓ Other merchant:', merchantCheck.reason === 'MERCHANT_MISMATCH' ? 'PASS' : 'FAIL');
+const missingCheck = authHelper.checkSignature({}, requestBody, testConfig.apiSecret);
+console.log('✓ Missing headers:', missingCheck.reason === 'MISSING_HEADERS' ? 'PASS' : 'FAIL');
+console.log();
+
+// Test 12: Clock Skew Window
+console.log('Test 12: Clock Skew Window');
+const aheadTimestamp = new Date(Date.now() + 60 * 1000).toUTCString();
+const aheadHeaders = {
+  ...testHeaders,
+  'x-tnpg-timestamp': aheadTimestamp,
+  'x-tnpg-signature': authHelper.generateSignature(
+    aheadTimestamp,
+    testConfig.host,
+    targetApi,
+    testConfig.merchantId,
+    testConfig.apiKey,
+    testConfig.apiSecret
+  )
+};
+console.log('✓ 1 min ahead within 5 min window:',
+  authHelper.checkSignature(aheadHeaders, requestBody, testConfig.apiSecret).valid ? 'PASS' : 'FAIL');
+console.log('✓ 1 min ahead with 30s window rejected:',
+  authHelper.checkSignature(aheadHeaders, requestBody, testConfig.apiSecret, { maxSkewSeconds: 30 }).reason === 'STALE_TIMESTAMP' ? 'PASS' : 'FAIL');
+console.log();
+
+// Test 13: Raw Body Digest
+console.log('Test 13: Raw Body Digest');
+const rawBody = Buffer.from(JSON.stringify(requestBody));
+console.log('✓ Raw body matches parsed body:', authHelper.generateDigest(rawBody) === digest ? 'PASS' : 'FAIL');
+console.log();
+
 console.log('=== All Tests Completed ===');
 console.log('Summary:');
 console.log('✓ Signature generation: Working');
@@ -158,3 +195,4 @@ console.log('✓ Header generation: Working');
 console.log('✓ Timestamp validation: Working');
 console.log('✓ Signature validation: Working');
 console.log('✓ Invalid signature detection: Working');
+console.log('✓ Rejection reasons and clock skew: Working');
@@ -0,0 +1,131 @@
+/**
+ * Test Idempotency
+ * Validates Idempotency-Key replay, body mismatches, concurrent duplicates
+ * and eviction of the idempotency store
+ */
+
+const { EventEmitter } = require('events');
+const { idempotency } = require('../gateway/middleware/idempotency');
+const idempotencyStore = require('../gateway/models/idempotency');
+
+console.log('=== Testing Idempotency ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs the middleware, then `handler` as the route when it calls next()
+async function send(key, body, handler) {
+  const res = new EventEmitter();
+  const response = { statusCode: 200, headers: {}, body: null, handled: false };
+
+  res.statusCode = 200;
+  res.status = code => {
+    res.statusCode = code;
+    response.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    response.headers[name] = value;
+    return res;
+  };
+  res.json = payload => {
+    response.body = payload;
+    return res;
+  };
+
+  const req = {
+    merchantId: 'm1',
+    body,
+    get: name => (name === 'Idempotency-Key' ? key : undefined)
+  };
+
+  // The middleware does not wait for the route, so keep its promise
+  let route = Promise.resolve();
+  await idempotency(req, res, () => {
+    response.handled = true;
+    route = handler(res);
+  });
+  await route;
+
+  return response;
+}
+
+let created = 0;
+async function createOrder(res) {
+  created += 1;
+  const orderNumber = created;
+  await wait(10);
+  res.status(201).json({ success: true, transactionId: `PO-${orderNumber}` });
+}
+
+async function run() {
+  // Test 1: Replay
+  console.log('Test 1: Replay');
+  const first = await send('key-replay-1', { amount: 100 }, createOrder);
+  const second = await send('key-replay-1', { amount: 100 }, createOrder);
+  check('First request runs the route', first.handled && first.body.transactionId === 'PO-1');
+  check('Repeat replays the stored response', !second.handled && second.statusCode === 201 &&
+    second.body.transactionId === 'PO-1' && second.headers['Idempotent-Replayed'] === 'true');
+  check('Requests without a key are processed', (await send(undefined, {}, createOrder)).handled);
+  check('Malformed keys are refused', (await send('short', {}, createOrder)).statusCode === 400);
+  console.log();
+
+  // Test 2: Body mismatch
+  console.log('Test 2: Body Mismatch');
+  const mismatch = await send('key-replay-1', { amount: 200 }, createOrder);
+  check('Same key with another body is 422', mismatch.statusCode === 422 && mismatch.body.error === 'IDEMPOTENCY_KEY_REUSED');
+  console.log();
+
+  // Test 3: Concurrent duplicates
+  console.log('Test 3: Concurrent Duplicates');
+  const before = created;
+  const [a, b] = await Promise.all([
+    send('key-concurrent-1', { amount: 100 }, createOrder),
+    send('key-concurrent-1', { amount: 100 }, createOrder)
+  ]);
+  check('Only one request runs the route', created === before + 1 && a.handled !== b.handled);
+  check('The waiter gets the same response', a.body.transactionId === b.body.transactionId);
+
+  const failing = send('key-failure-1', { amount: 100 }, async res => {
+    await wait(10);
+    res.status(502).json({ success: false });
+  });
+  const retry = send('key-failure-1', { amount: 100 }, createOrder);
+  check('5xx is not stored, the waiter runs again', (await failing).statusCode === 502 && (await retry).handled);
+  console.log();
+
+  // Test 4: Eviction
+  console.log('Test 4: Eviction');
+  idempotencyStore.clear();
+  idempotencyStore.maxEntries = 2;
+  const slow = send('key-evict-slow', { amount: 100 }, async res => {
+    await wait(100);
+    res.status(201).json({ success: true, transactionId: 'PO-slow' });
+  });
+  const slowWaiter = send('key-evict-slow', { amount: 100 }, createOrder);
+  await send('key-evict-2', { amount: 100 }, createOrder);
+  await send('key-evict-3', { amount: 100 }, createOrder);
+  check('In-flight entries are not evicted', Boolean(idempotencyStore.get('m1:key-evict-slow')));
+  check('The oldest completed entry is evicted', !idempotencyStore.get('m1:key-evict-2') && Boolean(idempotencyStore.get('m1:key-evict-3')));
+  const settled = await Promise.race([slowWaiter.then(() => true), wait(1000).then(() => false)]);
+  check('Waiters of an in-flight entry still settle', settled && (await slow).body.transactionId === 'PO-slow' &&
+    (await slowWaiter).body.transactionId === 'PO-slow');
+  idempotencyStore.maxEntries = 10000;
+  idempotencyStore.clear();
+  console.log();
+
+  console.log('=== All Tests Completed ===');
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
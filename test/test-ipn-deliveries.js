@@ -0,0 +1,73 @@
+/**
+ * Test IPN Delivery Tracking
+ * Validates idempotency keys, duplicate and conflict detection and the
+ * per-transaction delivery record
+ */
+
+const ipnDeliveries = require('../gateway/services/ipn-deliveries');
+
+console.log('=== Testing IPN Delivery Tracking ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+const { outcomes } = ipnDeliveries;
+const approved = { order_id: 'order-1', transaction_id: 'bank-1', status: 'APPROVED', status_code: '1002' };
+
+// Test 1: Keys
+console.log('Test 1: Idempotency Keys');
+check('Order, bank transaction and status', ipnDeliveries.key(approved) === 'order-1|bank-1|APPROVED');
+check('Status spellings share a key', ipnDeliveries.key({ ...approved, status: 'success' }) === ipnDeliveries.key(approved));
+check('Missing bank transaction ID', ipnDeliveries.key({ order_id: 'order-1', status: 'PENDING' }) === 'order-1||PENDING');
+console.log();
+
+// Test 2: Duplicates
+console.log('Test 2: Duplicate Detection');
+const transaction = { id: 'txn-1', status: 'PENDING' };
+const key = ipnDeliveries.key(approved);
+check('First delivery is new', !ipnDeliveries.isDuplicate(transaction, key));
+
+check('First begin starts processing', ipnDeliveries.begin(transaction, key));
+check('Delivery in flight is a duplicate', ipnDeliveries.isDuplicate(transaction, key));
+check('Concurrent identical delivery is refused', !ipnDeliveries.begin(transaction, key));
+ipnDeliveries.end(key);
+check('Finished delivery can begin again', ipnDeliveries.begin(transaction, key));
+ipnDeliveries.end(key);
+
+ipnDeliveries.record(transaction, { ...approved, status: 'DECLINED', status_code: '1003' }, outcomes.OUT_OF_ORDER);
+check('Rejected deliveries do not block a resend', !ipnDeliveries.isDuplicate(transaction, ipnDeliveries.key({ ...approved, status: 'DECLINED' })));
+
+ipnDeliveries.record(transaction, approved, outcomes.APPLIED);
+check('Applied delivery is a duplicate', ipnDeliveries.isDuplicate(transaction, key));
+console.log();
+
+// Test 3: Conflicts
+console.log('Test 3: Conflict Detection');
+transaction.status = 'APPROVED';
+transaction.bankTransactionId = 'bank-1';
+check('Same status, other bank transaction', ipnDeliveries.isConflict(transaction, { ...approved, transaction_id: 'bank-2' }));
+check('Same bank transaction', !ipnDeliveries.isConflict(transaction, approved));
+check('Other status is left to the state rules', !ipnDeliveries.isConflict(transaction, { ...approved, transaction_id: 'bank-2', status: 'REFUNDED' }));
+console.log();
+
+// Test 4: Delivery record
+console.log('Test 4: Delivery Record');
+ipnDeliveries.record(transaction, approved, outcomes.DUPLICATE);
+const summary = ipnDeliveries.summarize(transaction);
+check('Every attempt counted', summary.deliveryCount === 3 && transaction.ipnDeliveries.length === 3);
+check('First and last seen', Boolean(summary.firstSeenAt) && summary.lastSeenAt >= summary.firstSeenAt);
+check('Outcomes in order', transaction.ipnDeliveries.map(delivery => delivery.outcome).join(',') ===
+  'out_of_order,applied,duplicate');
+
+for (let i = 0; i < 60; i++) {
+  ipnDeliveries.record(transaction, approved, outcomes.DUPLICATE);
+}
+check('Attempts capped, count keeps growing', transaction.ipnDeliveries.length === 50 && transaction.ipnDeliveryCount === 63);
+check('Empty summary', ipnDeliveries.summarize({}).deliveryCount === 0 && ipnDeliveries.summarize({}).firstSeenAt === null);
+console.log();
+
+console.log('=== All Tests Completed ===');
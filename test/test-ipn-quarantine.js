@@ -0,0 +1,74 @@
+/**
+ * Test IPN Quarantine
+ * Validates the entries written for rejected IPNs and rotation of the
+ * quarantine log at its size limit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pso-quarantine-'));
+process.env.IPN_QUARANTINE_PATH = path.join(dir, 'ipn-quarantine.jsonl');
+process.env.IPN_QUARANTINE_MAX_BYTES = '2048';
+process.env.IPN_QUARANTINE_FILES = '2';
+
+const ipnQuarantine = require('../gateway/services/ipn-quarantine');
+
+console.log('=== Testing IPN Quarantine ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function request(body) {
+  return {
+    ip: '203.0.113.10',
+    headers: { 'x-tnpg-signature': 'sig', cookie: 'session=1', 'content-type': 'application/json' },
+    rawBody: Buffer.from(JSON.stringify(body))
+  };
+}
+
+function lines(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean) : [];
+}
+
+const logPath = process.env.IPN_QUARANTINE_PATH;
+
+// Silence the per-entry warning
+const warn = console.warn;
+console.warn = () => {};
+
+// Test 1: Entries
+console.log('Test 1: Entries');
+ipnQuarantine.add(request({ order_id: 'ORD-1' }), 'INVALID_SIGNATURE');
+const entry = JSON.parse(lines(logPath)[0]);
+check('Reason, IP and raw body are kept', entry.reason === 'INVALID_SIGNATURE' && entry.ip === '203.0.113.10' &&
+  entry.body === '{"order_id":"ORD-1"}');
+check('Only gateway-related headers are kept',
+  entry.headers['x-tnpg-signature'] === 'sig' && entry.headers.cookie === undefined);
+console.log();
+
+// Test 2: Rotation
+console.log('Test 2: Rotation');
+for (let i = 0; i < 60; i++) {
+  ipnQuarantine.add(request({ order_id: `ORD-${i}`, padding: 'x'.repeat(100) }), 'INVALID_BODY');
+}
+console.warn = warn;
+
+const files = fs.readdirSync(dir).sort();
+check('Log stays under its size limit', fs.statSync(logPath).size <= 2048);
+check('Only the configured rotations are kept',
+  files.join(',') === 'ipn-quarantine.jsonl,ipn-quarantine.jsonl.1,ipn-quarantine.jsonl.2');
+check('Newest entry is in the current file',
+  JSON.parse(lines(logPath).pop()).body.includes('"ORD-59"'));
+check('Rotated files hold older entries',
+  lines(`${logPath}.1`).every(line => !line.includes('"ORD-59"')) && lines(`${logPath}.1`).length > 0);
+console.log();
+
+fs.rmSync(dir, { recursive: true, force: true });
+
+console.log('=== All Tests Completed ===');
@@ -0,0 +1,66 @@
+/**
+ * Test Metadata Validation
+ * Validates the metadata_fields declaration and mdf_1..mdf_6 values, and
+ * that the middleware rejects them with per-field errors
+ */
+
+const metadataService = require('../gateway/services/metadata');
+const { validateMetadataFields } = require('../gateway/middleware/validator');
+
+console.log('=== Testing Metadata Validation ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function fields(errors) {
+  return errors.map(error => error.field).join(',');
+}
+
+// Runs the middleware and captures the response it sends
+function run(body) {
+  const response = { statusCode: 200, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      response.body = payload;
+      return res;
+    }
+  };
+
+  validateMetadataFields({ body }, res, () => {
+    response.nextCalled = true;
+  });
+
+  return response;
+}
+
+check('accepts a valid declaration',
+  metadataService.validate({ cartId: 'mdf_1', source: 'mdf_2' }, { mdf_1: 'CART-42' }).length === 0);
+
+check('rejects a declaration that is not an object',
+  fields(metadataService.validate(['mdf_1'], {})) === 'metadata_fields');
+
+check('names the declaration key for bad keys, slots and duplicates',
+  fields(metadataService.validate({ '1bad': 'mdf_1', cartId: 'mdf_9', a: 'mdf_2', b: 'mdf_2' }, {})) ===
+    'metadata_fields.1bad,metadata_fields.cartId,metadata_fields.b');
+
+check('names the mdf field for bad values',
+  fields(metadataService.validate({}, { mdf_3: 42, mdf_4: 'x'.repeat(256) })) === 'mdf_3,mdf_4');
+
+const rejected = run({ metadata_fields: { cartId: 'mdf_9' }, mdf_2: 7 });
+check('middleware responds 400 Validation failed',
+  rejected.statusCode === 400 && rejected.body.message === 'Validation failed' && !rejected.nextCalled);
+check('middleware returns fieldErrors like the other validators',
+  fields(rejected.body.fieldErrors) === 'metadata_fields.cartId,mdf_2' &&
+  rejected.body.errors[1] === 'mdf_2 must be a string');
+
+check('middleware passes valid requests on', run({ metadata_fields: { cartId: 'mdf_1' }, mdf_1: 'CART-42' }).nextCalled);
+
+console.log('\n=== All Tests Completed ===');
@@ -0,0 +1,44 @@
+/**
+ * Test Money Service
+ * Validates minor-unit conversion and formatting, and that the gateway's
+ * currency table matches the SDK's
+ */
+
+const moneyService = require('../gateway/services/money');
+const gatewayCurrencies = require('../gateway/config/currencies.json');
+const sdkCurrencies = require('../sdk/src/currencies.json');
+
+console.log('=== Testing Money Service ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+// Test 1: Currency table
+console.log('Test 1: Currency Table');
+check('Gateway and SDK tables are identical', JSON.stringify(gatewayCurrencies) === JSON.stringify(sdkCurrencies));
+check('Codes are looked up case-insensitively', moneyService.getCurrency('kwd').exponent === 3);
+check('Unknown codes are not supported', moneyService.getCurrency('XYZ') === null);
+console.log();
+
+// Test 2: Minor units
+console.log('Test 2: Minor Units');
+check('Decimal strings and numbers convert exactly',
+  moneyService.toMinorUnits('29.99', 'BDT') === 2999 && moneyService.toMinorUnits(0.29, 'USD') === 29);
+check('Trailing zeros are accepted', moneyService.toMinorUnits('29.990', 'BDT') === 2999);
+check('Extra decimal places are rejected', moneyService.validate('29.999', 'BDT').length === 1);
+check('Zero-exponent currencies take whole amounts', moneyService.validate('100.5', 'JPY').length === 1 &&
+  moneyService.toMinorUnits(100, 'JPY') === 100);
+check('Amounts are compared in minor units', moneyService.amountsEqual('100.00', 100, 'BDT'));
+console.log();
+
+// Test 3: Formatting
+console.log('Test 3: Formatting');
+check('Symbol and digit grouping', moneyService.format(123450, 'BDT') === '৳1,234.50');
+check('Exponent 3', moneyService.toDecimalString(1234, 'KWD') === '1.234');
+console.log();
+
+console.log('=== All Tests Completed ===');
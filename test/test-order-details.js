@@ -0,0 +1,118 @@
+/**
+ * Test Order Details
+ * Validates and normalizes customer, product and shipment details, and that
+ * the middleware rejects them with per-field errors
+ */
+
+const orderDetailsService = require('../gateway/services/order-details');
+const { validateOrderDetails } = require('../gateway/middleware/validator');
+
+console.log('=== Testing Order Details ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function fields(errors) {
+  return errors.map(error => error.field).join(',');
+}
+
+// Runs the middleware and captures the response it sends
+function run(body) {
+  const response = { statusCode: 200, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      response.body = payload;
+      return res;
+    }
+  };
+
+  validateOrderDetails({ body }, res, () => {
+    response.nextCalled = true;
+  });
+
+  return response;
+}
+
+const shipment = { address: 'House 1, Road 2', district: 'Dhaka', postcode: '1207' };
+
+// Test 1: Customer
+console.log('Test 1: Customer');
+const customer = orderDetailsService.validate({
+  customer_information: { name: '  Rahim  ', email: ' rahim@example.com ', phone: '01712-345678' }
+});
+check('Valid details pass', customer.errors.length === 0);
+check('Text is trimmed', customer.value.customer_information.name === 'Rahim' &&
+  customer.value.customer_information.email === 'rahim@example.com');
+check('Bangladeshi numbers become +880', customer.value.customer_information.phone === '+8801712345678');
+check('International numbers are kept in E.164',
+  orderDetailsService.validate({ customer_information: { name: 'A', phone: '0044 20 7946 0958' } })
+    .value.customer_information.phone === '+442079460958');
+check('Bad email and phone are reported by nested path',
+  fields(orderDetailsService.validate({ customer_information: { name: 'A', email: 'a@b', phone: '12345' } }).errors) ===
+    'customer_information.email,customer_information.phone');
+check('Name is required', fields(orderDetailsService.validate({ customer_information: { email: 'a@example.com' } }).errors) ===
+  'customer_information.name');
+console.log();
+
+// Test 2: Product
+console.log('Test 2: Product');
+check('Quantity must be a whole number',
+  fields(orderDetailsService.validate({ product_information: { name: 'Shirt', quantity: 1.5 } }).errors) ===
+    'product_information.quantity');
+check('Long descriptions are rejected',
+  orderDetailsService.validate({ product_information: { name: 'Shirt', description: 'x'.repeat(501) } })
+    .errors[0].message === 'must be at most 500 characters');
+console.log();
+
+// Test 3: Shipment
+console.log('Test 3: Shipment');
+const aliased = orderDetailsService.validate({ shipment_information: { ...shipment, district: 'chittagong district' } });
+check('District aliases are normalized', aliased.errors.length === 0 &&
+  aliased.value.shipment_information.district === 'Chattogram');
+check('Postcodes given as numbers become strings',
+  orderDetailsService.validate({ shipment_information: { ...shipment, postcode: 1207 } })
+    .value.shipment_information.postcode === '1207');
+check('Bangladeshi addresses need district and postcode',
+  fields(orderDetailsService.validate({ shipment_information: { address: 'House 1' } }).errors) ===
+    'shipment_information.district,shipment_information.postcode');
+check('Unknown districts and bad postcodes are rejected',
+  fields(orderDetailsService.validate({ shipment_information: { ...shipment, district: 'Atlantis', postcode: '12' } }).errors) ===
+    'shipment_information.district,shipment_information.postcode');
+check('Other countries skip district and postcode',
+  orderDetailsService.validate({ shipment_information: { address: '1 Main St', country: 'US' } }).errors.length === 0);
+console.log();
+
+// Test 4: Missing sections
+console.log('Test 4: Missing Sections');
+check('Absent, null and empty sections pass', orderDetailsService.validate({
+  customer_information: null,
+  product_information: {}
+}).errors.length === 0);
+check('Null optional fields are ignored',
+  orderDetailsService.validate({ customer_information: { name: 'A', email: null, phone: null } }).errors.length === 0);
+check('Sections must be objects',
+  fields(orderDetailsService.validate({ customer_information: 'Rahim', product_information: [] }).errors) ===
+    'customer_information,product_information');
+console.log();
+
+// Test 5: Middleware
+console.log('Test 5: Middleware');
+const rejected = run({ customer_information: { name: 'A', phone: '12345' } });
+check('Invalid details are rejected with 400 Validation failed',
+  rejected.statusCode === 400 && rejected.body.message === 'Validation failed' && !rejected.nextCalled);
+check('fieldErrors name the nested field', fields(rejected.body.fieldErrors) === 'customer_information.phone');
+
+const body = { order_id: 'ORD-1', customer_information: { name: 'A', phone: '01712345678' } };
+check('Valid details are normalized in the body', run(body).nextCalled &&
+  body.customer_information.phone === '+8801712345678');
+console.log();
+
+console.log('=== All Tests Completed ===');
@@ -0,0 +1,113 @@
+/**
+ * Test Schema Validator
+ * Validates request bodies against the JSON Schemas in gateway/schemas and
+ * the field paths and messages reported for them
+ */
+
+const schemaValidator = require('../gateway/services/schema-validator');
+
+console.log('=== Testing Schema Validator ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function fields(errors) {
+  return errors.map(error => error.field).join(',');
+}
+
+function paymentOrder(overrides = {}) {
+  return {
+    order_id: 'ORD-1',
+    order_information: { payable_amount: 100, currency_code: 'BDT' },
+    ...overrides
+  };
+}
+
+// Test 1: Valid bodies
+console.log('Test 1: Valid Bodies');
+check('Minimal payment order passes', schemaValidator.validate('payment-order', paymentOrder()).length === 0);
+check('Verify body passes', schemaValidator.validate('verify', { paymentOrderId: 'PO-1' }).length === 0);
+check('IPN body passes', schemaValidator.validate('ipn', { order_id: 'ORD-1', status: 'APPROVED' }).length === 0);
+console.log();
+
+// Test 2: Nested field paths
+console.log('Test 2: Nested Field Paths');
+check('Required nested fields are named by path', fields(schemaValidator.validate('payment-order', paymentOrder({
+  order_information: { currency_code: 'BDT' }
+}))) === 'order_information.payable_amount');
+check('Nested type errors are named by path', fields(schemaValidator.validate('payment-order', paymentOrder({
+  product_information: { name: 'Shirt', quantity: 0 },
+  discount_detail: { discount_amount: '5' }
+}))) === 'product_information.quantity,discount_detail.discount_amount');
+check('Array items are named by index', fields(schemaValidator.validate('webhook-endpoint', {
+  url: 'https://shop.example.com/hooks',
+  events: ['payment.approved', 'payment.unknown']
+})) === 'events[1]');
+check('A non-object body is reported as body',
+  fields(schemaValidator.validate('verify', 'PO-1')) === 'body');
+console.log();
+
+// Test 3: additionalProperties
+console.log('Test 3: additionalProperties');
+const extra = schemaValidator.validate('payment-order', paymentOrder({
+  order_information: { payable_amount: 100, currency_code: 'BDT', tax: 5 }
+}));
+check('Unknown fields are refused where additionalProperties is false',
+  fields(extra) === 'order_information.tax' && extra[0].message === 'is not allowed');
+check('Unknown top-level verify fields are refused',
+  fields(schemaValidator.validate('verify', { paymentOrderId: 'PO-1', orderId: 'ORD-1' })) === 'orderId');
+check('Unknown IPN fields are allowed',
+  schemaValidator.validate('ipn', { order_id: 'ORD-1', status: 'APPROVED', gateway_extra: 1 }).length === 0);
+check('additionalProperties schemas check every value', fields(schemaValidator.validate('payment-order', paymentOrder({
+  metadata_fields: { cartId: 'mdf_1', source: 'mdf_9' }
+}))) === 'metadata_fields.source');
+console.log();
+
+// Test 4: errorMessage
+console.log('Test 4: errorMessage');
+const currency = schemaValidator.validate('payment-order', paymentOrder({
+  order_information: { payable_amount: 100, currency_code: 'bdt' }
+}));
+check('Pattern failures use errorMessage',
+  currency[0].message === 'must be a 3-letter ISO 4217 code in capitals, e.g. BDT');
+check('Other failures keep the generic message', schemaValidator.validate('payment-order', paymentOrder({
+  order_information: { payable_amount: 100, currency_code: 42 }
+}))[0].message === 'must be a string');
+console.log();
+
+// Test 5: Null optional fields
+console.log('Test 5: Null Optional Fields');
+check('Null optional fields are skipped', schemaValidator.validate('payment-order', paymentOrder({
+  ipn_url: null,
+  customer_information: { name: 'A', email: null }
+})).length === 0);
+check('Null required fields are reported as required', schemaValidator.validate('payment-order', paymentOrder({
+  order_id: null
+}))[0].message === 'is required');
+console.log();
+
+// Test 6: Type unions
+console.log('Test 6: Type Unions');
+check('Either type of a union is accepted', ['1207', 1207].every(postcode => schemaValidator.validate('payment-order',
+  paymentOrder({ shipment_information: { address: 'House 1', postcode } })).length === 0));
+const union = schemaValidator.validate('payment-order', paymentOrder({
+  shipment_information: { address: 'House 1', postcode: 12.5 }
+}));
+check('Other types name every option',
+  fields(union) === 'shipment_information.postcode' && union[0].message === 'must be a string or an integer');
+check('Payment order amounts may be numbers or decimal strings', [29.99, '29.99'].every(payable_amount =>
+  schemaValidator.validate('payment-order', paymentOrder({
+    order_information: { payable_amount, currency_code: 'BDT' }
+  })).length === 0));
+check('Amount strings must be decimal numbers', schemaValidator.validate('payment-order', paymentOrder({
+  order_information: { payable_amount: '29,99', currency_code: 'BDT' }
+}))[0].message === 'must be a decimal number, e.g. 29.99');
+check('IPN amounts may be numbers or strings', ['29.99', 29.99].every(amount =>
+  schemaValidator.validate('ipn', { order_id: 'ORD-1', status: 'APPROVED', amount }).length === 0));
+console.log();
+
+console.log('=== All Tests Completed ===');
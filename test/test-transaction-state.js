@@ -0,0 +1,59 @@
+/**
+ * Test Transaction State Machine
+ * Validates status normalization, allowed transitions and history
+ */
+
+const transactionState = require('../gateway/services/transaction-state');
+
+console.log('=== Testing Transaction State Machine ===\n');
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+// Test 1: Normalization
+console.log('Test 1: Status Normalization');
+check('Gateway spellings', transactionState.normalize('UNATTEMPTED') === 'CREATED' &&
+  transactionState.normalize('success') === 'APPROVED' && transactionState.normalize('Canceled') === 'CANCELLED');
+check('Status code fallback', transactionState.normalize(undefined, '1003') === 'DECLINED');
+check('Unknown status', transactionState.normalize('SOMETHING') === null);
+console.log();
+
+// Test 2: Happy path
+console.log('Test 2: CREATED -> PENDING -> APPROVED -> REFUNDED');
+const transaction = { id: 'txn-1' };
+transactionState.start(transaction, 'UNATTEMPTED', { source: 'create', payload: { order_status: 'UNATTEMPTED' } });
+check('Starts as CREATED', transaction.status === 'CREATED');
+check('PENDING accepted', transactionState.transition(transaction, 'PENDING', { source: 'ipn' }).changed);
+check('APPROVED accepted', transactionState.transition(transaction, 'APPROVED', {
+  source: 'verify',
+  statusCode: '1002',
+  payload: { status: 'APPROVED' }
+}).changed);
+check('Repeat is accepted without history', transactionState.transition(transaction, 'APPROVED', { source: 'ipn' }).accepted &&
+  transaction.statusHistory.length === 3);
+console.log();
+
+// Test 3: Illegal transitions
+console.log('Test 3: Illegal Transitions');
+const late = transactionState.transition(transaction, 'DECLINED', { source: 'ipn', payload: { status: 'DECLINED' } });
+check('Late DECLINED rejected', !late.accepted && transaction.status === 'APPROVED');
+check('Unknown status rejected', !transactionState.transition(transaction, 'BOGUS', { source: 'ipn' }).accepted);
+check('Refund accepted', transactionState.transition(transaction, 'REFUNDED', { source: 'inquiry' }).changed);
+check('Nothing after REFUNDED', !transactionState.transition(transaction, 'APPROVED', { source: 'verify' }).accepted);
+console.log();
+
+// Test 4: History
+console.log('Test 4: Transition History');
+check('Ordered sources', transaction.statusHistory.map(entry => entry.source).join(',') === 'create,ipn,verify,inquiry');
+check('Ordered statuses', transaction.statusHistory.map(entry => `${entry.from}->${entry.to}`).join(',') ===
+  'null->CREATED,CREATED->PENDING,PENDING->APPROVED,APPROVED->REFUNDED');
+check('Raw payload kept', transaction.statusHistory[2].payload.status === 'APPROVED' &&
+  transaction.statusHistory[2].statusCode === '1002');
+check('Summary drops payloads', transactionState.summarizeHistory(transaction).every(entry => !('payload' in entry)));
+console.log();
+
+console.log('=== All Tests Completed ===');
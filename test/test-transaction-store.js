@@ -0,0 +1,77 @@
+/**
+ * Test Transaction Storage Adapters
+ * Runs the same contract against the memory, JSON file and SQLite backends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../gateway/models/stores');
+
+console.log('=== Testing Transaction Storage Adapters ===\n');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pso-transactions-'));
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+function ids(transactions) {
+  return transactions.map(transaction => transaction.id).join(',');
+}
+
+['memory', 'json', 'sqlite'].forEach(driver => {
+  const options = { driver, path: path.join(dataDir, driver, 'transactions') };
+  let store;
+
+  try {
+    store = createStore(options);
+  } catch (error) {
+    console.log(`- ${driver}: skipped (${error.message})\n`);
+    return;
+  }
+
+  console.log(`Backend: ${driver}`);
+
+  store.insert({ id: 'a', orderId: 'order-1', merchantId: 'm1', status: 'PENDING', currency: 'BDT', amountMinor: 100000 });
+  store.insert({ id: 'b', orderId: 'order-1', merchantId: 'm2', status: 'success', currency: 'BDT', amountMinor: 2550 });
+  store.insert({ id: 'c', orderId: 'order-2', merchantId: 'm1', status: 'success', currency: 'USD', amountMinor: 999 });
+  store.insert({ id: 'd', orderId: 'order-3', merchantId: 'm2', status: 'APPROVED', currency: 'BDT', amountMinor: 450 });
+  store.insert({ id: 'e', orderId: 'order-4', merchantId: 'm2', status: 'DECLINED', currency: 'BDT', amountMinor: 700 });
+
+  check('getByOrderId returns the newest order', store.getByOrderId('order-1').id === 'b');
+
+  const pending = store.get('a');
+  pending.status = 'success';
+  check('replace updates a stored transaction', store.replace(pending) !== null && store.get('a').status === 'success');
+  check('replace ignores unknown ids', store.replace({ id: 'missing' }) === null);
+
+  check('list is newest first', ids(store.list({ limit: 2 })) === 'e,d');
+  check('list filters by merchant', ids(store.list({ merchantId: 'm1' })) === 'c,a');
+  check('status index follows updates', store.list({ status: 'PENDING' }).length === 0);
+
+  const summary = store.summarize();
+  check('summarize counts and sums by status and currency',
+    summary.total === 5 && summary.byStatus.success === 3 && summary.byStatus.APPROVED === 1 &&
+    summary.successMinorByCurrency.USD === 999);
+  check('summarize sums mock success and gateway APPROVED transactions',
+    summary.successMinorByCurrency.BDT === 102550 + 450);
+
+  if (driver !== 'memory') {
+    store.close();
+    store = createStore(options);
+    check('transactions survive a restart', ids(store.list()) === 'e,d,c,b,a' && store.get('a').status === 'success');
+  }
+
+  store.clear();
+  check('clear removes everything', store.list().length === 0);
+  store.close();
+  console.log();
+});
+
+fs.rmSync(dataDir, { recursive: true, force: true });
+
+console.log('=== All Tests Completed ===');
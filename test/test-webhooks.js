@@ -0,0 +1,241 @@
+/**
+ * Test Merchant Webhooks
+ * Validates event signing, subscriptions, retries with backoff, the
+ * dead-letter queue and address checks against a local receiver
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Fast retries; the memory backend keeps nothing on disk
+process.env.DB_DRIVER = 'memory';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_MS = '1';
+process.env.MERCHANT_API_KEYS = 'm1:key-m1';
+// The receiver below listens on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const webhooks = require('../gateway/services/webhooks');
+const signatureService = require('../gateway/services/signature');
+const addressGuard = require('../gateway/services/address-guard');
+const { createWebhookStore } = require('../gateway/models/stores');
+const { authenticateMerchant } = require('../gateway/middleware/auth');
+
+console.log('=== Testing Merchant Webhooks ===\n');
+
+// Deliveries are sent by the test, not on the next tick
+webhooks.schedule = () => {};
+
+function check(label, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${label}:`, passed ? 'PASS' : 'FAIL');
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+// Runs the merchant authentication middleware, returns the status it sent (or 'next')
+function authenticate(headers) {
+  let outcome = 'next';
+  const res = {
+    status(code) {
+      outcome = code;
+      return res;
+    },
+    json() {
+      return res;
+    }
+  };
+
+  authenticateMerchant({ headers }, res, () => {});
+  return outcome;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Answers with the queued status codes, then 200
+const received = [];
+const replies = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.statusCode = replies.shift() || 200;
+    res.end('ok');
+  });
+});
+
+async function run() {
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  const transaction = {
+    id: 'txn-1',
+    orderId: 'order-1',
+    merchantId: 'm1',
+    status: 'APPROVED',
+    statusCode: '1002',
+    amount: '100.00',
+    currency: 'BDT'
+  };
+
+  // Test 1: Signing
+  console.log('Test 1: Event Signing');
+  const event = webhooks.buildEvent(transaction);
+  const { headers, body } = webhooks.sign(event, 'whsec_test', 1760000000);
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1760000000.${body}`).digest('hex');
+  check('Normalized event type', event.type === 'payment.approved' && event.data.orderId === 'order-1');
+  check('Body is the sorted-key payload', body === signatureService.stringifyPayload(event));
+  check('Timestamp header is sent', headers['X-PSO-Webhook-Timestamp'] === '1760000000');
+  check('Signature covers timestamp and body', headers['X-PSO-Webhook-Signature'] === expected);
+  check('Another timestamp changes the signature',
+    webhooks.sign(event, 'whsec_test', 1760000001).headers['X-PSO-Webhook-Signature'] !== expected);
+  check('CREATED is not announced', webhooks.buildEvent({ ...transaction, status: 'CREATED' }) === null);
+  console.log();
+
+  // Test 2: Backoff
+  console.log('Test 2: Exponential Backoff');
+  const options = webhooks.options;
+  webhooks.options = { ...options, backoffMs: 1000, maxBackoffMs: 5000 };
+  check('Doubles per attempt', webhooks.backoff(1) === 1000 && webhooks.backoff(2) === 2000 && webhooks.backoff(3) === 4000);
+  check('Capped', webhooks.backoff(10) === 5000);
+  webhooks.options = options;
+  console.log();
+
+  // Test 3: Subscriptions
+  console.log('Test 3: Subscriptions');
+  const endpoint = webhooks.createEndpoint('m1', { url, events: ['payment.approved'] });
+  webhooks.createEndpoint('m2', { url });
+  check('Secret only on creation', Boolean(webhooks.describeEndpoint(endpoint, { withSecret: true }).secret) &&
+    !('secret' in webhooks.describeEndpoint(endpoint)));
+  check('Declined not subscribed', webhooks.emit({ ...transaction, status: 'DECLINED' }).length === 0);
+  const [delivery] = webhooks.emit(transaction);
+  check('One delivery for the merchant', Boolean(delivery) && webhooks.listDeliveries('m1').length === 1);
+  console.log();
+
+  // Test 4: Retries
+  console.log('Test 4: Retries');
+  replies.push(500);
+  await webhooks.attempt(webhooks.deliveries.get(delivery.id));
+  check('Failed attempt stays pending', webhooks.deliveries.get(delivery.id).status === 'pending' &&
+    webhooks.deliveries.get(delivery.id).lastError === 'HTTP 500');
+  await wait(5);
+  await webhooks.processDue();
+  const delivered = webhooks.deliveries.get(delivery.id);
+  check('Delivered on retry', delivered.status === 'delivered' && delivered.attempts === 2);
+  check('Same event on every attempt', received.length === 2 && received[0].body === received[1].body &&
+    received[1].headers['x-pso-webhook-id'] === delivered.eventId);
+  console.log();
+
+  // Test 5: Dead-letter queue
+  console.log('Test 5: Dead-Letter Queue');
+  replies.push(500, 503, 502);
+  const [failing] = webhooks.emit(transaction);
+  for (let i = 0; i < 3; i++) {
+    await wait(5);
+    await webhooks.processDue();
+  }
+  check('Exhausted delivery is dead-lettered', webhooks.listDeliveries('m1', { status: 'dead' }).map(item => item.id).join() === failing.id);
+  check('Other merchants cannot replay it', webhooks.replay('m2', failing.id) === null);
+  webhooks.replay('m1', failing.id);
+  await webhooks.processDue();
+  check('Replayed delivery is delivered', webhooks.deliveries.get(failing.id).status === 'delivered');
+
+  webhooks.emit(transaction);
+  webhooks.deleteEndpoint('m1', endpoint.id);
+  await webhooks.processDue();
+  check('Deliveries to a deleted endpoint are dead-lettered',
+    webhooks.listDeliveries('m1', { status: 'dead' }).some(item => item.lastError === 'Endpoint deleted'));
+  console.log();
+
+  // Test 6: Address checks
+  console.log('Test 6: Address Checks');
+  check('Private and loopback addresses are blocked',
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .every(ip => addressGuard.isBlocked(ip)));
+  check('Public addresses are allowed', !addressGuard.isBlocked('203.0.113.10') && !addressGuard.isBlocked('2606:4700::1111'));
+  webhooks.options = { ...options, allowPrivateUrls: false };
+  check('Loopback URL is refused', Boolean(await webhooks.checkUrl(url)));
+  check('Metadata service URL is refused', Boolean(await webhooks.checkUrl('http://169.254.169.254/latest/meta-data')));
+  check('localhost is refused after resolving', Boolean(await webhooks.checkUrl('http://localhost:8080/hook')));
+  check('Non-http schemes are refused', Boolean(await webhooks.checkUrl('file:///etc/passwd')));
+  const blockedEndpoint = webhooks.createEndpoint('m3', { url });
+  const [blockedDelivery] = webhooks.emit({ ...transaction, merchantId: 'm3' });
+  const sent = received.length;
+  await webhooks.attempt(webhooks.deliveries.get(blockedDelivery.id));
+  check('Delivery to a blocked address is not sent', received.length === sent &&
+    webhooks.deliveries.get(blockedDelivery.id).lastError === 'EADDRBLOCKED');
+  const lookupError = await new Promise(resolve => addressGuard.lookup('localhost', {}, resolve));
+  check('Connection-time lookup rejects blocked addresses', lookupError && lookupError.code === 'EADDRBLOCKED');
+  webhooks.deleteEndpoint('m3', blockedEndpoint.id);
+  webhooks.options = options;
+  console.log();
+
+  // Test 7: Route authentication
+  console.log('Test 7: Route Authentication');
+  check('Merchant ID alone is refused', authenticate({ 'x-merchant-id': 'm1' }) === 401);
+  check('Wrong key is refused', authenticate({ 'x-merchant-id': 'm1', authorization: 'Bearer key-m2' }) === 401);
+  check('Key of another merchant is refused', authenticate({ 'x-merchant-id': 'm2', 'x-api-key': 'key-m1' }) === 401);
+  check('Bearer key is accepted', authenticate({ 'x-merchant-id': 'm1', authorization: 'Bearer key-m1' }) === 'next');
+  check('X-Api-Key is accepted', authenticate({ 'x-merchant-id': 'm1', 'x-api-key': 'key-m1' }) === 'next');
+  console.log();
+
+  // Test 8: Storage
+  console.log('Test 8: Storage');
+  const memory = createWebhookStore({ kind: 'deliveries', driver: 'memory' });
+  memory.maxEntries = 2;
+  memory.insert({ id: 'd1', merchantId: 'm1', status: 'pending' });
+  memory.insert({ id: 'd2', merchantId: 'm1', status: 'dead' });
+  memory.insert({ id: 'd3', merchantId: 'm1', status: 'delivered' });
+  memory.insert({ id: 'd4', merchantId: 'm1', status: 'pending' });
+  check('Memory store never evicts pending or dead deliveries',
+    Boolean(memory.get('d1') && memory.get('d2') && memory.get('d4')) && !memory.get('d3'));
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pso-webhooks-'));
+  ['json', 'sqlite'].forEach(driver => {
+    const storePath = path.join(dataDir, `deliveries.${driver}`);
+    let store;
+
+    try {
+      store = createWebhookStore({ kind: 'deliveries', driver, path: storePath });
+    } catch (error) {
+      console.log(`- ${driver}: skipped (${error.message})`);
+      return;
+    }
+
+    store.insert({ id: 'd1', merchantId: 'm1', endpointId: 'we_1', status: 'pending', nextAttemptAt: 'now' });
+    store.insert({ id: 'd2', merchantId: 'm2', endpointId: 'we_2', status: 'dead', nextAttemptAt: null });
+    store.close();
+    store = createWebhookStore({ kind: 'deliveries', driver, path: storePath });
+    check(`${driver}: deliveries survive a restart`, store.list({ merchantId: 'm1', status: 'pending' }).map(item => item.id).join() === 'd1');
+
+    if (driver === 'sqlite') {
+      const tables = store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+      check('sqlite: own webhook tables, no transactions table',
+        tables.includes('webhook_deliveries') && tables.includes('webhook_endpoints') && !tables.includes('transactions'));
+    }
+    store.close();
+  });
+
+  check('json: own log format', fs.readFileSync(path.join(dataDir, 'deliveries.json'), 'utf8').includes('"format":"pso-webhook-deliveries"'));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  console.log();
+
+  webhooks.close();
+  server.close();
+  console.log('=== All Tests Completed ===');
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+  webhooks.close();
+  server.close();
+});